@@ -0,0 +1,17 @@
+-- ============================================================================
+-- CENSORED DEMAND CORRECTION
+-- ADS and sigma now exclude days the SKU sat at zero stock. Each
+-- recommendation records how many of its 30 ADS days were censored.
+-- ============================================================================
+
+-- 1. Censored day count (out of the 30-day ADS window)
+ALTER TABLE inventory_recommendations
+ADD COLUMN IF NOT EXISTS censored_days SMALLINT DEFAULT 0;
+
+-- 2. Stock history lookups per SKU
+CREATE INDEX IF NOT EXISTS idx_handoff_store_item_date
+ON onboarding_handoff(store_id, store_item_id, as_of_date);
+
+-- 3. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "censored_demand"}', 'success');
@@ -0,0 +1,28 @@
+-- ============================================================================
+-- COLD START FORECASTING
+-- New SKUs are forecast from category analogues until they have their own
+-- history. "New" is measured from store_sku_registry.first_onboarded_at.
+-- ============================================================================
+
+-- 1. When the SKU first entered the registry (set on insert only)
+ALTER TABLE store_sku_registry
+ADD COLUMN IF NOT EXISTS first_onboarded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Backfill: existing SKUs date from their earliest stock snapshot
+UPDATE store_sku_registry r
+SET first_onboarded_at = h.first_seen
+FROM (
+    SELECT store_id, store_item_id, MIN(as_of_date) AS first_seen
+    FROM onboarding_handoff
+    GROUP BY store_id, store_item_id
+) h
+WHERE h.store_id = r.store_id AND h.store_item_id = r.store_item_id
+AND (r.first_onboarded_at IS NULL OR h.first_seen < r.first_onboarded_at);
+
+UPDATE store_sku_registry SET first_onboarded_at = CURRENT_TIMESTAMP WHERE first_onboarded_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_sku_onboarded_at ON store_sku_registry(first_onboarded_at);
+
+-- 2. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "cold_start_forecasting"}', 'success');
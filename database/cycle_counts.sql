@@ -0,0 +1,51 @@
+-- ============================================================================
+-- CYCLE COUNTS (count sheets with variance approval)
+-- Small, prioritized count lists instead of whole-store stock takes. Staff
+-- enter counts by barcode; a manager approves the variances before an absolute
+-- STOCK_TAKE snapshot is posted to onboarding_handoff.
+-- ============================================================================
+
+-- 1. Count sheets
+CREATE TABLE IF NOT EXISTS cycle_counts (
+    count_id UUID PRIMARY KEY,
+    store_id VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'submitted', 'approved', 'cancelled')),
+    created_by UUID,
+    submitted_by UUID,
+    submitted_at TIMESTAMP,
+    approved_by UUID,
+    approved_at TIMESTAMP,
+    posting_batch_id UUID, -- onboarding_batch_status row of the posted STOCK_TAKE snapshots
+    notes TEXT,
+    review_note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_cycle_counts_store ON cycle_counts(store_id, status, created_at DESC);
+
+-- 2. Count lines (one per SKU on the sheet)
+CREATE TABLE IF NOT EXISTS cycle_count_lines (
+    count_id UUID NOT NULL REFERENCES cycle_counts(count_id) ON DELETE CASCADE,
+    store_item_id VARCHAR(100) NOT NULL,
+    priority_rank INT NOT NULL,
+    priority_score DECIMAL(8,3),
+    priority_reason TEXT,
+    abc_class VARCHAR(20),
+    expected_qty DECIMAL(12,3), -- System stock when the sheet was generated
+    counted_qty DECIMAL(12,3),
+    system_qty_at_count DECIMAL(12,3), -- System stock when the count was entered
+    variance_units DECIMAL(12,3), -- counted - system at count
+    unit_cost DECIMAL(12,2),
+    variance_value DECIMAL(14,2),
+    scanned_barcode VARCHAR(50),
+    counted_by UUID,
+    counted_at TIMESTAMP,
+    decision VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (decision IN ('pending', 'approved', 'rejected', 'skipped')),
+    posted_qty DECIMAL(12,3), -- Absolute quantity written on approval
+    PRIMARY KEY (count_id, store_item_id)
+);
+
+-- 3. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "cycle_counts"}', 'success');
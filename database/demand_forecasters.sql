@@ -0,0 +1,24 @@
+-- ============================================================================
+-- PLUGGABLE DEMAND FORECASTERS
+-- Per-store engine switch ('v1_weighted_ads' keeps the frozen v1.0 math,
+-- 'auto' picks a forecaster per SKU by backtest) and a per-recommendation
+-- record of the model, its parameters and the demand rate it produced.
+-- ============================================================================
+
+-- 1. Store-level engine selection
+ALTER TABLE store_settings
+ADD COLUMN IF NOT EXISTS forecast_engine VARCHAR(30) DEFAULT 'v1_weighted_ads';
+
+ALTER TABLE store_settings DROP CONSTRAINT IF EXISTS store_settings_forecast_engine_check;
+ALTER TABLE store_settings ADD CONSTRAINT store_settings_forecast_engine_check
+    CHECK (forecast_engine IN ('v1_weighted_ads', 'auto'));
+
+-- 2. Model chosen for each recommendation
+ALTER TABLE inventory_recommendations
+ADD COLUMN IF NOT EXISTS forecast_model VARCHAR(40),
+ADD COLUMN IF NOT EXISTS forecast_params JSONB,
+ADD COLUMN IF NOT EXISTS forecast_daily_demand NUMERIC(12,3);
+
+-- 3. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "demand_forecasters"}', 'success');
@@ -0,0 +1,91 @@
+-- ============================================================================
+-- FESTIVAL & EVENT CALENDAR
+-- Region-aware festival dates plus per-store local events. Per-category demand
+-- uplift is learned from past occurrences in sales_transactions and applied
+-- to the demand rate ahead of each event.
+-- ============================================================================
+
+-- 1. Calendar (one row per occurrence)
+CREATE TABLE IF NOT EXISTS calendar_events (
+    event_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_name VARCHAR(100) NOT NULL, -- Occurrences of the same event share a name (uplift is learned per name)
+    event_date DATE NOT NULL,
+    end_date DATE, -- Multi-day events; NULL = single day
+    lead_days INTEGER NOT NULL DEFAULT 7 CHECK (lead_days >= 0), -- Demand rises this many days before
+    default_uplift NUMERIC(4,2) NOT NULL DEFAULT 1.10 CHECK (default_uplift > 0), -- Used until a store has history
+    region_ids VARCHAR(100)[], -- NULL = national; matches store_settings.region_id exactly or as a prefix ('Chennai' ~ 'Chennai-North')
+    store_id VARCHAR(50), -- Set for store-specific local events
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by UUID,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_events_unique
+ON calendar_events(COALESCE(store_id, ''), event_name, event_date);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_events_date
+ON calendar_events(event_date);
+
+-- 2. Learned per-store, per-category uplift
+CREATE TABLE IF NOT EXISTS event_category_uplift (
+    store_id VARCHAR(50) NOT NULL,
+    event_name VARCHAR(100) NOT NULL,
+    category_name VARCHAR(200) NOT NULL,
+    uplift_factor NUMERIC(5,3) NOT NULL,
+    sample_years INTEGER NOT NULL,
+    learned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (store_id, event_name, category_name)
+);
+
+-- 3. Seed: major festivals 2024-2027
+-- Lunar dates (Eid especially) depend on moon sighting; correct them here if they shift.
+INSERT INTO calendar_events (event_name, event_date, end_date, lead_days, default_uplift, region_ids) VALUES
+    ('Diwali', '2024-11-01', NULL, 10, 1.30, NULL),
+    ('Diwali', '2025-10-20', NULL, 10, 1.30, NULL),
+    ('Diwali', '2026-11-08', NULL, 10, 1.30, NULL),
+    ('Diwali', '2027-10-29', NULL, 10, 1.30, NULL),
+    ('Holi', '2024-03-25', NULL, 5, 1.15, NULL),
+    ('Holi', '2025-03-14', NULL, 5, 1.15, NULL),
+    ('Holi', '2026-03-04', NULL, 5, 1.15, NULL),
+    ('Holi', '2027-03-22', NULL, 5, 1.15, NULL),
+    ('Eid al-Fitr', '2024-04-11', NULL, 7, 1.20, NULL),
+    ('Eid al-Fitr', '2025-03-31', NULL, 7, 1.20, NULL),
+    ('Eid al-Fitr', '2026-03-21', NULL, 7, 1.20, NULL),
+    ('Eid al-Fitr', '2027-03-10', NULL, 7, 1.20, NULL),
+    ('Eid al-Adha', '2024-06-17', NULL, 5, 1.15, NULL),
+    ('Eid al-Adha', '2025-06-07', NULL, 5, 1.15, NULL),
+    ('Eid al-Adha', '2026-05-27', NULL, 5, 1.15, NULL),
+    ('Eid al-Adha', '2027-05-17', NULL, 5, 1.15, NULL),
+    ('Raksha Bandhan', '2024-08-19', NULL, 5, 1.10, NULL),
+    ('Raksha Bandhan', '2025-08-09', NULL, 5, 1.10, NULL),
+    ('Raksha Bandhan', '2026-08-28', NULL, 5, 1.10, NULL),
+    ('Raksha Bandhan', '2027-08-17', NULL, 5, 1.10, NULL),
+    ('Dussehra', '2024-10-12', NULL, 7, 1.15, NULL),
+    ('Dussehra', '2025-10-02', NULL, 7, 1.15, NULL),
+    ('Dussehra', '2026-10-20', NULL, 7, 1.15, NULL),
+    ('Dussehra', '2027-10-09', NULL, 7, 1.15, NULL),
+    ('Christmas', '2024-12-25', NULL, 5, 1.10, NULL),
+    ('Christmas', '2025-12-25', NULL, 5, 1.10, NULL),
+    ('Christmas', '2026-12-25', NULL, 5, 1.10, NULL),
+    ('Christmas', '2027-12-25', NULL, 5, 1.10, NULL),
+    ('Pongal', '2024-01-15', '2024-01-17', 5, 1.20, ARRAY['Chennai', 'Coimbatore', 'Madurai', 'Tiruchirappalli', 'Salem']),
+    ('Pongal', '2025-01-14', '2025-01-16', 5, 1.20, ARRAY['Chennai', 'Coimbatore', 'Madurai', 'Tiruchirappalli', 'Salem']),
+    ('Pongal', '2026-01-14', '2026-01-16', 5, 1.20, ARRAY['Chennai', 'Coimbatore', 'Madurai', 'Tiruchirappalli', 'Salem']),
+    ('Pongal', '2027-01-15', '2027-01-17', 5, 1.20, ARRAY['Chennai', 'Coimbatore', 'Madurai', 'Tiruchirappalli', 'Salem']),
+    ('Ganesh Chaturthi', '2024-09-07', NULL, 5, 1.15, ARRAY['Mumbai', 'Pune', 'Nagpur', 'Bangalore', 'Hyderabad']),
+    ('Ganesh Chaturthi', '2025-08-27', NULL, 5, 1.15, ARRAY['Mumbai', 'Pune', 'Nagpur', 'Bangalore', 'Hyderabad']),
+    ('Ganesh Chaturthi', '2026-09-14', NULL, 5, 1.15, ARRAY['Mumbai', 'Pune', 'Nagpur', 'Bangalore', 'Hyderabad']),
+    ('Ganesh Chaturthi', '2027-09-04', NULL, 5, 1.15, ARRAY['Mumbai', 'Pune', 'Nagpur', 'Bangalore', 'Hyderabad']),
+    ('Onam', '2024-09-15', NULL, 7, 1.20, ARRAY['Kochi', 'Thiruvananthapuram', 'Kozhikode']),
+    ('Onam', '2025-09-05', NULL, 7, 1.20, ARRAY['Kochi', 'Thiruvananthapuram', 'Kozhikode']),
+    ('Onam', '2026-08-26', NULL, 7, 1.20, ARRAY['Kochi', 'Thiruvananthapuram', 'Kozhikode']),
+    ('Onam', '2027-09-12', NULL, 7, 1.20, ARRAY['Kochi', 'Thiruvananthapuram', 'Kozhikode']),
+    ('Durga Puja', '2024-10-09', '2024-10-13', 7, 1.20, ARRAY['Kolkata']),
+    ('Durga Puja', '2025-09-28', '2025-10-02', 7, 1.20, ARRAY['Kolkata']),
+    ('Durga Puja', '2026-10-16', '2026-10-20', 7, 1.20, ARRAY['Kolkata']),
+    ('Durga Puja', '2027-10-05', '2027-10-09', 7, 1.20, ARRAY['Kolkata'])
+ON CONFLICT DO NOTHING;
+
+-- 4. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "event_calendar"}', 'success');
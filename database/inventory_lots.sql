@@ -0,0 +1,48 @@
+-- ============================================================================
+-- INVENTORY LOTS (EXPIRY / BATCH TRACKING)
+-- One row per received batch. Lots are created at PO receipt (or recorded
+-- manually) and depleted first-expiring-first-out as sales are extracted.
+-- The agent uses remaining lot quantities to flag stock that will expire
+-- before it sells (MARKDOWN bucket).
+-- ============================================================================
+
+-- 1. Lots
+CREATE TABLE IF NOT EXISTS inventory_lots (
+    lot_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    store_id VARCHAR(50) NOT NULL,
+    store_item_id VARCHAR(100) NOT NULL,
+    lot_number VARCHAR(100),
+    received_at TIMESTAMPTZ NOT NULL,
+    expiry_date DATE, -- Supplied at receipt, else received_at + store_sku_registry.shelf_life_days
+    quantity_received NUMERIC(12,3) NOT NULL CHECK (quantity_received > 0),
+    quantity_remaining NUMERIC(12,3) NOT NULL CHECK (quantity_remaining >= 0),
+    unit_cost NUMERIC(10,2),
+    source VARCHAR(20) NOT NULL DEFAULT 'po_receipt' CHECK (source IN ('po_receipt', 'manual')),
+    po_id UUID,
+    po_item_id UUID,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 2. FEFO lookups: open lots per SKU in expiry order
+CREATE INDEX IF NOT EXISTS idx_inventory_lots_open
+ON inventory_lots(store_id, store_item_id, expiry_date, received_at)
+WHERE quantity_remaining > 0;
+
+-- 3. MARKDOWN action bucket
+ALTER TABLE inventory_recommendations
+DROP CONSTRAINT IF EXISTS inventory_recommendations_recommendation_type_check;
+
+ALTER TABLE inventory_recommendations
+ADD CONSTRAINT inventory_recommendations_recommendation_type_check CHECK (recommendation_type IN (
+    'BUY_MORE', 'BUY_LESS', 'MONITOR', 'MARKDOWN'
+));
+
+-- 4. Expiry risk recorded on each recommendation
+ALTER TABLE inventory_recommendations
+ADD COLUMN IF NOT EXISTS expiry_risk_units NUMERIC(12,3) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS nearest_expiry_date DATE;
+
+-- 5. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "inventory_lots"}', 'success');
@@ -0,0 +1,27 @@
+-- ============================================================================
+-- MARKDOWN ENGINE
+-- BUY_LESS and MARKDOWN recommendations carry a concrete discount (depth,
+-- duration, price) and the projected days of cover it leaves. Accepted
+-- markdowns are measured against their projection in the outcome ledger.
+-- ============================================================================
+
+-- 1. Margin floor for overstock markdowns (percent over cost)
+ALTER TABLE store_settings
+ADD COLUMN IF NOT EXISTS markdown_min_margin_pct NUMERIC(5,2) DEFAULT 5 CHECK (markdown_min_margin_pct >= 0);
+
+-- 2. Markdown plan recorded on each recommendation
+ALTER TABLE inventory_recommendations
+ADD COLUMN IF NOT EXISTS markdown_depth_pct NUMERIC(5,2),
+ADD COLUMN IF NOT EXISTS markdown_duration_days INTEGER,
+ADD COLUMN IF NOT EXISTS markdown_price NUMERIC(10,2),
+ADD COLUMN IF NOT EXISTS markdown_expected_demand NUMERIC(10,3), -- Units/day while the markdown runs
+ADD COLUMN IF NOT EXISTS projected_days_of_cover NUMERIC(10,2), -- Days of cover left when it ends
+ADD COLUMN IF NOT EXISTS price_elasticity NUMERIC(6,2);
+
+-- 3. Outcome: units actually sold during the markdown window
+ALTER TABLE inventory_recommendations
+ADD COLUMN IF NOT EXISTS markdown_units_sold NUMERIC(12,3);
+
+-- 4. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "markdown_engine"}', 'success');
@@ -0,0 +1,80 @@
+-- ============================================================================
+-- OUTCOME LEDGER: QUANTITIES AND RUPEES (Layer 2)
+-- Every owner decision is measured over a fixed horizon from the moment it was
+-- taken: units sold, stockout days avoided / incurred, revenue protected / lost
+-- at selling price and the carrying cost of excess stock.
+-- ============================================================================
+
+-- 1. Decision state frozen at feedback (the live columns keep updating at each daily close)
+ALTER TABLE inventory_recommendations
+ADD COLUMN IF NOT EXISTS owner_decision VARCHAR(20) CHECK (owner_decision IN ('ACCEPTED', 'IGNORED')),
+ADD COLUMN IF NOT EXISTS pending_at_feedback DECIMAL(12,3),
+ADD COLUMN IF NOT EXISTS outcome_horizon_days INT;
+
+COMMENT ON COLUMN inventory_recommendations.owner_decision IS 'ACCEPTED / IGNORED as given by the owner; survives later UPDATED / OBSOLETE transitions';
+COMMENT ON COLUMN inventory_recommendations.initial_stock_at_feedback IS 'On-hand when the owner decided (on-hand at creation until then)';
+COMMENT ON COLUMN inventory_recommendations.outcome_horizon_days IS 'Cover window at feedback, clamped to 7-30 days';
+
+-- 2. Measured outcome
+ALTER TABLE inventory_recommendations
+ADD COLUMN IF NOT EXISTS outcome_window_end TIMESTAMP,
+ADD COLUMN IF NOT EXISTS outcome_units_sold DECIMAL(12,3),
+ADD COLUMN IF NOT EXISTS stockout_days_avoided INT,
+ADD COLUMN IF NOT EXISTS revenue_protected DECIMAL(12,2),
+ADD COLUMN IF NOT EXISTS excess_units DECIMAL(12,3),
+ADD COLUMN IF NOT EXISTS carrying_cost_excess DECIMAL(12,2);
+
+COMMENT ON COLUMN inventory_recommendations.stockout_days_count IS 'Stockout days incurred inside the outcome horizon';
+COMMENT ON COLUMN inventory_recommendations.missed_sales_opportunity IS 'Revenue lost to stockouts inside the outcome horizon (at selling price)';
+COMMENT ON COLUMN inventory_recommendations.financial_impact_cash IS 'Net rupees: revenue_protected - missed_sales_opportunity - carrying_cost_excess (markdowns: capital released)';
+
+CREATE INDEX IF NOT EXISTS idx_rec_outcome_pending
+ON inventory_recommendations(store_id, processed_at)
+WHERE owner_decision IS NOT NULL AND realized_outcome IS NULL;
+
+-- 3. Carrying cost of stock (capital, space, shrink) per year, as % of cost price
+ALTER TABLE store_settings
+ADD COLUMN IF NOT EXISTS carrying_cost_annual_pct DECIMAL(5,2) DEFAULT 24
+    CHECK (carrying_cost_annual_pct BETWEEN 0 AND 100);
+
+-- 4. Backfill decisions already taken
+UPDATE inventory_recommendations
+SET owner_decision = CASE WHEN feedback_status = 'IGNORED' THEN 'IGNORED' ELSE 'ACCEPTED' END,
+    pending_at_feedback = pending_order_quantity,
+    outcome_horizon_days = LEAST(30, GREATEST(7, protection_window, lead_time_days + review_period_days))
+WHERE owner_decision IS NULL
+AND processed_at IS NOT NULL
+AND feedback_status IN ('ACCEPTED', 'UPDATED', 'IGNORED');
+
+-- Labels resolved without rupee values are measured again at the next daily close
+UPDATE inventory_recommendations
+SET realized_outcome = NULL
+WHERE realized_outcome IN ('Opportunity Saved', 'Opportunity Lost')
+AND revenue_protected IS NULL
+AND owner_decision IS NOT NULL;
+
+-- 5. SKU behavior view now carries money (new columns appended)
+CREATE OR REPLACE VIEW v_sku_outcome_history AS
+SELECT
+    store_id,
+    store_item_id,
+    COUNT(*) AS total_decisions,
+    COUNT(CASE WHEN owner_decision = 'ACCEPTED' THEN 1 END) AS accepted_count,
+    COUNT(CASE WHEN owner_decision = 'IGNORED' THEN 1 END) AS ignored_count,
+    COUNT(CASE WHEN realized_outcome = 'Opportunity Lost' THEN 1 END) AS verified_losses,
+    COUNT(CASE WHEN realized_outcome = 'Opportunity Saved' THEN 1 END) AS verified_savings,
+    COUNT(outcome_window_end) AS measured_decisions,
+    COALESCE(SUM(outcome_units_sold), 0) AS units_sold,
+    COALESCE(SUM(stockout_days_avoided), 0) AS stockout_days_avoided,
+    COALESCE(SUM(CASE WHEN outcome_window_end IS NOT NULL THEN stockout_days_count END), 0) AS stockout_days_incurred,
+    COALESCE(SUM(revenue_protected), 0) AS revenue_protected,
+    COALESCE(SUM(CASE WHEN outcome_window_end IS NOT NULL THEN missed_sales_opportunity END), 0) AS revenue_lost,
+    COALESCE(SUM(carrying_cost_excess), 0) AS carrying_cost_excess,
+    COALESCE(SUM(CASE WHEN outcome_window_end IS NOT NULL THEN financial_impact_cash END), 0) AS net_impact
+FROM inventory_recommendations
+WHERE owner_decision IS NOT NULL
+GROUP BY store_id, store_item_id;
+
+-- 6. Audit
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "outcome_quantities"}', 'success');
@@ -0,0 +1,12 @@
+-- ============================================================================
+-- PENDING PURCHASE ORDER NETTING
+-- Open / partially received PO lines are netted out of reorder math
+-- ============================================================================
+
+-- 1. Snapshot the in-transit quantity each recommendation was computed with
+ALTER TABLE inventory_recommendations
+ADD COLUMN IF NOT EXISTS pending_order_quantity DECIMAL(12,3) DEFAULT 0;
+
+-- 2. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "pending_po_netting"}', 'success');
@@ -0,0 +1,14 @@
+-- ============================================================================
+-- PER-SUPPLIER PO SPLIT
+-- Cart checkout creates one draft PO per supplier; lines added to reach a
+-- supplier's minimum order value are flagged and explained.
+-- ============================================================================
+
+-- 1. Line provenance + explanation
+ALTER TABLE purchase_order_items
+ADD COLUMN IF NOT EXISTS line_source VARCHAR(20) CHECK (line_source IN ('cart', 'recommendation', 'manual', 'top_up', 'import')),
+ADD COLUMN IF NOT EXISTS line_note TEXT;
+
+-- 2. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "po_supplier_split"}', 'success');
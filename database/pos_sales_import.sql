@@ -0,0 +1,42 @@
+-- ============================================================================
+-- POS SALES IMPORT (line-item bills)
+-- Bill exports are imported line by line into sales_transactions with their
+-- real timestamps. For the SKU-days they cover, bill lines replace the sales
+-- inferred from stock snapshot deltas and are reconciled against those deltas.
+-- ============================================================================
+
+-- 1. Bill line columns
+ALTER TABLE sales_transactions
+ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'snapshot_delta' CHECK (source IN ('snapshot_delta', 'pos_bill')),
+ADD COLUMN IF NOT EXISTS bill_number VARCHAR(60),
+ADD COLUMN IF NOT EXISTS line_number INT,
+ADD COLUMN IF NOT EXISTS list_price DECIMAL(10,2), -- Unit price before discount (selling_price is net)
+ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(12,2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS tender_type VARCHAR(30); -- CASH / CARD / UPI / CREDIT / ...
+
+-- Return lines carry a negative quantity_sold and revenue
+
+CREATE INDEX IF NOT EXISTS idx_sales_bill_coverage
+ON sales_transactions(store_id, store_item_id, transaction_date) WHERE source = 'pos_bill';
+
+-- 2. Import runs
+CREATE TABLE IF NOT EXISTS sales_import_batches (
+    batch_id UUID PRIMARY KEY, -- Also sales_transactions.source_sync_run_id of its lines
+    store_id VARCHAR(50) NOT NULL,
+    file_name VARCHAR(255),
+    imported_by UUID,
+    rows_total INT DEFAULT 0,
+    lines_imported INT DEFAULT 0,
+    duplicates INT DEFAULT 0,
+    rejected INT DEFAULT 0,
+    inferred_replaced INT DEFAULT 0, -- Snapshot-inferred sales removed for covered SKU-days
+    first_sale_at TIMESTAMP,
+    last_sale_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sales_import_store ON sales_import_batches(store_id, created_at DESC);
+
+-- 3. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "pos_sales_import"}', 'success');
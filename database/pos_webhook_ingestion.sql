@@ -0,0 +1,64 @@
+-- ============================================================================
+-- POS WEBHOOK INGESTION
+-- A POS streams sale, return and stock-adjust events as signed JSON
+-- (HMAC-SHA256 with store_sync_config.webhook_secret). Each event is stored once
+-- per idempotency key, then fed to the incremental sync in micro-batches.
+-- ============================================================================
+
+-- 1. Event inbox (one row per idempotency key; retries of the same key are dropped)
+CREATE TABLE IF NOT EXISTS pos_webhook_events (
+    store_id VARCHAR(50) NOT NULL,
+    idempotency_key VARCHAR(200) NOT NULL,
+    event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('SALE', 'RETURN', 'STOCK_ADJUST')),
+    store_item_id VARCHAR(100) NOT NULL,
+    quantity DECIMAL(12,3) NOT NULL,
+    quantity_mode VARCHAR(10) NOT NULL DEFAULT 'delta' CHECK (quantity_mode IN ('delta', 'absolute')),
+    reason VARCHAR(20), -- Stock adjusts: ADJUSTMENT / RESTOCK / DAMAGE / EXPIRY / STOCK_TAKE
+    selling_price DECIMAL(12,2),
+    cost_price DECIMAL(12,2),
+    payload JSONB NOT NULL,
+    occurred_at TIMESTAMP NOT NULL,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'processing', 'synced', 'failed', 'unknown_sku')),
+    sync_run_id UUID, -- Micro-batch that carried the event into onboarding_handoff
+    processed_at TIMESTAMP,
+    error_message TEXT,
+    PRIMARY KEY (store_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pos_webhook_queued
+ON pos_webhook_events(store_id, occurred_at) WHERE status IN ('queued', 'processing');
+
+-- Failed micro-batches are retried with backoff; 'failed' is final after the last attempt
+ALTER TABLE pos_webhook_events
+ADD COLUMN IF NOT EXISTS attempts INT NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP;
+
+-- 2. Webhook micro-batches write their snapshots with source 'pos_webhook'.
+-- Extend the live source check rather than retyping its value list; NOT VALID
+-- skips rechecking existing rows (the new list only adds a value).
+DO $$
+DECLARE
+    current_def TEXT;
+BEGIN
+    SELECT pg_get_constraintdef(oid) INTO current_def
+    FROM pg_constraint
+    WHERE conrelid = 'onboarding_handoff'::regclass AND conname = 'onboarding_handoff_source_check';
+
+    IF current_def IS NULL OR current_def LIKE '%''pos_webhook''%' THEN
+        RETURN;
+    END IF;
+    IF position('ARRAY[' IN current_def) = 0 THEN
+        RAISE EXCEPTION 'Unexpected onboarding_handoff_source_check definition: %', current_def;
+    END IF;
+
+    ALTER TABLE onboarding_handoff DROP CONSTRAINT onboarding_handoff_source_check;
+    EXECUTE 'ALTER TABLE onboarding_handoff ADD CONSTRAINT onboarding_handoff_source_check '
+        || replace(replace(current_def, ' NOT VALID', ''), 'ARRAY[', 'ARRAY[''pos_webhook''::character varying, ')
+        || ' NOT VALID';
+END $$;
+
+-- 3. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "pos_webhook_ingestion"}', 'success');
@@ -0,0 +1,30 @@
+-- ============================================================================
+-- PURCHASE ORDER LIFECYCLE
+-- draft -> sent -> partially_received -> received -> closed (or cancelled)
+-- 'pending' is kept for legacy / imported POs and is treated like 'sent'.
+-- ============================================================================
+
+-- 1. Lifecycle statuses
+ALTER TABLE purchase_orders DROP CONSTRAINT IF EXISTS purchase_orders_status_check;
+ALTER TABLE purchase_orders ADD CONSTRAINT purchase_orders_status_check
+    CHECK (status IN ('draft', 'pending', 'sent', 'partially_received', 'received', 'closed', 'cancelled'));
+
+-- 2. Lifecycle metadata
+ALTER TABLE purchase_orders
+ADD COLUMN IF NOT EXISTS supplier_id VARCHAR(100),
+ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(user_id),
+ADD COLUMN IF NOT EXISTS sent_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS cancel_reason TEXT,
+ADD COLUMN IF NOT EXISTS notes TEXT;
+
+-- 3. Line traceability back to the recommendation that suggested it
+ALTER TABLE purchase_order_items
+ADD COLUMN IF NOT EXISTS recommendation_id UUID,
+ADD COLUMN IF NOT EXISTS last_received_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_po_store_status ON purchase_orders(store_id, status);
+
+-- 4. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "purchase_order_lifecycle"}', 'success');
@@ -0,0 +1,31 @@
+-- ============================================================================
+-- SERVER-PERSISTED REORDER CART
+-- One shared cart per store (replaces browser localStorage), with a version
+-- counter for optimistic concurrency across devices and staff.
+-- ============================================================================
+
+-- 1. Cart header (version bumps on every change)
+CREATE TABLE IF NOT EXISTS reorder_carts (
+    store_id VARCHAR(50) PRIMARY KEY,
+    version INTEGER NOT NULL DEFAULT 0,
+    updated_by UUID REFERENCES users(user_id),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 2. Cart lines (one per SKU)
+CREATE TABLE IF NOT EXISTS reorder_cart_items (
+    store_id VARCHAR(50) NOT NULL REFERENCES reorder_carts(store_id) ON DELETE CASCADE,
+    store_item_id VARCHAR(100) NOT NULL,
+    quantity NUMERIC(12,3) NOT NULL CHECK (quantity > 0),
+    unit_cost NUMERIC(10,2),
+    recommendation_id UUID REFERENCES inventory_recommendations(recommendation_id) ON DELETE SET NULL,
+    added_by UUID REFERENCES users(user_id),
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (store_id, store_item_id),
+    FOREIGN KEY (store_id, store_item_id) REFERENCES store_sku_registry(store_id, store_item_id) ON DELETE CASCADE
+);
+
+-- 3. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "reorder_cart"}', 'success');
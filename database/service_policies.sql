@@ -0,0 +1,50 @@
+-- ============================================================================
+-- SERVICE-LEVEL POLICIES
+-- Store defaults (store_settings), category overrides and SKU pins for the
+-- z-values, protection windows and BUY_LESS cover multiple. Every change bumps
+-- the scope's version and is written to the change log; recommendations record
+-- the versions they were computed under.
+-- ============================================================================
+
+-- 1. Store-level policy (partial JSON over the v1.0 defaults; NULL = defaults)
+ALTER TABLE store_settings
+ADD COLUMN IF NOT EXISTS service_policy JSONB,
+ADD COLUMN IF NOT EXISTS service_policy_version INTEGER NOT NULL DEFAULT 0;
+
+-- 2. Category overrides and SKU pins (partial JSON over the store policy)
+CREATE TABLE IF NOT EXISTS service_policy_overrides (
+    store_id VARCHAR(50) NOT NULL,
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('category', 'sku')),
+    scope_key VARCHAR(200) NOT NULL, -- master_category_name or store_item_id
+    policy JSONB NOT NULL,
+    version INTEGER NOT NULL,
+    updated_by UUID,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (store_id, scope, scope_key)
+);
+
+-- 3. Change log (append-only)
+CREATE TABLE IF NOT EXISTS service_policy_changes (
+    change_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    store_id VARCHAR(50) NOT NULL,
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('store', 'category', 'sku')),
+    scope_key VARCHAR(200), -- NULL for store scope
+    version INTEGER NOT NULL,
+    previous_policy JSONB,
+    new_policy JSONB, -- NULL = override removed / store reset to defaults
+    reason TEXT,
+    changed_by UUID,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_service_policy_changes_version
+ON service_policy_changes(store_id, scope, COALESCE(scope_key, ''), version);
+
+-- 4. Policy each recommendation was computed under
+ALTER TABLE inventory_recommendations
+ADD COLUMN IF NOT EXISTS policy_version VARCHAR(255), -- e.g. store:v3/category:v1/sku:-
+ADD COLUMN IF NOT EXISTS policy_snapshot JSONB; -- Effective values after merging
+
+-- 5. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "service_policies"}', 'success');
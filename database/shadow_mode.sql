@@ -0,0 +1,37 @@
+-- ============================================================================
+-- SHADOW MODE
+-- SHADOW stores get recommendations that are stored but hidden from the owner,
+-- scored against what actually happened, and compared with the owner's own
+-- decisions. The comparison report gates promotion to ACTIVE.
+-- ============================================================================
+
+-- 1. Existing recommendations were all shown to owners: mark them ACTIVE (first run only,
+--    since the column default made every row 'SHADOW')
+UPDATE inventory_recommendations SET mode = 'ACTIVE'
+WHERE (mode IS NULL OR mode = 'SHADOW')
+AND NOT EXISTS (
+    SELECT 1 FROM operational_audit_log
+    WHERE action_type = 'system.migration' AND metadata->>'module' = 'shadow_mode'
+);
+
+-- 2. New stores start in SHADOW (existing stores keep their mode)
+ALTER TABLE store_settings ALTER COLUMN ai_mode SET DEFAULT 'SHADOW';
+ALTER TABLE store_settings
+ADD COLUMN IF NOT EXISTS ai_mode_changed_at TIMESTAMP;
+
+-- 3. Opening state and shadow scoring
+ALTER TABLE inventory_recommendations
+ADD COLUMN IF NOT EXISTS opening_snapshot JSONB, -- Stock, pending, SS, cover window... when created
+ADD COLUMN IF NOT EXISTS shadow_outcome VARCHAR(20) CHECK (shadow_outcome IN ('CORRECT', 'INCORRECT')),
+ADD COLUMN IF NOT EXISTS owner_action VARCHAR(20), -- RESTOCKED, HELD, DISCOUNTED, NO_ACTION
+ADD COLUMN IF NOT EXISTS owner_action_correct BOOLEAN,
+ADD COLUMN IF NOT EXISTS shadow_evaluation JSONB,
+ADD COLUMN IF NOT EXISTS shadow_evaluated_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_rec_shadow_unscored
+ON inventory_recommendations(store_id)
+WHERE mode = 'SHADOW' AND shadow_outcome IS NULL;
+
+-- 4. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "shadow_mode"}', 'success');
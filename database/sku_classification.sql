@@ -0,0 +1,23 @@
+-- ============================================================================
+-- SKU CLASSIFICATION (ABC / XYZ / BUSINESS ROLE)
+-- The daily close writes ABC (revenue contribution), XYZ (demand CV), business
+-- role and service tier into the existing store_sku_registry class columns.
+-- The service tier (risk_class) picks the safety stock z-value.
+-- ============================================================================
+
+-- 1. Class values written by modules/sku-classifier.js
+COMMENT ON COLUMN store_sku_registry.velocity_class IS 'ABC by 90-day revenue contribution: A, B, C';
+COMMENT ON COLUMN store_sku_registry.predictability_class IS 'XYZ by CV of daily units: X (<= 0.5), Y (<= 1.0), Z';
+COMMENT ON COLUMN store_sku_registry.business_role IS 'Traffic, Margin, Basket, Long-tail';
+COMMENT ON COLUMN store_sku_registry.risk_class IS 'Service tier: Critical (z 1.65), Normal (z 1.28), Low (z 0.84)';
+
+-- 2. Last classification run per SKU
+ALTER TABLE store_sku_registry
+ADD COLUMN IF NOT EXISTS classified_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_sku_registry_classes
+ON store_sku_registry(store_id, velocity_class, predictability_class);
+
+-- 3. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "sku_classification"}', 'success');
@@ -0,0 +1,40 @@
+-- ============================================================================
+-- STOCK RECONCILIATION (variance ledger)
+-- Per SKU and day: expected closing = opening + receipts - sales + returns
+-- +/- adjustments, compared with the observed closing stock. Differences are
+-- recorded as shrinkage, miscount or unexplained, valued at cost.
+-- ============================================================================
+
+-- 1. Snapshot kind: 'delta' (declared movement) or 'absolute' (observed count).
+-- NULL on older rows: STOCK_TAKE / ADJUSTMENT snapshots are read as counts.
+ALTER TABLE onboarding_handoff
+ADD COLUMN IF NOT EXISTS quantity_mode VARCHAR(10) CHECK (quantity_mode IN ('delta', 'absolute'));
+
+-- 2. Variance ledger (SKU-days whose stock does not reconcile)
+CREATE TABLE IF NOT EXISTS stock_variances (
+    store_id VARCHAR(50) NOT NULL,
+    store_item_id VARCHAR(100) NOT NULL,
+    business_date DATE NOT NULL,
+    opening_qty DECIMAL(12,3) NOT NULL,
+    receipts DECIMAL(12,3) NOT NULL DEFAULT 0, -- RESTOCK snapshots + lots recorded outside a PO
+    sales DECIMAL(12,3) NOT NULL DEFAULT 0, -- sales_transactions (bill lines or inferred)
+    returns DECIMAL(12,3) NOT NULL DEFAULT 0,
+    adjustments DECIMAL(12,3) NOT NULL DEFAULT 0, -- Declared damage / expiry / adjustment deltas
+    expected_closing DECIMAL(12,3) NOT NULL,
+    observed_closing DECIMAL(12,3) NOT NULL,
+    variance_units DECIMAL(12,3) NOT NULL, -- observed - expected
+    shrinkage_units DECIMAL(12,3) NOT NULL DEFAULT 0, -- Counted loss not reversed by a later count
+    miscount_units DECIMAL(12,3) NOT NULL DEFAULT 0, -- Counted gains and losses a later count reverses
+    unexplained_units DECIMAL(12,3) NOT NULL DEFAULT 0, -- Stock moved without a matching record
+    classification VARCHAR(20) NOT NULL CHECK (classification IN ('SHRINKAGE', 'MISCOUNT', 'UNEXPLAINED')),
+    unit_cost DECIMAL(12,2),
+    variance_value DECIMAL(14,2), -- variance_units x unit_cost (NULL without a cost price)
+    computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (store_id, store_item_id, business_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_variances_store_date ON stock_variances(store_id, business_date);
+
+-- 3. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "stock_reconciliation"}', 'success');
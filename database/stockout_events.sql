@@ -0,0 +1,33 @@
+-- ============================================================================
+-- STOCKOUT EVENT LEDGER
+-- One row per stockout episode (on-hand hit 0 until it came back), detected
+-- from inventory snapshots during incremental sync and PO receipts.
+-- ============================================================================
+
+-- 1. Episodes
+CREATE TABLE IF NOT EXISTS stockout_events (
+    event_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    store_id VARCHAR(50) NOT NULL,
+    store_item_id VARCHAR(100) NOT NULL,
+    started_at TIMESTAMPTZ NOT NULL,
+    ended_at TIMESTAMPTZ,
+    duration_days NUMERIC(10,3),
+    ads_at_start NUMERIC(12,3) NOT NULL DEFAULT 0, -- Prevailing 30-day ADS when the episode opened
+    selling_price NUMERIC(10,2),
+    estimated_lost_units NUMERIC(12,3),
+    estimated_lost_revenue NUMERIC(12,2),
+    start_sync_run_id UUID,
+    end_sync_run_id UUID,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 2. At most one open episode per SKU
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stockout_events_open
+ON stockout_events(store_id, store_item_id) WHERE ended_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_stockout_events_store_started
+ON stockout_events(store_id, started_at DESC);
+
+-- 3. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "stockout_events"}', 'success');
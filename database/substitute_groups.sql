@@ -0,0 +1,30 @@
+-- ============================================================================
+-- SUBSTITUTE GROUPS
+-- Directed substitute links between SKUs: when store_item_id is out of stock,
+-- shift_share of its demand moves to substitute_item_id. Links are learned from
+-- sales_transactions during past stockout_events (siblings in the same L3
+-- category) or set manually as named groups by the owner.
+-- ============================================================================
+
+-- 1. Substitute links
+CREATE TABLE IF NOT EXISTS sku_substitutes (
+    store_id VARCHAR(50) NOT NULL,
+    store_item_id VARCHAR(100) NOT NULL, -- SKU whose demand shifts when it is out
+    substitute_item_id VARCHAR(100) NOT NULL, -- SKU that picks the demand up
+    source VARCHAR(10) NOT NULL CHECK (source IN ('learned', 'manual')),
+    shift_share NUMERIC(4,3) NOT NULL CHECK (shift_share > 0 AND shift_share <= 0.9), -- Below 1: a SKU keeps some loyal demand
+    episodes INTEGER NOT NULL DEFAULT 0, -- Stockout episodes behind a learned share
+    group_name VARCHAR(100), -- Manual groups only
+    created_by UUID,
+    learned_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (store_id, store_item_id, substitute_item_id),
+    CHECK (store_item_id <> substitute_item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sku_substitutes_group
+ON sku_substitutes(store_id, group_name) WHERE source = 'manual';
+
+-- 2. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "substitute_groups"}', 'success');
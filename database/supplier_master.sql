@@ -0,0 +1,35 @@
+-- ============================================================================
+-- SUPPLIER MASTER
+-- Lead time, lead-time variability, order days and minimum order value per
+-- supplier. SKUs link through store_sku_registry.supplier_id.
+-- ============================================================================
+
+-- 1. Supplier Master Table (store-scoped; supplier_id is the store's own code)
+CREATE TABLE IF NOT EXISTS suppliers (
+    store_id VARCHAR(50) NOT NULL,
+    supplier_id VARCHAR(100) NOT NULL,
+    supplier_name VARCHAR(200) NOT NULL,
+    lead_time_days NUMERIC(6,2) NOT NULL DEFAULT 1 CHECK (lead_time_days >= 0),
+    lead_time_std_days NUMERIC(6,2) NOT NULL DEFAULT 0 CHECK (lead_time_std_days >= 0),
+    order_days SMALLINT[] DEFAULT NULL, -- 0 = Sunday ... 6 = Saturday; NULL = any day
+    review_cycle_days NUMERIC(6,2) DEFAULT NULL CHECK (review_cycle_days IS NULL OR review_cycle_days > 0), -- overrides order_days (e.g. 10-day distributor cycle)
+    min_order_value NUMERIC(12,2) DEFAULT 0,
+    contact_phone VARCHAR(50),
+    contact_email VARCHAR(200),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (store_id, supplier_id)
+);
+
+-- 2. Registry lookup by supplier
+CREATE INDEX IF NOT EXISTS idx_sku_registry_supplier ON store_sku_registry(store_id, supplier_id);
+
+-- 3. Snapshot the lead-time inputs each recommendation was computed with
+ALTER TABLE inventory_recommendations
+ADD COLUMN IF NOT EXISTS lead_time_days NUMERIC(6,2),
+ADD COLUMN IF NOT EXISTS review_period_days NUMERIC(6,2);
+
+-- 4. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "supplier_master"}', 'success');
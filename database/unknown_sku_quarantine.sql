@@ -0,0 +1,67 @@
+-- ============================================================================
+-- UNKNOWN-SKU QUARANTINE
+-- A sync no longer fails on SKUs missing from the registry: known rows are
+-- committed and each unknown SKU gets one open escalation holding its parked
+-- stock movements. The owner onboards it, maps it to an existing SKU or
+-- discards it; the parked movements are then replayed through the sync.
+-- ============================================================================
+
+-- 1. Escalation resolution
+ALTER TABLE unknown_sku_escalation_queue
+ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS movement_count INT DEFAULT 0,
+ADD COLUMN IF NOT EXISTS resolution VARCHAR(20) CHECK (resolution IN ('onboarded', 'mapped', 'discarded')),
+ADD COLUMN IF NOT EXISTS mapped_to_item_id VARCHAR(100),
+ADD COLUMN IF NOT EXISTS resolved_by UUID, -- NULL when auto-onboarded
+ADD COLUMN IF NOT EXISTS resolution_note TEXT;
+
+ALTER TABLE unknown_sku_escalation_queue DROP CONSTRAINT IF EXISTS unknown_sku_escalation_queue_escalation_status_check;
+ALTER TABLE unknown_sku_escalation_queue ADD CONSTRAINT unknown_sku_escalation_queue_escalation_status_check
+    CHECK (escalation_status IN ('pending', 'onboarding_triggered', 'onboarded', 'mapped', 'ignored'));
+
+-- One open escalation per SKU (older syncs could queue the same SKU many times)
+DELETE FROM unknown_sku_escalation_queue a
+USING unknown_sku_escalation_queue b
+WHERE a.store_id = b.store_id AND a.store_item_id = b.store_item_id
+AND a.escalation_status IN ('pending', 'onboarding_triggered')
+AND b.escalation_status IN ('pending', 'onboarding_triggered')
+AND (a.detected_at, a.id) > (b.detected_at, b.id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_escalation_open_sku
+ON unknown_sku_escalation_queue(store_id, store_item_id)
+WHERE escalation_status IN ('pending', 'onboarding_triggered');
+
+-- 2. Parked stock movements (raw sync rows, replayed in order once resolved).
+-- Escalations raised before this migration aborted their whole sync, so they
+-- have no movements to replay.
+CREATE TABLE IF NOT EXISTS quarantined_stock_movements (
+    movement_id BIGSERIAL PRIMARY KEY,
+    escalation_id UUID NOT NULL REFERENCES unknown_sku_escalation_queue(id) ON DELETE CASCADE,
+    store_id VARCHAR(50) NOT NULL,
+    store_item_id VARCHAR(100) NOT NULL, -- Code as sent by the POS / file
+    raw_row JSONB NOT NULL,
+    sync_run_id UUID, -- Sync that parked the row (rows of one sync are replayed together)
+    data_source VARCHAR(50),
+    parked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    status VARCHAR(20) NOT NULL DEFAULT 'parked' CHECK (status IN ('parked', 'replayed', 'discarded')),
+    replay_sync_run_id UUID,
+    resolved_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_quarantine_parked
+ON quarantined_stock_movements(escalation_id, movement_id) WHERE status = 'parked';
+
+-- 3. Codes mapped to an existing SKU (later syncs resolve them automatically)
+CREATE TABLE IF NOT EXISTS sku_id_aliases (
+    store_id VARCHAR(50) NOT NULL,
+    alias_item_id VARCHAR(100) NOT NULL,
+    store_item_id VARCHAR(100) NOT NULL,
+    created_by UUID,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (store_id, alias_item_id),
+    CHECK (alias_item_id <> store_item_id)
+);
+
+-- 4. Audit Log
+INSERT INTO operational_audit_log (action_type, metadata, status)
+VALUES ('system.migration', '{"module": "unknown_sku_quarantine"}', 'success');
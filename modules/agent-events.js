@@ -0,0 +1,58 @@
+/**
+ * AGENT EVENT CONTRACT
+ *
+ * Typed events exchanged between the MasterOrchestrator (producer) and the
+ * InventoryAIAgent (consumer). Every event is validated at creation time so a
+ * misspelled type or a missing store scope fails loudly instead of being
+ * silently skipped downstream.
+ */
+
+const crypto = require('crypto');
+
+const AGENT_EVENTS = Object.freeze({
+    STORE_ONBOARDED: 'STORE_ONBOARDED',
+    SALE_OCCURRED: 'SALE_OCCURRED',
+    STOCK_UPDATED: 'STOCK_UPDATED',
+    DAILY_CLOSE: 'DAILY_CLOSE'
+});
+
+// Required payload fields per event type (storeId is always required)
+const EVENT_SCHEMAS = Object.freeze({
+    [AGENT_EVENTS.STORE_ONBOARDED]: ['skuIds'],
+    [AGENT_EVENTS.SALE_OCCURRED]: ['skuIds', 'syncRunId'],
+    [AGENT_EVENTS.STOCK_UPDATED]: ['skuIds'],
+    [AGENT_EVENTS.DAILY_CLOSE]: ['skuIds']
+});
+
+/**
+ * Build a validated, immutable event envelope
+ */
+function createEvent(type, payload = {}) {
+    if (!EVENT_SCHEMAS[type]) {
+        throw new Error(`Unknown agent event type: ${type}`);
+    }
+    if (!payload.storeId) {
+        throw new Error(`Event ${type} is missing storeId`);
+    }
+
+    const missing = EVENT_SCHEMAS[type].filter(field => payload[field] === undefined || payload[field] === null);
+    if (missing.length > 0) {
+        throw new Error(`Event ${type} is missing required field(s): ${missing.join(', ')}`);
+    }
+    if (!Array.isArray(payload.skuIds)) {
+        throw new Error(`Event ${type} requires skuIds to be an array`);
+    }
+
+    return Object.freeze({
+        ...payload,
+        type,
+        eventId: payload.eventId || crypto.randomUUID(),
+        emittedAt: payload.emittedAt || new Date().toISOString(),
+        triggeredBy: payload.triggeredBy || 'system'
+    });
+}
+
+module.exports = {
+    AGENT_EVENTS,
+    createEvent
+};
@@ -0,0 +1,304 @@
+/**
+ * BACKTEST ENGINE (Offline, No LLM)
+ *
+ * Replays a store's history day by day and compares "what actually happened"
+ * with "what would have happened had the store followed every recommendation".
+ *
+ * For each SKU and each day in [from, to]:
+ *   1. Demand = recorded sales; on days the store was actually out of stock the
+ *      unobserved demand is estimated from the trailing in-stock sales rate.
+ *   2. ACTUAL: stock is the latest onboarding_handoff snapshot for that day.
+ *   3. SIMULATED: starts from the actual opening stock, sells min(stock, demand),
+ *      receives its own orders after the supplier lead time, and at close runs
+ *      calculateDeterministicMetrics as of that date. BUY_MORE places an order.
+ *
+ * Both sides report fill rate, stockout days, average inventory value (at cost)
+ * and lost revenue. Policy overrides (PW bands, z-values, BUY_LESS multiple) let
+ * a proposed change be compared against the frozen v1.0 constants.
+ */
+
+const InventoryAIAgent = require('./inventory-ai-agent');
+const SupplierMaster = require('./supplier-master');
+
+const HISTORY_LOOKBACK_DAYS = 56;   // Matches the forecaster history window
+const V1_WINDOW_DAYS = 35;          // Matches loadSKUState's v1.0 sales window
+const LOST_DEMAND_WINDOW_DAYS = 28; // Trailing in-stock days used to estimate lost demand
+const DEFAULT_LEAD_TIME_DAYS = 1;   // SKUs without a linked supplier are assumed next-day
+
+const dayKey = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+const parseDay = s => {
+    const [y, m, d] = String(s).slice(0, 10).split('-').map(Number);
+    return new Date(y, m - 1, d);
+};
+const addDays = (d, n) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+const endOfDay = d => new Date(d.getFullYear(), d.getMonth(), d.getDate(), 23, 59, 59);
+
+class BacktestEngine {
+    constructor(pool, agent = null) {
+        this.pool = pool;
+        this.agent = agent || new InventoryAIAgent(pool);
+    }
+
+    /**
+     * Run a backtest
+     * @param {string} storeId
+     * @param {object} options { from, to (YYYY-MM-DD), skuIds?, forecastEngine?, policy? }
+     */
+    async run(storeId, options = {}) {
+        const from = parseDay(options.from);
+        const to = parseDay(options.to);
+        if (isNaN(from) || isNaN(to) || from > to) {
+            throw new Error('Backtest needs a valid from <= to date range (YYYY-MM-DD)');
+        }
+
+        const days = [];
+        for (let d = from; d <= to; d = addDays(d, 1)) days.push(d);
+
+        console.log(`🧪 Backtest ${storeId}: ${dayKey(from)} → ${dayKey(to)} (${days.length} days)`);
+        const data = await this.loadHistory(storeId, from, to, options);
+        const forecastEngine = options.forecastEngine || data.forecastEngine;
+
+        const skus = [];
+        let skipped = 0;
+        for (const sku of data.skus) {
+            const result = this.simulateSKU(sku, days, forecastEngine, options.policy || {});
+            if (result) skus.push(result);
+            else skipped++;
+        }
+
+        return {
+            storeId,
+            from: dayKey(from),
+            to: dayKey(to),
+            days: days.length,
+            forecastEngine,
+            policy: options.policy || {},
+            skuCount: skus.length,
+            skippedNoStockHistory: skipped,
+            actual: this.summarize(skus.map(s => s.actual)),
+            simulated: this.summarize(skus.map(s => s.simulated)),
+            skus
+        };
+    }
+
+    /**
+     * Load registry, sales and snapshots for the window (plus history lookback)
+     */
+    async loadHistory(storeId, from, to, options) {
+        const historyStart = addDays(from, -HISTORY_LOOKBACK_DAYS);
+        const skuFilter = options.skuIds && options.skuIds.length ? options.skuIds : null;
+
+        const settings = await this.pool.query(
+            'SELECT forecast_engine FROM store_settings WHERE store_id = $1',
+            [storeId]
+        );
+
+        const registry = await this.pool.query(`
+            SELECT r.store_item_id, r.normalized_product_name, r.moq, r.case_pack_size,
+                   s.supplier_id, s.supplier_name, s.lead_time_days, s.lead_time_std_days,
+                   s.order_days, s.review_cycle_days, s.min_order_value
+            FROM store_sku_registry r
+            LEFT JOIN suppliers s ON s.store_id = r.store_id AND s.supplier_id = r.supplier_id AND s.is_active = TRUE
+            WHERE r.store_id = $1 AND ($2::text[] IS NULL OR r.store_item_id = ANY($2))
+            ORDER BY r.store_item_id
+        `, [storeId, skuFilter]);
+
+        const sales = await this.pool.query(`
+            SELECT store_item_id, transaction_date, SUM(quantity_sold) AS quantity_sold
+            FROM sales_transactions
+            WHERE store_id = $1 AND transaction_date >= $2 AND transaction_date <= $3
+            AND ($4::text[] IS NULL OR store_item_id = ANY($4))
+            GROUP BY store_item_id, transaction_date
+        `, [storeId, dayKey(historyStart), dayKey(to), skuFilter]);
+
+        const snapshots = await this.pool.query(`
+            SELECT store_item_id, quantity_on_hand, selling_price, cost_price, as_of_date
+            FROM onboarding_handoff
+            WHERE store_id = $1 AND as_of_date <= $2
+            AND ($3::text[] IS NULL OR store_item_id = ANY($3))
+            ORDER BY store_item_id, as_of_date
+        `, [storeId, endOfDay(to), skuFilter]);
+
+        const salesBySku = new Map();
+        for (const row of sales.rows) {
+            if (!salesBySku.has(row.store_item_id)) salesBySku.set(row.store_item_id, new Map());
+            const day = row.transaction_date instanceof Date ? dayKey(row.transaction_date) : String(row.transaction_date).slice(0, 10);
+            salesBySku.get(row.store_item_id).set(day, parseFloat(row.quantity_sold) || 0);
+        }
+
+        const snapshotsBySku = new Map();
+        for (const row of snapshots.rows) {
+            if (!snapshotsBySku.has(row.store_item_id)) snapshotsBySku.set(row.store_item_id, []);
+            snapshotsBySku.get(row.store_item_id).push(row);
+        }
+
+        return {
+            forecastEngine: settings.rows[0]?.forecast_engine || 'v1_weighted_ads',
+            skus: registry.rows.map(r => ({
+                skuId: r.store_item_id,
+                productName: r.normalized_product_name,
+                moq: r.moq,
+                caseSize: r.case_pack_size,
+                supplier: r.supplier_id ? {
+                    supplierId: r.supplier_id,
+                    name: r.supplier_name,
+                    leadTimeDays: parseFloat(r.lead_time_days) || 0,
+                    leadTimeStdDays: parseFloat(r.lead_time_std_days) || 0,
+                    reviewPeriodDays: SupplierMaster.calculateReviewPeriod(r),
+                    minOrderValue: parseFloat(r.min_order_value) || 0
+                } : null,
+                sales: salesBySku.get(r.store_item_id) || new Map(),
+                snapshots: snapshotsBySku.get(r.store_item_id) || []
+            }))
+        };
+    }
+
+    /**
+     * Replay one SKU. Returns null when there is no stock snapshot to start from.
+     */
+    simulateSKU(sku, days, forecastEngine, policy) {
+        let snapIdx = -1;
+        const advanceSnapshot = (until) => {
+            while (snapIdx + 1 < sku.snapshots.length && new Date(sku.snapshots[snapIdx + 1].as_of_date) <= until) snapIdx++;
+            return snapIdx >= 0 ? sku.snapshots[snapIdx] : null;
+        };
+
+        const opening = advanceSnapshot(endOfDay(addDays(days[0], -1)));
+        if (!opening) return null;
+
+        // Sales history the engine would have seen before the window (actual)
+        const history = [];
+        for (const [day, qty] of sku.sales) {
+            if (parseDay(day) < days[0] && qty > 0) history.push({ transaction_date: parseDay(day), quantity_sold: qty });
+        }
+
+        // Stock history the engine sees for censored-demand detection: actual before the window, simulated after
+        const stockHistory = sku.snapshots.slice(0, snapIdx + 1).map(s => ({
+            as_of_date: s.as_of_date,
+            quantity_on_hand: s.quantity_on_hand
+        }));
+
+        const leadDays = Math.max(1, Math.round(sku.supplier ? sku.supplier.leadTimeDays : DEFAULT_LEAD_TIME_DAYS));
+        const actual = this.emptyTotals();
+        const simulated = { ...this.emptyTotals(), ordersPlaced: 0, unitsOrdered: 0 };
+        const inStockSales = []; // Trailing in-stock actual sales, for lost-demand estimates
+        const arrivals = new Map(); // dayKey -> qty
+        let simStock = Math.max(0, parseFloat(opening.quantity_on_hand) || 0);
+        let sellingPrice = parseFloat(opening.selling_price) || 0;
+        let costPrice = parseFloat(opening.cost_price) || 0;
+
+        days.forEach((day, idx) => {
+            const key = dayKey(day);
+            const snap = advanceSnapshot(endOfDay(day));
+            if (snap.selling_price !== null) sellingPrice = parseFloat(snap.selling_price) || sellingPrice;
+            if (snap.cost_price !== null) costPrice = parseFloat(snap.cost_price) || costPrice;
+
+            // 1. Demand (uncensored on actual stockout days)
+            const actualStock = parseFloat(snap.quantity_on_hand) || 0;
+            const actualSold = sku.sales.get(key) || 0;
+            const actualOut = actualStock <= 0;
+            const recent = inStockSales.slice(-LOST_DEMAND_WINDOW_DAYS);
+            const expected = recent.length ? recent.reduce((a, b) => a + b, 0) / recent.length : 0;
+            const demand = actualOut ? Math.max(actualSold, expected) : actualSold;
+            if (!actualOut) inStockSales.push(actualSold);
+
+            this.record(actual, demand, actualSold, Math.max(0, actualStock), sellingPrice, costPrice);
+
+            // 2. Simulated day: receive, sell, record
+            if (arrivals.has(key)) {
+                simStock += arrivals.get(key);
+                arrivals.delete(key);
+            }
+            const simSold = Math.min(simStock, demand);
+            simStock -= simSold;
+            this.record(simulated, demand, simSold, simStock, sellingPrice, costPrice);
+            if (simSold > 0) history.push({ transaction_date: day, quantity_sold: simSold });
+
+            // 3. Close: run the engine as of today and follow its recommendation
+            const asOf = endOfDay(day);
+            const v1Cutoff = addDays(day, -V1_WINDOW_DAYS);
+            const forecastCutoff = addDays(day, -HISTORY_LOOKBACK_DAYS);
+            const pendingQty = [...arrivals.values()].reduce((a, b) => a + b, 0);
+            stockHistory.push({ as_of_date: asOf, quantity_on_hand: simStock });
+            const metrics = this.agent.calculateDeterministicMetrics({
+                skuId: sku.skuId,
+                asOf,
+                currentStock: simStock,
+                pendingQty,
+                sellingPrice,
+                costPrice,
+                moq: sku.moq,
+                caseSize: sku.caseSize,
+                supplier: sku.supplier,
+                forecastEngine,
+                salesHistory: history.filter(h => h.transaction_date > v1Cutoff),
+                demandHistory: history.filter(h => h.transaction_date > forecastCutoff),
+                stockHistory: stockHistory.filter(h => new Date(h.as_of_date) > forecastCutoff)
+            }, policy);
+
+            if (metrics.actionBucket === 'BUY_MORE' && metrics.recommendedQty > 0) {
+                const arrive = dayKey(addDays(days[idx], leadDays));
+                arrivals.set(arrive, (arrivals.get(arrive) || 0) + metrics.recommendedQty);
+                simulated.ordersPlaced++;
+                simulated.unitsOrdered += metrics.recommendedQty;
+            }
+        });
+
+        return {
+            skuId: sku.skuId,
+            productName: sku.productName,
+            leadTimeDays: leadDays,
+            actual: this.finalize(actual, days.length),
+            simulated: this.finalize(simulated, days.length)
+        };
+    }
+
+    /**
+     * HELPERS: Accumulators
+     */
+    emptyTotals() {
+        return { demandUnits: 0, soldUnits: 0, lostUnits: 0, lostRevenue: 0, stockoutDays: 0, inventoryValueSum: 0 };
+    }
+
+    record(totals, demand, sold, closingStock, sellingPrice, costPrice) {
+        const lost = Math.max(0, demand - sold);
+        totals.demandUnits += demand;
+        totals.soldUnits += sold;
+        totals.lostUnits += lost;
+        totals.lostRevenue += lost * sellingPrice;
+        totals.inventoryValueSum += closingStock * costPrice;
+        if (closingStock <= 0) totals.stockoutDays++;
+    }
+
+    finalize(totals, dayCount) {
+        const { inventoryValueSum, ...rest } = totals;
+        return {
+            ...rest,
+            fillRate: totals.demandUnits > 0 ? totals.soldUnits / totals.demandUnits : 1,
+            avgInventoryValue: inventoryValueSum / dayCount
+        };
+    }
+
+    /**
+     * Store-level rollup: fill rate is unit-weighted, inventory value is summed across SKUs
+     */
+    summarize(results) {
+        const sum = field => results.reduce((a, r) => a + (r[field] || 0), 0);
+        const demand = sum('demandUnits');
+        const summary = {
+            demandUnits: +demand.toFixed(3),
+            soldUnits: +sum('soldUnits').toFixed(3),
+            fillRate: demand > 0 ? +(sum('soldUnits') / demand).toFixed(4) : 1,
+            stockoutDays: sum('stockoutDays'),
+            avgInventoryValue: Math.round(sum('avgInventoryValue') * 100) / 100,
+            lostRevenue: Math.round(sum('lostRevenue') * 100) / 100
+        };
+        if (results.some(r => r.ordersPlaced !== undefined)) {
+            summary.ordersPlaced = sum('ordersPlaced');
+            summary.unitsOrdered = +sum('unitsOrdered').toFixed(3);
+        }
+        return summary;
+    }
+}
+
+module.exports = BacktestEngine;
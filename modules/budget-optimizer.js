@@ -0,0 +1,328 @@
+/**
+ * BUDGET OPTIMIZER
+ *
+ * Splits a fixed purchasing budget across the open BUY_MORE recommendations so
+ * the expected gross margin protected is as large as possible.
+ *
+ * For each SKU, demand over its cover window H = max(PW, L + R) is taken as
+ *   D ~ Normal(mu = rate x H, sigma = CV x rate x sqrt(H))
+ * and ordering q units on top of the stock position P (on-hand + pending) protects
+ *   Value(q) = (selling - cost) x (E[(D - P)+] - E[(D - P - q)+])
+ * i.e. the expected units that would otherwise be lost, at unit margin.
+ * Value(q) is concave in q, so each extra case is worth less than the last.
+ *
+ * Orders are placed in whole case packs from the MOQ up to the recommended
+ * quantity (or not at all). Picking one option per SKU under the budget is a
+ * multiple-choice knapsack, solved exactly by dynamic programming over a rupee
+ * grid of at most 2000 steps (costs rounded up to the grid, so the plan never
+ * overspends).
+ */
+
+const MAX_GRID_STEPS = 2000;
+const MAX_CASES_PER_SKU = 200;
+
+class BudgetOptimizerError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'BudgetOptimizerError';
+        this.statusCode = statusCode;
+    }
+}
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const round1 = (v) => Math.round(v * 10) / 10;
+const rupees = (v) => `₹${Math.round(v).toLocaleString('en-IN')}`;
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 26.2.17, |error| < 7.5e-8)
+ */
+function normalCdf(z) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(z));
+    const pdf = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+    const tail = pdf * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    return z >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Expected units short, E[(D - x)+], for D ~ Normal(mu, sigma)
+ */
+function expectedShortfall(x, mu, sigma) {
+    if (sigma <= 0) return Math.max(0, mu - x);
+    const z = (x - mu) / sigma;
+    const pdf = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+    return sigma * (pdf - z * (1 - normalCdf(z)));
+}
+
+class BudgetOptimizer {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    /**
+     * Best set of order lines for a budget.
+     * @param {object} options { budget (rupees), supplierId? }
+     */
+    async planBudget(storeId, options = {}) {
+        const budget = parseFloat(options.budget);
+        if (!Number.isFinite(budget) || budget <= 0) {
+            throw new BudgetOptimizerError('budget must be a positive number of rupees');
+        }
+
+        const params = [storeId];
+        let supplierFilter = '';
+        if (options.supplierId) {
+            params.push(String(options.supplierId));
+            supplierFilter = `AND r.supplier_id = $${params.length}`;
+        }
+
+        const res = await this.pool.query(`
+            SELECT DISTINCT ON (ir.store_item_id)
+                   ir.recommendation_id, ir.store_item_id, ir.recommended_order_quantity,
+                   ir.current_stock, ir.pending_order_quantity, ir.weighted_ads, ir.forecast_daily_demand,
+                   ir.coefficient_of_variation, ir.protection_window, ir.lead_time_days, ir.review_period_days,
+                   ir.days_of_cover, ir.risk_state,
+                   r.normalized_product_name, r.moq, r.case_pack_size, r.supplier_id,
+                   s.supplier_name,
+                   COALESCE(i.cost_price, r.cost_price, 0) AS cost_price,
+                   COALESCE(i.selling_price, 0) AS selling_price
+            FROM inventory_recommendations ir
+            JOIN store_sku_registry r ON r.store_id = ir.store_id AND r.store_item_id = ir.store_item_id
+            LEFT JOIN v_latest_inventory i ON i.store_id = ir.store_id AND i.store_item_id = ir.store_item_id
+            LEFT JOIN suppliers s ON s.store_id = r.store_id AND s.supplier_id = r.supplier_id
+            WHERE ir.store_id = $1
+            AND ir.insight_category = 'BUY_MORE' AND ir.mode = 'ACTIVE'
+            AND ir.feedback_status IN ('PENDING', 'ACCEPTED', 'UPDATED')
+            AND ir.recommended_order_quantity > 0
+            ${supplierFilter}
+            ORDER BY ir.store_item_id, ir.generated_at DESC
+        `, params);
+
+        const candidates = res.rows.map(row => BudgetOptimizer.buildCandidate(row));
+        return BudgetOptimizer.optimize(candidates, budget);
+    }
+
+    /**
+     * Demand, margin and case options for one recommendation row
+     */
+    static buildCandidate(row) {
+        const num = (v, fallback = 0) => {
+            const n = parseFloat(v);
+            return Number.isFinite(n) ? n : fallback;
+        };
+        const rate = Math.max(0, num(row.forecast_daily_demand, num(row.weighted_ads)));
+        const cv = Math.max(0, num(row.coefficient_of_variation));
+        const horizon = Math.max(1, num(row.protection_window, 1),
+            num(row.lead_time_days) + num(row.review_period_days));
+        const position = Math.max(0, num(row.current_stock)) + Math.max(0, num(row.pending_order_quantity));
+        const caseSize = Math.max(1, num(row.case_pack_size, 1));
+        const moq = Math.max(1, num(row.moq, 1));
+        const cost = num(row.cost_price);
+        const price = num(row.selling_price);
+
+        const minCases = Math.ceil(moq / caseSize);
+        const maxCases = Math.min(MAX_CASES_PER_SKU,
+            Math.max(minCases, Math.ceil(num(row.recommended_order_quantity) / caseSize)));
+
+        return {
+            recommendationId: row.recommendation_id,
+            storeItemId: row.store_item_id,
+            name: row.normalized_product_name,
+            supplierId: row.supplier_id || null,
+            supplierName: row.supplier_name || null,
+            riskState: row.risk_state,
+            recommendedQty: num(row.recommended_order_quantity),
+            rate, cv, horizon, position, caseSize, moq, cost, price,
+            unitMargin: price - cost,
+            minCases, maxCases
+        };
+    }
+
+    /**
+     * Expected margin protected by ordering `units` on top of the stock position
+     */
+    static expectedValue(c, units) {
+        if (units <= 0 || c.unitMargin <= 0 || c.rate <= 0) return 0;
+        const mu = c.rate * c.horizon;
+        const sigma = c.cv * c.rate * Math.sqrt(c.horizon);
+        const unitsSaved = expectedShortfall(c.position, mu, sigma) - expectedShortfall(c.position + units, mu, sigma);
+        return Math.max(0, unitsSaved) * c.unitMargin;
+    }
+
+    /**
+     * Exact multiple-choice knapsack over case options, then explain lines and cuts
+     */
+    static optimize(candidates, budget) {
+        const usable = [];
+        const excluded = [];
+        for (const c of candidates) {
+            if (c.cost <= 0) excluded.push({ c, code: 'NO_COST_PRICE', reason: 'No cost price on file, so the line cannot be priced' });
+            else if (c.unitMargin <= 0) excluded.push({ c, code: 'NO_MARGIN', reason: `Selling price ${rupees(c.price)} does not cover cost ${rupees(c.cost)}` });
+            else if (c.rate <= 0) excluded.push({ c, code: 'NO_DEMAND', reason: 'No demand rate on the recommendation' });
+            else usable.push(c);
+        }
+
+        const grid = Math.max(1, budget / MAX_GRID_STEPS);
+        const steps = Math.floor(budget / grid + 1e-9);
+
+        // Options per SKU: 0 cases, or minCases..maxCases
+        for (const c of usable) {
+            c.options = [{ cases: 0, cost: 0, weight: 0, value: 0 }];
+            for (let k = c.minCases; k <= c.maxCases; k++) {
+                const cost = k * c.caseSize * c.cost;
+                const weight = Math.ceil(cost / grid - 1e-9);
+                if (weight > steps) break;
+                c.options.push({ cases: k, cost, weight, value: BudgetOptimizer.expectedValue(c, k * c.caseSize) });
+            }
+        }
+
+        // dp[w] = best value with total weight <= w; choice[i][w] = option index picked for SKU i
+        let dp = new Float64Array(steps + 1);
+        const choices = [];
+        for (const c of usable) {
+            const next = new Float64Array(dp);
+            const choice = new Uint16Array(steps + 1);
+            for (let o = 1; o < c.options.length; o++) {
+                const { weight, value } = c.options[o];
+                for (let w = weight; w <= steps; w++) {
+                    const v = dp[w - weight] + value;
+                    if (v > next[w] + 1e-9) {
+                        next[w] = v;
+                        choice[w] = o;
+                    }
+                }
+            }
+            choices.push(choice);
+            dp = next;
+        }
+
+        let w = steps;
+        const picked = new Array(usable.length);
+        for (let i = usable.length - 1; i >= 0; i--) {
+            const option = usable[i].options[choices[i][w]];
+            picked[i] = option;
+            w -= option.weight;
+        }
+
+        const lines = [];
+        const funded = [];
+        usable.forEach((c, i) => {
+            if (picked[i].cases > 0) funded.push({ c, option: picked[i] });
+        });
+
+        for (const { c, option } of funded) {
+            const units = option.cases * c.caseSize;
+            const lastCaseValue = option.value - (option.cases > c.minCases
+                ? BudgetOptimizer.expectedValue(c, (option.cases - 1) * c.caseSize) : 0);
+            const lastCaseCost = option.cases > c.minCases ? c.caseSize * c.cost : option.cost;
+            c.lastFundedRatio = lastCaseValue / lastCaseCost;
+            const coverBefore = c.position / c.rate;
+            const coverAfter = (c.position + units) / c.rate;
+
+            lines.push({
+                recommendationId: c.recommendationId,
+                storeItemId: c.storeItemId,
+                name: c.name,
+                supplierId: c.supplierId,
+                supplierName: c.supplierName,
+                riskState: c.riskState,
+                cases: option.cases,
+                caseSize: c.caseSize,
+                quantity: units,
+                recommendedQty: c.recommendedQty,
+                unitCost: c.cost,
+                lineCost: round2(option.cost),
+                expectedMarginProtected: round2(option.value),
+                valuePerRupee: round2(option.value / option.cost),
+                marginalValue: round2(lastCaseValue),
+                marginalValuePerRupee: round2(lastCaseValue / lastCaseCost),
+                daysOfCoverBefore: round1(coverBefore),
+                daysOfCoverAfter: round1(coverAfter),
+                explanation: `${option.cases} x ${c.caseSize} units (${rupees(option.cost)}) ` +
+                    `move cover from ${round1(coverBefore)} to ${round1(coverAfter)} days over a ${round1(c.horizon)}-day window ` +
+                    `and protect ${rupees(option.value)} expected margin. ` +
+                    (option.cases > c.minCases
+                        ? `The last case adds ${rupees(lastCaseValue)} for ${rupees(lastCaseCost)} (${round2(lastCaseValue / lastCaseCost)} per ₹1).`
+                        : `The minimum order returns ${round2(lastCaseValue / lastCaseCost)} per ₹1.`)
+            });
+        }
+
+        // Cut-off: the weakest last rupee that still got funded
+        const cutoff = funded.length > 0 ? Math.min(...funded.map(f => f.c.lastFundedRatio)) : null;
+        const spent = lines.reduce((sum, l) => sum + l.lineCost, 0);
+        const remaining = budget - spent;
+
+        const cut = excluded.map(({ c, code, reason }) => BudgetOptimizer.cutEntry(c, 0, code, reason));
+        usable.forEach((c, i) => {
+            const option = picked[i];
+            if (option.cases >= c.maxCases) return;
+
+            if (option.cases === 0) {
+                const minCost = c.minCases * c.caseSize * c.cost;
+                const minValue = BudgetOptimizer.expectedValue(c, c.minCases * c.caseSize);
+                if (minCost > budget) {
+                    cut.push(BudgetOptimizer.cutEntry(c, 0, 'MOQ_EXCEEDS_BUDGET',
+                        `Minimum order of ${c.minCases * c.caseSize} units costs ${rupees(minCost)}, more than the whole budget`));
+                } else if (minCost > remaining) {
+                    cut.push(BudgetOptimizer.cutEntry(c, 0, 'LOW_VALUE_PER_RUPEE',
+                        `Minimum order (${rupees(minCost)}) would protect ${rupees(minValue)} ` +
+                        `(${round2(minValue / minCost)} per ₹1); the budget earns more on the funded lines` +
+                        (cutoff !== null ? ` (cut-off ${round2(cutoff)} per ₹1)` : '')));
+                } else {
+                    cut.push(BudgetOptimizer.cutEntry(c, 0, 'LOW_VALUE_PER_RUPEE',
+                        `Minimum order (${rupees(minCost)}) would protect only ${rupees(minValue)}`));
+                }
+                return;
+            }
+
+            const nextCaseCost = c.caseSize * c.cost;
+            const nextCaseValue = BudgetOptimizer.expectedValue(c, (option.cases + 1) * c.caseSize) - option.value;
+            cut.push(BudgetOptimizer.cutEntry(c, option.cases, 'PARTIALLY_FUNDED',
+                `Funded ${option.cases} of ${c.maxCases} cases; the next case would protect ${rupees(nextCaseValue)} ` +
+                `for ${rupees(nextCaseCost)} (${round2(nextCaseValue / nextCaseCost)} per ₹1)`));
+        });
+
+        lines.sort((a, b) => b.marginalValuePerRupee - a.marginalValuePerRupee);
+
+        return {
+            budget: round2(budget),
+            spent: round2(spent),
+            remaining: round2(remaining),
+            expectedMarginProtected: round2(lines.reduce((sum, l) => sum + l.expectedMarginProtected, 0)),
+            cutoffValuePerRupee: cutoff !== null ? round2(cutoff) : null,
+            candidates: candidates.length,
+            lines,
+            cut
+        };
+    }
+
+    /**
+     * One entry of the "what was cut and why" list
+     */
+    static cutEntry(c, fundedCases, code, reason) {
+        const cutUnits = Math.max(0, c.maxCases - fundedCases) * c.caseSize;
+        const forgone = c.cost > 0 && c.unitMargin > 0
+            ? BudgetOptimizer.expectedValue(c, c.maxCases * c.caseSize) - BudgetOptimizer.expectedValue(c, fundedCases * c.caseSize)
+            : 0;
+        return {
+            recommendationId: c.recommendationId,
+            storeItemId: c.storeItemId,
+            name: c.name,
+            supplierId: c.supplierId,
+            supplierName: c.supplierName,
+            riskState: c.riskState,
+            recommendedQty: c.recommendedQty,
+            fundedQty: fundedCases * c.caseSize,
+            cutQty: cutUnits,
+            cutCost: round2(cutUnits * Math.max(0, c.cost)),
+            marginForgone: round2(forgone),
+            code,
+            reason
+        };
+    }
+}
+
+BudgetOptimizer.BudgetOptimizerError = BudgetOptimizerError;
+BudgetOptimizer.normalCdf = normalCdf;
+BudgetOptimizer.expectedShortfall = expectedShortfall;
+
+module.exports = BudgetOptimizer;
@@ -0,0 +1,176 @@
+/**
+ * COLD-START FORECASTER (new product introduction)
+ *
+ * A SKU with less than 14 days of its own history borrows demand from analogues:
+ * established SKUs (onboarded 28+ days ago, selling in the last 28 days) in the
+ * same store and the same L3 category (master_category_id).
+ *
+ * Analogue weight: 2 for the same brand (else 1), times pack similarity
+ *   1 / (1 + |ln(pack / analogue pack)|) for the same pack unit, 0.5 when unknown
+ * The 5 heaviest analogues give the rate (in-stock units/day over 28 days, stockout
+ * days excluded) and the CV as weighted means. With the Network Radar enabled, the
+ * region's signal for the category (regional_category_signals.magnitude) scales
+ * the analogue rate.
+ *
+ * The estimate fades out as the SKU builds its own history:
+ *   rate = w x analogue rate + (1 - w) x own rate,  w = 1 - own days / 14
+ * Recommendations carry forecast_model = 'analogue_cold_start' and the analogues
+ * in edge_case_flags.cold_start (docs/MATH_CONTRACT_v1.md).
+ */
+
+const COLD_START_DAYS = 14;
+const ANALOGUE_MIN_AGE_DAYS = 28;
+const ANALOGUE_WINDOW_DAYS = 28;
+const MAX_ANALOGUES = 5;
+const SAME_BRAND_WEIGHT = 2;
+const UNKNOWN_PACK_WEIGHT = 0.5;
+const NETWORK_MULTIPLIER_RANGE = Object.freeze({ min: 0.5, max: 2 });
+
+const DAY_MS = 86400000;
+
+class ColdStartForecaster {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    /**
+     * Analogue estimate for a SKU still inside its cold-start window, else null
+     * @param {object} client pg client or pool
+     * @param {object} sku { skuId, categoryId, categoryName, brand, packSize, packUnit, firstOnboardedAt }
+     */
+    async getEstimate(client, storeId, sku, asOf = new Date()) {
+        if (!sku.categoryId || !sku.firstOnboardedAt) return null;
+        const onboarded = new Date(sku.firstOnboardedAt);
+        if (asOf - onboarded >= COLD_START_DAYS * DAY_MS) return null;
+
+        // Imported history older than the registry row counts as the SKU's own
+        const own = await client.query(`
+            SELECT MIN(transaction_date) AS first_sale, COALESCE(SUM(quantity_sold), 0) AS units
+            FROM sales_transactions
+            WHERE store_id = $1 AND store_item_id = $2 AND transaction_date <= $3
+        `, [storeId, sku.skuId, asOf]);
+        const firstSale = own.rows[0].first_sale ? new Date(own.rows[0].first_sale) : null;
+        const start = firstSale && firstSale < onboarded ? firstSale : onboarded;
+        const ownDays = Math.max(0, Math.floor((asOf - start) / DAY_MS));
+        if (ownDays >= COLD_START_DAYS) return null;
+
+        const windowEnd = new Date(asOf);
+        windowEnd.setHours(0, 0, 0, 0);
+        const windowStart = new Date(windowEnd.getTime() - ANALOGUE_WINDOW_DAYS * DAY_MS);
+        const establishedBefore = new Date(asOf.getTime() - ANALOGUE_MIN_AGE_DAYS * DAY_MS);
+
+        const res = await client.query(`
+            SELECT r.store_item_id, r.normalized_product_name, r.brand, r.pack_size, r.pack_unit,
+                   d.units, d.sum_sq, COALESCE(so.days_out, 0) AS days_out
+            FROM store_sku_registry r
+            JOIN LATERAL (
+                SELECT SUM(day_units) AS units, SUM(day_units * day_units) AS sum_sq
+                FROM (
+                    SELECT SUM(st.quantity_sold) AS day_units
+                    FROM sales_transactions st
+                    WHERE st.store_id = $1 AND st.store_item_id = r.store_item_id
+                    AND st.transaction_date >= $4::date AND st.transaction_date < $5::date
+                    GROUP BY st.transaction_date::date
+                ) days
+            ) d ON d.units > 0
+            LEFT JOIN LATERAL (
+                SELECT SUM(EXTRACT(EPOCH FROM (LEAST(COALESCE(e.ended_at, $5), $5) - GREATEST(e.started_at, $4))) / 86400) AS days_out
+                FROM stockout_events e
+                WHERE e.store_id = $1 AND e.store_item_id = r.store_item_id
+                AND e.started_at < $5 AND COALESCE(e.ended_at, $5) > $4
+            ) so ON TRUE
+            WHERE r.store_id = $1 AND r.master_category_id = $2 AND r.store_item_id <> $3
+            AND r.status = 'active' AND r.first_onboarded_at <= $6
+        `, [storeId, sku.categoryId, sku.skuId, windowStart, windowEnd, establishedBefore]);
+
+        const candidates = res.rows.map(r => {
+            const inStockDays = Math.max(1, ANALOGUE_WINDOW_DAYS - Math.min(ANALOGUE_WINDOW_DAYS, parseFloat(r.days_out) || 0));
+            const units = parseFloat(r.units) || 0;
+            const rate = units / inStockDays;
+            const variance = Math.max(0, (parseFloat(r.sum_sq) || 0) / inStockDays - rate * rate);
+            return {
+                skuId: r.store_item_id,
+                name: r.normalized_product_name,
+                rate,
+                cv: rate > 0 ? Math.sqrt(variance) / rate : 0,
+                weight: ColdStartForecaster.analogueWeight(sku, r)
+            };
+        });
+        if (candidates.length === 0) return null;
+
+        const network = await this.getNetworkMultiplier(client, storeId, sku.categoryName);
+        return ColdStartForecaster.combine(candidates, {
+            ownDays,
+            ownRate: ownDays > 0 ? (parseFloat(own.rows[0].units) || 0) / ownDays : 0,
+            networkMultiplier: network ? network.multiplier : 1,
+            networkSignal: network ? network.signalType : null
+        });
+    }
+
+    /**
+     * Region-wide signal for the category, only when the Network Radar is enabled
+     */
+    async getNetworkMultiplier(client, storeId, categoryName) {
+        if (!categoryName) return null;
+        const config = await client.query("SELECT value FROM system_intelligence_config WHERE key = 'radar_enabled'");
+        if (config.rows[0]?.value !== true) return null;
+        const res = await client.query(`
+            SELECT rs.signal_type, rs.magnitude FROM regional_category_signals rs
+            JOIN store_settings ss ON ss.region_id = rs.region_id
+            WHERE ss.store_id = $1 AND rs.category_name = $2 AND rs.expires_at > NOW()
+            ORDER BY rs.created_at DESC LIMIT 1
+        `, [storeId, categoryName]);
+        const magnitude = parseFloat(res.rows[0]?.magnitude);
+        if (!Number.isFinite(magnitude) || magnitude <= 0) return null;
+        return {
+            signalType: res.rows[0].signal_type,
+            multiplier: Math.min(NETWORK_MULTIPLIER_RANGE.max, Math.max(NETWORK_MULTIPLIER_RANGE.min, magnitude))
+        };
+    }
+
+    /**
+     * Brand x pack-size similarity of an analogue registry row
+     */
+    static analogueWeight(sku, analogue) {
+        const sameBrand = sku.brand && analogue.brand &&
+            String(sku.brand).trim().toLowerCase() === String(analogue.brand).trim().toLowerCase();
+        const pack = parseFloat(sku.packSize);
+        const analoguePack = parseFloat(analogue.pack_size);
+        const samePackUnit = sku.packUnit && analogue.pack_unit &&
+            String(sku.packUnit).toLowerCase() === String(analogue.pack_unit).toLowerCase();
+        const packWeight = samePackUnit && pack > 0 && analoguePack > 0 ?
+            1 / (1 + Math.abs(Math.log(pack / analoguePack))) : UNKNOWN_PACK_WEIGHT;
+        return (sameBrand ? SAME_BRAND_WEIGHT : 1) * packWeight;
+    }
+
+    /**
+     * Weighted analogue rate / CV (heaviest MAX_ANALOGUES), blended with the SKU's own rate
+     */
+    static combine(candidates, { ownDays, ownRate, networkMultiplier = 1, networkSignal = null }) {
+        const analogues = [...candidates]
+            .sort((a, b) => b.weight - a.weight || b.rate - a.rate)
+            .slice(0, MAX_ANALOGUES);
+        const weightSum = analogues.reduce((sum, a) => sum + a.weight, 0);
+        if (weightSum <= 0) return null;
+
+        const analogueRate = analogues.reduce((sum, a) => sum + a.weight * a.rate, 0) / weightSum * networkMultiplier;
+        const cv = analogues.reduce((sum, a) => sum + a.weight * a.cv, 0) / weightSum;
+        const analogueWeight = Math.max(0, 1 - ownDays / COLD_START_DAYS);
+
+        return {
+            rate: analogueWeight * analogueRate + (1 - analogueWeight) * ownRate,
+            cv,
+            analogueRate,
+            ownRate,
+            ownDays,
+            analogueWeight,
+            networkMultiplier,
+            networkSignal,
+            analogues: analogues.map(a => ({ ...a, weight: Math.round(a.weight / weightSum * 1000) / 1000 }))
+        };
+    }
+}
+
+ColdStartForecaster.COLD_START_DAYS = COLD_START_DAYS;
+
+module.exports = ColdStartForecaster;
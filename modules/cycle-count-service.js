@@ -0,0 +1,520 @@
+/**
+ * CYCLE COUNT SERVICE
+ *
+ * Count sheets instead of whole-store stock takes:
+ *   open -> submitted -> approved
+ *   open / submitted -> cancelled
+ *
+ * A sheet lists the SKUs most worth counting now, ranked by
+ *   score = ABC weight x (1 + days since last count / 30)  +  2 x variance history
+ * where the ABC weight is A 3 / B 2 / C 1, days since the last absolute snapshot
+ * are capped at 90 (never counted = 90), and variance history is the number of
+ * variance days in the last 30 (capped at 5) plus log10(1 + rupee loss).
+ *
+ * Staff enter counts by barcode or SKU while the sheet is open; each count is
+ * compared with system stock at that moment. Nothing touches stock until an owner
+ * or admin approves the submitted sheet: approved lines post a STOCK_TAKE snapshot
+ * (quantity_mode 'absolute') of current system stock + counted variance, so sales
+ * made between the count and the approval are kept. A line that would post a
+ * negative quantity is refused for a recount rather than clamped.
+ */
+
+const crypto = require('crypto');
+const StockoutLedger = require('./stockout-ledger');
+const LotLedger = require('./lot-ledger');
+const { ValidationSchemas } = require('./validation-schemas');
+
+const TRANSITIONS = Object.freeze({
+    open: ['submitted', 'cancelled'],
+    submitted: ['approved', 'cancelled'],
+    approved: [],
+    cancelled: []
+});
+
+const ABC_WEIGHTS = Object.freeze({ A: 3, B: 2, C: 1 });
+const STALE_CAP_DAYS = 90;
+const VARIANCE_LOOKBACK_DAYS = 30;
+const MAX_VARIANCE_DAYS = 5;
+const DEFAULT_SHEET_SIZE = 25;
+const MAX_SHEET_SIZE = 200;
+
+class CycleCountError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'CycleCountError';
+        this.statusCode = statusCode;
+    }
+}
+
+class CycleCountService {
+    constructor(pool) {
+        this.pool = pool;
+        this.stockoutLedger = new StockoutLedger(pool);
+        this.lotLedger = new LotLedger(pool);
+    }
+
+    /**
+     * READ: Count sheets with progress
+     */
+    async listCounts(storeId, options = {}) {
+        const params = [storeId];
+        let statusFilter = '';
+        if (options.status) {
+            params.push(String(options.status).split(','));
+            statusFilter = 'AND c.status = ANY($2)';
+        }
+
+        const res = await this.pool.query(`
+            SELECT c.*,
+                   COUNT(l.store_item_id)::int AS line_count,
+                   COUNT(l.counted_qty)::int AS counted_lines,
+                   COALESCE(SUM(l.variance_value), 0) AS net_variance_value
+            FROM cycle_counts c
+            LEFT JOIN cycle_count_lines l ON l.count_id = c.count_id
+            WHERE c.store_id = $1 ${statusFilter}
+            GROUP BY c.count_id
+            ORDER BY c.created_at DESC
+            LIMIT 100
+        `, params);
+        return res.rows;
+    }
+
+    /**
+     * READ: One sheet with its lines and live system stock
+     */
+    async getCount(storeId, countId) {
+        CycleCountService.assertCountId(countId);
+        const count = await this.pool.query(
+            'SELECT * FROM cycle_counts WHERE store_id = $1 AND count_id = $2',
+            [storeId, countId]
+        );
+        if (count.rows.length === 0) {
+            throw new CycleCountError(`Cycle count ${countId} not found`, 404);
+        }
+
+        const lines = await this.pool.query(`
+            SELECT l.*, r.original_product_name AS product_name, r.master_category_name AS category, r.barcode,
+                   COALESCE(i.unit, r.normalized_unit) AS stock_unit,
+                   COALESCE(i.quantity_on_hand, 0) AS system_qty
+            FROM cycle_count_lines l
+            JOIN store_sku_registry r ON r.store_id = $1 AND r.store_item_id = l.store_item_id
+            LEFT JOIN v_latest_inventory i ON i.store_id = r.store_id AND i.store_item_id = r.store_item_id
+            WHERE l.count_id = $2
+            ORDER BY l.priority_rank
+        `, [storeId, countId]);
+
+        return { ...count.rows[0], lines: lines.rows, summary: CycleCountService.summarize(lines.rows) };
+    }
+
+    /**
+     * Barcode -> SKU with current stock (also backs GET /api/inventory/barcode/:barcode)
+     */
+    async lookupBarcode(storeId, barcode) {
+        const res = await this.pool.query(`
+            SELECT
+                r.store_item_id,
+                r.original_product_name as product_name,
+                r.master_category_name as category,
+                COALESCE(h.quantity_on_hand, 0) as quantity_on_hand,
+                COALESCE(h.unit, r.normalized_unit) as stock_unit,
+                COALESCE(h.selling_price, 0) as selling_price,
+                COALESCE(h.cost_price, 0) as cost_price
+            FROM store_sku_registry r
+            LEFT JOIN v_latest_inventory h ON r.store_id = h.store_id AND r.store_item_id = h.store_item_id
+            WHERE r.store_id = $1 AND r.barcode = $2
+            LIMIT 1
+        `, [storeId, barcode]);
+        return res.rows[0] || null;
+    }
+
+    /**
+     * CREATE: Generate a count sheet from the highest-priority SKUs not already on an open sheet
+     */
+    async generate(storeId, userId, options = {}) {
+        const size = Math.min(parseInt(options.size, 10) || DEFAULT_SHEET_SIZE, MAX_SHEET_SIZE);
+
+        const candidates = await this.pool.query(`
+            SELECT r.store_item_id, r.velocity_class,
+                   COALESCE(i.quantity_on_hand, 0) AS quantity_on_hand,
+                   COALESCE(NULLIF(i.cost_price, 0), r.cost_price) AS cost_price,
+                   (CURRENT_DATE - lc.last_counted)::int AS days_since_count,
+                   COALESCE(v.variance_days, 0) AS variance_days,
+                   COALESCE(v.loss_value, 0) AS loss_value
+            FROM store_sku_registry r
+            LEFT JOIN v_latest_inventory i ON i.store_id = r.store_id AND i.store_item_id = r.store_item_id
+            LEFT JOIN (
+                SELECT store_item_id, MAX(as_of_date)::date AS last_counted
+                FROM onboarding_handoff
+                WHERE store_id = $1
+                AND (quantity_mode = 'absolute' OR (quantity_mode IS NULL AND transaction_type IN ('STOCK_TAKE', 'ADJUSTMENT')))
+                GROUP BY store_item_id
+            ) lc ON lc.store_item_id = r.store_item_id
+            LEFT JOIN (
+                SELECT store_item_id, COUNT(*)::int AS variance_days, SUM(GREATEST(-variance_value, 0)) AS loss_value
+                FROM stock_variances
+                WHERE store_id = $1 AND business_date >= CURRENT_DATE - $2::int
+                GROUP BY store_item_id
+            ) v ON v.store_item_id = r.store_item_id
+            WHERE r.store_id = $1 AND COALESCE(r.status, 'active') = 'active'
+            AND ($3::text IS NULL OR r.master_category_name = $3)
+            AND NOT EXISTS (
+                SELECT 1 FROM cycle_count_lines l
+                JOIN cycle_counts c ON c.count_id = l.count_id
+                WHERE c.store_id = $1 AND c.status IN ('open', 'submitted') AND l.store_item_id = r.store_item_id
+            )
+        `, [storeId, VARIANCE_LOOKBACK_DAYS, options.category || null]);
+
+        const ranked = CycleCountService.rank(candidates.rows).slice(0, size);
+        if (ranked.length === 0) {
+            throw new CycleCountError('No SKUs left to count (all are on open count sheets or none match)', 409);
+        }
+
+        const countId = crypto.randomUUID();
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                'INSERT INTO cycle_counts (count_id, store_id, status, created_by, notes) VALUES ($1, $2, \'open\', $3, $4)',
+                [countId, storeId, userId || null, options.notes || null]
+            );
+
+            const col = key => ranked.map(r => r[key]);
+            await client.query(`
+                INSERT INTO cycle_count_lines (
+                    count_id, store_item_id, priority_rank, priority_score, priority_reason, abc_class, expected_qty, unit_cost
+                )
+                SELECT $1, * FROM UNNEST($2::varchar[], $3::int[], $4::numeric[], $5::text[], $6::varchar[], $7::numeric[], $8::numeric[])
+            `, [countId, col('storeItemId'), col('rank'), col('score'), col('reason'), col('abcClass'), col('expectedQty'), col('unitCost')]);
+
+            await this.audit(client, storeId, userId, 'cycle_count.created', countId, {
+                lines: ranked.length,
+                category: options.category || null
+            });
+
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+        console.log(`📋 Cycle count ${countId.slice(0, 8)} for ${storeId}: ${ranked.length} SKU(s)`);
+        return this.getCount(storeId, countId);
+    }
+
+    /**
+     * Enter (or re-enter) a count for one line of an open sheet, by barcode or SKU
+     */
+    async recordCount(storeId, userId, countId, entry = {}) {
+        const countedQty = parseFloat(entry.countedQty);
+        if (entry.countedQty === undefined || entry.countedQty === null || entry.countedQty === '' || !isFinite(countedQty) || countedQty < 0) {
+            throw new CycleCountError('countedQty must be a number >= 0');
+        }
+
+        let storeItemId = entry.storeItemId;
+        if (!storeItemId && entry.barcode) {
+            const item = await this.lookupBarcode(storeId, entry.barcode);
+            if (!item) throw new CycleCountError(`Barcode ${entry.barcode} not found`, 404);
+            storeItemId = item.store_item_id;
+        }
+        if (!storeItemId) {
+            throw new CycleCountError('barcode or storeItemId is required');
+        }
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const count = await this.lockCount(client, storeId, countId);
+            if (count.status !== 'open') {
+                throw new CycleCountError(`Counts can only be entered on an open sheet (sheet is ${count.status})`, 409);
+            }
+
+            const line = await client.query(`
+                SELECT l.unit_cost, COALESCE(i.quantity_on_hand, 0) AS system_qty, COALESCE(NULLIF(i.cost_price, 0), l.unit_cost) AS cost_price
+                FROM cycle_count_lines l
+                LEFT JOIN v_latest_inventory i ON i.store_id = $1 AND i.store_item_id = l.store_item_id
+                WHERE l.count_id = $2 AND l.store_item_id = $3
+            `, [storeId, countId, storeItemId]);
+            if (line.rows.length === 0) {
+                throw new CycleCountError(`${storeItemId} is not on this count sheet`, 404);
+            }
+
+            const systemQty = parseFloat(line.rows[0].system_qty) || 0;
+            const unitCost = parseFloat(line.rows[0].cost_price) || null;
+            const variance = CycleCountService.round(countedQty - systemQty, 3);
+
+            await client.query(`
+                UPDATE cycle_count_lines SET
+                    counted_qty = $3, system_qty_at_count = $4, variance_units = $5, unit_cost = $6,
+                    variance_value = $7, scanned_barcode = $8, counted_by = $9, counted_at = NOW()
+                WHERE count_id = $1 AND store_item_id = $2
+            `, [
+                countId, storeItemId, countedQty, systemQty, variance, unitCost,
+                unitCost ? CycleCountService.round(variance * unitCost, 2) : null,
+                entry.barcode || null, userId || null
+            ]);
+            await client.query('UPDATE cycle_counts SET updated_at = NOW() WHERE count_id = $1', [countId]);
+
+            await client.query('COMMIT');
+            return { storeItemId, countedQty, systemQty, varianceUnits: variance, unitCost };
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * TRANSITION: Submit for approval (uncounted lines are skipped)
+     */
+    async submit(storeId, userId, countId) {
+        return this.transition(storeId, userId, countId, 'submitted', async (client) => {
+            const counted = await client.query(
+                'SELECT COUNT(counted_qty)::int AS counted, COUNT(*)::int AS total FROM cycle_count_lines WHERE count_id = $1',
+                [countId]
+            );
+            const { counted: countedLines, total } = counted.rows[0];
+            if (countedLines === 0) {
+                throw new CycleCountError('Nothing has been counted on this sheet yet');
+            }
+
+            await client.query(
+                'UPDATE cycle_count_lines SET decision = \'skipped\' WHERE count_id = $1 AND counted_qty IS NULL',
+                [countId]
+            );
+            await client.query(
+                'UPDATE cycle_counts SET status = \'submitted\', submitted_by = $2, submitted_at = NOW(), updated_at = NOW() WHERE count_id = $1',
+                [countId, userId || null]
+            );
+            return { counted: countedLines, skipped: total - countedLines };
+        });
+    }
+
+    /**
+     * TRANSITION: Approve (owner / admin). Posts an absolute STOCK_TAKE snapshot for every
+     * counted line not listed in options.rejectSkus.
+     */
+    async approve(storeId, userId, countId, options = {}) {
+        const rejectSkus = Array.isArray(options.rejectSkus) ? options.rejectSkus : [];
+
+        return this.transition(storeId, userId, countId, 'approved', async (client) => {
+            const lines = await client.query(`
+                SELECT l.store_item_id, l.counted_qty, l.variance_units,
+                       COALESCE(i.quantity_on_hand, 0) AS system_qty, i.selling_price, i.cost_price,
+                       COALESCE(i.unit, r.normalized_unit) AS unit
+                FROM cycle_count_lines l
+                JOIN store_sku_registry r ON r.store_id = $1 AND r.store_item_id = l.store_item_id
+                LEFT JOIN v_latest_inventory i ON i.store_id = r.store_id AND i.store_item_id = r.store_item_id
+                WHERE l.count_id = $2 AND l.counted_qty IS NOT NULL
+            `, [storeId, countId]);
+
+            const approved = lines.rows.filter(l => !rejectSkus.includes(l.store_item_id));
+            const postings = approved.map(l => ({
+                ...l,
+                posted_qty: CycleCountService.round((parseFloat(l.system_qty) || 0) + (parseFloat(l.variance_units) || 0), 3)
+            }));
+
+            const negative = postings.filter(p => p.posted_qty < 0);
+            if (negative.length > 0) {
+                throw new CycleCountError(
+                    `Stock moved since the count; recount or reject: ${negative.map(p => p.store_item_id).join(', ')}`, 409
+                );
+            }
+
+            const batchId = crypto.randomUUID();
+            if (postings.length > 0) {
+                await client.query(`
+                    INSERT INTO onboarding_batch_status (
+                        batch_id, store_id, batch_type, status, onboarding_date, started_at, completed_at, total_items
+                    ) VALUES ($1, $2, 'incremental_update', 'completed', NOW(), NOW(), CURRENT_TIMESTAMP, $3)
+                `, [batchId, storeId, postings.length]);
+
+                for (const p of postings) {
+                    await client.query(`
+                        INSERT INTO onboarding_handoff (
+                            store_id, store_item_id, quantity_on_hand, unit, selling_price, cost_price,
+                            as_of_date, source, onboarding_batch_id, transaction_type, transaction_id, quantity_mode
+                        ) VALUES ($1, $2, $3, $4, $5, $6, NOW(), 'manual_entry', $7, 'STOCK_TAKE', $8, 'absolute')
+                    `, [
+                        storeId, p.store_item_id, p.posted_qty, p.unit || 'pcs', p.selling_price, p.cost_price,
+                        batchId, `cc-${countId.slice(0, 8)}-${p.store_item_id}`
+                    ]);
+
+                    // Counted losses leave the lots first-expiring-first-out, like a sale
+                    if (parseFloat(p.variance_units) < 0) {
+                        await this.lotLedger.depleteFEFO(client, storeId, p.store_item_id, -parseFloat(p.variance_units));
+                    }
+
+                    await client.query(
+                        'UPDATE cycle_count_lines SET decision = \'approved\', posted_qty = $3 WHERE count_id = $1 AND store_item_id = $2',
+                        [countId, p.store_item_id, p.posted_qty]
+                    );
+                }
+
+                await this.stockoutLedger.recordSnapshots(client, storeId, postings.map(p => ({
+                    store_item_id: p.store_item_id,
+                    quantity_on_hand: p.posted_qty,
+                    selling_price: p.selling_price
+                })));
+            }
+
+            await client.query(
+                'UPDATE cycle_count_lines SET decision = \'rejected\' WHERE count_id = $1 AND counted_qty IS NOT NULL AND store_item_id = ANY($2)',
+                [countId, rejectSkus]
+            );
+            await client.query(`
+                UPDATE cycle_counts SET status = 'approved', approved_by = $2, approved_at = NOW(),
+                       posting_batch_id = $3, review_note = $4, updated_at = NOW()
+                WHERE count_id = $1
+            `, [countId, userId || null, postings.length > 0 ? batchId : null, options.note || null]);
+
+            return {
+                posted: postings.length,
+                rejected: lines.rows.length - postings.length,
+                net_variance_units: CycleCountService.round(postings.reduce((s, p) => s + (parseFloat(p.variance_units) || 0), 0), 3),
+                posting_batch_id: postings.length > 0 ? batchId : null
+            };
+        });
+    }
+
+    /**
+     * TRANSITION: Cancel an open or submitted sheet (nothing is posted)
+     */
+    async cancel(storeId, userId, countId, options = {}) {
+        return this.transition(storeId, userId, countId, 'cancelled', async (client) => {
+            await client.query(
+                'UPDATE cycle_counts SET status = \'cancelled\', review_note = COALESCE($2, review_note), updated_at = NOW() WHERE count_id = $1',
+                [countId, options.note || null]
+            );
+            return { note: options.note || null };
+        });
+    }
+
+    /**
+     * HELPERS
+     */
+    async transition(storeId, userId, countId, nextStatus, apply) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const count = await this.lockCount(client, storeId, countId);
+            if (!TRANSITIONS[count.status].includes(nextStatus)) {
+                throw new CycleCountError(`Invalid transition: ${count.status} -> ${nextStatus}`, 409);
+            }
+
+            const details = await apply(client, count);
+            await this.audit(client, storeId, userId, `cycle_count.${nextStatus}`, countId, {
+                from: count.status,
+                to: nextStatus,
+                ...details
+            });
+
+            await client.query('COMMIT');
+            return this.getCount(storeId, countId);
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    async lockCount(client, storeId, countId) {
+        CycleCountService.assertCountId(countId);
+        const res = await client.query(
+            'SELECT * FROM cycle_counts WHERE store_id = $1 AND count_id = $2 FOR UPDATE',
+            [storeId, countId]
+        );
+        if (res.rows.length === 0) {
+            throw new CycleCountError(`Cycle count ${countId} not found`, 404);
+        }
+        return res.rows[0];
+    }
+
+    async audit(client, storeId, userId, actionType, countId, metadata) {
+        await client.query(`
+            INSERT INTO operational_audit_log (store_id, user_id, action_type, entity_type, entity_id, metadata, status)
+            VALUES ($1, $2, $3, 'cycle_count', $4, $5, 'success')
+        `, [storeId, userId || null, actionType, countId, JSON.stringify(metadata)]);
+    }
+
+    /**
+     * Sheet ids are UUIDs; anything else cannot name a sheet (and would fail the cast in Postgres)
+     */
+    static assertCountId(countId) {
+        if (typeof countId !== 'string' || !ValidationSchemas.isValidUUID(countId)) {
+            throw new CycleCountError(`Cycle count ${countId} not found`, 404);
+        }
+    }
+
+    /**
+     * Priority of one candidate SKU (see header)
+     */
+    static priorityScore({ abcClass, daysSinceCount, varianceDays, lossValue }) {
+        const weight = ABC_WEIGHTS[abcClass] || ABC_WEIGHTS.C;
+        const stale = daysSinceCount === null || daysSinceCount === undefined
+            ? STALE_CAP_DAYS
+            : Math.min(Math.max(daysSinceCount, 0), STALE_CAP_DAYS);
+        const history = Math.min(varianceDays || 0, MAX_VARIANCE_DAYS) + Math.log10(1 + Math.max(lossValue || 0, 0));
+        return CycleCountService.round(weight * (1 + stale / 30) + 2 * history, 3);
+    }
+
+    /**
+     * Candidate rows -> sheet lines, highest priority first
+     */
+    static rank(candidates) {
+        return candidates
+            .map(c => {
+                const abcClass = ABC_WEIGHTS[c.velocity_class] ? c.velocity_class : null;
+                const daysSinceCount = c.days_since_count === null || c.days_since_count === undefined ? null : parseInt(c.days_since_count, 10);
+                const varianceDays = parseInt(c.variance_days, 10) || 0;
+                const lossValue = parseFloat(c.loss_value) || 0;
+
+                const reasons = [`${abcClass || 'Unclassified'} class`];
+                reasons.push(daysSinceCount === null ? 'never counted' : `last counted ${daysSinceCount} day(s) ago`);
+                if (varianceDays > 0) {
+                    reasons.push(`${varianceDays} variance day(s)${lossValue > 0 ? `, ₹${Math.round(lossValue)} lost` : ''} in ${VARIANCE_LOOKBACK_DAYS} days`);
+                }
+
+                return {
+                    storeItemId: c.store_item_id,
+                    abcClass,
+                    expectedQty: parseFloat(c.quantity_on_hand) || 0,
+                    unitCost: parseFloat(c.cost_price) || null,
+                    score: CycleCountService.priorityScore({ abcClass, daysSinceCount, varianceDays, lossValue }),
+                    reason: reasons.join('; ')
+                };
+            })
+            .sort((a, b) => b.score - a.score || a.storeItemId.localeCompare(b.storeItemId))
+            .map((line, i) => ({ ...line, rank: i + 1 }));
+    }
+
+    /**
+     * Sheet totals: progress and net / loss value of the counted variances
+     */
+    static summarize(lines) {
+        const counted = lines.filter(l => l.counted_qty !== null && l.counted_qty !== undefined);
+        const withVariance = counted.filter(l => Math.abs(parseFloat(l.variance_units) || 0) > 0);
+        const values = counted.map(l => parseFloat(l.variance_value) || 0);
+        return {
+            lines: lines.length,
+            counted: counted.length,
+            withVariance: withVariance.length,
+            netVarianceUnits: CycleCountService.round(counted.reduce((s, l) => s + (parseFloat(l.variance_units) || 0), 0), 3),
+            netVarianceValue: CycleCountService.round(values.reduce((s, v) => s + v, 0), 2),
+            lossValue: CycleCountService.round(values.filter(v => v < 0).reduce((s, v) => s - v, 0), 2)
+        };
+    }
+
+    static round(value, decimals) {
+        const f = Math.pow(10, decimals);
+        return Math.round(value * f) / f;
+    }
+}
+
+CycleCountService.CycleCountError = CycleCountError;
+CycleCountService.TRANSITIONS = TRANSITIONS;
+
+module.exports = CycleCountService;
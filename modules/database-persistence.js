@@ -163,8 +163,8 @@ class DatabasePersistence {
                 normalized_unit, pack_size, pack_unit,
                 mapping_confidence, mapping_method,
                 catalog_version, onboarding_batch_id,
-                status
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+                status, first_onboarded_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, CURRENT_TIMESTAMP)
             ON CONFLICT (store_id, store_item_id) DO UPDATE SET
                 master_category_id = EXCLUDED.master_category_id,
                 master_category_name = EXCLUDED.master_category_name,
@@ -221,8 +221,8 @@ class DatabasePersistence {
                 quantity_on_hand, unit,
                 selling_price, cost_price,
                 as_of_date, source,
-                onboarding_batch_id
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                onboarding_batch_id, quantity_mode
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
         `, [
             storeId,
             record.store_item_id,
@@ -232,7 +232,8 @@ class DatabasePersistence {
             record.cost_price,
             record.as_of_timestamp,
             record.data_source,
-            batchId
+            batchId,
+            'absolute' // Onboarding uploads are full stock counts
         ]);
     }
 
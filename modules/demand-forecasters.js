@@ -0,0 +1,236 @@
+/**
+ * DEMAND FORECASTERS (Pluggable)
+ *
+ * Every forecaster implements the same interface:
+ *   name                      - stable id stored on inventory_recommendations.forecast_model
+ *   isEligible(series)        - can this model be fitted on the series?
+ *   fit(series, startDow)     - returns { params, forecast(h) -> number[] (daily, next h days) }
+ *
+ * `series` is daily demand, oldest first, ending today; `startDow` is the weekday
+ * (0 = Sunday) of series[0]. Forecasts never go below zero.
+ *
+ * selectForecaster() backtests every eligible model on a 7-day holdout and keeps
+ * the one with the lowest MAE (ties go to the simpler v1.0 blend).
+ */
+
+const SEASON = 7; // Day-of-week cycle
+const HOLDOUT_DAYS = 7;
+
+const mean = vals => vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : 0;
+const clamp0 = v => Math.max(0, v);
+
+/**
+ * v1.0 FROZEN CONTRACT: 0.5 * ADS7 + 0.3 * ADS14 + 0.2 * ADS30 (flat forecast)
+ */
+const weightedADS = {
+    name: 'v1_weighted_ads',
+
+    isEligible() {
+        return true;
+    },
+
+    fit(series) {
+        const window = n => series.slice(-n).reduce((a, b) => a + b, 0) / n;
+        const rate = (0.5 * window(7)) + (0.3 * window(14)) + (0.2 * window(30));
+        return {
+            params: { weights: [0.5, 0.3, 0.2], windows: [7, 14, 30] },
+            forecast: h => Array(h).fill(rate)
+        };
+    }
+};
+
+/**
+ * Holt-Winters additive exponential smoothing with a day-of-week season and damped trend.
+ * Parameters (alpha, beta, gamma) are picked by in-sample one-step-ahead SSE.
+ */
+const seasonalExponentialSmoothing = {
+    name: 'dow_seasonal_es',
+    PHI: 0.9, // Trend damping
+    GRID: {
+        alpha: [0.1, 0.3, 0.5],
+        beta: [0, 0.1],
+        gamma: [0.1, 0.3]
+    },
+
+    isEligible(series) {
+        return series.length >= SEASON * 2 && series.some(v => v > 0);
+    },
+
+    run(series, alpha, beta, gamma) {
+        const phi = this.PHI;
+        let level = mean(series.slice(0, SEASON));
+        let trend = (mean(series.slice(SEASON, SEASON * 2)) - level) / SEASON;
+        const seasonal = series.slice(0, SEASON).map(v => v - level);
+
+        let sse = 0;
+        for (let t = SEASON; t < series.length; t++) {
+            const s = seasonal[t % SEASON];
+            const oneStep = level + phi * trend + s;
+            sse += Math.pow(series[t] - oneStep, 2);
+
+            const prevLevel = level;
+            level = alpha * (series[t] - s) + (1 - alpha) * (level + phi * trend);
+            trend = beta * (level - prevLevel) + (1 - beta) * phi * trend;
+            seasonal[t % SEASON] = gamma * (series[t] - level) + (1 - gamma) * s;
+        }
+        return { level, trend, seasonal, sse, n: series.length };
+    },
+
+    fit(series) {
+        let best = null;
+        for (const alpha of this.GRID.alpha) {
+            for (const beta of this.GRID.beta) {
+                for (const gamma of this.GRID.gamma) {
+                    const state = this.run(series, alpha, beta, gamma);
+                    if (!best || state.sse < best.state.sse) best = { alpha, beta, gamma, state };
+                }
+            }
+        }
+
+        const { level, trend, seasonal, n } = best.state;
+        const phi = this.PHI;
+        return {
+            params: {
+                alpha: best.alpha,
+                beta: best.beta,
+                gamma: best.gamma,
+                phi,
+                level: +level.toFixed(4),
+                trend: +trend.toFixed(4),
+                seasonal: seasonal.map(v => +v.toFixed(4))
+            },
+            forecast: h => {
+                const out = [];
+                let damp = 0;
+                for (let k = 1; k <= h; k++) {
+                    damp += Math.pow(phi, k);
+                    out.push(clamp0(level + damp * trend + seasonal[(n + k - 1) % SEASON]));
+                }
+                return out;
+            }
+        };
+    }
+};
+
+/**
+ * Croston's method (Syntetos-Boylan approximation) for intermittent demand.
+ * Smooths non-zero demand size and inter-demand interval separately.
+ */
+const croston = {
+    name: 'croston_sba',
+    ALPHAS: [0.1, 0.2, 0.3],
+
+    isEligible(series) {
+        const nonZero = series.filter(v => v > 0).length;
+        // Intermittent: at least 2 demand events and zero-demand on 30%+ of days
+        return nonZero >= 2 && (series.length - nonZero) / series.length >= 0.3;
+    },
+
+    run(series, alpha) {
+        let size = null;
+        let interval = null;
+        let sinceLast = 1;
+        let sse = 0;
+
+        for (const v of series) {
+            if (size !== null) {
+                const rate = (1 - alpha / 2) * size / interval;
+                sse += Math.pow(v - rate, 2);
+            }
+            if (v > 0) {
+                if (size === null) {
+                    size = v;
+                    interval = sinceLast;
+                } else {
+                    size = alpha * v + (1 - alpha) * size;
+                    interval = alpha * sinceLast + (1 - alpha) * interval;
+                }
+                sinceLast = 1;
+            } else {
+                sinceLast++;
+            }
+        }
+        return { size, interval, sse };
+    },
+
+    fit(series) {
+        let best = null;
+        for (const alpha of this.ALPHAS) {
+            const state = this.run(series, alpha);
+            if (!best || state.sse < best.state.sse) best = { alpha, state };
+        }
+
+        const { size, interval } = best.state;
+        const rate = size ? (1 - best.alpha / 2) * size / interval : 0;
+        return {
+            params: {
+                alpha: best.alpha,
+                demand_size: +(size || 0).toFixed(4),
+                demand_interval: +(interval || 0).toFixed(4)
+            },
+            forecast: h => Array(h).fill(rate)
+        };
+    }
+};
+
+const FORECASTERS = Object.freeze({
+    [weightedADS.name]: weightedADS,
+    [seasonalExponentialSmoothing.name]: seasonalExponentialSmoothing,
+    [croston.name]: croston
+});
+
+/**
+ * Build a daily demand series (oldest first, last element = today) from sales rows
+ */
+function buildDailySeries(history, days, now = new Date()) {
+    const vals = Array(days).fill(0);
+    history.forEach(h => {
+        const age = Math.floor((now - new Date(h.transaction_date)) / 86400000);
+        if (age >= 0 && age < days) vals[days - 1 - age] += parseFloat(h.quantity_sold);
+    });
+    const start = new Date(now);
+    start.setDate(start.getDate() - (days - 1));
+    return { series: vals, startDow: start.getDay() };
+}
+
+/**
+ * Backtest every eligible forecaster on the last HOLDOUT_DAYS and refit the winner on the full series.
+ * Returns { model, params, backtest: { [model]: mae }, forecast(h) }.
+ */
+function selectForecaster(series, startDow) {
+    const candidates = Object.values(FORECASTERS);
+    const backtest = {};
+
+    if (series.length >= SEASON * 2 + HOLDOUT_DAYS) {
+        const train = series.slice(0, -HOLDOUT_DAYS);
+        const actual = series.slice(-HOLDOUT_DAYS);
+        for (const f of candidates) {
+            if (!f.isEligible(train)) continue;
+            const predicted = f.fit(train, startDow).forecast(HOLDOUT_DAYS);
+            backtest[f.name] = +mean(actual.map((a, i) => Math.abs(a - predicted[i]))).toFixed(4);
+        }
+    }
+
+    // Lowest MAE wins; v1.0 is listed first so it wins ties
+    let winner = weightedADS;
+    for (const f of candidates) {
+        if (backtest[f.name] !== undefined && backtest[f.name] < (backtest[winner.name] ?? Infinity)) {
+            winner = f;
+        }
+    }
+
+    const fitted = winner.fit(series, startDow);
+    return {
+        model: winner.name,
+        params: fitted.params,
+        backtest,
+        forecast: fitted.forecast
+    };
+}
+
+module.exports = {
+    FORECASTERS,
+    HOLDOUT_DAYS,
+    buildDailySeries,
+    selectForecaster
+};
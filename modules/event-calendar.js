@@ -0,0 +1,260 @@
+/**
+ * EVENT CALENDAR (Festivals & Local Events)
+ *
+ * calendar_events holds one row per occurrence. National rows have no region,
+ * regional rows list region_ids (matched against store_settings.region_id exactly
+ * or as a prefix), and store rows are local events added by the owner.
+ *
+ * Uplift window for an occurrence = [event_date - lead_days, end_date].
+ *
+ * Learned uplift (per store, event name and category):
+ *   ratio  = daily units in the uplift window / daily units in the 28 days before it
+ *   uplift = (sum of yearly ratios + default_uplift) / (years + 1)
+ * The calendar default acts as one prior year, so a single odd year cannot swing
+ * the factor. Factors are clamped to [0.5, 3].
+ */
+
+const BASELINE_DAYS = 28;
+const LEARNING_YEARS = 3;
+const RELEARN_AFTER_DAYS = 7;
+const UPLIFT_BOUNDS = Object.freeze({ min: 0.5, max: 3 });
+
+class EventCalendarError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'EventCalendarError';
+        this.statusCode = statusCode;
+    }
+}
+
+const addDays = (date, days) => {
+    const d = new Date(date);
+    d.setDate(d.getDate() + days);
+    return d;
+};
+
+// Region match shared by every calendar query ($1 = store_id)
+const STORE_EVENT_FILTER = `
+    e.is_active = TRUE
+    AND (e.store_id IS NULL OR e.store_id = $1)
+    AND (e.region_ids IS NULL OR EXISTS (
+        SELECT 1 FROM UNNEST(e.region_ids) AS rg(region_id)
+        WHERE ss.region_id = rg.region_id OR ss.region_id LIKE rg.region_id || '-%'
+    ))
+`;
+
+class EventCalendar {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    /**
+     * Events whose uplift window overlaps [asOf, asOf + horizonDays], with the
+     * uplift for one category (learned if available, else the calendar default)
+     * @param {object} client pg client or pool
+     */
+    async getUpcomingEvents(client, storeId, category, asOf = new Date(), horizonDays = 42) {
+        const res = await client.query(`
+            SELECT e.event_id, e.event_name, e.event_date, COALESCE(e.end_date, e.event_date) AS end_date, e.lead_days,
+                   COALESCE(u.uplift_factor, e.default_uplift) AS uplift_factor,
+                   COALESCE(u.sample_years, 0) AS sample_years,
+                   CASE WHEN u.uplift_factor IS NULL THEN 'default' ELSE 'learned' END AS uplift_source,
+                   e.store_id IS NOT NULL AS is_local
+            FROM calendar_events e
+            LEFT JOIN store_settings ss ON ss.store_id = $1
+            LEFT JOIN event_category_uplift u
+                ON u.store_id = $1 AND u.event_name = e.event_name AND u.category_name = $2
+            WHERE ${STORE_EVENT_FILTER}
+            AND e.event_date - e.lead_days <= $3::date + $4::int
+            AND COALESCE(e.end_date, e.event_date) >= $3::date
+            ORDER BY e.event_date
+        `, [storeId, category || '', asOf, horizonDays]);
+        return res.rows;
+    }
+
+    /**
+     * Upcoming calendar for the store with every learned category uplift
+     */
+    async listUpcoming(storeId, days = 60) {
+        const res = await this.pool.query(`
+            SELECT e.event_id, e.event_name, e.event_date, COALESCE(e.end_date, e.event_date) AS end_date,
+                   e.lead_days, e.default_uplift, e.region_ids,
+                   e.store_id IS NOT NULL AS is_local,
+                   COALESCE((
+                       SELECT json_agg(json_build_object(
+                           'category', u.category_name, 'uplift', u.uplift_factor, 'sampleYears', u.sample_years
+                       ) ORDER BY u.uplift_factor DESC)
+                       FROM event_category_uplift u
+                       WHERE u.store_id = $1 AND u.event_name = e.event_name
+                   ), '[]'::json) AS learned_uplift
+            FROM calendar_events e
+            LEFT JOIN store_settings ss ON ss.store_id = $1
+            WHERE ${STORE_EVENT_FILTER}
+            AND COALESCE(e.end_date, e.event_date) >= CURRENT_DATE
+            AND e.event_date <= CURRENT_DATE + $2::int
+            ORDER BY e.event_date
+        `, [storeId, parseInt(days) || 60]);
+        return res.rows;
+    }
+
+    /**
+     * Add a store-specific local event (temple fair, school reopening, local holiday...)
+     */
+    async addLocalEvent(storeId, userId, event = {}) {
+        const name = (event.eventName || '').trim();
+        if (!name) throw new EventCalendarError('eventName is required');
+        const eventDate = new Date(event.eventDate);
+        if (!event.eventDate || isNaN(eventDate.getTime())) throw new EventCalendarError('eventDate is not a valid date');
+        if (event.endDate && (isNaN(new Date(event.endDate).getTime()) || new Date(event.endDate) < eventDate)) {
+            throw new EventCalendarError('endDate must be a valid date on or after eventDate');
+        }
+        const leadDays = event.leadDays !== undefined ? parseInt(event.leadDays) : 7;
+        if (isNaN(leadDays) || leadDays < 0 || leadDays > 60) throw new EventCalendarError('leadDays must be between 0 and 60');
+        const uplift = event.defaultUplift !== undefined ? parseFloat(event.defaultUplift) : 1.10;
+        if (isNaN(uplift) || uplift < UPLIFT_BOUNDS.min || uplift > UPLIFT_BOUNDS.max) {
+            throw new EventCalendarError(`defaultUplift must be between ${UPLIFT_BOUNDS.min} and ${UPLIFT_BOUNDS.max}`);
+        }
+
+        const res = await this.pool.query(`
+            INSERT INTO calendar_events (event_name, event_date, end_date, lead_days, default_uplift, store_id, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            ON CONFLICT DO NOTHING
+            RETURNING *
+        `, [name, event.eventDate, event.endDate || null, leadDays, uplift, storeId, userId || null]);
+        if (res.rows.length === 0) {
+            throw new EventCalendarError(`${name} on ${event.eventDate} is already on this store's calendar`, 409);
+        }
+        return res.rows[0];
+    }
+
+    /**
+     * Remove a local event (national / regional festivals cannot be removed per store)
+     */
+    async removeLocalEvent(storeId, eventId) {
+        const res = await this.pool.query(
+            'DELETE FROM calendar_events WHERE event_id = $1 AND store_id = $2 RETURNING event_id',
+            [eventId, storeId]
+        );
+        if (res.rowCount === 0) throw new EventCalendarError('Local event not found', 404);
+        return { eventId };
+    }
+
+    /**
+     * Relearn uplift factors when the last learning run is older than RELEARN_AFTER_DAYS.
+     * Runs are read from the audit log so a run that learned no factors still counts.
+     */
+    async refreshUpliftsIfStale(storeId) {
+        const res = await this.pool.query(
+            "SELECT MAX(occurred_at) AS learned_at FROM operational_audit_log WHERE action_type = 'event_calendar.uplifts_learned' AND store_id = $1",
+            [storeId]
+        );
+        const last = res.rows[0]?.learned_at;
+        if (last && (Date.now() - new Date(last).getTime()) < RELEARN_AFTER_DAYS * 86400000) {
+            return { skipped: true, learnedAt: last };
+        }
+        return this.learnUplifts(storeId);
+    }
+
+    /**
+     * Learn per-category uplift from past occurrences in sales_transactions
+     */
+    async learnUplifts(storeId) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const coverage = await this.pool.query(
+            'SELECT MIN(transaction_date) AS first_sale FROM sales_transactions WHERE store_id = $1',
+            [storeId]
+        );
+        const firstSale = coverage.rows[0]?.first_sale ? new Date(coverage.rows[0].first_sale) : null;
+        if (!firstSale) return this.recordLearningRun(storeId, { occurrences: 0, factors: 0 });
+
+        const past = await this.pool.query(`
+            SELECT e.event_name, e.event_date, COALESCE(e.end_date, e.event_date) AS end_date, e.lead_days, e.default_uplift
+            FROM calendar_events e
+            LEFT JOIN store_settings ss ON ss.store_id = $1
+            WHERE ${STORE_EVENT_FILTER}
+            AND COALESCE(e.end_date, e.event_date) < $2::date
+            AND e.event_date >= $2::date - ($3::int * 365)
+            ORDER BY e.event_date
+        `, [storeId, today, LEARNING_YEARS]);
+
+        // event_name -> category -> { ratios: [], prior }
+        const samples = new Map();
+        let occurrences = 0;
+        for (const occ of past.rows) {
+            const windowStart = addDays(occ.event_date, -parseInt(occ.lead_days));
+            const windowEnd = new Date(occ.end_date);
+            const baselineStart = addDays(windowStart, -BASELINE_DAYS);
+            if (baselineStart < firstSale) continue; // No clean baseline before this occurrence
+
+            const windowDays = Math.round((windowEnd - windowStart) / 86400000) + 1;
+            const res = await this.pool.query(`
+                SELECT r.master_category_name AS category,
+                       SUM(CASE WHEN st.transaction_date >= $3::date THEN st.quantity_sold ELSE 0 END) AS event_units,
+                       SUM(CASE WHEN st.transaction_date < $3::date THEN st.quantity_sold ELSE 0 END) AS base_units
+                FROM sales_transactions st
+                JOIN store_sku_registry r ON r.store_id = st.store_id AND r.store_item_id = st.store_item_id
+                WHERE st.store_id = $1
+                AND st.transaction_date >= $2::date AND st.transaction_date <= $4::date
+                AND r.master_category_name IS NOT NULL
+                GROUP BY r.master_category_name
+            `, [storeId, baselineStart, windowStart, windowEnd]);
+
+            occurrences++;
+            for (const row of res.rows) {
+                const baseRate = (parseFloat(row.base_units) || 0) / BASELINE_DAYS;
+                if (baseRate <= 0) continue;
+                const eventRate = (parseFloat(row.event_units) || 0) / windowDays;
+
+                if (!samples.has(occ.event_name)) samples.set(occ.event_name, new Map());
+                const byCategory = samples.get(occ.event_name);
+                if (!byCategory.has(row.category)) byCategory.set(row.category, { ratios: [], prior: parseFloat(occ.default_uplift) });
+                byCategory.get(row.category).ratios.push(eventRate / baseRate);
+            }
+        }
+
+        const rows = [];
+        for (const [eventName, byCategory] of samples) {
+            for (const [category, s] of byCategory) {
+                const raw = (s.ratios.reduce((a, b) => a + b, 0) + s.prior) / (s.ratios.length + 1);
+                const factor = Math.min(UPLIFT_BOUNDS.max, Math.max(UPLIFT_BOUNDS.min, raw));
+                rows.push({ eventName, category, factor: Math.round(factor * 1000) / 1000, years: s.ratios.length });
+            }
+        }
+
+        if (rows.length > 0) {
+            await this.pool.query(`
+                INSERT INTO event_category_uplift (store_id, event_name, category_name, uplift_factor, sample_years, learned_at)
+                SELECT $1, u.event_name, u.category_name, u.uplift_factor, u.sample_years, NOW()
+                FROM UNNEST($2::text[], $3::text[], $4::numeric[], $5::int[])
+                    AS u(event_name, category_name, uplift_factor, sample_years)
+                ON CONFLICT (store_id, event_name, category_name) DO UPDATE SET
+                    uplift_factor = EXCLUDED.uplift_factor,
+                    sample_years = EXCLUDED.sample_years,
+                    learned_at = NOW()
+            `, [
+                storeId,
+                rows.map(r => r.eventName),
+                rows.map(r => r.category),
+                rows.map(r => r.factor),
+                rows.map(r => r.years)
+            ]);
+        }
+
+        console.log(`🎉 Event calendar: learned ${rows.length} category uplift(s) from ${occurrences} past occurrence(s) for ${storeId}`);
+        return this.recordLearningRun(storeId, { occurrences, factors: rows.length });
+    }
+
+    async recordLearningRun(storeId, result) {
+        await this.pool.query(`
+            INSERT INTO operational_audit_log (store_id, action_type, entity_type, metadata, status)
+            VALUES ($1, 'event_calendar.uplifts_learned', 'event_category_uplift', $2, 'success')
+        `, [storeId, JSON.stringify(result)]);
+        return result;
+    }
+}
+
+EventCalendar.EventCalendarError = EventCalendarError;
+
+module.exports = EventCalendar;
@@ -5,7 +5,7 @@
  * - Update inventory quantities and prices
  * - Validate SKUs against existing registry
  * - Append-only inventory snapshots
- * - Escalate unknown SKUs to onboarding
+ * - Quarantine unknown SKUs (known rows are still committed)
  * 
  * FORBIDDEN:
  * - Never modify SKU identity
@@ -14,22 +14,26 @@
  */
 
 const crypto = require('crypto');
+const StockoutLedger = require('./stockout-ledger');
 
 class IncrementalSyncAgent {
     constructor(dbPersistence, eventCallback = null) {
         this.dbPersistence = dbPersistence;
         this.eventCallback = eventCallback; // For triggering post-sync events
+        this.stockoutLedger = dbPersistence ? new StockoutLedger(dbPersistence.pool) : null;
+        this.quarantine = null; // SkuQuarantine, wired in server.js
     }
 
     /**
      * Main sync entry point
      * Supports three modes: POS events, CSV deltas, Manual uploads
+     * options.asOf stamps the snapshots with when the movements happened (defaults to now)
      */
     async sync(storeId, updates, options = {}) {
         const syncRunId = options.syncRunId || crypto.randomUUID();
         const syncType = options.syncType || 'incremental_inventory';
         const dataSource = options.dataSource || 'manual_upload';
-        const timestamp = new Date().toISOString();
+        const timestamp = (options.asOf ? new Date(options.asOf) : new Date()).toISOString();
 
         console.log(`\n🔄 Starting Incremental Sync: ${syncRunId}`);
         console.log(`   Store: ${storeId}`);
@@ -40,17 +44,20 @@ class IncrementalSyncAgent {
             // STEP 1: Validate all SKUs exist in registry
             const validation = await this.validateSKUs(storeId, updates);
 
+            let quarantined = [];
             if (validation.unknownSKUs.length > 0) {
                 console.warn(`⚠️  Found ${validation.unknownSKUs.length} unknown SKUs`);
 
-                // NEW: Escalate unknown SKUs - stop sync and trigger onboarding
-                await this.escalateUnknownSKUs(storeId, validation.unknownSKUs, syncRunId);
-
-                // Return error to trigger owner notification
-                throw new Error(
-                    `Cannot sync: ${validation.unknownSKUs.length} unknown SKU(s) detected. ` +
-                    `These items need to be onboarded first: ${validation.unknownSKUs.map(s => s.store_item_id).join(', ')}`
-                );
+                if (this.quarantine) {
+                    // Park the unknown rows for owner review; the known SKUs still sync
+                    quarantined = await this.quarantine.park(storeId, validation.unknownSKUs, syncRunId, dataSource);
+                } else {
+                    await this.escalateUnknownSKUs(storeId, validation.unknownSKUs, syncRunId);
+                    throw new Error(
+                        `Cannot sync: ${validation.unknownSKUs.length} unknown SKU(s) detected. ` +
+                        `These items need to be onboarded first: ${validation.unknownSKUs.map(s => s.store_item_id).join(', ')}`
+                    );
+                }
             }
 
             // STEP 2: Build inventory snapshots (append-only)
@@ -64,6 +71,7 @@ class IncrementalSyncAgent {
             // STEP 3: Save to database
             if (this.dbPersistence && inventorySnapshots.length > 0) {
                 await this.saveInventorySnapshots(storeId, inventorySnapshots, syncRunId);
+                await this.recordStockoutEpisodes(storeId, inventorySnapshots, syncRunId, timestamp);
 
                 // NEW: Record batch status so dashboard updates
                 await this.dbPersistence.pool.query(`
@@ -87,7 +95,8 @@ class IncrementalSyncAgent {
                 syncType
             );
 
-            console.log(`✅ Sync complete: ${inventorySnapshots.length} records written\n`);
+            summary.quarantined = quarantined.map(q => ({ ...q, status: 'parked' }));
+            console.log(`✅ Sync complete: ${inventorySnapshots.length} records written${quarantined.length > 0 ? `, ${quarantined.length} SKU(s) quarantined` : ''}\n`);
 
             // STEP 5: Trigger post-sync events (sales extraction, AI analysis)
             if (this.eventCallback) {
@@ -99,6 +108,19 @@ class IncrementalSyncAgent {
                 });
             }
 
+            // STEP 6: Stores that allow it onboard the parked SKUs and replay their rows
+            if (quarantined.length > 0) {
+                try {
+                    const onboarded = await this.quarantine.autoOnboard(storeId, quarantined);
+                    for (const resolution of onboarded) {
+                        const entry = summary.quarantined.find(q => q.escalation_id === resolution.escalationId);
+                        if (entry) entry.status = 'onboarded';
+                    }
+                } catch (err) {
+                    console.error('⚠️  Auto-onboarding of unknown SKUs failed:', err.message);
+                }
+            }
+
             return summary;
 
         } catch (error) {
@@ -122,12 +144,15 @@ class IncrementalSyncAgent {
         try {
             // Get existing SKUs from registry
             const existingSKUMap = await this.dbPersistence.getExistingSKUs(storeId);
+            // Codes the owner mapped to an existing SKU during quarantine review
+            const aliases = this.quarantine ? await this.quarantine.getAliases(storeId) : new Map();
 
             const validUpdates = [];
             const unknownSKUs = [];
 
             for (const update of updates) {
-                const skuId = update.store_item_id || update.sku_id || update.item_id;
+                const sourceId = update.store_item_id || update.sku_id || update.item_id;
+                const skuId = aliases.get(sourceId) || sourceId;
 
                 if (!skuId) {
                     console.warn('⚠️  Update missing SKU ID:', update);
@@ -182,6 +207,7 @@ class IncrementalSyncAgent {
                     absoluteQty: null,
                     sellingPrice: null,
                     costPrice: null,
+                    clampedFrom: null,
                     mainTransactionType: null
                 });
             }
@@ -211,6 +237,11 @@ class IncrementalSyncAgent {
                 agg.delta += Math.abs(qtyVal); // Ensure we add
                 agg.mainTransactionType = 'BULK_RETURN_IMPORT';
             }
+            // Case C0: Delta flagged by the caller (POS webhook stock adjusts, either sign)
+            else if (update.quantity_mode === 'delta') {
+                agg.delta += qtyVal;
+                agg.mainTransactionType = transType;
+            }
             // Case C: Explicit Deltas (Detected by leading + or specific intention)
             // We treat a leading '+' as an explicit delta. 
             // We only treat a leading '-' as a delta if it's NOT a standard numeric format or if transType is MOVE/ADJUST
@@ -222,7 +253,9 @@ class IncrementalSyncAgent {
             else {
                 // For absolute stock, we clamp negatives to 0 to prevent broken AI math
                 // Negative stock in a POS usually means "out of stock" or "error"
+                // The clamp is reported in the sync summary; a cycle count settles the real figure
                 agg.absoluteQty = Math.max(0, qtyVal);
+                agg.clampedFrom = qtyVal < 0 ? qtyVal : null;
                 agg.mainTransactionType = transType;
             }
         });
@@ -255,6 +288,8 @@ class IncrementalSyncAgent {
                 selling_price: finalSellingPrice,
                 cost_price: finalCostPrice,
                 transaction_type: agg.mainTransactionType || 'ADJUSTMENT',
+                quantity_mode: agg.absoluteQty !== null ? 'absolute' : 'delta', // Counts vs declared movements (reconciliation)
+                clamped_from: agg.absoluteQty !== null ? agg.clampedFrom : null,
                 transaction_id: batchTransactionId,
                 as_of_timestamp: timestamp,
                 data_source: dataSource
@@ -330,8 +365,8 @@ class IncrementalSyncAgent {
                             selling_price, cost_price,
                             as_of_date, source,
                             onboarding_batch_id,
-                            transaction_type, transaction_id
-                        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                            transaction_type, transaction_id, quantity_mode
+                        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
                         ON CONFLICT (store_id, store_item_id, transaction_id) 
                         WHERE transaction_id IS NOT NULL
                         DO NOTHING
@@ -346,7 +381,8 @@ class IncrementalSyncAgent {
                         snapshot.data_source,
                         syncRunId,
                         snapshot.transaction_type || 'ADJUSTMENT',
-                        snapshot.transaction_id
+                        snapshot.transaction_id,
+                        snapshot.quantity_mode || null
                     ]);
 
                     if (result.rowCount > 0) {
@@ -386,6 +422,23 @@ class IncrementalSyncAgent {
         }
     }
 
+    /**
+     * STEP 3b: Stockout ledger - open episodes at 0, close them when stock returns
+     */
+    async recordStockoutEpisodes(storeId, snapshots, syncRunId, timestamp) {
+        if (!this.stockoutLedger) return;
+
+        try {
+            await this.stockoutLedger.recordSnapshots(this.dbPersistence.pool, storeId, snapshots, {
+                syncRunId,
+                observedAt: timestamp
+            });
+        } catch (error) {
+            // Snapshots are already committed; a ledger failure must not fail the sync
+            console.error('⚠️  Failed to update stockout ledger:', error.message);
+        }
+    }
+
     /**
      * NEW: Escalate unknown SKUs to onboarding queue
      */
@@ -437,6 +490,14 @@ class IncrementalSyncAgent {
             };
         });
 
+        // Negative stock-take quantities written as 0
+        const clamped = snapshots
+            .filter(snapshot => snapshot.clamped_from !== null && snapshot.clamped_from !== undefined)
+            .map(snapshot => ({ store_item_id: snapshot.store_item_id, reported_quantity: snapshot.clamped_from }));
+        if (clamped.length > 0) {
+            console.warn(`⚠️  ${clamped.length} negative stock quantity(ies) written as 0: ${clamped.map(c => c.store_item_id).join(', ')}`);
+        }
+
         return {
             sync_run_id: syncRunId,
             store_id: storeId,
@@ -444,6 +505,7 @@ class IncrementalSyncAgent {
             records_written: snapshots.length,
             unknown_skus_detected: validation.unknownSKUs.length,
             actions: actions,
+            clamped_negative_quantities: clamped,
             warnings: validation.unknownSKUs
         };
     }
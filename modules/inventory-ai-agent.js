@@ -9,12 +9,53 @@
  */
 
 const { Pool } = require('pg');
+const { AGENT_EVENTS } = require('./agent-events');
+const SupplierMaster = require('./supplier-master');
+const { buildDailySeries, selectForecaster } = require('./demand-forecasters');
+const { planMarkdown, priceTier } = require('./markdown-engine');
+const EventCalendar = require('./event-calendar');
+const SkuClassifier = require('./sku-classifier');
+const ServicePolicy = require('./service-policy');
+const ShadowEvaluator = require('./shadow-evaluator');
+const SubstituteGroups = require('./substitute-groups');
+const ColdStartForecaster = require('./cold-start-forecaster');
+
+// PO statuses whose unreceived quantity is still in transit to the store
+const OPEN_PO_STATUSES = ['pending', 'sent', 'partially_received'];
+
+// Sales history fed to the pluggable forecasters (8 weeks: 7 day-of-week seasons + holdout)
+const FORECAST_HISTORY_DAYS = 56;
+
+// Calendar events loaded ahead of the cover horizon (longest L + R we expect)
+const EVENT_LOOKAHEAD_DAYS = 42;
+
+// MARKDOWN is urgent when stock at risk expires within this many days
+const MARKDOWN_URGENT_DAYS = 2;
+
+// Outcome ledger: a decision is measured over its cover window, clamped to these days
+const OUTCOME_HORIZON_DAYS = Object.freeze({ min: 7, max: 30 });
+
+// Annual carrying cost of stock (% of cost) when store_settings has none
+const DEFAULT_CARRYING_COST_PCT = 24;
+
+// v1.0 policy constants (docs/MATH_CONTRACT_v1.md). Stores override them through the
+// service policy layer (sku.policy); per-call overrides are for backtests only.
+const DEFAULT_POLICY = ServicePolicy.DEFAULT_POLICY;
+
+// Persisted service tier (store_sku_registry.risk_class) -> serviceLevelZ key
+const RISK_CLASS_IMPORTANCE = Object.freeze({ Critical: 'High Impact', Normal: 'Normal', Low: 'Low' });
 
 class InventoryAIAgent {
     constructor(pool, config = {}) {
         this.pool = pool;
         this.version = '3.0.0'; // Major Revamp: Actionable Insight Engine
         this.mode = config.mode || 'SHADOW';
+        this.eventCalendar = new EventCalendar(pool);
+        this.skuClassifier = new SkuClassifier(pool);
+        this.servicePolicy = new ServicePolicy(pool);
+        this.shadowEvaluator = new ShadowEvaluator(pool);
+        this.substituteGroups = new SubstituteGroups(pool);
+        this.coldStartForecaster = new ColdStartForecaster(pool);
 
         // LLM Configuration
         this.apiKey = process.env.GEMINI_API_KEY;
@@ -22,37 +63,124 @@ class InventoryAIAgent {
     }
 
     /**
-     * MAIN ENTRY POINT: Daily Close Intelligence Loop
+     * MAIN ENTRY POINT: Typed event dispatch (see modules/agent-events.js)
      * [IMMUTABLE ARCHITECTURE]: Temporal isolation to Daily Close only.
+     * Sub-daily events are acknowledged and recorded, but never trigger intelligence.
      */
-    async handleEvent(eventType, payload) {
-        if (eventType === 'DAILY_CLOSE') {
-            return this.processBatch(payload.storeId, payload.skuIds, { event: eventType });
+    async handleEvent(event) {
+        if (!event || !event.type) {
+            throw new Error('handleEvent expects an event created via createEvent()');
+        }
+
+        const handlers = {
+            [AGENT_EVENTS.DAILY_CLOSE]: 'processBatch',
+            [AGENT_EVENTS.STORE_ONBOARDED]: 'deferToDailyClose',
+            [AGENT_EVENTS.SALE_OCCURRED]: 'deferToDailyClose',
+            [AGENT_EVENTS.STOCK_UPDATED]: 'deferToDailyClose'
+        };
+        const handler = handlers[event.type];
+        if (!handler) {
+            throw new Error(`No handler registered for event ${event.type}`);
+        }
+
+        const options = { ...(event.options || {}), event: event.type, handler, eventMeta: event };
+        if (handler === 'processBatch') {
+            return this.processBatch(event.storeId, event.skuIds, options);
         }
-        console.log(`🤖 AI Agent: Skipping event ${eventType}. Intelligence only runs at Daily Close.`);
+        return this.deferToDailyClose(event, options);
+    }
+
+    /**
+     * Sub-daily events: record the acknowledgement so the run log shows every event.
+     */
+    async deferToDailyClose(event, options) {
+        const runId = await this.createRun(event.storeId, event.type, options);
+        console.log(`🤖 AI Agent: Deferred event ${event.type} (${event.skuIds.length} SKUs). Intelligence only runs at Daily Close.`);
+
+        const summary = {
+            runId,
+            eventType: event.type,
+            handler: options.handler,
+            total_skus: event.skuIds.length,
+            analyzed_skus: 0,
+            failed_skus: 0,
+            recommendations_generated: 0,
+            alerts_generated: 0,
+            failures: []
+        };
+        await this.completeRun(runId, summary);
+        return { ...summary, results: [] };
     }
 
     /**
      * CORE PIPELINE: Process a batch of SKUs (High-Discipline Lifecycle)
+     * Returns the run summary (run_id, SKU counts, per-SKU failures) plus the raw results.
      */
     async processBatch(storeId, skuIds, options = {}) {
-        const runId = await this.createRun(storeId, options.event || 'daily_close');
-        console.log(`🚀 AI Agent: Starting Daily Close Loop for ${storeId} (${skuIds.length} SKUs)...`);
+        // Store mode (store_settings.ai_mode): SHADOW recommendations are stored hidden and scored
+        let mode = this.mode;
+        try {
+            mode = await this.shadowEvaluator.getStoreMode(storeId, this.mode);
+        } catch (err) {
+            console.warn(`⚠️ Could not read AI mode for ${storeId} (using ${mode}): ${err.message}`);
+        }
+        const runId = await this.createRun(storeId, options.event || 'daily_close', { handler: 'processBatch', ...options, mode });
+        console.log(`🚀 AI Agent: Starting Daily Close Loop for ${storeId} (${skuIds.length} SKUs, ${mode})...`);
 
         const results = [];
+        const failures = [];
         try {
             // 1. Reality Check: Resolve outcomes of past decisions
             await this.calculateRealizedOutcomes(storeId);
 
+            // 1b. Festival uplift factors (relearned weekly from past years)
+            try {
+                await this.eventCalendar.refreshUpliftsIfStale(storeId);
+            } catch (err) {
+                console.warn(`⚠️ Event uplift learning failed for ${storeId} (using calendar defaults): ${err.message}`);
+            }
+
+            // 1c. ABC / XYZ classification (drives the service level z)
+            try {
+                await this.skuClassifier.classifyStore(storeId);
+            } catch (err) {
+                console.warn(`⚠️ SKU classification failed for ${storeId} (keeping previous classes): ${err.message}`);
+            }
+
+            // 1d. Score shadow recommendations whose window has ended (also after promotion)
+            try {
+                await this.shadowEvaluator.evaluateDue(storeId);
+            } catch (err) {
+                console.warn(`⚠️ Shadow scoring failed for ${storeId}: ${err.message}`);
+            }
+
+            // 1e. Substitute links from demand shifts during past stockouts (relearned weekly)
+            try {
+                await this.substituteGroups.refreshIfStale(storeId);
+            } catch (err) {
+                console.warn(`⚠️ Substitute learning failed for ${storeId} (keeping previous links): ${err.message}`);
+            }
+
             // 2. Fetch existing recommendations for lifecycle comparison
-            const existingRecs = await this.getActiveRecommendations(storeId);
+            const existingRecs = await this.getActiveRecommendations(storeId, mode);
+
+            // 2b. Store-wide owner response by price tier (shared by every SKU of the run)
+            let priceSensitivity = [];
+            try {
+                priceSensitivity = await this.loadPriceSensitivity(storeId);
+            } catch (err) {
+                console.warn(`⚠️ Price sensitivity unavailable for ${storeId} (no markdown depth cap): ${err.message}`);
+            }
 
             // 3. Process each SKU using the new Action Engine (Metric Calculation Phase)
             const analysisCandidates = [];
             for (const skuId of skuIds) {
                 try {
-                    const skuState = await this.loadSKUState(storeId, skuId);
-                    if (!skuState) continue;
+                    const skuState = await this.loadSKUState(storeId, skuId, { priceSensitivity });
+                    if (!skuState) {
+                        failures.push({ skuId, stage: 'load', error: 'SKU not found in registry' });
+                        continue;
+                    }
 
                     const metrics = this.calculateDeterministicMetrics(skuState);
                     const existing = existingRecs.find(r => r.store_item_id === skuId);
@@ -60,9 +188,9 @@ class InventoryAIAgent {
                     analysisCandidates.push({ skuState, metrics, existing });
                 } catch (err) {
                     console.error(`❌ Skip metrics for ${skuId}:`, err.message);
+                    failures.push({ skuId, stage: 'metrics', error: err.message });
                 }
             }
-
             // 4. Strategic Reasoning Phase (With Prioritization/Cap)
             // [IMMUTABLE ARCHITECTURE]: Reasoning Eligibility + Impact Prioritization
             const MAX_REASONING = 50;
@@ -80,12 +208,10 @@ class InventoryAIAgent {
                 return (currentBucket !== 'MONITOR') && (isSignificantChange || needsRetry || options.forceUpdate);
             });
 
-            // Sort by impact: Potential Revenue Lost (for BUY_MORE) or Blocked Capital (for BUY_LESS)
-            needsReasoning.sort((a, b) => {
-                const impactA = a.metrics.actionBucket === 'BUY_MORE' ? a.metrics.potentialLostRevenue : (a.metrics.oh * a.skuState.costPrice);
-                const impactB = b.metrics.actionBucket === 'BUY_MORE' ? b.metrics.potentialLostRevenue : (b.metrics.oh * b.skuState.costPrice);
-                return (impactB || 0) - (impactA || 0);
-            });
+            // Sort by impact: Potential Revenue Lost (BUY_MORE), Value Expiring (MARKDOWN) or Blocked Capital (BUY_LESS)
+            const impactOf = c => c.metrics.actionBucket === 'BUY_MORE' ? c.metrics.potentialLostRevenue :
+                (c.metrics.actionBucket === 'MARKDOWN' ? c.metrics.expiryRiskValue : (c.metrics.oh * c.skuState.costPrice));
+            needsReasoning.sort((a, b) => (impactOf(b) || 0) - (impactOf(a) || 0));
 
             const toReason = needsReasoning.slice(0, MAX_REASONING);
             const toReasonIds = new Set(toReason.map(c => c.skuState.skuId));
@@ -93,7 +219,8 @@ class InventoryAIAgent {
             console.log(`🧠 AI Agent: Selected ${toReason.length} high-impact SKUs for Strategic Reasoning (${needsReasoning.length - toReason.length} skipped by cap).`);
 
             for (const candidate of analysisCandidates) {
-                const shouldReason = toReasonIds.has(candidate.skuState.skuId);
+                // SHADOW recommendations are never shown, so they get template reasoning (no LLM spend)
+                const shouldReason = mode === 'ACTIVE' && toReasonIds.has(candidate.skuState.skuId);
                 const analysis = await this.analyzeSKU(candidate.skuState, candidate.metrics, candidate.existing, { ...options, allowReasoning: shouldReason });
 
                 // [v3.1 Mandatory Audit Log]
@@ -117,6 +244,8 @@ class InventoryAIAgent {
                 results.push({
                     storeId,
                     skuId: candidate.skuState.skuId,
+                    mode,
+                    openingSnapshot: ShadowEvaluator.openingSnapshot(candidate.metrics, candidate.skuState.sellingPrice),
                     ...analysis
                 });
             }
@@ -126,15 +255,21 @@ class InventoryAIAgent {
                 await this.saveRecommendations(results);
             }
 
-            await this.completeRun(runId, {
+            const summary = {
+                runId,
+                eventType: options.event || 'daily_close',
+                handler: 'processBatch',
+                mode,
                 total_skus: skuIds.length,
                 analyzed_skus: analysisCandidates.length,
-                failed_skus: skuIds.length - analysisCandidates.length,
-                recommendations_generated: results.length,
-                alerts_generated: 0 // Future: Alert engine integration
-            });
+                failed_skus: failures.length,
+                recommendations_generated: results.filter(r => r.insightCategory !== 'MONITOR').length,
+                alerts_generated: 0, // Future: Alert engine integration
+                failures
+            };
+            await this.completeRun(runId, summary);
 
-            return results;
+            return { ...summary, results };
         } catch (error) {
             await this.failRun(runId, error.message);
             throw error;
@@ -199,14 +334,36 @@ class InventoryAIAgent {
         const stockDays = Math.round(metrics.daysOfCover || 0);
 
         const confidenceNote = metrics.confidence === 'LOW' ? " (Based on limited recent sales data)" : "";
+        const pendingNote = metrics.pendingQty > 0 ? `\n• ${Math.round(metrics.pendingQty)} units already on open purchase orders are netted out.` : "";
+        const eventNote = metrics.event ?
+            `\n• ${metrics.event.name} uplift (x${metrics.event.uplift.toFixed(2)}, ${metrics.event.source === 'learned' ? `learned from ${metrics.event.sampleYears} past year(s)` : 'calendar default'}) applied to ${metrics.event.daysInHorizon} of ${metrics.event.horizonDays} cover days.` : '';
+        const sub = metrics.substitution;
+        const substituteNote = sub ? [
+            sub.absorbedUnits >= 1 ?
+                `\n• ${sub.substitutes.filter(x => x.absorbed > 0).map(x => x.name).join(', ')} has surplus stock covering ~${Math.round(sub.absorbedUnits)} units of this order (same substitute group).` : '',
+            sub.shiftedDemand > 0 ?
+                `\n• ~${sub.shiftedDemand.toFixed(1)} units/day sold while ${sub.substitutes.filter(x => x.daysOut > 0).map(x => x.name).join(', ')} was out are not counted as this SKU's demand.` : ''
+        ].join('') : '';
+        const cs = metrics.coldStart;
+        const coldStartNote = cs ?
+            `\n• Analogue-based estimate: ${cs.ownDays} of ${ColdStartForecaster.COLD_START_DAYS} days of own history, so ${Math.round(cs.analogueWeight * 100)}% of the ~${cs.rate.toFixed(1)} units/day comes from ${cs.analogues.map(a => a.name).join(', ')} (same category)${cs.networkMultiplier !== 1 ? `, scaled x${cs.networkMultiplier.toFixed(2)} by the regional signal` : ''}.` : '';
+        const md = metrics.markdown;
+        const markdownNote = md && md.depthPct > 0 ?
+            `\n• Markdown: ${md.depthPct}% off (₹${md.markdownPrice}) for ${md.durationDays} days leaves ~${Math.round(md.projectedDaysOfCover)} days of cover.` :
+            (md ? `\n• Markdown: ${md.reason}.` : '');
+        const cycleNote = metrics.leadTime !== null && metrics.leadTime !== undefined ?
+            `Covering a ${metrics.leadTime}-day supplier lead time plus ${metrics.reviewPeriod}-day order cycle` :
+            `Maintaining a ${metrics.pw}-day replenishment cycle`;
 
         return {
             action: currentBucket,
-            reason: currentBucket === 'BUY_MORE' ?
-                `• Current stock provides only ~${stockDays} days of coverage${confidenceNote}.\n• Maintaining a ${metrics.pw}-day replenishment cycle requires additional inventory.` :
+            reason: (currentBucket === 'BUY_MORE' ?
+                `• Current stock provides only ~${stockDays} days of coverage${confidenceNote}.\n• ${cycleNote} requires additional inventory.${pendingNote}${eventNote}${substituteNote}` :
                 currentBucket === 'BUY_LESS' ?
-                    `• Current inventory level provides excess coverage for ~${stockDays} days.\n• Strategy: Liquidate existing stock before further procurement.` :
-                    `• Inventory state is healthy.\n• Current coverage of ~${stockDays} days meets strategic targets.`,
+                    `• Current inventory level provides excess coverage for ~${stockDays} days.\n• Strategy: Liquidate existing stock before further procurement.${markdownNote}` :
+                    currentBucket === 'MARKDOWN' ?
+                        `• ~${Math.ceil(metrics.expiry.atRiskUnits)} units will not sell before expiry at the current sales rate (first at-risk lot expires in ${metrics.expiry.daysToFirstRisk} days).\n• Strategy: Mark down or move the earliest-expiring stock now.${markdownNote}` :
+                        `• Inventory state is healthy.\n• Current coverage of ~${stockDays} days meets strategic targets.${eventNote}`) + coldStartNote,
             priority: metrics.isUrgent ? 'HIGH' : (currentBucket === 'MONITOR' ? 'LOW' : 'MEDIUM')
         };
     }
@@ -216,16 +373,34 @@ class InventoryAIAgent {
      * 🔒 FROZEN CONTRACT: v1.0 (See docs/MATH_CONTRACT_v1.md)
      * DO NOT MODIFY WITHOUT AUDIT.
      */
-    calculateDeterministicMetrics(sku) {
+    calculateDeterministicMetrics(sku, policyOverrides = {}) {
+        // Store / category / SKU policy resolved in loadSKUState, else the v1.0 defaults
+        const basePolicy = sku.policy?.values || DEFAULT_POLICY;
+        const policy = {
+            protectionWindows: { ...basePolicy.protectionWindows, ...policyOverrides.protectionWindows },
+            serviceLevelZ: { ...basePolicy.serviceLevelZ, ...policyOverrides.serviceLevelZ },
+            buyLessCoverMultiple: policyOverrides.buyLessCoverMultiple ?? basePolicy.buyLessCoverMultiple
+        };
+        const policyVersion = sku.policy?.version || 'default';
+        const asOf = sku.asOf ? new Date(sku.asOf) : new Date(); // Backtests evaluate as of a past date
+
+        // Censored Demand: days the SKU sat at zero stock (from onboarding_handoff) show
+        // zero sales because nothing could sell. They are excluded from ADS and sigma.
+        const stockoutMask = this.extractStockoutDays(
+            sku.stockHistory, sku.demandHistory || sku.salesHistory, FORECAST_HISTORY_DAYS, asOf
+        );
+        const censoredIn = days => stockoutMask.slice(0, days).filter(Boolean).length;
+        const censoredDays = { ads7: censoredIn(7), ads14: censoredIn(14), ads30: censoredIn(30) };
+
         // ADS Calculations (Presence-Aware)
         // [v3.0 Fix]: Don't treat missing windows as zero. Renormalize weights.
-        const ads7_raw = this.calculateADS(sku.salesHistory, 7);
-        const ads14_raw = this.calculateADS(sku.salesHistory, 14);
-        const ads30_raw = this.calculateADS(sku.salesHistory, 30);
+        const ads7_raw = this.calculateADS(sku.salesHistory, 7, asOf, censoredDays.ads7);
+        const ads14_raw = this.calculateADS(sku.salesHistory, 14, asOf, censoredDays.ads14);
+        const ads30_raw = this.calculateADS(sku.salesHistory, 30, asOf, censoredDays.ads30);
 
 
         const historyDays = sku.salesHistory.length > 0 ?
-            Math.ceil((new Date() - new Date(sku.salesHistory[sku.salesHistory.length - 1].transaction_date)) / (1000 * 60 * 60 * 24)) : 0;
+            Math.ceil((asOf - new Date(sku.salesHistory[sku.salesHistory.length - 1].transaction_date)) / (1000 * 60 * 60 * 24)) : 0;
 
         // [v3.1 Strict Validation]: Minimum Effective Sample Rule
         // ADS7 valid only if >= 4 days history
@@ -240,67 +415,198 @@ class InventoryAIAgent {
         // If history < 7 days (LOW), rely 100% on ADS7
         // If history < 15 days (MEDIUM), rely on ADS7 + ADS14
 
-        let wads;
+        let weights;
         if (confidenceScore === 'LOW') {
-            wads = ads7_raw; // 100% weight on 7-day trend
+            weights = { ads7: 1 }; // 100% weight on 7-day trend
         } else if (confidenceScore === 'MEDIUM') {
             // Renormalize 0.5 (7) + 0.3 (14) -> 0.625 / 0.375
-            wads = (0.625 * ads7_raw) + (0.375 * ads14_raw);
+            weights = { ads7: 0.625, ads14: 0.375 };
         } else {
             // Full WADS
-            wads = (0.5 * ads7_raw) + (0.3 * ads14_raw) + (0.2 * ads30_raw);
+            weights = { ads7: 0.5, ads14: 0.3, ads30: 0.2 };
+        }
+
+        // A window with no in-stock days carries no demand signal: drop it and renormalize
+        const windowDays = { ads7: 7, ads14: 14, ads30: 30 };
+        const adsRaw = { ads7: ads7_raw, ads14: ads14_raw, ads30: ads30_raw };
+        const observed = Object.keys(weights).filter(w => censoredDays[w] < windowDays[w]);
+        const weightSum = observed.reduce((sum, w) => sum + weights[w], 0);
+        const wads = weightSum > 0 ?
+            observed.reduce((sum, w) => sum + weights[w] * adsRaw[w], 0) / weightSum : 0;
+
+        const dailySales = this.extractDailyValues(sku.salesHistory, 30, asOf);
+        const inStockSales = dailySales.filter((v, age) => !stockoutMask[age]);
+        let sigma = this.calculateStdDev(inStockSales.length > 0 ? inStockSales : dailySales);
+        let cv = wads > 0 ? sigma / wads : 0;
+
+        // Cold Start: a SKU with under 14 days of its own history borrows demand and
+        // variability from category analogues (modules/cold-start-forecaster.js)
+        const coldStart = sku.coldStart || null;
+        if (coldStart) {
+            cv = coldStart.cv;
+            sigma = coldStart.cv * coldStart.rate;
+        }
+
+        // Protection Window (PW)
+        let pw = policy.protectionWindows.stable;
+        if (cv > 0.30 && cv <= 0.70) pw = policy.protectionWindows.moderate;
+        else if (cv > 0.70) pw = policy.protectionWindows.volatile;
+
+        // Demand Rate (ADD)
+        // v1.0 stores use Weighted ADS. 'auto' stores pick a forecaster per SKU by
+        // backtest (see modules/demand-forecasters.js) and use its mean daily forecast
+        // over the cover horizon (PW, or L + R when a supplier is linked).
+        const supplier = sku.supplier || null;
+        const horizon = Math.max(pw, supplier ? supplier.leadTimeDays + supplier.reviewPeriodDays : 0);
+        let add = wads;
+        let forecast = { model: 'v1_weighted_ads', params: null, backtest: {} };
+        if (sku.forecastEngine === 'auto' && sku.demandHistory) {
+            const { series, startDow } = buildDailySeries(sku.demandHistory, FORECAST_HISTORY_DAYS, asOf);
+            this.imputeCensoredDays(series, stockoutMask);
+            const selected = selectForecaster(series, startDow);
+            if (selected.model !== 'v1_weighted_ads') {
+                const daily = selected.forecast(horizon);
+                add = daily.reduce((a, b) => a + b, 0) / daily.length;
+            }
+            forecast = { model: selected.model, params: selected.params, backtest: selected.backtest };
+        }
+        if (coldStart) {
+            add = coldStart.rate;
+            forecast = {
+                model: 'analogue_cold_start',
+                params: {
+                    analogue_weight: coldStart.analogueWeight,
+                    analogue_rate: coldStart.analogueRate,
+                    own_rate: coldStart.ownRate,
+                    own_days: coldStart.ownDays,
+                    network_multiplier: coldStart.networkMultiplier
+                },
+                backtest: {}
+            };
         }
 
-        const add = wads;
+        // Substitutes: sales picked up while a substitute was out are not this SKU's
+        // demand once that substitute is back (see modules/substitute-groups.js)
+        const substitutes = sku.substitutes || [];
+        const shiftedDemand = SubstituteGroups.shiftedDemandRate(sku.substituteShift, substitutes);
+        add = Math.max(0, add - shiftedDemand);
 
+        // Festival / Event Uplift: days of the cover horizon inside an event window
+        // (lead-up through the last day) carry the event's category uplift
+        const eventUplift = this.calculateEventUplift(sku.events, asOf, horizon);
+        const baseDemandRate = add;
+        add = add * eventUplift.multiplier;
 
         const oh = parseFloat(sku.currentStock || 0);
         const doi = add > 0 ? oh / add : 999;
 
-        const dailySales = this.extractDailyValues(sku.salesHistory, 30);
-        const sigma = this.calculateStdDev(dailySales);
-        const cv = add > 0 ? sigma / add : 0;
+        // Expiry Risk: units in open lots that will not sell before they expire at this demand rate
+        const expiry = this.calculateExpiryRisk(sku.lots, oh, add, asOf);
 
-        // Protection Window (PW)
-        let pw = 3;
-        if (cv > 0.30 && cv <= 0.70) pw = 5;
-        else if (cv > 0.70) pw = 7;
+        // Inventory Position: on-hand + open PO quantity still in transit.
+        // Decisions are taken on position so stock already ordered is not re-ordered.
+        const pendingQty = parseFloat(sku.pendingQty || 0);
+        const inventoryPosition = oh + pendingQty;
+        const positionCover = add > 0 ? inventoryPosition / add : 999;
 
-        // Service Level (z)
+        // Service Level (z): ABC/XYZ service tier from the daily close classification.
+        // SKUs not classified yet fall back to the v1.0 ADS heuristic.
+        const classification = sku.classification || null;
         let importance = 'Normal';
-        if (add > 10) importance = 'High Impact';
+        if (classification && RISK_CLASS_IMPORTANCE[classification.riskClass]) {
+            importance = RISK_CLASS_IMPORTANCE[classification.riskClass];
+        } else if (add > 10) importance = 'High Impact';
         else if (add < 1) importance = 'Low';
 
-        let z = 1.28;
-        if (importance === 'High Impact') z = 1.65;
-        else if (importance === 'Low') z = 0.84;
+        const z = policy.serviceLevelZ[importance];
 
         // Safety Stock (SS)
-        const safetyStock = Math.max(z * sigma, add * pw, 0.5 * add);
+        let safetyStock = Math.max(z * sigma, add * pw, 0.5 * add);
+        let targetStock = add * pw;
+        let rop = targetStock; // [v3.0 Simplified Model]: ROP = Target Stock = ADS * PW
+
+        // Supplier Lead Time (L) & Review Period (R)
+        // With a linked supplier, stock must cover demand until an order placed at
+        // the next ordering opportunity arrives: exposure = L + R.
+        //   SS     = z * sqrt((L + R) * sigma^2 + ADS^2 * sigmaL^2)
+        //   ROP    = ADS * L + SS           (below this, an order today already lands late)
+        //   Target = ADS * (L + R) + SS     (order-up-to level)
+        const leadTime = supplier ? supplier.leadTimeDays : null;
+        const reviewPeriod = supplier ? supplier.reviewPeriodDays : null;
+        let coverWindow = pw;
+        if (supplier) {
+            const exposure = leadTime + reviewPeriod;
+            safetyStock = Math.max(
+                z * Math.sqrt(exposure * sigma * sigma + add * add * Math.pow(supplier.leadTimeStdDays, 2)),
+                0.5 * add
+            );
+            rop = add * leadTime + safetyStock;
+            targetStock = add * exposure + safetyStock;
+            coverWindow = Math.max(pw, exposure);
+        }
 
         // [IMMUTABLE ARCHITECTURE]: Action Bucket Thresholds
         let actionBucket = 'MONITOR';
-        let targetStock = add * pw;
         let qty = 0;
         let isUrgent = false;
 
+        const needsStock = supplier ?
+            inventoryPosition < targetStock :
+            (positionCover < pw || inventoryPosition < safetyStock);
+
         if (oh <= 0 && add <= 0) {
             actionBucket = 'MONITOR';
-        } else if (doi < pw || oh < safetyStock) {
+        } else if (needsStock) {
             actionBucket = 'BUY_MORE';
-            qty = Math.max(0, targetStock - oh);
-            if (doi < 1) isUrgent = true;
-        } else if (oh > 0 && doi > (pw * 3)) {
+            qty = Math.max(0, targetStock - inventoryPosition);
+            if (doi < 1 || (supplier && inventoryPosition < rop)) isUrgent = true;
+        } else if (expiry.atRiskUnits >= 1) {
+            // Stock that expires unsold needs a markdown, not just a smaller next order
+            actionBucket = 'MARKDOWN';
+            if (expiry.daysToFirstRisk !== null && expiry.daysToFirstRisk <= MARKDOWN_URGENT_DAYS) isUrgent = true;
+        } else if (oh > 0 && positionCover > (coverWindow * policy.buyLessCoverMultiple)) {
             // [v3.1 Policy]: Uncertainty biases toward availability.
             // Never recommend BUY_LESS on LOW confidence data.
             if (confidenceScore === 'LOW') {
                 actionBucket = 'MONITOR';
             } else {
                 actionBucket = 'BUY_LESS';
-                qty = Math.max(0, oh - (add * (pw * 2))); // Keep 2x PW as buffer
+                qty = Math.max(0, inventoryPosition - (add * (coverWindow * 2))); // Keep 2x PW as buffer
             }
         }
 
+        // Substitute cover: surplus stock of substitutes takes its share of a BUY_MORE
+        // order (the group's demand is served once, not restocked on every SKU)
+        let substitution = null;
+        if (substitutes.length > 0) {
+            const cover = SubstituteGroups.absorbFromSubstitutes(substitutes, coverWindow, actionBucket === 'BUY_MORE' ? qty : 0);
+            qty = Math.max(0, qty - cover.absorbedUnits);
+            substitution = {
+                substitutes: cover.substitutes,
+                shiftedDemand,
+                absorbedUnits: cover.absorbedUnits,
+                groupDemand: add + substitutes.reduce((sum, sub) => sum + sub.rate, 0)
+            };
+        }
+
+        // Markdown plan: discount depth / duration that clears the overstock or the expiry risk
+        let markdown = null;
+        if (actionBucket === 'BUY_LESS' || actionBucket === 'MARKDOWN') {
+            markdown = planMarkdown({
+                mode: actionBucket === 'MARKDOWN' ? 'expiry' : 'overstock',
+                add,
+                oh,
+                sellingPrice: sku.sellingPrice,
+                costPrice: sku.costPrice,
+                history: sku.demandHistory || sku.salesHistory,
+                targetUnits: Math.max(0, add * coverWindow * 2 - pendingQty), // Same 2x cover buffer as BUY_LESS
+                atRiskUnits: expiry.atRiskUnits,
+                daysToExpiry: expiry.daysToFirstRisk,
+                minMarginPct: sku.markdownMinMarginPct,
+                priceSensitivity: sku.priceSensitivity
+            });
+        }
+
         const moq = sku.moq || 1;
         const caseSize = sku.caseSize || 1;
         let recommendedQty = 0;
@@ -312,20 +618,45 @@ class InventoryAIAgent {
 
         return {
             ads: { ads7: ads7_raw, ads14: ads14_raw, ads30: ads30_raw, weighted: wads },
+            demandRate: add,
+            baseDemandRate,
+            event: eventUplift.driver,
+            substitution,
+            coldStart,
+            forecast,
+            censoredDays,
+            expiry,
+            markdown,
             oh,
             sigma,
             cv,
             pw,
+            coverWindow,
             z,
             safetyStock,
             targetStock,
-            rop: targetStock, // [v3.0 Simplified Model]: ROP = Target Stock = ADS * PW
+            rop,
+            leadTime,
+            reviewPeriod,
+            supplierId: supplier ? supplier.supplierId : null,
             recommendedQty,
+            pendingQty,
+            inventoryPosition,
             daysOfCover: doi,
+            positionDaysOfCover: positionCover,
             actionBucket,
             isUrgent,
             importance,
+            policy,
+            policyVersion,
+            serviceClass: classification ? {
+                abc: classification.abc,
+                xyz: classification.xyz,
+                role: classification.role,
+                tier: classification.riskClass
+            } : null,
             potentialLostRevenue: (actionBucket === 'BUY_MORE' && doi < 1) ? (add * 1 * (sku.sellingPrice - sku.costPrice)) : 0,
+            expiryRiskValue: expiry.atRiskUnits * (parseFloat(sku.costPrice) || 0),
             confidence: confidenceScore
         };
     }
@@ -334,6 +665,10 @@ class InventoryAIAgent {
      * CLASSIFICATION: Layer 1 logic for SKU grouping
      */
     classifySKU(sku, metrics) {
+        if (sku && sku.classification && sku.classification.abc) {
+            const c = sku.classification;
+            return `${c.abc}${c.xyz || ''}${c.role ? ` (${c.role})` : ''}`;
+        }
         if (metrics.ads.weighted > 10) return 'Velocity Alpha (Fast)';
         if (metrics.ads.weighted > 2) return 'Velocity Beta (Medium)';
         if (metrics.ads.weighted > 0.5) return 'Velocity Gamma (Slow)';
@@ -353,6 +688,7 @@ class InventoryAIAgent {
             if (metrics.daysOfCover > 60) return 'OVERSTOCK_HIGH';
             return 'OVERSTOCK';
         }
+        if (metrics.actionBucket === 'MARKDOWN') return 'EXPIRY_RISK';
         return 'SAFE';
     }
 
@@ -363,7 +699,7 @@ class InventoryAIAgent {
         if (!this.apiKey) return { action: data.metrics.actionBucket, reason: "Math-Only (API Key Missing)", priority: 'LOW' };
 
         const b = data.behaviorProfile || {};
-        const skuHistory = b.sku || { total_decisions: 0, verified_losses: 0, verified_savings: 0 };
+        const skuHistory = b.sku || { total_decisions: 0, verified_losses: 0, verified_savings: 0, measured_decisions: 0 };
         const radar = data.radarSignal;
 
         const prompt = `
@@ -375,7 +711,17 @@ Analyze SKU: ${data.sku.productName} (${data.sku.category})
 - Protection Window (Target): ${data.metrics.pw} days
 - Excess/Shortage: ${(data.metrics.daysOfCover - data.metrics.pw).toFixed(1)} days relative to target
 - Weighted ADS: ${data.metrics.ads.weighted.toFixed(2)} units/day
+- Forecast Demand (${data.metrics.forecast.model}): ${data.metrics.demandRate.toFixed(2)} units/day
+- Event Uplift: ${data.metrics.event ? `${data.metrics.event.name} on ${new Date(data.metrics.event.date).toDateString()} drove x${data.metrics.event.uplift.toFixed(2)} (${data.metrics.event.source === 'learned' ? `learned from ${data.metrics.event.sampleYears} past year(s) of this category` : 'calendar default'}) on ${data.metrics.event.daysInHorizon} of ${data.metrics.event.horizonDays} cover days; base demand ${data.metrics.baseDemandRate.toFixed(2)} units/day` : 'None in the cover horizon'}
+- Substitutes: ${data.metrics.substitution ? `${data.metrics.substitution.substitutes.map(sub => `${sub.name} (${sub.source}, ${Math.round(sub.share * 100)}% of demand shifts; ${Math.round(sub.surplus)} surplus units)`).join('; ')}. Group demand ${data.metrics.substitution.groupDemand.toFixed(2)} units/day; ${Math.round(data.metrics.substitution.absorbedUnits)} units of the order covered by substitute stock; ${data.metrics.substitution.shiftedDemand.toFixed(2)} units/day shifted in from out-of-stock substitutes removed` : 'None linked'}
+- Open PO Quantity (in transit, already netted): ${Math.round(data.metrics.pendingQty || 0)} units
+- Supplier Lead Time / Order Cycle: ${data.metrics.leadTime !== null && data.metrics.leadTime !== undefined ? `${data.metrics.leadTime} days / every ${data.metrics.reviewPeriod} days` : 'Not configured (PW only)'}
+- Reorder Point: ${Math.round(data.metrics.rop)} units
 - Operational Policy Floor (Safety Stock): ${Math.round(data.metrics.safetyStock)} units
+- Service Class: ${data.metrics.serviceClass ? `${data.metrics.serviceClass.abc}${data.metrics.serviceClass.xyz}, ${data.metrics.serviceClass.role} (${data.metrics.serviceClass.tier} tier, z = ${data.metrics.z.toFixed(2)})` : `Not classified yet (z = ${data.metrics.z.toFixed(2)})`}
+- Markdown Plan: ${data.metrics.markdown && data.metrics.markdown.depthPct > 0 ? `${data.metrics.markdown.depthPct}% off for ${data.metrics.markdown.durationDays} days (elasticity ${data.metrics.markdown.elasticity}, ${data.metrics.markdown.elasticitySource}) -> ${Math.round(data.metrics.markdown.projectedDaysOfCover)} days of cover after` : (data.metrics.markdown ? data.metrics.markdown.reason : 'Not applicable')}
+- Expiry Risk (FEFO lots): ${data.metrics.expiry.nearestExpiry ? `${Math.ceil(data.metrics.expiry.atRiskUnits)} units will not sell before expiry; nearest lot expires in ${data.metrics.expiry.daysToNearestExpiry} days` : 'No dated lots'}
+- Past Decisions on this SKU: ${parseInt(skuHistory.measured_decisions) > 0 ? `${skuHistory.measured_decisions} measured; ₹${Math.round(skuHistory.revenue_protected)} revenue protected, ₹${Math.round(skuHistory.revenue_lost)} lost over ${skuHistory.stockout_days_incurred} stockout days, ₹${Math.round(skuHistory.carrying_cost_excess)} carrying cost of excess` : 'None measured yet'}
 
 [MANDATORY ACTION]
 Decision: ${data.metrics.actionBucket}
@@ -384,8 +730,10 @@ Order Quantity: ${data.metrics.recommendedQty} units
 [TASK]
 Provide a strategic justification for this decision.
 1. Start with the Days of Cover context.
-2. Explicitly identify the risk (Capital Risk vs. Stockout Risk).
-3. Justify the action based on the "Operational Policy Floor" or Target Stock.
+2. Explicitly identify the risk (Capital Risk vs. Stockout Risk vs. Expiry Risk).
+3. Justify the action based on the "Operational Policy Floor" or Target Stock. For BUY_LESS / MARKDOWN, justify the Markdown Plan.
+4. If an Event Uplift applies, name the event that drove the higher demand.
+5. If Substitutes cover part of the order or shifted demand was removed, name the substitute.
 
 [OUTPUT SCHEMA - STRICT JSON ONLY]
 {
@@ -426,10 +774,10 @@ Provide a strategic justification for this decision.
     /**
      * DATABASE: Lifecycle Manager
      */
-    async getActiveRecommendations(storeId) {
+    async getActiveRecommendations(storeId, mode = 'ACTIVE') {
         const res = await this.pool.query(
-            "SELECT * FROM inventory_recommendations WHERE store_id = $1 AND feedback_status IN ('PENDING', 'ACCEPTED', 'UPDATED')",
-            [storeId]
+            "SELECT * FROM inventory_recommendations WHERE store_id = $1 AND mode = $2 AND feedback_status IN ('PENDING', 'ACCEPTED', 'UPDATED')",
+            [storeId, mode]
         );
         return res.rows;
     }
@@ -461,6 +809,24 @@ Provide a strategic justification for this decision.
                                 ads_7 = $12,
                                 ads_14 = $13,
                                 ads_30 = $14,
+                                pending_order_quantity = $15,
+                                lead_time_days = $16,
+                                review_period_days = $17,
+                                forecast_model = $18,
+                                forecast_params = $19,
+                                forecast_daily_demand = $20,
+                                censored_days = $21,
+                                expiry_risk_units = $22,
+                                nearest_expiry_date = $23,
+                                markdown_depth_pct = $24,
+                                markdown_duration_days = $25,
+                                markdown_price = $26,
+                                markdown_expected_demand = $27,
+                                projected_days_of_cover = $28,
+                                price_elasticity = $29,
+                                edge_case_flags = $30,
+                                policy_version = $31,
+                                policy_snapshot = $32,
                                 generated_at = NOW()
                             WHERE recommendation_id = $9
                         `, [
@@ -469,7 +835,7 @@ Provide a strategic justification for this decision.
                             res.recommendation.reason,
                             res.metrics.daysOfCover,
                             res.metrics.safetyStock,
-                            res.metrics.targetStock,
+                            res.metrics.rop,
                             res.metrics.pw,
                             res.metrics.cv,
                             existing.recommendation_id,
@@ -477,7 +843,20 @@ Provide a strategic justification for this decision.
                             res.metrics.ads.weighted,
                             res.metrics.ads.ads7,
                             res.metrics.ads.ads14,
-                            res.metrics.ads.ads30
+                            res.metrics.ads.ads30,
+                            res.metrics.pendingQty,
+                            res.metrics.leadTime,
+                            res.metrics.reviewPeriod,
+                            res.metrics.forecast.model,
+                            JSON.stringify(this.forecastParams(res.metrics.forecast)),
+                            res.metrics.demandRate,
+                            res.metrics.censoredDays.ads30,
+                            res.metrics.expiry.atRiskUnits,
+                            res.metrics.expiry.nearestExpiry,
+                            ...this.markdownColumns(res.metrics.markdown),
+                            this.edgeCaseFlags(res.metrics),
+                            res.metrics.policyVersion,
+                            JSON.stringify(res.metrics.policy)
                         ]);
                         continue;
                     } else {
@@ -496,17 +875,33 @@ Provide a strategic justification for this decision.
                             reasoning_text, action_priority,
                             insight_category, feedback_status, initial_stock_at_feedback,
                             safety_stock, reorder_point, protection_window, coefficient_of_variation,
-                            ads_7, ads_14, ads_30, weighted_ads, reasoning_status
-                        ) VALUES ($1, $2, $3, $3, $4, $5, $6, $7, $8, $9, $10, 'PENDING', $4, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+                            ads_7, ads_14, ads_30, weighted_ads, reasoning_status, pending_order_quantity,
+                            lead_time_days, review_period_days,
+                            forecast_model, forecast_params, forecast_daily_demand, censored_days,
+                            expiry_risk_units, nearest_expiry_date,
+                            markdown_depth_pct, markdown_duration_days, markdown_price,
+                            markdown_expected_demand, projected_days_of_cover, price_elasticity,
+                            edge_case_flags, policy_version, policy_snapshot, mode, opening_snapshot
+                        ) VALUES ($1, $2, $3, $3, $4, $5, $6, $7, $8, $9, $10, 'PENDING', $4, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33, $34, $35, $36, $37, $38, $39)
                     `, [
                         res.storeId, res.skuId, newBucket,
                         res.metrics.oh, res.metrics.recommendedQty,
                         res.metrics.daysOfCover, res.metrics.isUrgent ? 'CRITICAL' : (newBucket === 'MONITOR' ? 'SAFE' : 'RISK'),
                         res.recommendation.reason, res.recommendation.priority,
                         newBucket,
-                        res.metrics.safetyStock, res.metrics.targetStock, res.metrics.pw, res.metrics.cv,
+                        res.metrics.safetyStock, res.metrics.rop, res.metrics.pw, res.metrics.cv,
                         res.metrics.ads.ads7, res.metrics.ads.ads14, res.metrics.ads.ads30, res.metrics.ads.weighted,
-                        res.reasoningStatus
+                        res.reasoningStatus, res.metrics.pendingQty,
+                        res.metrics.leadTime, res.metrics.reviewPeriod,
+                        res.metrics.forecast.model, JSON.stringify(this.forecastParams(res.metrics.forecast)), res.metrics.demandRate,
+                        res.metrics.censoredDays.ads30,
+                        res.metrics.expiry.atRiskUnits, res.metrics.expiry.nearestExpiry,
+                        ...this.markdownColumns(res.metrics.markdown),
+                        this.edgeCaseFlags(res.metrics),
+                        res.metrics.policyVersion,
+                        JSON.stringify(res.metrics.policy),
+                        res.mode === 'ACTIVE' ? 'ACTIVE' : 'SHADOW',
+                        res.openingSnapshot ? JSON.stringify(res.openingSnapshot) : null
                     ]);
                 }
             }
@@ -519,67 +914,357 @@ Provide a strategic justification for this decision.
         }
     }
 
+    /**
+     * edge_case_flags: the festival / event that drove a demand uplift, the
+     * substitutes that changed a BUY_MORE quantity and the analogues behind a
+     * cold-start demand rate
+     */
+    edgeCaseFlags(metrics) {
+        const flags = {};
+        if (metrics.event) {
+            const e = metrics.event;
+            flags.festival = {
+                name: e.name,
+                date: new Date(e.date).toISOString().slice(0, 10),
+                uplift: e.uplift,
+                source: e.source,
+                sample_years: e.sampleYears,
+                days_in_horizon: e.daysInHorizon,
+                base_demand: metrics.baseDemandRate
+            };
+        }
+        const sub = metrics.substitution;
+        if (sub && (sub.absorbedUnits > 0 || sub.shiftedDemand > 0)) {
+            flags.substitution = {
+                absorbed_units: sub.absorbedUnits,
+                shifted_demand: sub.shiftedDemand,
+                group_demand: sub.groupDemand,
+                substitutes: sub.substitutes.map(x => ({ sku: x.skuId, name: x.name, share: x.share, absorbed: x.absorbed }))
+            };
+        }
+        const cs = metrics.coldStart;
+        if (cs) {
+            flags.cold_start = {
+                own_days: cs.ownDays,
+                own_rate: cs.ownRate,
+                analogue_rate: cs.analogueRate,
+                analogue_weight: cs.analogueWeight,
+                network_multiplier: cs.networkMultiplier,
+                network_signal: cs.networkSignal,
+                analogues: cs.analogues.map(a => ({ sku: a.skuId, name: a.name, rate: a.rate, weight: a.weight }))
+            };
+        }
+        return Object.keys(flags).length > 0 ? JSON.stringify(flags) : null;
+    }
+
+    /**
+     * Markdown plan columns (all NULL when there is no discount to run)
+     */
+    markdownColumns(markdown) {
+        if (!markdown || markdown.depthPct <= 0) return [null, null, null, null, null, markdown ? markdown.elasticity : null];
+        return [
+            markdown.depthPct, markdown.durationDays, markdown.markdownPrice,
+            markdown.expectedDailyDemand, Math.min(markdown.projectedDaysOfCover, 9999), markdown.elasticity
+        ];
+    }
+
+    /**
+     * Fitted parameters plus the per-model backtest MAE that chose them
+     */
+    forecastParams(forecast) {
+        return { ...(forecast.params || {}), backtest_mae: forecast.backtest };
+    }
+
     /**
      * TRUTH RESOLVER: Outcome Ledger (Layer 2)
+     * Each owner decision is measured once its horizon (outcome_horizon_days from
+     * the feedback time) has passed; until then only the day count moves.
      */
     async calculateRealizedOutcomes(storeId) {
         const client = await this.pool.connect();
         try {
             const pastRecs = await client.query(`
-                SELECT ir.*, i.quantity_on_hand as current_stock, i.selling_price
+                SELECT ir.*, i.selling_price, i.cost_price,
+                       COALESCE(ss.carrying_cost_annual_pct, $2) AS carrying_cost_annual_pct
                 FROM inventory_recommendations ir
                 JOIN v_latest_inventory i ON ir.store_id = i.store_id AND ir.store_item_id = i.store_item_id
-                WHERE ir.store_id = $1 
-                AND ir.feedback_status IN ('ACCEPTED', 'IGNORED', 'UPDATED')
+                LEFT JOIN store_settings ss ON ss.store_id = ir.store_id
+                WHERE ir.store_id = $1
+                AND ir.owner_decision IS NOT NULL
                 AND ir.realized_outcome IS NULL
-                AND ir.generated_at < NOW() - INTERVAL '24 hours'
-                AND ir.outcome_check_count < 7
-            `, [storeId]);
+                AND ir.processed_at IS NOT NULL
+            `, [storeId, DEFAULT_CARRYING_COST_PCT]);
 
+            const now = new Date();
             for (const rec of pastRecs.rows) {
-                let outcome = null;
-                const initial = parseFloat(rec.initial_stock_at_feedback);
-                const current = parseFloat(rec.current_stock);
-
-                if (rec.feedback_status === 'ACCEPTED' || rec.feedback_status === 'UPDATED') {
-                    if (current > initial) outcome = 'Opportunity Saved';
-                } else if (rec.feedback_status === 'IGNORED') {
-                    if (current <= 0) outcome = 'Opportunity Lost';
+                if (rec.markdown_depth_pct !== null && rec.markdown_depth_pct !== undefined &&
+                    rec.owner_decision === 'ACCEPTED') {
+                    await this.resolveMarkdownOutcome(client, rec);
+                    continue;
                 }
 
-                if (outcome) {
-                    await client.query("UPDATE inventory_recommendations SET realized_outcome = $1 WHERE recommendation_id = $2", [outcome, rec.recommendation_id]);
-                } else {
-                    await client.query("UPDATE inventory_recommendations SET outcome_check_count = outcome_check_count + 1 WHERE recommendation_id = $1", [rec.recommendation_id]);
+                const horizonDays = parseInt(rec.outcome_horizon_days) || OUTCOME_HORIZON_DAYS.min;
+                const start = new Date(rec.processed_at);
+                const end = new Date(start.getTime() + horizonDays * 86400000);
+
+                if (end > now) {
+                    await client.query(`
+                        UPDATE inventory_recommendations
+                        SET outcome_check_count = $2, outcome_horizon_days = $3, last_outcome_check = NOW()
+                        WHERE recommendation_id = $1
+                    `, [rec.recommendation_id, Math.min(horizonDays, Math.ceil((now - start) / 86400000)), horizonDays]);
+                    continue;
                 }
+
+                const actual = await this.loadOutcomeWindow(client, rec, start, end);
+                const outcome = this.measureOutcome(rec, actual, horizonDays);
+                await client.query(`
+                    UPDATE inventory_recommendations
+                    SET realized_outcome = $2,
+                        outcome_horizon_days = $3,
+                        outcome_window_end = $4,
+                        outcome_units_sold = $5,
+                        stockout_days_count = $6,
+                        stockout_days_avoided = $7,
+                        revenue_protected = $8,
+                        missed_sales_opportunity = $9,
+                        excess_units = $10,
+                        carrying_cost_excess = $11,
+                        financial_impact_cash = $12,
+                        outcome_check_count = $3,
+                        last_outcome_check = NOW()
+                    WHERE recommendation_id = $1
+                `, [
+                    rec.recommendation_id, outcome.label, horizonDays, end,
+                    outcome.unitsSold, outcome.stockoutDaysIncurred, outcome.stockoutDaysAvoided,
+                    outcome.revenueProtected, outcome.revenueLost,
+                    outcome.excessUnits, outcome.carryingCost, outcome.netImpact
+                ]);
             }
         } finally { client.release(); }
     }
 
+    /**
+     * What happened to one SKU inside [start, end): units sold, average price,
+     * stockout days (episodes clipped to the window) with their lost revenue,
+     * and average on-hand
+     */
+    async loadOutcomeWindow(client, rec, start, end) {
+        const res = await client.query(`
+            SELECT
+                (SELECT COALESCE(SUM(quantity_sold), 0) FROM sales_transactions
+                 WHERE store_id = $1 AND store_item_id = $2
+                 AND transaction_date >= $3::date AND transaction_date < $4::date) AS units_sold,
+                (SELECT SUM(revenue) / NULLIF(SUM(quantity_sold), 0) FROM sales_transactions
+                 WHERE store_id = $1 AND store_item_id = $2
+                 AND transaction_date >= $3::date AND transaction_date < $4::date) AS avg_price,
+                so.days_out, so.lost_revenue,
+                COALESCE(
+                    (SELECT AVG(quantity_on_hand) FROM onboarding_handoff
+                     WHERE store_id = $1 AND store_item_id = $2 AND as_of_date >= $3 AND as_of_date < $4),
+                    (SELECT quantity_on_hand FROM onboarding_handoff
+                     WHERE store_id = $1 AND store_item_id = $2 AND as_of_date < $4
+                     ORDER BY as_of_date DESC LIMIT 1)
+                ) AS avg_stock
+            FROM (
+                SELECT COALESCE(SUM(EXTRACT(EPOCH FROM (LEAST(COALESCE(e.ended_at, NOW()), $4) - GREATEST(e.started_at, $3))) / 86400), 0) AS days_out,
+                       COALESCE(SUM(e.ads_at_start * EXTRACT(EPOCH FROM (LEAST(COALESCE(e.ended_at, NOW()), $4) - GREATEST(e.started_at, $3))) / 86400
+                           * COALESCE(e.selling_price, $5, 0)), 0) AS lost_revenue
+                FROM stockout_events e
+                WHERE e.store_id = $1 AND e.store_item_id = $2
+                AND e.started_at < $4 AND COALESCE(e.ended_at, NOW()) > $3
+            ) so
+        `, [rec.store_id, rec.store_item_id, start, end, rec.selling_price]);
+        const row = res.rows[0];
+        return {
+            unitsSold: parseFloat(row.units_sold) || 0,
+            avgPrice: row.avg_price !== null ? parseFloat(row.avg_price) : null,
+            daysOut: parseFloat(row.days_out) || 0,
+            lostRevenue: parseFloat(row.lost_revenue) || 0,
+            avgStock: row.avg_stock !== null ? parseFloat(row.avg_stock) : null
+        };
+    }
+
+    /**
+     * OUTCOME IN RUPEES (pure)
+     *   rate               = units sold / in-stock days (forecast if never on shelf)
+     *   days avoided       = accepted BUY_MORE only: days the shelf would have been empty
+     *                        once stock + open POs at feedback ran out, minus days it was
+     *   revenue protected  = days avoided x rate x price
+     *   revenue lost       = stockout days x ADS at stockout x price (any decision)
+     *   excess units       = average on-hand - rate x cover window x BUY_LESS multiple
+     *   carrying cost      = excess units x cost x annual % x horizon / 365
+     *   net impact         = protected - lost - carrying cost
+     */
+    measureOutcome(rec, actual, horizonDays) {
+        const round2 = (v) => Math.round(v * 100) / 100;
+        const price = actual.avgPrice !== null ? actual.avgPrice : (parseFloat(rec.selling_price) || 0);
+        const cost = parseFloat(rec.cost_price) || 0;
+        const daysOut = Math.min(horizonDays, actual.daysOut);
+        const inStockDays = horizonDays - daysOut;
+        const forecast = rec.forecast_daily_demand !== null && rec.forecast_daily_demand !== undefined ?
+            parseFloat(rec.forecast_daily_demand) : (parseFloat(rec.weighted_ads) || 0);
+        const rate = inStockDays >= 1 ? actual.unitsSold / inStockDays : forecast;
+        const bucket = rec.insight_category || rec.action_bucket;
+
+        let stockoutDaysAvoided = 0;
+        if (rec.owner_decision === 'ACCEPTED' && bucket === 'BUY_MORE' && rate > 0) {
+            const runway = ((parseFloat(rec.initial_stock_at_feedback) || 0) + (parseFloat(rec.pending_at_feedback) || 0)) / rate;
+            stockoutDaysAvoided = Math.max(0, Math.max(0, horizonDays - runway) - daysOut);
+        }
+        const revenueProtected = round2(stockoutDaysAvoided * rate * price);
+        const revenueLost = round2(actual.lostRevenue);
+
+        const coverWindow = Math.max(parseInt(rec.protection_window) || 0,
+            (parseInt(rec.lead_time_days) || 0) + (parseInt(rec.review_period_days) || 0)) || horizonDays;
+        const multiple = parseFloat(rec.policy_snapshot?.buyLessCoverMultiple) || DEFAULT_POLICY.buyLessCoverMultiple;
+        const excessUnits = actual.avgStock !== null ? Math.max(0, actual.avgStock - rate * coverWindow * multiple) : 0;
+        const carryingPct = parseFloat(rec.carrying_cost_annual_pct);
+        const carryingCost = round2(excessUnits * cost * ((isNaN(carryingPct) ? DEFAULT_CARRYING_COST_PCT : carryingPct) / 100) * horizonDays / 365);
+
+        const largest = Math.max(revenueProtected, revenueLost, carryingCost);
+        const label = largest < 1 ? 'No Material Impact' :
+            largest === revenueProtected ? 'Opportunity Saved' :
+                largest === revenueLost ? 'Opportunity Lost' : 'Excess Carried';
+
+        return {
+            label,
+            unitsSold: actual.unitsSold,
+            stockoutDaysIncurred: Math.ceil(daysOut),
+            stockoutDaysAvoided: Math.round(stockoutDaysAvoided),
+            revenueProtected,
+            revenueLost,
+            excessUnits: round2(excessUnits),
+            carryingCost,
+            netImpact: round2(revenueProtected - revenueLost - carryingCost)
+        };
+    }
+
+    /**
+     * MARKDOWN OUTCOME: once the markdown window has passed, compare units sold in it
+     * with the baseline (pre-markdown demand) and the projection.
+     *   Worked        = at least half of the projected uplift materialized
+     *   Underperformed = otherwise
+     * financial_impact_cash = capital released by the extra units (at cost).
+     */
+    async resolveMarkdownOutcome(client, rec) {
+        const start = new Date(rec.processed_at || rec.generated_at);
+        const days = parseInt(rec.markdown_duration_days) || 0;
+        const end = new Date(start.getTime() + days * 86400000);
+        if (end > new Date()) return; // Still running
+
+        const sold = await client.query(`
+            SELECT COALESCE(SUM(quantity_sold), 0) AS units
+            FROM sales_transactions
+            WHERE store_id = $1 AND store_item_id = $2
+            AND transaction_date >= $3::date AND transaction_date < $4::date
+        `, [rec.store_id, rec.store_item_id, start, end]);
+
+        const unitsSold = parseFloat(sold.rows[0].units) || 0;
+        const baseDemand = rec.forecast_daily_demand !== null && rec.forecast_daily_demand !== undefined ?
+            parseFloat(rec.forecast_daily_demand) : (parseFloat(rec.weighted_ads) || 0);
+        const baseline = baseDemand * days;
+        const projected = (parseFloat(rec.markdown_expected_demand) || 0) * days;
+        const upliftUnits = unitsSold - baseline;
+        const worked = upliftUnits >= 0.5 * (projected - baseline);
+        const capitalReleased = Math.round(Math.max(0, upliftUnits) * (parseFloat(rec.cost_price) || 0) * 100) / 100;
+
+        await client.query(`
+            UPDATE inventory_recommendations
+            SET realized_outcome = $2, markdown_units_sold = $3, financial_impact_cash = $4,
+                outcome_units_sold = $3, outcome_horizon_days = $5, outcome_window_end = $6
+            WHERE recommendation_id = $1
+        `, [rec.recommendation_id, worked ? 'Markdown Worked' : 'Markdown Underperformed', unitsSold, capitalReleased, days, end]);
+    }
+
     /**
      * HELPERS: Data Loaders
+     * storeContext.priceSensitivity: rows of loadPriceSensitivity, when the caller loads many SKUs
      */
-    async loadSKUState(storeId, skuId) {
+    async loadSKUState(storeId, skuId, storeContext = {}) {
         const client = await this.pool.connect();
         try {
             const state = await client.query(`
                 SELECT r.store_item_id, r.normalized_product_name, r.master_category_name, r.moq, r.case_pack_size,
-                       i.quantity_on_hand, i.selling_price, i.cost_price
+                       r.master_category_id, r.brand, r.pack_size, r.pack_unit, r.first_onboarded_at,
+                       r.shelf_life_days, r.velocity_class, r.predictability_class, r.business_role, r.risk_class,
+                       i.quantity_on_hand, i.selling_price, i.cost_price,
+                       s.supplier_id, s.supplier_name, s.lead_time_days, s.lead_time_std_days,
+                       s.order_days, s.review_cycle_days, s.min_order_value,
+                       ss.forecast_engine, ss.markdown_min_margin_pct
                 FROM store_sku_registry r
+                LEFT JOIN store_settings ss ON ss.store_id = r.store_id
                 LEFT JOIN v_latest_inventory i ON r.store_id = i.store_id AND r.store_item_id = i.store_item_id
+                LEFT JOIN suppliers s ON s.store_id = r.store_id AND s.supplier_id = r.supplier_id AND s.is_active = TRUE
                 WHERE r.store_id = $1 AND r.store_item_id = $2
             `, [storeId, skuId]);
 
             const cutoffDate = new Date();
             cutoffDate.setDate(cutoffDate.getDate() - 35); // 35 days buffer to catch all relevant history
+            const forecastCutoff = new Date();
+            forecastCutoff.setDate(forecastCutoff.getDate() - FORECAST_HISTORY_DAYS);
 
             const sales = await client.query(`
-            SELECT transaction_date, quantity_sold FROM sales_transactions 
+            SELECT transaction_date, quantity_sold, selling_price FROM sales_transactions 
             WHERE store_id = $1 AND store_item_id = $2 AND transaction_date > $3
-        `, [storeId, skuId, cutoffDate]);
+        `, [storeId, skuId, forecastCutoff]);
+
+            // Stock history (plus the last snapshot before the window) for censored-demand detection
+            const stock = await client.query(`
+                SELECT quantity_on_hand, as_of_date FROM onboarding_handoff
+                WHERE store_id = $1 AND store_item_id = $2 AND as_of_date > $3
+                UNION ALL
+                (SELECT quantity_on_hand, as_of_date FROM onboarding_handoff
+                 WHERE store_id = $1 AND store_item_id = $2 AND as_of_date <= $3
+                 ORDER BY as_of_date DESC LIMIT 1)
+                ORDER BY as_of_date
+            `, [storeId, skuId, forecastCutoff]);
+
+            // Open / partially received PO lines still in transit
+            const pending = await client.query(`
+                SELECT COALESCE(SUM(GREATEST(poi.quantity_ordered - COALESCE(poi.quantity_received, 0), 0)), 0) AS pending_qty
+                FROM purchase_order_items poi
+                JOIN purchase_orders po ON po.po_id = poi.po_id
+                WHERE poi.store_id = $1 AND poi.store_item_id = $2
+                AND LOWER(po.status) = ANY($3)
+            `, [storeId, skuId, OPEN_PO_STATUSES]);
+
+            // Open inventory lots in FEFO order (expiry risk)
+            const lots = await client.query(`
+                SELECT lot_id, lot_number, received_at, expiry_date, quantity_remaining
+                FROM inventory_lots
+                WHERE store_id = $1 AND store_item_id = $2 AND quantity_remaining > 0
+                ORDER BY expiry_date ASC NULLS LAST, received_at ASC
+            `, [storeId, skuId]);
+
+            // Owner response to recommendations by price tier (markdown depth cap)
+            const sensitivity = storeContext.priceSensitivity || await this.loadPriceSensitivity(storeId, client);
 
             if (state.rows.length === 0) return null;
             const s = state.rows[0];
+
+            // Service-level policy: store defaults <- category override <- SKU pin
+            const policy = await this.servicePolicy.resolve(client, storeId, s.master_category_name, skuId);
+
+            // Festivals / local events ahead, with this category's uplift
+            const events = await this.eventCalendar.getUpcomingEvents(
+                client, storeId, s.master_category_name, new Date(), EVENT_LOOKAHEAD_DAYS
+            );
+
+            // Substitutes (learned or manual) with their stock position
+            const substitution = await this.substituteGroups.getSubstitutes(client, storeId, skuId, OPEN_PO_STATUSES);
+
+            // New SKUs: demand borrowed from category analogues until they have their own history
+            const coldStart = await this.coldStartForecaster.getEstimate(client, storeId, {
+                skuId,
+                categoryId: s.master_category_id,
+                categoryName: s.master_category_name,
+                brand: s.brand,
+                packSize: s.pack_size,
+                packUnit: s.pack_unit,
+                firstOnboardedAt: s.first_onboarded_at
+            });
+
             return {
                 storeId, skuId,
                 productName: s.normalized_product_name,
@@ -589,12 +1274,50 @@ Provide a strategic justification for this decision.
                 costPrice: s.cost_price,
                 moq: s.moq,
                 caseSize: s.case_pack_size,
-                pendingQty: 0, // TODO: Query from purchase_order_items
-                salesHistory: sales.rows
+                shelfLifeDays: s.shelf_life_days !== null && s.shelf_life_days !== undefined ? parseInt(s.shelf_life_days) : null,
+                classification: s.velocity_class ? {
+                    abc: s.velocity_class,
+                    xyz: s.predictability_class,
+                    role: s.business_role,
+                    riskClass: s.risk_class
+                } : null,
+                pendingQty: parseFloat(pending.rows[0]?.pending_qty || 0),
+                supplier: s.supplier_id ? {
+                    supplierId: s.supplier_id,
+                    name: s.supplier_name,
+                    leadTimeDays: parseFloat(s.lead_time_days) || 0,
+                    leadTimeStdDays: parseFloat(s.lead_time_std_days) || 0,
+                    reviewPeriodDays: SupplierMaster.calculateReviewPeriod(s),
+                    minOrderValue: parseFloat(s.min_order_value) || 0
+                } : null,
+                forecastEngine: s.forecast_engine || 'v1_weighted_ads',
+                markdownMinMarginPct: s.markdown_min_margin_pct !== null && s.markdown_min_margin_pct !== undefined ?
+                    parseFloat(s.markdown_min_margin_pct) : 5,
+                priceSensitivity: sensitivity.find(r => r.price_tier === priceTier(s.cost_price)) || null,
+                salesHistory: sales.rows.filter(r => new Date(r.transaction_date) > cutoffDate), // v1.0 window
+                demandHistory: sales.rows,
+                stockHistory: stock.rows,
+                lots: lots.rows,
+                events,
+                substitutes: substitution.substitutes,
+                substituteShift: substitution.shift,
+                coldStart,
+                policy
             };
         } finally { client.release(); }
     }
 
+    /**
+     * Owner response to recommendations by price tier (store-wide)
+     */
+    async loadPriceSensitivity(storeId, client = this.pool) {
+        const res = await client.query(`
+            SELECT price_tier, total_decisions, ignore_rate_percent
+            FROM v_store_price_sensitivity WHERE store_id = $1
+        `, [storeId]);
+        return res.rows;
+    }
+
     async getBehaviorProfile(storeId, skuId) {
         const res = await this.pool.query("SELECT * FROM v_sku_outcome_history WHERE store_id = $1 AND store_item_id = $2", [storeId, skuId]);
         return { sku: res.rows[0] || { total_decisions: 0 } };
@@ -614,17 +1337,179 @@ Provide a strategic justification for this decision.
     /**
      * HELPERS: Math
      */
-    calculateADS(history, days) {
-        const cutoff = new Date();
+    calculateADS(history, days, asOf = new Date(), censoredDays = 0) {
+        const cutoff = new Date(asOf);
         cutoff.setDate(cutoff.getDate() - days);
         const total = history.filter(h => new Date(h.transaction_date) >= cutoff)
             .reduce((sum, h) => sum + parseFloat(h.quantity_sold), 0);
-        return total / days;
+        const inStockDays = days - censoredDays;
+        return total / (inStockDays > 0 ? inStockDays : days);
+    }
+
+    /**
+     * Out-of-stock mask by day age (0 = last 24h, same buckets as extractDailyValues).
+     * A day is censored when it opened at <= 0 on-hand, no snapshot that day went
+     * above 0, and nothing sold. Days before the first snapshot are never censored.
+     */
+    extractStockoutDays(stockHistory, salesHistory, days, now = new Date()) {
+        const mask = Array(days).fill(false);
+        if (!stockHistory || stockHistory.length === 0) return mask;
+
+        const snaps = stockHistory
+            .map(s => ({ at: new Date(s.as_of_date), qty: parseFloat(s.quantity_on_hand) || 0 }))
+            .sort((a, b) => a.at - b.at);
+        const dailySales = this.extractDailyValues(salesHistory || [], days, now);
+
+        let idx = 0;
+        let openingQty = null;
+        for (let age = days - 1; age >= 0; age--) {
+            const dayEnd = new Date(now.getTime() - age * 86400000);
+            const dayStart = new Date(dayEnd.getTime() - 86400000);
+            while (idx < snaps.length && snaps[idx].at <= dayStart) openingQty = snaps[idx++].qty;
+
+            let restocked = false;
+            for (let j = idx; j < snaps.length && snaps[j].at <= dayEnd; j++) {
+                if (snaps[j].qty > 0) restocked = true;
+            }
+            mask[age] = openingQty !== null && openingQty <= 0 && !restocked && dailySales[age] <= 0;
+        }
+        return mask;
+    }
+
+    /**
+     * Replace censored days in an oldest-first series with the mean of its in-stock days
+     */
+    imputeCensoredDays(series, stockoutMask) {
+        const n = series.length;
+        const inStock = series.filter((v, i) => !stockoutMask[n - 1 - i]);
+        if (inStock.length === 0 || inStock.length === n) return series;
+        const mean = inStock.reduce((a, b) => a + b, 0) / inStock.length;
+        for (let i = 0; i < n; i++) {
+            if (stockoutMask[n - 1 - i]) series[i] = mean;
+        }
+        return series;
     }
 
-    extractDailyValues(history, days) {
+    /**
+     * Event uplift over the cover horizon: each day takes the highest uplift of the
+     * events whose window [event_date - lead_days, end_date] covers it (1 otherwise).
+     * multiplier = mean daily factor. The driver is the event contributing most.
+     */
+    calculateEventUplift(events, asOf = new Date(), horizonDays = 1) {
+        const result = { multiplier: 1, driver: null };
+        if (!events || events.length === 0) return result;
+
+        const days = Math.max(1, Math.ceil(horizonDays));
+        const midnight = v => { const t = new Date(v); t.setHours(0, 0, 0, 0); return t; };
+        const windows = events.map(e => {
+            const eventDate = midnight(e.event_date);
+            const from = new Date(eventDate);
+            from.setDate(from.getDate() - (parseInt(e.lead_days) || 0));
+            return { e, eventDate, from, to: midnight(e.end_date || e.event_date), uplift: parseFloat(e.uplift_factor) || 1 };
+        });
+        const start = midnight(asOf);
+
+        let total = 0;
+        const contribution = new Map();
+        for (let k = 0; k < days; k++) {
+            const day = new Date(start);
+            day.setDate(day.getDate() + k);
+            let best = null;
+            for (const w of windows) {
+                if (day >= w.from && day <= w.to && (!best || w.uplift > best.uplift)) best = w;
+            }
+            total += best ? best.uplift : 1;
+            if (best) {
+                const c = contribution.get(best) || { days: 0, lift: 0 };
+                c.days += 1;
+                c.lift += best.uplift - 1;
+                contribution.set(best, c);
+            }
+        }
+        result.multiplier = total / days;
+
+        let top = null;
+        for (const [w, c] of contribution) {
+            if (!top || Math.abs(c.lift) > Math.abs(top.c.lift)) top = { w, c };
+        }
+        if (top) {
+            result.driver = {
+                name: top.w.e.event_name,
+                date: top.w.eventDate,
+                uplift: top.w.uplift,
+                source: top.w.e.uplift_source || 'default',
+                sampleYears: parseInt(top.w.e.sample_years) || 0,
+                daysInHorizon: top.c.days,
+                horizonDays: days,
+                multiplier: result.multiplier
+            };
+        }
+        return result;
+    }
+
+    /**
+     * FEFO expiry projection: open lots sell in expiry order at the demand rate and
+     * whatever a lot still holds at the end of its expiry date is at risk. Lots that
+     * add up to more than on-hand are trimmed from the earliest-expiring end first
+     * (those units already left the shelf). Lots without an expiry never expire.
+     */
+    calculateExpiryRisk(lots, oh, add, asOf = new Date()) {
+        const result = {
+            trackedUnits: 0, atRiskUnits: 0, nearestExpiry: null,
+            daysToNearestExpiry: null, daysToFirstRisk: null, lots: []
+        };
+        if (!lots || lots.length === 0 || oh <= 0) return result;
+
+        const expiryKey = l => l.expiry ? l.expiry.getTime() : Infinity;
+        const open = lots
+            .map(l => ({
+                lotId: l.lot_id,
+                lotNumber: l.lot_number || null,
+                expiry: l.expiry_date ? new Date(l.expiry_date) : null,
+                qty: parseFloat(l.quantity_remaining) || 0
+            }))
+            .filter(l => l.qty > 0)
+            .sort((a, b) => expiryKey(a) === expiryKey(b) ? 0 : (expiryKey(a) < expiryKey(b) ? -1 : 1));
+
+        let excess = open.reduce((sum, l) => sum + l.qty, 0) - oh;
+        for (const lot of open) {
+            if (excess <= 0) break;
+            const cut = Math.min(excess, lot.qty);
+            lot.qty -= cut;
+            excess -= cut;
+        }
+
+        let sold = 0;
+        for (const lot of open) {
+            if (lot.qty <= 0) continue;
+            result.trackedUnits += lot.qty;
+            if (!lot.expiry) continue;
+
+            // Sellable through the end of the expiry date
+            const daysLeft = Math.max(0, (lot.expiry.getTime() + 86400000 - asOf.getTime()) / 86400000);
+            const sellable = Math.min(lot.qty, Math.max(0, add * daysLeft - sold));
+            const atRisk = lot.qty - sellable;
+            sold += sellable;
+
+            if (result.nearestExpiry === null) {
+                result.nearestExpiry = lot.expiry;
+                result.daysToNearestExpiry = Math.floor(daysLeft);
+            }
+            if (atRisk > 0 && result.daysToFirstRisk === null) result.daysToFirstRisk = Math.floor(daysLeft);
+            result.atRiskUnits += atRisk;
+            result.lots.push({
+                lotId: lot.lotId,
+                lotNumber: lot.lotNumber,
+                expiryDate: lot.expiry,
+                quantity: lot.qty,
+                atRiskUnits: atRisk
+            });
+        }
+        return result;
+    }
+
+    extractDailyValues(history, days, now = new Date()) {
         const vals = Array(days).fill(0);
-        const now = new Date();
         history.forEach(h => {
             const age = Math.floor((now - new Date(h.transaction_date)) / 86400000);
             if (age >= 0 && age < days) vals[age] += parseFloat(h.quantity_sold);
@@ -651,13 +1536,21 @@ Provide a strategic justification for this decision.
      */
     async updateRecommendationStatus(recommendationId, status, options = {}) {
         try {
+            // Accept / ignore freezes the decision state the outcome ledger measures from
+            const decision = ['ACCEPTED', 'IGNORED'].includes(status) ? status : null;
             const result = await this.pool.query(`
                 UPDATE inventory_recommendations 
                 SET feedback_status = $1, 
                     feedback_reason = $2,
-                    processed_at = NOW() 
+                    processed_at = NOW(),
+                    owner_decision = COALESCE($4, owner_decision),
+                    initial_stock_at_feedback = CASE WHEN $4 IS NULL THEN initial_stock_at_feedback ELSE current_stock END,
+                    pending_at_feedback = CASE WHEN $4 IS NULL THEN pending_at_feedback ELSE pending_order_quantity END,
+                    outcome_horizon_days = CASE WHEN $4 IS NULL THEN outcome_horizon_days
+                        ELSE LEAST($6::int, GREATEST($5::int, protection_window, lead_time_days + review_period_days)) END
                 WHERE recommendation_id = $3::uuid
-            `, [status, options.reason || null, recommendationId]);
+                AND mode = 'ACTIVE' -- SHADOW recommendations are hidden and take no feedback
+            `, [status, options.reason || null, recommendationId, decision, OUTCOME_HORIZON_DAYS.min, OUTCOME_HORIZON_DAYS.max]);
 
             if (result.rowCount === 0) {
                 console.warn(`⚠️ No recommendation found with ID: ${recommendationId}`);
@@ -675,13 +1568,27 @@ Provide a strategic justification for this decision.
     /**
      * DATABASE: Run Management
      */
-    async createRun(storeId, event) {
+    async createRun(storeId, event, options = {}) {
+        const eventMeta = options.eventMeta || {};
+        const metadata = {
+            handler: options.handler || null,
+            event_id: eventMeta.eventId || null,
+            emitted_at: eventMeta.emittedAt || null,
+            reason: eventMeta.reason || null,
+            sync_run_id: eventMeta.syncRunId || null
+        };
         const res = await this.pool.query(`
             INSERT INTO inventory_ai_runs (
-                store_id, event_type, status, mode, agent_version, triggered_by
-            ) VALUES ($1, $2, 'RUNNING', $3, $4, 'manual') 
+                store_id, event_type, status, mode, agent_version, triggered_by, metadata
+            ) VALUES ($1, $2, 'RUNNING', $3, $4, $5, $6) 
             RETURNING run_id
-        `, [storeId, event, ['SHADOW', 'ACTIVE'].includes(this.mode) ? this.mode : 'SHADOW', this.version]);
+        `, [
+            storeId, event,
+            ['SHADOW', 'ACTIVE'].includes(options.mode || this.mode) ? (options.mode || this.mode) : 'SHADOW',
+            this.version,
+            eventMeta.triggeredBy || 'manual',
+            JSON.stringify(metadata)
+        ]);
         return res.rows[0].run_id;
     }
 
@@ -694,7 +1601,7 @@ Provide a strategic justification for this decision.
                 failed_skus = $3, 
                 recommendations_generated = $4,
                 alerts_generated = $5,
-                metadata = $6,
+                metadata = COALESCE(metadata, '{}'::jsonb) || $6::jsonb,
                 completed_at = NOW() 
             WHERE run_id = $7
         `, [
@@ -710,4 +1617,6 @@ Provide a strategic justification for this decision.
     }
 }
 
+InventoryAIAgent.DEFAULT_POLICY = DEFAULT_POLICY;
+
 module.exports = InventoryAIAgent;
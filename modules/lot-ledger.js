@@ -0,0 +1,128 @@
+/**
+ * LOT LEDGER (Expiry / Batch Tracking)
+ *
+ * One inventory_lots row per received batch:
+ *   - PO receipt / manual entry  -> new lot (expiry supplied, else received + shelf_life_days)
+ *   - extracted sale / expiry    -> deplete open lots first-expiring-first-out (FEFO)
+ *
+ * Lots without an expiry date are consumed last (oldest receipt first).
+ * Units sold beyond what the open lots cover are reported as untracked, not
+ * an error: stock that arrived before lot tracking has no lot.
+ */
+
+const LOT_SOURCES = ['po_receipt', 'manual'];
+
+class LotLedgerError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'LotLedgerError';
+        this.statusCode = statusCode;
+    }
+}
+
+class LotLedger {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    /**
+     * Record a received lot
+     * @param {object} client pg client or pool (pass the transaction client when inside one)
+     * @param {object} lot { storeItemId, quantity, receivedAt, expiryDate?, lotNumber?, unitCost?, source?, poId?, poItemId? }
+     */
+    async recordLot(client, storeId, lot) {
+        if (!lot.storeItemId) {
+            throw new LotLedgerError('storeItemId is required');
+        }
+        const quantity = parseFloat(lot.quantity);
+        if (isNaN(quantity) || quantity <= 0) {
+            throw new LotLedgerError(`Lot quantity must be > 0 for ${lot.storeItemId}`);
+        }
+        const receivedAt = lot.receivedAt ? new Date(lot.receivedAt) : new Date();
+        if (isNaN(receivedAt.getTime())) {
+            throw new LotLedgerError('receivedAt is not a valid date');
+        }
+        if (lot.expiryDate && isNaN(new Date(lot.expiryDate).getTime())) {
+            throw new LotLedgerError(`expiryDate is not a valid date for ${lot.storeItemId}`);
+        }
+        const source = lot.source || 'po_receipt';
+        if (!LOT_SOURCES.includes(source)) {
+            throw new LotLedgerError(`source must be one of ${LOT_SOURCES.join(', ')}`);
+        }
+
+        const res = await client.query(`
+            INSERT INTO inventory_lots (
+                store_id, store_item_id, lot_number, received_at, expiry_date,
+                quantity_received, quantity_remaining, unit_cost, source, po_id, po_item_id
+            )
+            SELECT r.store_id, r.store_item_id, $3, $4::timestamptz,
+                   COALESCE($5::date, ($4::timestamptz)::date + r.shelf_life_days),
+                   $6, $6, $7, $8, $9, $10
+            FROM store_sku_registry r
+            WHERE r.store_id = $1 AND r.store_item_id = $2
+            RETURNING *
+        `, [
+            storeId, lot.storeItemId, lot.lotNumber || null, receivedAt, lot.expiryDate || null,
+            quantity, parseFloat(lot.unitCost) || null, source, lot.poId || null, lot.poItemId || null
+        ]);
+        if (res.rows.length === 0) {
+            throw new LotLedgerError(`SKU ${lot.storeItemId} not found`, 404);
+        }
+        return res.rows[0];
+    }
+
+    /**
+     * Deplete open lots first-expiring-first-out
+     * @returns {object} { depleted, untracked, lots: [{ lot_id, quantity }] }
+     */
+    async depleteFEFO(client, storeId, storeItemId, quantity) {
+        let remaining = parseFloat(quantity) || 0;
+        if (remaining <= 0) return { depleted: 0, untracked: 0, lots: [] };
+
+        const open = await client.query(`
+            SELECT lot_id, quantity_remaining FROM inventory_lots
+            WHERE store_id = $1 AND store_item_id = $2 AND quantity_remaining > 0
+            ORDER BY expiry_date ASC NULLS LAST, received_at ASC
+            FOR UPDATE
+        `, [storeId, storeItemId]);
+
+        const touched = [];
+        for (const lot of open.rows) {
+            if (remaining <= 0) break;
+            const take = Math.min(remaining, parseFloat(lot.quantity_remaining));
+            await client.query(`
+                UPDATE inventory_lots SET quantity_remaining = quantity_remaining - $2, updated_at = NOW()
+                WHERE lot_id = $1
+            `, [lot.lot_id, take]);
+            touched.push({ lot_id: lot.lot_id, quantity: take });
+            remaining -= take;
+        }
+
+        const depleted = touched.reduce((sum, l) => sum + l.quantity, 0);
+        return { depleted, untracked: remaining, lots: touched };
+    }
+
+    /**
+     * Lots for a store with age and days to expiry (open lots unless includeDepleted)
+     */
+    async getLots(storeId, options = {}) {
+        const res = await this.pool.query(`
+            SELECT l.*,
+                   r.normalized_product_name AS product_name,
+                   EXTRACT(EPOCH FROM (NOW() - l.received_at)) / 86400 AS age_days,
+                   l.expiry_date - CURRENT_DATE AS days_to_expiry
+            FROM inventory_lots l
+            JOIN store_sku_registry r ON r.store_id = l.store_id AND r.store_item_id = l.store_item_id
+            WHERE l.store_id = $1
+            AND ($2::text IS NULL OR l.store_item_id = $2)
+            AND ($3::boolean OR l.quantity_remaining > 0)
+            ORDER BY l.expiry_date ASC NULLS LAST, l.received_at ASC
+        `, [storeId, options.skuId || null, options.includeDepleted === true]);
+        return res.rows;
+    }
+}
+
+LotLedger.LotLedgerError = LotLedgerError;
+LotLedger.LOT_SOURCES = LOT_SOURCES;
+
+module.exports = LotLedger;
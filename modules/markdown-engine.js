@@ -0,0 +1,187 @@
+/**
+ * MARKDOWN ENGINE
+ *
+ * Turns BUY_LESS (overstock) and MARKDOWN (expiry risk) decisions into a concrete
+ * discount: depth, duration, marked-down price and the days of cover it leaves.
+ *
+ * Demand response uses a constant-elasticity curve:
+ *   demand(d) = ADS * (1 - d)^e            (e < 0, d = discount depth)
+ *
+ * Elasticity (e):
+ *   - SKU history: OLS slope of ln(daily units) on ln(daily avg price) when the SKU
+ *     sold at visibly different prices (>= 7 selling days, >= 5% price spread)
+ *   - otherwise the price-tier prior (same tiers as v_store_price_sensitivity)
+ *
+ * Guardrails:
+ *   - margin floor: marked-down price >= cost * (1 + min margin). Expiry markdowns
+ *     may go down to cost, since expired units recover nothing.
+ *   - depth cap from v_store_price_sensitivity: tiers where owners ignore most
+ *     recommendations get shallower markdowns they are more likely to run.
+ *
+ * The shallowest depth (then shortest duration) that clears the excess wins.
+ */
+
+const MARKDOWN_DEPTHS = Object.freeze([0.05, 0.10, 0.15, 0.20, 0.25, 0.30, 0.40, 0.50]);
+const MARKDOWN_DURATIONS = Object.freeze([7, 14, 21, 28]);
+
+// Prior elasticity per price tier (tiers match v_store_price_sensitivity)
+const TIER_ELASTICITY = Object.freeze({ LOW: -1.5, MID: -1.2, HIGH: -1.0 });
+const ELASTICITY_BOUNDS = Object.freeze({ min: -4, max: -0.3 });
+
+const MIN_PRICE_DAYS = 7;
+const MIN_PRICE_SPREAD = 1.05;
+
+// Depth cap by the tier's recommendation ignore rate (%)
+const IGNORE_RATE_DEPTH_CAPS = Object.freeze([
+    { minIgnoreRate: 50, maxDepth: 0.20 },
+    { minIgnoreRate: 25, maxDepth: 0.30 },
+    { minIgnoreRate: 0, maxDepth: 0.50 }
+]);
+
+const round2 = v => Math.round(v * 100) / 100;
+
+function priceTier(costPrice) {
+    const cost = parseFloat(costPrice) || 0;
+    if (cost > 1000) return 'HIGH';
+    if (cost > 500) return 'MID';
+    return 'LOW';
+}
+
+/**
+ * Own-price elasticity from sales history ({ transaction_date, quantity_sold, selling_price })
+ * Returns null when prices did not move enough to measure a response.
+ */
+function estimateElasticity(history) {
+    const days = new Map();
+    for (const h of history || []) {
+        const qty = parseFloat(h.quantity_sold) || 0;
+        const price = parseFloat(h.selling_price) || 0;
+        if (qty <= 0 || price <= 0) continue;
+        const key = new Date(h.transaction_date).toISOString().slice(0, 10);
+        const day = days.get(key) || { qty: 0, revenue: 0 };
+        day.qty += qty;
+        day.revenue += qty * price;
+        days.set(key, day);
+    }
+
+    const points = [...days.values()].map(d => ({ x: Math.log(d.revenue / d.qty), y: Math.log(d.qty) }));
+    if (points.length < MIN_PRICE_DAYS) return null;
+
+    const prices = points.map(p => Math.exp(p.x));
+    if (Math.max(...prices) / Math.min(...prices) < MIN_PRICE_SPREAD) return null;
+
+    const mx = points.reduce((s, p) => s + p.x, 0) / points.length;
+    const my = points.reduce((s, p) => s + p.y, 0) / points.length;
+    const sxx = points.reduce((s, p) => s + (p.x - mx) ** 2, 0);
+    if (sxx === 0) return null;
+    const slope = points.reduce((s, p) => s + (p.x - mx) * (p.y - my), 0) / sxx;
+
+    // A non-negative slope is confounded (price rose with demand), not a usable signal
+    if (slope >= 0) return null;
+    return Math.min(ELASTICITY_BOUNDS.max, Math.max(ELASTICITY_BOUNDS.min, slope));
+}
+
+function maxDepthForIgnoreRate(ignoreRatePercent) {
+    const rate = parseFloat(ignoreRatePercent);
+    if (isNaN(rate)) return IGNORE_RATE_DEPTH_CAPS[IGNORE_RATE_DEPTH_CAPS.length - 1].maxDepth;
+    return IGNORE_RATE_DEPTH_CAPS.find(c => rate >= c.minIgnoreRate).maxDepth;
+}
+
+/**
+ * Plan a markdown
+ * @param {object} input {
+ *   mode: 'overstock' | 'expiry',
+ *   add, oh, sellingPrice, costPrice, history,
+ *   targetUnits,      overstock: on-hand to keep after the markdown
+ *   atRiskUnits,      expiry: units that will not sell before expiry at full price
+ *   daysToExpiry,     expiry: markdown runs until the first at-risk lot expires
+ *   minMarginPct,     margin floor for overstock markdowns (percent)
+ *   priceSensitivity  { ignore_rate_percent } row from v_store_price_sensitivity
+ * }
+ * @returns {object|null} null when the SKU has no selling price
+ */
+function planMarkdown(input) {
+    const price = parseFloat(input.sellingPrice) || 0;
+    const cost = parseFloat(input.costPrice) || 0;
+    if (price <= 0) return null;
+
+    const add = Math.max(0, input.add || 0);
+    const oh = Math.max(0, input.oh || 0);
+    const isExpiry = input.mode === 'expiry';
+
+    const measured = estimateElasticity(input.history);
+    const tier = priceTier(cost);
+    const elasticity = measured !== null ? measured : TIER_ELASTICITY[tier];
+    const elasticitySource = measured !== null ? 'sku_history' : 'price_tier';
+
+    const minMargin = isExpiry ? 0 : Math.max(0, parseFloat(input.minMarginPct) || 0) / 100;
+    const floorPrice = cost * (1 + minMargin);
+    const maxDepth = maxDepthForIgnoreRate(input.priceSensitivity?.ignore_rate_percent);
+    const depths = MARKDOWN_DEPTHS.filter(d => d <= maxDepth && price * (1 - d) >= floorPrice);
+    const durations = isExpiry ?
+        [Math.max(1, Math.min(Math.floor(input.daysToExpiry || 0), MARKDOWN_DURATIONS[MARKDOWN_DURATIONS.length - 1]))] :
+        MARKDOWN_DURATIONS;
+
+    const base = {
+        mode: input.mode,
+        elasticity: round2(elasticity),
+        elasticitySource,
+        priceTier: tier,
+        floorPrice: round2(floorPrice),
+        maxDepthPct: Math.round(maxDepth * 100)
+    };
+
+    if (depths.length === 0) {
+        return {
+            ...base,
+            depthPct: 0,
+            durationDays: 0,
+            markdownPrice: price,
+            expectedDailyDemand: add,
+            projectedDaysOfCover: add > 0 ? oh / add : 999,
+            clearsExcess: false,
+            reason: 'Margin floor leaves no room for a discount'
+        };
+    }
+
+    const evaluate = (depth, days) => {
+        const demand = add * Math.pow(1 - depth, elasticity);
+        const sold = Math.min(oh, demand * days);
+        const clears = isExpiry ?
+            (demand - add) * days >= input.atRiskUnits :
+            oh - sold <= input.targetUnits;
+        return { depth, days, demand, sold, clears };
+    };
+
+    let chosen = null;
+    for (const depth of depths) {
+        for (const days of durations) {
+            const plan = evaluate(depth, days);
+            if (plan.clears) { chosen = plan; break; }
+        }
+        if (chosen) break;
+    }
+    if (!chosen) chosen = evaluate(depths[depths.length - 1], durations[durations.length - 1]);
+
+    return {
+        ...base,
+        depthPct: Math.round(chosen.depth * 100),
+        durationDays: chosen.days,
+        markdownPrice: round2(price * (1 - chosen.depth)),
+        expectedDailyDemand: chosen.demand,
+        projectedUnitsSold: chosen.sold,
+        projectedDaysOfCover: add > 0 ? (oh - chosen.sold) / add : 999,
+        clearsExcess: chosen.clears,
+        reason: add <= 0 ? 'No recent sales: uplift cannot be projected' :
+            (chosen.clears ? null : 'Deepest allowed markdown does not fully clear the excess')
+    };
+}
+
+module.exports = {
+    MARKDOWN_DEPTHS,
+    MARKDOWN_DURATIONS,
+    TIER_ELASTICITY,
+    priceTier,
+    estimateElasticity,
+    planMarkdown
+};
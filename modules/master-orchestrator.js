@@ -8,6 +8,7 @@
  */
 
 const crypto = require('crypto');
+const { AGENT_EVENTS, createEvent } = require('./agent-events');
 
 class MasterOrchestrator {
     constructor(onboardingAgent, incrementalSyncAgent, dbPersistence, inventoryAIAgent = null, salesExtractor = null) {
@@ -38,7 +39,7 @@ class MasterOrchestrator {
                 // Get newly created SKU IDs for initial AI analysis
                 const skuIds = data.map(item => item.store_item_id || item.sku_id || item.item_id).filter(Boolean);
 
-                await this.emit('STORE_ONBOARDED', {
+                await this.emit(AGENT_EVENTS.STORE_ONBOARDED, {
                     storeId,
                     routingId,
                     skuIds,
@@ -69,18 +70,21 @@ class MasterOrchestrator {
     }
 
     /**
-     * EVENT EMITTER: Dispatches events to downstream agents
+     * EVENT EMITTER: Dispatches typed events to downstream agents
+     * Returns the handler's run summary, or a FAILED marker if the handler threw.
      */
     async emit(eventType, payload) {
-        console.log(`📡 Event Dispatched: ${eventType} for Store: ${payload.storeId}`);
+        const event = createEvent(eventType, payload);
+        console.log(`📡 Event Dispatched: ${event.type} for Store: ${event.storeId}`);
 
-        if (this.inventoryAIAgent) {
-            // AI Agent is the primary consumer of all business events
-            try {
-                await this.inventoryAIAgent.handleEvent(eventType, payload);
-            } catch (err) {
-                console.error(`❌ AI Agent failed to handle ${eventType}:`, err.message);
-            }
+        if (!this.inventoryAIAgent) return null;
+
+        // AI Agent is the primary consumer of all business events
+        try {
+            return await this.inventoryAIAgent.handleEvent(event);
+        } catch (err) {
+            console.error(`❌ AI Agent failed to handle ${event.type}:`, err.message);
+            return { eventType: event.type, status: 'FAILED', error: err.message };
         }
     }
 
@@ -95,7 +99,7 @@ class MasterOrchestrator {
             if (this.salesExtractor) {
                 const extractResult = await this.salesExtractor.extractFromSync(storeId, syncRunId);
                 if (extractResult.extractedCount > 0) {
-                    await this.emit('SALE_OCCURRED', {
+                    await this.emit(AGENT_EVENTS.SALE_OCCURRED, {
                         storeId,
                         syncRunId,
                         skuIds: affectedSKUs,
@@ -105,7 +109,7 @@ class MasterOrchestrator {
             }
 
             // 2. Dispatch Stock Update Event
-            await this.emit('STOCK_UPDATED', {
+            await this.emit(AGENT_EVENTS.STOCK_UPDATED, {
                 storeId,
                 syncRunId,
                 skuIds: affectedSKUs
@@ -163,9 +167,9 @@ class MasterOrchestrator {
                 await client.query(`
                     INSERT INTO onboarding_handoff (
                         store_id, store_item_id, quantity_on_hand, unit,
-                        selling_price, cost_price, source, as_of_date, onboarding_batch_id
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP, $8)
-                `, [storeId, skuId, quantity, unit, sellingPrice, costPrice, 'manual_entry', newBatchId]);
+                        selling_price, cost_price, source, as_of_date, onboarding_batch_id, quantity_mode
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP, $8, $9)
+                `, [storeId, skuId, quantity, unit, sellingPrice, costPrice, 'manual_entry', newBatchId, 'absolute']); // The corrected on-hand figure
 
                 await client.query('COMMIT');
 
@@ -223,7 +227,7 @@ class MasterOrchestrator {
     }
 
     async triggerInventoryAI(storeId, options = {}) {
-        return this.inventoryAIAgent.analyzeStore(storeId, options);
+        return this.runDailyClosingAnalysis(storeId, options);
     }
 
     /**
@@ -231,9 +235,13 @@ class MasterOrchestrator {
      * Runs full AI analysis for the store, incorporating all changes from the day.
      * This should be called after the store closes or via scheduled job.
      */
-    async runDailyClosingAnalysis(storeId) {
+    async runDailyClosingAnalysis(storeId, options = {}) {
         console.log(`🏦 Orchestrator: Executing Daily Closing Analysis for ${storeId}...`);
 
+        if (!this.inventoryAIAgent) {
+            throw new Error('Inventory AI Agent is not configured');
+        }
+
         try {
             // Get all active SKUs for the store
             const allSKUs = await this.dbPersistence.pool.query(
@@ -244,19 +252,30 @@ class MasterOrchestrator {
             const skuIds = allSKUs.rows.map(r => r.store_item_id);
             console.log(`📊 Analyzing ${skuIds.length} SKUs for daily closing...`);
 
-            if (skuIds.length > 0) {
-                // Emit STOCK_UPDATED event which triggers AI analysis
-                await this.emit('STOCK_UPDATED', {
-                    storeId,
-                    skuIds,
-                    reason: 'DAILY_CLOSING_ROUTINE'
-                });
+            const run = await this.emit(AGENT_EVENTS.DAILY_CLOSE, {
+                storeId,
+                skuIds,
+                reason: 'DAILY_CLOSING_ROUTINE',
+                triggeredBy: options.triggeredBy || 'manual',
+                options: { forceUpdate: !!options.forceUpdate }
+            });
+
+            if (run.status === 'FAILED') {
+                throw new Error(run.error);
             }
 
             return {
                 success: true,
-                skusAnalyzed: skuIds.length,
-                message: `Daily analysis complete. ${skuIds.length} products refreshed.`
+                runId: run.runId,
+                eventType: run.eventType,
+                handler: run.handler,
+                skusTotal: run.total_skus,
+                skusAnalyzed: run.analyzed_skus,
+                skusFailed: run.failed_skus,
+                recommendationsGenerated: run.recommendations_generated,
+                failures: run.failures,
+                message: `Daily close run ${run.runId}: ${run.analyzed_skus}/${run.total_skus} SKUs analyzed, ` +
+                    `${run.recommendations_generated} recommendations, ${run.failed_skus} failed.`
             };
         } catch (error) {
             console.error(`❌ Daily closing failed:`, error.message);
@@ -0,0 +1,375 @@
+/**
+ * POS SALES IMPORTER (line-item bill exports)
+ *
+ * Snapshot deltas cannot tell a sale from shrinkage or a miscount, and they only
+ * carry the sync date. A bill export carries the sale itself:
+ *   bill number, line, timestamp, SKU (item code or barcode), qty, unit price,
+ *   discount, tender
+ * Each line becomes one sales_transactions row (source = 'pos_bill'):
+ *   transaction_timestamp = bill time, selling_price = net unit price,
+ *   revenue = qty x price - discount; return lines have a negative qty.
+ * Lines are deduplicated by bill + line, so re-importing a file is harmless.
+ *
+ * Bill lines are authoritative for the SKU-days they cover: sales inferred from
+ * snapshot deltas for those SKU-days are removed, and SalesTransactionExtractor
+ * stops inferring them. The import is then reconciled against the stock
+ * movement of the same SKU-days (sale / return snapshots, untyped drops):
+ *   MATCHED            stock moved by the billed units
+ *   UNBILLED_DROP      stock fell more than was billed (shrinkage or miscount)
+ *   UNDEDUCTED_SALES   billed more than stock fell (stock not yet deducted)
+ *   NO_STOCK_MOVEMENT  billed, but no stock movement synced for that day
+ */
+
+const crypto = require('crypto');
+
+const MAX_ROWS = 50000;
+const MAX_REJECTED_LISTED = 100;
+const RECONCILE_TOLERANCE = 0.001;
+const STOCK_LOOKBACK_DAYS = 30; // Snapshot before the window, for the first delta
+
+// Header aliases, compared lowercase without spaces / punctuation
+const COLUMNS = Object.freeze({
+    bill: ['billnumber', 'billno', 'bill', 'invoicenumber', 'invoiceno', 'invoice', 'receiptnumber', 'receiptno', 'voucherno'],
+    line: ['linenumber', 'lineno', 'line', 'slno', 'srno'],
+    timestamp: ['timestamp', 'billdatetime', 'datetime', 'billdate', 'invoicedate', 'date'],
+    time: ['billtime', 'time'],
+    sku: ['storeitemid', 'itemid', 'itemcode', 'sku', 'skuid', 'productcode', 'productid'],
+    barcode: ['barcode', 'ean', 'upc'],
+    quantity: ['quantity', 'qty', 'units'],
+    price: ['unitprice', 'price', 'rate', 'sellingprice', 'mrp'],
+    discount: ['discountamount', 'discount', 'disc'],
+    tender: ['tendertype', 'tender', 'paymentmode', 'paymode', 'payment']
+});
+
+class PosSalesImportError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'PosSalesImportError';
+        this.statusCode = statusCode;
+    }
+}
+
+class PosSalesImporter {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    /**
+     * Import the rows of a bill export (objects keyed by header, e.g. XLSX sheet_to_json)
+     */
+    async import(storeId, rawRows, { fileName = null, userId = null } = {}) {
+        if (!Array.isArray(rawRows) || rawRows.length === 0) throw new PosSalesImportError('No bill lines in file');
+        if (rawRows.length > MAX_ROWS) throw new PosSalesImportError(`At most ${MAX_ROWS} rows per import`);
+
+        const { lines, rejected } = PosSalesImporter.parseRows(rawRows);
+        await this.resolveSkus(storeId, lines, rejected);
+        const valid = lines.filter(l => l.storeItemId);
+        if (valid.length === 0) {
+            throw new PosSalesImportError(`No importable bill lines (${rejected.length} rejected: ${rejected[0]?.reason})`);
+        }
+
+        const batchId = crypto.randomUUID();
+        const timestamps = valid.map(l => l.timestamp.getTime());
+        const from = PosSalesImporter.localDate(new Date(Math.min(...timestamps)));
+        const to = PosSalesImporter.localDate(new Date(Math.max(...timestamps)));
+
+        const client = await this.pool.connect();
+        let inserted, inferredReplaced;
+        try {
+            await client.query('BEGIN');
+            const res = await client.query(`
+                INSERT INTO sales_transactions (
+                    store_id, store_item_id, transaction_date, transaction_timestamp,
+                    quantity_sold, selling_price, revenue, source_sync_run_id, source_transaction_id,
+                    source, bill_number, line_number, list_price, discount_amount, tender_type
+                )
+                SELECT $1, l.sku, l.day, l.ts, l.qty, l.net_price, l.revenue, $2, 'bill:' || l.bill || ':' || l.line,
+                       'pos_bill', l.bill, l.line, l.price, l.discount, l.tender
+                FROM UNNEST($3::varchar[], $4::date[], $5::timestamp[], $6::numeric[], $7::numeric[], $8::numeric[],
+                            $9::varchar[], $10::int[], $11::numeric[], $12::numeric[], $13::varchar[])
+                     AS l(sku, day, ts, qty, net_price, revenue, bill, line, price, discount, tender)
+                ON CONFLICT (store_id, store_item_id, source_transaction_id) DO NOTHING
+                RETURNING store_item_id, transaction_date
+            `, [
+                storeId, batchId,
+                valid.map(l => l.storeItemId),
+                valid.map(l => PosSalesImporter.localDate(l.timestamp)),
+                valid.map(l => l.timestamp),
+                valid.map(l => l.quantity),
+                valid.map(l => l.netPrice),
+                valid.map(l => l.revenue),
+                valid.map(l => l.bill),
+                valid.map(l => l.line),
+                valid.map(l => l.price),
+                valid.map(l => l.discount),
+                valid.map(l => l.tender)
+            ]);
+            inserted = res.rows.length;
+
+            // Bill lines now cover these SKU-days: drop the snapshot-inferred sales
+            const covered = [...new Map(valid.map(l => {
+                const day = PosSalesImporter.localDate(l.timestamp);
+                return [`${l.storeItemId}|${day}`, [l.storeItemId, day]];
+            })).values()];
+            const replaced = await client.query(`
+                DELETE FROM sales_transactions s
+                USING UNNEST($2::varchar[], $3::date[]) AS c(sku, day)
+                WHERE s.store_id = $1 AND s.source = 'snapshot_delta'
+                AND s.store_item_id = c.sku AND s.transaction_date = c.day
+            `, [storeId, covered.map(c => c[0]), covered.map(c => c[1])]);
+            inferredReplaced = replaced.rowCount;
+
+            await client.query(`
+                INSERT INTO sales_import_batches (
+                    batch_id, store_id, file_name, imported_by, rows_total, lines_imported,
+                    duplicates, rejected, inferred_replaced, first_sale_at, last_sale_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            `, [batchId, storeId, fileName, userId, rawRows.length, inserted, valid.length - inserted,
+                rejected.length, inferredReplaced, new Date(Math.min(...timestamps)), new Date(Math.max(...timestamps))]);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        const reconciliation = await this.reconcile(storeId, {
+            from, to, skuIds: [...new Set(valid.map(l => l.storeItemId))]
+        });
+
+        console.log(`🧾 Sales import ${batchId} for ${storeId}: ${inserted} line(s), ${valid.length - inserted} duplicate(s), ${rejected.length} rejected, ${inferredReplaced} inferred sale(s) replaced`);
+        return {
+            batchId,
+            rowsTotal: rawRows.length,
+            linesImported: inserted,
+            duplicates: valid.length - inserted,
+            rejectedCount: rejected.length,
+            rejected: rejected.slice(0, MAX_REJECTED_LISTED),
+            inferredReplaced,
+            from,
+            to,
+            reconciliation
+        };
+    }
+
+    /**
+     * Billed units vs stock movement per SKU-day
+     * @param {object} range { from, to (YYYY-MM-DD), skuIds? (default: SKUs with bill lines in range) }
+     */
+    async reconcile(storeId, { from, to, skuIds = null }) {
+        let skus = skuIds;
+        if (!skus) {
+            const billedSkus = await this.pool.query(`
+                SELECT DISTINCT store_item_id FROM sales_transactions
+                WHERE store_id = $1 AND source = 'pos_bill' AND transaction_date BETWEEN $2::date AND $3::date
+            `, [storeId, from, to]);
+            skus = billedSkus.rows.map(r => r.store_item_id);
+        }
+        if (skus.length === 0) return { from, to, summary: PosSalesImporter.summarize([]), rows: [] };
+
+        const res = await this.pool.query(`
+            WITH snaps AS (
+                SELECT store_item_id, as_of_date, transaction_type,
+                       LAG(quantity_on_hand) OVER (PARTITION BY store_item_id ORDER BY as_of_date) - quantity_on_hand AS qty_drop
+                FROM onboarding_handoff
+                WHERE store_id = $1 AND store_item_id = ANY($4)
+                AND as_of_date >= $2::date - $5::int AND as_of_date < $3::date + 1
+            ),
+            stock AS (
+                SELECT store_item_id, as_of_date::date AS day, SUM(qty_drop) AS units
+                FROM snaps
+                WHERE as_of_date >= $2::date AND qty_drop IS NOT NULL
+                AND (transaction_type IN ('SALE', 'BULK_SALE_IMPORT', 'RETURN', 'BULK_RETURN_IMPORT')
+                     OR (transaction_type IS NULL AND qty_drop > 0))
+                GROUP BY store_item_id, as_of_date::date
+            ),
+            billed AS (
+                SELECT store_item_id, transaction_date AS day, SUM(quantity_sold) AS units,
+                       SUM(revenue) AS revenue, COUNT(DISTINCT bill_number) AS bills
+                FROM sales_transactions
+                WHERE store_id = $1 AND source = 'pos_bill' AND store_item_id = ANY($4)
+                AND transaction_date BETWEEN $2::date AND $3::date
+                GROUP BY store_item_id, transaction_date
+            )
+            SELECT COALESCE(b.store_item_id, s.store_item_id) AS store_item_id,
+                   TO_CHAR(COALESCE(b.day, s.day), 'YYYY-MM-DD') AS day,
+                   b.units AS billed_units, b.revenue, b.bills, s.units AS stock_units,
+                   r.normalized_product_name
+            FROM billed b
+            FULL OUTER JOIN stock s ON s.store_item_id = b.store_item_id AND s.day = b.day
+            LEFT JOIN store_sku_registry r ON r.store_id = $1 AND r.store_item_id = COALESCE(b.store_item_id, s.store_item_id)
+            ORDER BY 2, 1
+        `, [storeId, from, to, skus, STOCK_LOOKBACK_DAYS]);
+
+        const rows = res.rows.map(r => PosSalesImporter.classify(r));
+        return { from, to, summary: PosSalesImporter.summarize(rows), rows };
+    }
+
+    /**
+     * Map item codes (or barcodes, or codes mapped in the unknown-SKU quarantine) to registry SKUs
+     */
+    async resolveSkus(storeId, lines, rejected) {
+        const codes = [...new Set(lines.map(l => l.sku).filter(Boolean))];
+        const barcodes = [...new Set(lines.map(l => l.barcode).filter(Boolean))];
+        const registry = await this.pool.query(`
+            SELECT store_item_id, barcode FROM store_sku_registry
+            WHERE store_id = $1 AND status = 'active' AND (store_item_id = ANY($2) OR barcode = ANY($3))
+        `, [storeId, codes, barcodes]);
+        const aliases = await this.pool.query(
+            'SELECT alias_item_id, store_item_id FROM sku_id_aliases WHERE store_id = $1 AND alias_item_id = ANY($2)',
+            [storeId, codes]
+        );
+        const known = new Set(registry.rows.map(r => r.store_item_id));
+        const byBarcode = new Map(registry.rows.filter(r => r.barcode).map(r => [String(r.barcode), r.store_item_id]));
+        const aliasMap = new Map(aliases.rows.map(r => [r.alias_item_id, r.store_item_id]));
+
+        for (const line of lines) {
+            line.storeItemId = (line.sku && known.has(line.sku) && line.sku) ||
+                (line.sku && aliasMap.get(line.sku)) ||
+                (line.barcode && byBarcode.get(line.barcode)) || null;
+            if (!line.storeItemId) {
+                rejected.push({ row: line.row, reason: `Unknown SKU ${line.sku || line.barcode}` });
+            }
+        }
+    }
+
+    /**
+     * Validate and normalize export rows; lines without a number are numbered per bill
+     */
+    static parseRows(rawRows) {
+        const lines = [];
+        const rejected = [];
+        const seen = new Set();
+        const nextLine = new Map();
+
+        rawRows.forEach((raw, i) => {
+            const row = i + 2; // Header is row 1
+            const get = PosSalesImporter.columnReader(raw);
+            const bill = get('bill') === null ? '' : String(get('bill')).trim();
+            const sku = get('sku') === null ? null : String(get('sku')).trim() || null;
+            const barcode = get('barcode') === null ? null : String(get('barcode')).trim() || null;
+            const quantity = parseFloat(get('quantity'));
+            const price = parseFloat(get('price'));
+            const discount = get('discount') === null || get('discount') === '' ? 0 : parseFloat(get('discount'));
+            const timestamp = PosSalesImporter.parseTimestamp(get('timestamp'), get('time'));
+
+            let reason = null;
+            if (!bill) reason = 'Missing bill number';
+            else if (bill.length > 60) reason = 'Bill number longer than 60 characters';
+            else if (!sku && !barcode) reason = 'Missing item code / barcode';
+            else if (!timestamp) reason = 'Missing or unreadable timestamp';
+            else if (!Number.isFinite(quantity) || quantity === 0) reason = 'Quantity must be a non-zero number';
+            else if (!Number.isFinite(price) || price < 0) reason = 'Unit price must be zero or more';
+            else if (!Number.isFinite(discount) || discount < 0) reason = 'Discount must be zero or more';
+            else if (discount > Math.abs(quantity) * price + RECONCILE_TOLERANCE) reason = 'Discount exceeds line amount';
+            if (reason) {
+                rejected.push({ row, reason });
+                return;
+            }
+
+            const explicitLine = parseInt(get('line'), 10);
+            const line = Number.isInteger(explicitLine) && explicitLine > 0 ? explicitLine : (nextLine.get(bill) || 1);
+            nextLine.set(bill, Math.max(nextLine.get(bill) || 1, line + 1));
+            const key = `${bill}|${line}`;
+            if (seen.has(key)) {
+                rejected.push({ row, reason: `Duplicate line ${line} of bill ${bill} in file` });
+                return;
+            }
+            seen.add(key);
+
+            // Returns give the discount back with the goods
+            const revenue = quantity * price - Math.sign(quantity) * discount;
+            const tender = get('tender') === null ? null : String(get('tender')).trim().toUpperCase().slice(0, 30) || null;
+            lines.push({
+                row, bill, line, sku, barcode, timestamp, quantity, price, discount, tender,
+                revenue: Math.round(revenue * 100) / 100,
+                netPrice: Math.round(revenue / quantity * 100) / 100
+            });
+        });
+        return { lines, rejected };
+    }
+
+    /**
+     * Reader for the first matching alias of a logical column
+     */
+    static columnReader(raw) {
+        const normalized = new Map(Object.keys(raw).map(k => [k.toLowerCase().replace(/[^a-z0-9]/g, ''), k]));
+        return field => {
+            for (const alias of COLUMNS[field]) {
+                const key = normalized.get(alias);
+                if (key !== undefined && raw[key] !== null && raw[key] !== undefined) return raw[key];
+            }
+            return null;
+        };
+    }
+
+    /**
+     * Date objects, Excel serial dates, ISO strings and DD/MM/YYYY [HH:mm[:ss]] (local time);
+     * a separate time column completes a date-only value
+     */
+    static parseTimestamp(value, time = null) {
+        if (value === null || value === undefined || value === '') return null;
+        let date;
+        if (value instanceof Date) {
+            date = new Date(value);
+        } else if (typeof value === 'number') {
+            // Excel serial day (1900 system), local wall clock
+            const ms = Math.round((value - 25569) * 86400000);
+            const utc = new Date(ms);
+            date = new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate(),
+                utc.getUTCHours(), utc.getUTCMinutes(), utc.getUTCSeconds());
+        } else {
+            const text = String(value).trim();
+            const dmy = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+            date = dmy ?
+                new Date(+dmy[3], +dmy[2] - 1, +dmy[1], +(dmy[4] || 0), +(dmy[5] || 0), +(dmy[6] || 0)) :
+                new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00:00` : text);
+        }
+        if (Number.isNaN(date.getTime())) return null;
+
+        const hasClock = date.getHours() || date.getMinutes() || date.getSeconds();
+        if (time !== null && time !== undefined && time !== '' && !hasClock) {
+            const clock = typeof time === 'number' ?
+                Math.round(time * 86400) : // Excel fraction of a day
+                (([h, m, s]) => (+h || 0) * 3600 + (+m || 0) * 60 + (+s || 0))(String(time).trim().split(':'));
+            if (Number.isFinite(clock)) date.setSeconds(clock);
+        }
+        return date;
+    }
+
+    static localDate(d) {
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    static classify(r) {
+        const billed = r.billed_units === null ? 0 : parseFloat(r.billed_units);
+        const stock = r.stock_units === null ? null : parseFloat(r.stock_units);
+        const variance = stock === null ? null : stock - billed;
+        let status;
+        if (stock === null) status = 'NO_STOCK_MOVEMENT';
+        else if (Math.abs(variance) <= RECONCILE_TOLERANCE) status = 'MATCHED';
+        else status = variance > 0 ? 'UNBILLED_DROP' : 'UNDEDUCTED_SALES';
+        return {
+            storeItemId: r.store_item_id,
+            productName: r.normalized_product_name,
+            date: r.day,
+            bills: parseInt(r.bills, 10) || 0,
+            billedUnits: billed,
+            billedRevenue: r.revenue === null ? 0 : parseFloat(r.revenue),
+            stockDropUnits: stock,
+            varianceUnits: variance === null ? null : Math.round(variance * 1000) / 1000,
+            status
+        };
+    }
+
+    static summarize(rows) {
+        const summary = { skuDays: rows.length, MATCHED: 0, UNBILLED_DROP: 0, UNDEDUCTED_SALES: 0, NO_STOCK_MOVEMENT: 0 };
+        for (const r of rows) summary[r.status]++;
+        return summary;
+    }
+}
+
+PosSalesImporter.PosSalesImportError = PosSalesImportError;
+
+module.exports = PosSalesImporter;
@@ -0,0 +1,501 @@
+/**
+ * POS WEBHOOK INGESTOR
+ *
+ * JSON push entry point for a POS streaming its events instead of dropping files.
+ *
+ * Request: POST /api/sync/webhook/:storeId
+ *   X-Webhook-Timestamp: unix seconds (rejected when more than 5 minutes off)
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" with
+ *                        store_sync_config.webhook_secret>
+ *   Body: { events: [{ idempotencyKey, type: sale | return | stock_adjust,
+ *                      storeItemId, quantity, mode?: delta | absolute (stock_adjust),
+ *                      reason?, sellingPrice?, costPrice?, occurredAt? }] }
+ *
+ * Events land in pos_webhook_events once per idempotency key (a retried key is a
+ * duplicate, not an error). A per-store flush then feeds them to
+ * IncrementalSyncAgent.sync in micro-batches: after 5 seconds of quiet or as soon
+ * as 200 are queued. A micro-batch never mixes event kinds for one SKU, because the
+ * sync nets every update of a SKU into one snapshot, nor spans two days of
+ * occurredAt; its snapshots carry its last event's time, so events the POS buffered
+ * offline land on the day they happened. Events for SKUs missing from the registry
+ * are parked by the sync's quarantine (SkuQuarantine) and stay 'unknown_sku' until
+ * the owner resolves the SKU and they are replayed.
+ *
+ * A micro-batch that fails (e.g. a transient DB error) goes back to 'queued' and is
+ * retried after 30s, 1, 2, 4 min; after 5 attempts it is 'failed' until an owner
+ * requeues it (the POS's own retries are duplicates of the stored key).
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+const MAX_EVENTS_PER_REQUEST = 500;
+const MICRO_BATCH_SIZE = 200;
+const MICRO_BATCH_WINDOW_MS = 5000;
+const STALE_PROCESSING_MINUTES = 10;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_SECONDS = 30;
+
+const EVENT_TYPES = Object.freeze({ sale: 'SALE', return: 'RETURN', stock_adjust: 'STOCK_ADJUST' });
+const ADJUST_REASONS = ['ADJUSTMENT', 'RESTOCK', 'DAMAGE', 'EXPIRY', 'STOCK_TAKE'];
+
+class PosWebhookError extends Error {
+    constructor(message, statusCode = 400, code = null) {
+        super(message);
+        this.name = 'PosWebhookError';
+        this.statusCode = statusCode;
+        this.code = code;
+    }
+}
+
+class PosWebhookIngestor {
+    constructor(pool, incrementalSyncAgent) {
+        this.pool = pool;
+        this.incrementalSyncAgent = incrementalSyncAgent;
+        this.timers = new Map(); // storeId -> pending flush timer
+        this.flushing = new Map(); // storeId -> running flush promise
+    }
+
+    /**
+     * Signature the POS must send for a body (also used by connector tooling)
+     */
+    static sign(secret, timestamp, rawBody) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+    }
+
+    /**
+     * Check the store accepts webhooks and the HMAC signature is valid and fresh
+     */
+    async verify(storeId, headers, rawBody, now = Date.now()) {
+        const config = await this.pool.query(`
+            SELECT sync_mode, sync_enabled, webhook_secret
+            FROM store_sync_config WHERE store_id = $1
+        `, [storeId]);
+        const cfg = config.rows[0];
+        if (!cfg || !cfg.webhook_secret) {
+            throw new PosWebhookError('Webhook ingestion is not configured for this store', 404, 'WEBHOOK_NOT_CONFIGURED');
+        }
+        if (!cfg.sync_enabled || cfg.sync_mode !== 'WEBHOOK') {
+            throw new PosWebhookError('Webhook sync is disabled for this store', 403, 'WEBHOOK_DISABLED');
+        }
+
+        const timestamp = String(headers['x-webhook-timestamp'] || '');
+        const signature = String(headers['x-webhook-signature'] || '').replace(/^sha256=/, '');
+        if (!/^\d+$/.test(timestamp) || !signature) {
+            throw new PosWebhookError('X-Webhook-Timestamp and X-Webhook-Signature are required', 401, 'SIGNATURE_MISSING');
+        }
+        if (Math.abs(now / 1000 - parseInt(timestamp, 10)) > SIGNATURE_TOLERANCE_SECONDS) {
+            throw new PosWebhookError('Webhook timestamp is outside the 5-minute window', 401, 'SIGNATURE_EXPIRED');
+        }
+
+        const expected = Buffer.from(PosWebhookIngestor.sign(cfg.webhook_secret, timestamp, rawBody || ''), 'hex');
+        const given = Buffer.from(signature, 'hex');
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            throw new PosWebhookError('Invalid webhook signature', 401, 'SIGNATURE_INVALID');
+        }
+    }
+
+    /**
+     * Validate one event into its inbox row (throws a message on bad input)
+     */
+    static normalizeEvent(event, receivedAt = new Date()) {
+        if (!event || typeof event !== 'object') throw new Error('event must be an object');
+
+        const idempotencyKey = String(event.idempotencyKey || event.idempotency_key || '').trim();
+        if (!idempotencyKey || idempotencyKey.length > 200) throw new Error('idempotencyKey is required (max 200 characters)');
+
+        const eventType = EVENT_TYPES[String(event.type || '').toLowerCase()];
+        if (!eventType) throw new Error(`type must be one of ${Object.keys(EVENT_TYPES).join(', ')}`);
+
+        const storeItemId = String(event.storeItemId || event.store_item_id || event.sku || '').trim();
+        if (!storeItemId) throw new Error('storeItemId is required');
+
+        const quantity = parseFloat(event.quantity);
+        if (!Number.isFinite(quantity)) throw new Error('quantity must be a number');
+
+        let quantityMode = 'delta';
+        let reason = null;
+        if (eventType === 'STOCK_ADJUST') {
+            quantityMode = String(event.mode || 'delta').toLowerCase();
+            if (!['delta', 'absolute'].includes(quantityMode)) throw new Error('mode must be delta or absolute');
+            reason = String(event.reason || (quantityMode === 'absolute' ? 'STOCK_TAKE' : 'ADJUSTMENT')).toUpperCase();
+            if (!ADJUST_REASONS.includes(reason)) throw new Error(`reason must be one of ${ADJUST_REASONS.join(', ')}`);
+            if (quantityMode === 'absolute' && quantity < 0) throw new Error('absolute stock cannot be negative');
+            if (quantityMode === 'delta' && quantity === 0) throw new Error('quantity must not be 0');
+        } else if (quantity <= 0) {
+            throw new Error('quantity must be positive');
+        }
+
+        const price = (v) => {
+            if (v === undefined || v === null || v === '') return null;
+            const n = parseFloat(v);
+            if (!Number.isFinite(n) || n < 0) throw new Error('prices must be non-negative numbers');
+            return n;
+        };
+
+        const occurredAt = event.occurredAt || event.occurred_at ? new Date(event.occurredAt || event.occurred_at) : receivedAt;
+        if (isNaN(occurredAt.getTime())) throw new Error('occurredAt must be an ISO timestamp');
+
+        return {
+            idempotencyKey,
+            eventType,
+            storeItemId,
+            quantity,
+            quantityMode,
+            reason,
+            sellingPrice: price(event.sellingPrice ?? event.selling_price),
+            costPrice: price(event.costPrice ?? event.cost_price),
+            occurredAt,
+            payload: event
+        };
+    }
+
+    /**
+     * Store a signed request's events (deduplicated) and schedule the micro-batch flush
+     */
+    async ingest(storeId, body) {
+        const events = Array.isArray(body?.events) ? body.events : (body && body.type ? [body] : null);
+        if (!events || events.length === 0) throw new PosWebhookError('Provide events: [...]');
+        if (events.length > MAX_EVENTS_PER_REQUEST) {
+            throw new PosWebhookError(`At most ${MAX_EVENTS_PER_REQUEST} events per request`, 413);
+        }
+
+        const receivedAt = new Date();
+        const rows = [];
+        const rejected = [];
+        const seen = new Set();
+        events.forEach((event, index) => {
+            try {
+                const row = PosWebhookIngestor.normalizeEvent(event, receivedAt);
+                if (seen.has(row.idempotencyKey)) return; // Repeated inside the same request
+                seen.add(row.idempotencyKey);
+                rows.push(row);
+            } catch (err) {
+                rejected.push({ index, idempotencyKey: event?.idempotencyKey || null, error: err.message });
+            }
+        });
+
+        let accepted = 0;
+        if (rows.length > 0) {
+            const res = await this.pool.query(`
+                INSERT INTO pos_webhook_events (
+                    store_id, idempotency_key, event_type, store_item_id, quantity, quantity_mode,
+                    reason, selling_price, cost_price, payload, occurred_at
+                )
+                SELECT $1, * FROM UNNEST(
+                    $2::varchar[], $3::varchar[], $4::varchar[], $5::numeric[], $6::varchar[],
+                    $7::varchar[], $8::numeric[], $9::numeric[], $10::jsonb[], $11::timestamp[]
+                )
+                ON CONFLICT (store_id, idempotency_key) DO NOTHING
+                RETURNING idempotency_key
+            `, [
+                storeId,
+                rows.map(r => r.idempotencyKey),
+                rows.map(r => r.eventType),
+                rows.map(r => r.storeItemId),
+                rows.map(r => r.quantity),
+                rows.map(r => r.quantityMode),
+                rows.map(r => r.reason),
+                rows.map(r => r.sellingPrice),
+                rows.map(r => r.costPrice),
+                rows.map(r => JSON.stringify(r.payload)),
+                rows.map(r => r.occurredAt)
+            ]);
+            accepted = res.rowCount;
+        }
+
+        if (accepted > 0) this.scheduleFlush(storeId, accepted);
+
+        return {
+            received: events.length,
+            accepted,
+            duplicates: rows.length - accepted + (events.length - rejected.length - rows.length),
+            rejected
+        };
+    }
+
+    /**
+     * Flush after a quiet window, or right away once a full micro-batch is waiting
+     */
+    scheduleFlush(storeId, newEvents = 0, delayMs = MICRO_BATCH_WINDOW_MS) {
+        if (newEvents >= MICRO_BATCH_SIZE) {
+            this.clearTimer(storeId);
+            setImmediate(() => this.flush(storeId).catch(err => {
+                console.error(`❌ Webhook flush failed for ${storeId}:`, err.message);
+            }));
+            return;
+        }
+        if (this.timers.has(storeId)) return;
+        const timer = setTimeout(() => {
+            this.timers.delete(storeId);
+            this.flush(storeId).catch(err => {
+                console.error(`❌ Webhook flush failed for ${storeId}:`, err.message);
+            });
+        }, delayMs);
+        if (timer.unref) timer.unref();
+        this.timers.set(storeId, timer);
+    }
+
+    clearTimer(storeId) {
+        const timer = this.timers.get(storeId);
+        if (timer) clearTimeout(timer);
+        this.timers.delete(storeId);
+    }
+
+    /**
+     * Drain the store's queued events into the incremental sync (one flush per store at a time)
+     */
+    async flush(storeId) {
+        if (this.flushing.has(storeId)) {
+            // Events queued while a flush runs are picked up by its next loop
+            return this.flushing.get(storeId);
+        }
+        const run = this.drain(storeId).finally(() => this.flushing.delete(storeId));
+        this.flushing.set(storeId, run);
+        return run;
+    }
+
+    async drain(storeId) {
+        const summary = { batches: 0, synced: 0, retrying: 0, failed: 0, unknown: 0 };
+        for (;;) {
+            const claimed = await this.pool.query(`
+                UPDATE pos_webhook_events e SET status = 'processing', processed_at = CURRENT_TIMESTAMP
+                FROM (
+                    SELECT idempotency_key FROM pos_webhook_events
+                    WHERE store_id = $1 AND status = 'queued'
+                    AND (next_attempt_at IS NULL OR next_attempt_at <= CURRENT_TIMESTAMP)
+                    ORDER BY occurred_at, received_at
+                    LIMIT $2
+                    FOR UPDATE SKIP LOCKED
+                ) q
+                WHERE e.store_id = $1 AND e.idempotency_key = q.idempotency_key
+                RETURNING e.*
+            `, [storeId, MICRO_BATCH_SIZE]);
+            if (claimed.rows.length === 0) break;
+
+            const events = claimed.rows.sort((a, b) =>
+                new Date(a.occurred_at) - new Date(b.occurred_at) || new Date(a.received_at) - new Date(b.received_at));
+
+            for (const batch of PosWebhookIngestor.splitMicroBatches(events)) {
+                const syncRunId = crypto.randomUUID();
+                const startedAt = new Date();
+                try {
+                    const result = await this.incrementalSyncAgent.sync(storeId, batch.map(e => PosWebhookIngestor.toSyncUpdate(e)), {
+                        syncRunId,
+                        syncType: 'webhook',
+                        dataSource: 'pos_webhook',
+                        asOf: await this.batchAsOf(storeId, batch)
+                    });
+                    // Events of SKUs parked in the quarantine are synced when the owner resolves them
+                    const parkedIds = new Set((result.quarantined || [])
+                        .filter(q => q.status === 'parked').map(q => q.store_item_id));
+                    const parked = batch.filter(e => parkedIds.has(e.store_item_id));
+                    const synced = batch.filter(e => !parkedIds.has(e.store_item_id));
+                    if (synced.length > 0) await this.markEvents(storeId, synced, 'synced', syncRunId, null);
+                    if (parked.length > 0) {
+                        await this.markEvents(storeId, parked, 'unknown_sku', syncRunId, 'SKU is not in the store registry (quarantined)');
+                    }
+                    await this.logSyncRun(storeId, syncRunId, startedAt, 'completed', batch.length, null);
+                    summary.synced += synced.length;
+                    summary.unknown += parked.length;
+                } catch (err) {
+                    console.error(`❌ Webhook micro-batch ${syncRunId} failed for ${storeId}:`, err.message);
+                    const retry = await this.markAttemptFailed(storeId, batch, syncRunId, err.message);
+                    await this.logSyncRun(storeId, syncRunId, startedAt, 'failed', batch.length, err.message);
+                    summary.retrying += retry.retrying;
+                    summary.failed += retry.failed;
+                }
+                summary.batches++;
+            }
+
+            if (claimed.rows.length < MICRO_BATCH_SIZE) break;
+        }
+
+        // Wake up for the earliest retry still waiting on its backoff
+        const nextRetry = await this.pool.query(`
+            SELECT MIN(next_attempt_at) AS next_attempt_at FROM pos_webhook_events
+            WHERE store_id = $1 AND status = 'queued' AND next_attempt_at > CURRENT_TIMESTAMP
+        `, [storeId]);
+        const nextAt = nextRetry.rows[0]?.next_attempt_at;
+        if (nextAt) this.scheduleFlush(storeId, 0, Math.max(new Date(nextAt) - Date.now(), 0) + 1000);
+
+        if (summary.batches > 0 || summary.unknown > 0) {
+            console.log(`📨 Webhook flush for ${storeId}: ${summary.synced} synced in ${summary.batches} micro-batch(es), ${summary.retrying} to retry, ${summary.failed} failed, ${summary.unknown} unknown SKU`);
+        }
+        return summary;
+    }
+
+    /**
+     * Snapshot time of a micro-batch: its last event, but strictly after the newest
+     * snapshot of its SKUs (the sync applies the batch on top of that state, and
+     * v_latest_inventory must keep seeing the result) and never in the future
+     */
+    async batchAsOf(storeId, batch) {
+        const latest = await this.pool.query(`
+            SELECT MAX(as_of_date) AS as_of_date FROM onboarding_handoff
+            WHERE store_id = $1 AND store_item_id = ANY($2)
+        `, [storeId, [...new Set(batch.map(e => e.store_item_id))]]);
+        const lastEventAt = new Date(batch[batch.length - 1].occurred_at).getTime();
+        const latestAt = latest.rows[0]?.as_of_date ? new Date(latest.rows[0].as_of_date).getTime() + 1 : 0;
+        return new Date(Math.min(Math.max(lastEventAt, latestAt), Date.now()));
+    }
+
+    /**
+     * Consecutive runs within one day of occurredAt in which every SKU has a single
+     * event kind (sale, return, delta adjust per reason, or absolute count), so
+     * netting inside the sync is exact
+     */
+    static splitMicroBatches(events) {
+        const kindOf = e => e.event_type === 'STOCK_ADJUST' ?
+            (e.quantity_mode === 'absolute' ? 'ABSOLUTE' : `ADJUST:${e.reason}`) : e.event_type;
+        const batches = [];
+        let current = [];
+        let kinds = new Map();
+        let day = null;
+        for (const e of events) {
+            const kind = kindOf(e);
+            const existing = kinds.get(e.store_item_id);
+            const eventDay = new Date(e.occurred_at).toDateString();
+            if ((existing && existing !== kind) || (day !== null && eventDay !== day)) {
+                batches.push(current);
+                current = [];
+                kinds = new Map();
+            }
+            kinds.set(e.store_item_id, kind);
+            current.push(e);
+            day = eventDay;
+        }
+        if (current.length > 0) batches.push(current);
+        return batches;
+    }
+
+    /**
+     * Inbox row -> IncrementalSyncAgent update
+     */
+    static toSyncUpdate(e) {
+        const quantity = parseFloat(e.quantity);
+        const update = {
+            store_item_id: e.store_item_id,
+            webhook_idempotency_key: e.idempotency_key,
+            occurred_at: e.occurred_at,
+            ...(e.selling_price !== null && e.selling_price !== undefined && { selling_price: parseFloat(e.selling_price) }),
+            ...(e.cost_price !== null && e.cost_price !== undefined && { cost_price: parseFloat(e.cost_price) })
+        };
+        if (e.event_type === 'SALE' || e.event_type === 'RETURN') {
+            return { ...update, quantity: Math.abs(quantity), transaction_type: e.event_type };
+        }
+        if (e.quantity_mode === 'absolute') {
+            return { ...update, quantity_on_hand: String(quantity), transaction_type: e.reason || 'STOCK_TAKE' };
+        }
+        return { ...update, quantity, quantity_mode: 'delta', transaction_type: e.reason || 'ADJUSTMENT' };
+    }
+
+    async markEvents(storeId, events, status, syncRunId, errorMessage) {
+        await this.pool.query(`
+            UPDATE pos_webhook_events
+            SET status = $3, sync_run_id = $4, error_message = $5, processed_at = CURRENT_TIMESTAMP
+            WHERE store_id = $1 AND idempotency_key = ANY($2)
+        `, [storeId, events.map(e => e.idempotency_key), status, syncRunId, errorMessage]);
+    }
+
+    /**
+     * Failed micro-batch: requeue with exponential backoff, or mark 'failed' after MAX_ATTEMPTS
+     */
+    async markAttemptFailed(storeId, events, syncRunId, errorMessage) {
+        const res = await this.pool.query(`
+            UPDATE pos_webhook_events SET
+                attempts = attempts + 1,
+                status = CASE WHEN attempts + 1 >= $3 THEN 'failed' ELSE 'queued' END,
+                next_attempt_at = CASE WHEN attempts + 1 >= $3 THEN NULL
+                    ELSE CURRENT_TIMESTAMP + ($4 * POWER(2, attempts)) * INTERVAL '1 second' END,
+                sync_run_id = $5, error_message = $6, processed_at = CURRENT_TIMESTAMP
+            WHERE store_id = $1 AND idempotency_key = ANY($2)
+            RETURNING status
+        `, [storeId, events.map(e => e.idempotency_key), MAX_ATTEMPTS, RETRY_BASE_SECONDS, syncRunId, errorMessage]);
+        const failed = res.rows.filter(r => r.status === 'failed').length;
+        return { retrying: res.rows.length - failed, failed };
+    }
+
+    /**
+     * Owner action: put 'failed' events (all, or the given keys) back in the queue with fresh attempts
+     */
+    async requeueFailed(storeId, idempotencyKeys = null) {
+        const res = await this.pool.query(`
+            UPDATE pos_webhook_events SET status = 'queued', attempts = 0, next_attempt_at = NULL, error_message = NULL
+            WHERE store_id = $1 AND status = 'failed'
+            AND ($2::varchar[] IS NULL OR idempotency_key = ANY($2))
+        `, [storeId, Array.isArray(idempotencyKeys) && idempotencyKeys.length > 0 ? idempotencyKeys.map(String) : null]);
+        if (res.rowCount > 0) this.scheduleFlush(storeId);
+        return res.rowCount;
+    }
+
+    async logSyncRun(storeId, syncRunId, startedAt, status, count, errorMessage) {
+        try {
+            await this.pool.query(`
+                INSERT INTO sync_run_log (
+                    sync_run_id, store_id, sync_type, started_at, completed_at, status,
+                    records_processed, records_success, records_failed, error_message, data_source, triggered_by
+                ) VALUES ($1, $2, 'webhook', $3, CURRENT_TIMESTAMP, $4, $5, $6, $7, $8, 'pos_webhook', 'webhook')
+            `, [syncRunId, storeId, startedAt, status, count,
+                status === 'completed' ? count : 0, status === 'completed' ? 0 : count, errorMessage]);
+        } catch (err) {
+            console.warn(`⚠️ Could not log webhook sync run ${syncRunId}: ${err.message}`);
+        }
+    }
+
+    /**
+     * On startup: requeue events a crashed flush left in 'processing' and flush every store with a queue
+     */
+    async resumeQueued() {
+        await this.pool.query(`
+            UPDATE pos_webhook_events SET status = 'queued'
+            WHERE status = 'processing' AND processed_at < NOW() - ($1 || ' minutes')::interval
+        `, [String(STALE_PROCESSING_MINUTES)]);
+        const stores = await this.pool.query(`
+            SELECT DISTINCT store_id FROM pos_webhook_events WHERE status = 'queued'
+        `);
+        for (const { store_id: storeId } of stores.rows) this.scheduleFlush(storeId);
+        return stores.rows.length;
+    }
+
+    /**
+     * New webhook secret for a store; switches the store to WEBHOOK / REALTIME sync.
+     * The secret is returned once and only stored server-side.
+     */
+    async rotateSecret(storeId) {
+        const secret = crypto.randomBytes(32).toString('hex');
+        await this.pool.query(`
+            INSERT INTO store_sync_config (store_id, sync_mode, sync_frequency, webhook_secret, sync_enabled, updated_at)
+            VALUES ($1, 'WEBHOOK', 'REALTIME', $2, TRUE, CURRENT_TIMESTAMP)
+            ON CONFLICT (store_id) DO UPDATE SET
+                sync_mode = 'WEBHOOK', sync_frequency = 'REALTIME', webhook_secret = $2,
+                sync_enabled = TRUE, updated_at = CURRENT_TIMESTAMP
+        `, [storeId, secret]);
+        return secret;
+    }
+
+    /**
+     * Inbox counts by status and the latest failures
+     */
+    async getStatus(storeId) {
+        const counts = await this.pool.query(`
+            SELECT status, COUNT(*)::int AS events, MAX(received_at) AS last_received_at
+            FROM pos_webhook_events WHERE store_id = $1
+            GROUP BY status
+        `, [storeId]);
+        const failures = await this.pool.query(`
+            SELECT idempotency_key, event_type, store_item_id, status, attempts, next_attempt_at, error_message, processed_at
+            FROM pos_webhook_events
+            WHERE store_id = $1 AND (status IN ('failed', 'unknown_sku') OR (status = 'queued' AND attempts > 0))
+            ORDER BY processed_at DESC NULLS LAST
+            LIMIT 50
+        `, [storeId]);
+        return { byStatus: counts.rows, recentFailures: failures.rows };
+    }
+}
+
+PosWebhookIngestor.PosWebhookError = PosWebhookError;
+PosWebhookIngestor.MICRO_BATCH_SIZE = MICRO_BATCH_SIZE;
+PosWebhookIngestor.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = PosWebhookIngestor;
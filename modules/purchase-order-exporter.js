@@ -0,0 +1,106 @@
+/**
+ * PURCHASE ORDER EXPORTER
+ *
+ * Renders a PO (as returned by PurchaseOrderService.getPurchaseOrder) to XLSX or PDF
+ * so it can be shared with the supplier. Top-up lines carry their explanation.
+ */
+
+const XLSX = require('xlsx');
+const PDFDocument = require('pdfkit');
+
+class PurchaseOrderExporter {
+    /**
+     * Flatten PO lines into export rows
+     */
+    static buildRows(po) {
+        return po.items.map((item, idx) => {
+            const qty = parseFloat(item.quantity_ordered) || 0;
+            const cost = parseFloat(item.unit_cost) || 0;
+            return {
+                '#': idx + 1,
+                'SKU': item.store_item_id,
+                'Product': item.product_name || '',
+                'Qty': qty,
+                'Unit Cost': cost,
+                'Line Total': Math.round(qty * cost * 100) / 100,
+                'Received': parseFloat(item.quantity_received) || 0,
+                'Note': item.line_note || ''
+            };
+        });
+    }
+
+    static toXLSX(po) {
+        const rows = PurchaseOrderExporter.buildRows(po);
+        const total = rows.reduce((sum, r) => sum + r['Line Total'], 0);
+
+        const header = [
+            ['Purchase Order', po.po_number],
+            ['Supplier', po.supplier_name || 'Unassigned'],
+            ['Status', po.status],
+            ['Order Date', po.order_date ? new Date(po.order_date).toISOString().slice(0, 10) : ''],
+            ['Expected Delivery', po.expected_delivery_date ? new Date(po.expected_delivery_date).toISOString().slice(0, 10) : ''],
+            ['Notes', po.notes || ''],
+            []
+        ];
+
+        const sheet = XLSX.utils.aoa_to_sheet(header);
+        XLSX.utils.sheet_add_json(sheet, rows, { origin: -1 });
+        XLSX.utils.sheet_add_aoa(sheet, [[], ['', '', 'TOTAL', '', '', Math.round(total * 100) / 100]], { origin: -1 });
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, sheet, 'Purchase Order');
+        return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    }
+
+    static toPDF(po) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({ size: 'A4', margin: 40 });
+            const chunks = [];
+            doc.on('data', c => chunks.push(c));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            const rows = PurchaseOrderExporter.buildRows(po);
+            const total = rows.reduce((sum, r) => sum + r['Line Total'], 0);
+            const pdfText = t => String(t).replace(/₹/g, 'Rs. '); // Standard PDF fonts have no rupee glyph
+
+            doc.fontSize(18).text(`PURCHASE ORDER ${po.po_number}`);
+            doc.moveDown(0.5).fontSize(10);
+            doc.text(`Supplier: ${po.supplier_name || 'Unassigned'}`);
+            doc.text(`Status: ${po.status}`);
+            if (po.order_date) doc.text(`Order Date: ${new Date(po.order_date).toISOString().slice(0, 10)}`);
+            if (po.expected_delivery_date) doc.text(`Expected Delivery: ${new Date(po.expected_delivery_date).toISOString().slice(0, 10)}`);
+            if (po.notes) doc.text(`Notes: ${pdfText(po.notes)}`);
+            doc.moveDown();
+
+            // Columns: SKU | Product | Qty | Unit Cost | Line Total
+            const cols = [40, 130, 360, 420, 490];
+            const drawRow = (values, bold = false) => {
+                const y = doc.y;
+                doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+                values.forEach((v, i) => {
+                    const width = (cols[i + 1] || 555) - cols[i] - 5;
+                    doc.text(pdfText(v), cols[i], y, { width, ellipsis: true, lineBreak: false });
+                });
+                doc.moveDown(0.8);
+            };
+
+            drawRow(['SKU', 'Product', 'Qty', 'Unit Cost', 'Line Total'], true);
+            for (const r of rows) {
+                if (doc.y > 760) doc.addPage();
+                drawRow([r.SKU, r.Product, r.Qty, r['Unit Cost'].toFixed(2), r['Line Total'].toFixed(2)]);
+                if (r.Note) {
+                    doc.font('Helvetica-Oblique').fontSize(8)
+                        .text(pdfText(r.Note), cols[1], doc.y - 4, { width: 555 - cols[1] });
+                    doc.fontSize(10).moveDown(0.4);
+                }
+            }
+
+            doc.moveDown();
+            drawRow(['', '', '', 'TOTAL', `Rs. ${total.toFixed(2)}`], true);
+            doc.end();
+        });
+    }
+}
+
+module.exports = PurchaseOrderExporter;
@@ -0,0 +1,787 @@
+/**
+ * PURCHASE ORDER SERVICE
+ *
+ * Server-side PO lifecycle:
+ *   draft -> sent -> partially_received -> received -> closed
+ *   draft / sent (nothing received) -> cancelled
+ *
+ * Every transition is written to operational_audit_log in the same transaction.
+ * Receiving appends a RESTOCK snapshot to onboarding_handoff so on-hand stock
+ * moves without a separate sync file, and opens an inventory lot for expiry tracking.
+ *
+ * Cart checkout splits lines into one draft per supplier, applies MOQ / case-pack
+ * rounding, and tops up suppliers below their minimum order value with the next
+ * most urgent BUY_MORE SKUs from the same supplier.
+ */
+
+const crypto = require('crypto');
+const StockoutLedger = require('./stockout-ledger');
+const LotLedger = require('./lot-ledger');
+const { ValidationSchemas } = require('./validation-schemas');
+
+// Allowed status transitions ('pending' = legacy / imported open PO, treated like 'sent')
+const TRANSITIONS = Object.freeze({
+    draft: ['sent', 'cancelled'],
+    pending: ['partially_received', 'received', 'closed', 'cancelled'],
+    sent: ['partially_received', 'received', 'closed', 'cancelled'],
+    partially_received: ['partially_received', 'received', 'closed'],
+    received: ['closed'],
+    closed: [],
+    cancelled: []
+});
+
+class PurchaseOrderError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'PurchaseOrderError';
+        this.statusCode = statusCode;
+    }
+}
+
+class PurchaseOrderService {
+    constructor(pool) {
+        this.pool = pool;
+        this.stockoutLedger = new StockoutLedger(pool);
+        this.lotLedger = new LotLedger(pool);
+    }
+
+    /**
+     * READ: List POs with line totals
+     */
+    async listPurchaseOrders(storeId, options = {}) {
+        const params = [storeId];
+        let statusFilter = '';
+        if (options.status) {
+            params.push(String(options.status).split(','));
+            statusFilter = `AND po.status = ANY($2)`;
+        }
+
+        const res = await this.pool.query(`
+            SELECT po.*,
+                   COUNT(poi.po_item_id)::int AS line_count,
+                   COALESCE(SUM(poi.quantity_ordered), 0) AS total_quantity,
+                   COALESCE(SUM(poi.quantity_ordered * poi.unit_cost), 0) AS total_value,
+                   COALESCE(SUM(poi.quantity_received), 0) AS total_received
+            FROM purchase_orders po
+            LEFT JOIN purchase_order_items poi ON poi.po_id = po.po_id
+            WHERE po.store_id = $1 ${statusFilter}
+            GROUP BY po.po_id
+            ORDER BY po.created_at DESC
+            LIMIT 200
+        `, params);
+        return res.rows;
+    }
+
+    async getPurchaseOrder(storeId, poId, client = this.pool) {
+        PurchaseOrderService.assertPoId(poId);
+        const po = await client.query(
+            'SELECT * FROM purchase_orders WHERE store_id = $1 AND po_id = $2',
+            [storeId, poId]
+        );
+        if (po.rows.length === 0) {
+            throw new PurchaseOrderError(`Purchase order ${poId} not found`, 404);
+        }
+
+        const items = await client.query(`
+            SELECT poi.*, r.normalized_product_name AS product_name
+            FROM purchase_order_items poi
+            LEFT JOIN store_sku_registry r ON r.store_id = poi.store_id AND r.store_item_id = poi.store_item_id
+            WHERE poi.po_id = $1
+            ORDER BY r.normalized_product_name
+        `, [poId]);
+
+        return { ...po.rows[0], items: items.rows };
+    }
+
+    /**
+     * CREATE: Draft PO from accepted recommendations and/or explicit lines.
+     * lines: [{ storeItemId, quantity, unitCost?, recommendationId? }]
+     */
+    async createDraft(storeId, userId, data = {}) {
+        const { recommendationIds = [], lines = [] } = data;
+        if (recommendationIds.length === 0 && lines.length === 0) {
+            throw new PurchaseOrderError('Provide recommendationIds or lines to create a draft');
+        }
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const draftLines = new Map();
+
+            if (recommendationIds.length > 0) {
+                const recs = await client.query(`
+                    SELECT ir.recommendation_id, ir.store_item_id, ir.recommended_order_quantity,
+                           COALESCE(i.cost_price, r.cost_price, 0) AS unit_cost
+                    FROM inventory_recommendations ir
+                    JOIN store_sku_registry r ON r.store_id = ir.store_id AND r.store_item_id = ir.store_item_id
+                    LEFT JOIN v_latest_inventory i ON i.store_id = ir.store_id AND i.store_item_id = ir.store_item_id
+                    WHERE ir.store_id = $1 AND ir.recommendation_id = ANY($2::uuid[])
+                    AND ir.mode = 'ACTIVE' AND ir.feedback_status IN ('ACCEPTED', 'UPDATED')
+                    AND ir.recommended_order_quantity > 0
+                `, [storeId, recommendationIds]);
+
+                for (const rec of recs.rows) {
+                    draftLines.set(rec.store_item_id, {
+                        storeItemId: rec.store_item_id,
+                        quantity: parseFloat(rec.recommended_order_quantity),
+                        unitCost: parseFloat(rec.unit_cost) || 0,
+                        recommendationId: rec.recommendation_id,
+                        source: 'recommendation'
+                    });
+                }
+            }
+
+            // Explicit lines override recommendation quantities (user edits in the cart)
+            for (const line of lines) {
+                const normalized = this.normalizeLine(line);
+                const existing = draftLines.get(normalized.storeItemId);
+                draftLines.set(normalized.storeItemId, {
+                    ...normalized,
+                    unitCost: normalized.unitCost ?? existing?.unitCost ?? null,
+                    recommendationId: normalized.recommendationId || existing?.recommendationId || null,
+                    source: existing ? existing.source : 'manual'
+                });
+            }
+
+            if (draftLines.size === 0) {
+                throw new PurchaseOrderError('No accepted recommendations with an order quantity were found');
+            }
+
+            const supplier = await this.resolveSupplier(client, storeId, data.supplierId, [...draftLines.keys()]);
+            const po = await this.insertDraft(client, storeId, userId, {
+                poNumber: data.poNumber,
+                supplierId: supplier.supplierId,
+                supplierName: data.supplierName || supplier.supplierName,
+                expectedDeliveryDate: data.expectedDeliveryDate,
+                notes: data.notes,
+                lines: [...draftLines.values()]
+            });
+
+            await client.query('COMMIT');
+            return this.getPurchaseOrder(storeId, po.po_id);
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * CHECKOUT: One draft PO per supplier from cart lines (runs inside the caller's transaction).
+     * lines: [{ storeItemId, quantity, unitCost?, recommendationId? }]
+     */
+    async createSupplierDrafts(client, storeId, userId, lines) {
+        const plan = await this.planSupplierSplit(client, storeId, lines);
+        const drafts = [];
+
+        for (const group of plan) {
+            const notes = [
+                group.topUps.length > 0 ?
+                    `Topped up with ${group.topUps.length} SKU(s) to reach the ₹${group.minOrderValue} minimum order value.` : null,
+                group.shortfall > 0 ?
+                    `Still ₹${group.shortfall.toFixed(2)} below the ₹${group.minOrderValue} minimum (no further BUY_MORE SKUs for this supplier).` : null
+            ].filter(Boolean).join(' ') || null;
+
+            const po = await this.insertDraft(client, storeId, userId, {
+                supplierId: group.supplierId,
+                supplierName: group.supplierName,
+                expectedDeliveryDate: group.expectedDeliveryDate,
+                notes,
+                lines: group.lines
+            });
+
+            drafts.push({
+                poId: po.po_id,
+                poNumber: po.po_number,
+                supplierId: group.supplierId,
+                supplierName: group.supplierName,
+                orderValue: group.value,
+                minOrderValue: group.minOrderValue,
+                shortfall: group.shortfall,
+                nextOrderDate: group.nextOrderDate,
+                expectedDeliveryDate: group.expectedDeliveryDate,
+                topUps: group.topUps
+            });
+        }
+        return drafts;
+    }
+
+    /**
+     * Group lines by supplier, round to MOQ / case pack, and top up below-minimum suppliers.
+     */
+    async planSupplierSplit(client, storeId, lines) {
+        const skuIds = lines.map(l => l.storeItemId);
+        const attrs = await client.query(`
+            SELECT r.store_item_id, r.normalized_product_name, r.moq, r.case_pack_size, r.supplier_id,
+                   COALESCE(i.cost_price, r.cost_price, 0) AS cost_price,
+                   s.supplier_name, s.min_order_value, s.lead_time_days, s.order_days
+            FROM store_sku_registry r
+            LEFT JOIN v_latest_inventory i ON i.store_id = r.store_id AND i.store_item_id = r.store_item_id
+            LEFT JOIN suppliers s ON s.store_id = r.store_id AND s.supplier_id = r.supplier_id AND s.is_active = TRUE
+            WHERE r.store_id = $1 AND r.store_item_id = ANY($2)
+        `, [storeId, skuIds]);
+        const attrMap = new Map(attrs.rows.map(a => [a.store_item_id, a]));
+
+        const groups = new Map();
+        for (const raw of lines) {
+            const line = this.normalizeLine(raw);
+            const a = attrMap.get(line.storeItemId);
+            if (!a) {
+                throw new PurchaseOrderError(`SKU ${line.storeItemId} not found in registry`, 404);
+            }
+
+            // Unlinked SKUs (or inactive suppliers) share one "unassigned" draft with no minimum
+            const key = a.supplier_name ? a.supplier_id : '';
+            if (!groups.has(key)) {
+                const nextOrder = PurchaseOrderService.nextOrderDate(a.order_days);
+                const expected = a.supplier_name ? new Date(nextOrder) : null;
+                if (expected) expected.setDate(expected.getDate() + Math.ceil(parseFloat(a.lead_time_days) || 0));
+                groups.set(key, {
+                    supplierId: key || null,
+                    supplierName: a.supplier_name || null,
+                    minOrderValue: parseFloat(a.min_order_value) || 0,
+                    nextOrderDate: a.supplier_name ? nextOrder.toISOString().slice(0, 10) : null,
+                    expectedDeliveryDate: expected ? expected.toISOString().slice(0, 10) : null,
+                    lines: []
+                });
+            }
+
+            const quantity = PurchaseOrderService.applyPackRules(line.quantity, a.moq, a.case_pack_size);
+            groups.get(key).lines.push({
+                ...line,
+                quantity,
+                unitCost: line.unitCost ?? (parseFloat(a.cost_price) || 0),
+                source: 'cart',
+                note: quantity !== line.quantity ?
+                    `Rounded from ${line.quantity} to ${quantity} (MOQ ${parseFloat(a.moq) || 1}, case pack ${parseFloat(a.case_pack_size) || 1}).` : null
+            });
+        }
+
+        for (const group of groups.values()) {
+            const candidates = group.supplierId && group.minOrderValue > 0 ?
+                await this.loadTopUpCandidates(client, storeId, group.supplierId, group.lines.map(l => l.storeItemId)) : [];
+            Object.assign(group, PurchaseOrderService.topUpToMinimum(group, candidates));
+        }
+
+        return [...groups.values()];
+    }
+
+    /**
+     * Open BUY_MORE recommendations for a supplier, most urgent first
+     */
+    async loadTopUpCandidates(client, storeId, supplierId, excludeSkuIds) {
+        const res = await client.query(`
+            SELECT ir.recommendation_id, ir.store_item_id, ir.recommended_order_quantity,
+                   ir.days_of_cover, ir.risk_state,
+                   r.normalized_product_name, r.moq, r.case_pack_size,
+                   COALESCE(i.cost_price, r.cost_price, 0) AS cost_price
+            FROM inventory_recommendations ir
+            JOIN store_sku_registry r ON r.store_id = ir.store_id AND r.store_item_id = ir.store_item_id
+            LEFT JOIN v_latest_inventory i ON i.store_id = ir.store_id AND i.store_item_id = ir.store_item_id
+            WHERE ir.store_id = $1 AND r.supplier_id = $2
+            AND ir.insight_category = 'BUY_MORE' AND ir.mode = 'ACTIVE'
+            AND ir.feedback_status IN ('PENDING', 'ACCEPTED', 'UPDATED')
+            AND ir.recommended_order_quantity > 0
+            AND NOT (ir.store_item_id = ANY($3))
+            ORDER BY CASE ir.risk_state WHEN 'CRITICAL' THEN 0 WHEN 'RISK' THEN 1 WHEN 'WATCH' THEN 2 ELSE 3 END,
+                     ir.days_of_cover ASC NULLS LAST
+        `, [storeId, supplierId, excludeSkuIds]);
+        return res.rows;
+    }
+
+    /**
+     * Add candidates (already urgency-ordered) until the group reaches its minimum order value.
+     * Returns { lines, topUps, value, shortfall }.
+     */
+    static topUpToMinimum(group, candidates) {
+        const lineValue = l => l.quantity * (parseFloat(l.unitCost) || 0);
+        const lines = [...group.lines];
+        const topUps = [];
+        let value = lines.reduce((sum, l) => sum + lineValue(l), 0);
+
+        for (const c of candidates) {
+            if (value >= group.minOrderValue) break;
+
+            const unitCost = parseFloat(c.cost_price) || 0;
+            if (unitCost <= 0) continue; // Cannot help reach a value threshold
+
+            const quantity = PurchaseOrderService.applyPackRules(parseFloat(c.recommended_order_quantity), c.moq, c.case_pack_size);
+            const before = value;
+            const doc = parseFloat(c.days_of_cover);
+            const note = `Top-up: added to reach ${group.supplierName}'s ₹${group.minOrderValue} minimum order ` +
+                `(order was ₹${before.toFixed(2)}). Next most urgent BUY_MORE item for this supplier ` +
+                `(${c.risk_state || 'RISK'}, ${isNaN(doc) ? 'unknown' : doc.toFixed(1)} days of cover).`;
+
+            const line = {
+                storeItemId: c.store_item_id,
+                quantity,
+                unitCost,
+                recommendationId: c.recommendation_id,
+                source: 'top_up',
+                note
+            };
+            lines.push(line);
+            value += lineValue(line);
+            topUps.push({
+                storeItemId: c.store_item_id,
+                productName: c.normalized_product_name,
+                quantity,
+                value: lineValue(line),
+                reason: note
+            });
+        }
+
+        return {
+            lines,
+            topUps,
+            value,
+            shortfall: Math.max(0, group.minOrderValue - value)
+        };
+    }
+
+    /**
+     * Order quantity after pack rules: at least MOQ, rounded up to whole cases
+     * (same rounding as calculateDeterministicMetrics).
+     */
+    static applyPackRules(quantity, moq, casePack) {
+        const m = parseFloat(moq) > 0 ? parseFloat(moq) : 1;
+        const c = parseFloat(casePack) > 0 ? parseFloat(casePack) : 1;
+        return Math.ceil(Math.max(quantity, m) / c) * c;
+    }
+
+    /**
+     * Next date (today or later) that falls on one of the supplier's order days (0 = Sunday)
+     */
+    static nextOrderDate(orderDays, from = new Date()) {
+        const date = new Date(from);
+        const days = (orderDays || []).map(Number);
+        if (days.length === 0) return date;
+        for (let i = 0; i < 7; i++) {
+            if (days.includes(date.getDay())) return date;
+            date.setDate(date.getDate() + 1);
+        }
+        return new Date(from);
+    }
+
+    /**
+     * EDIT: Upsert draft lines. quantity <= 0 removes the line.
+     */
+    async updateLines(storeId, userId, poId, lines = []) {
+        if (!Array.isArray(lines) || lines.length === 0) {
+            throw new PurchaseOrderError('lines must be a non-empty array');
+        }
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const po = await this.lockPurchaseOrder(client, storeId, poId);
+            if (po.status !== 'draft') {
+                throw new PurchaseOrderError(`Only draft POs can be edited (current status: ${po.status})`, 409);
+            }
+
+            const changes = [];
+            for (const raw of lines) {
+                const line = this.normalizeLine(raw, { allowZero: true });
+                if (line.quantity <= 0) {
+                    await client.query(
+                        'DELETE FROM purchase_order_items WHERE po_id = $1 AND store_item_id = $2',
+                        [poId, line.storeItemId]
+                    );
+                    changes.push({ store_item_id: line.storeItemId, removed: true });
+                    continue;
+                }
+
+                const updated = await client.query(`
+                    UPDATE purchase_order_items
+                    SET quantity_ordered = $3, unit_cost = COALESCE($4, unit_cost)
+                    WHERE po_id = $1 AND store_item_id = $2
+                    RETURNING po_item_id
+                `, [poId, line.storeItemId, line.quantity, line.unitCost]);
+
+                if (updated.rows.length === 0) {
+                    await this.insertLine(client, storeId, poId, { ...line, source: 'manual' });
+                }
+                changes.push({ store_item_id: line.storeItemId, quantity: line.quantity, unit_cost: line.unitCost });
+            }
+
+            await client.query('UPDATE purchase_orders SET updated_at = NOW() WHERE po_id = $1', [poId]);
+            await this.audit(client, storeId, userId, 'po.lines_updated', poId, { changes });
+
+            await client.query('COMMIT');
+            return this.getPurchaseOrder(storeId, poId);
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * TRANSITION: draft -> sent. Expected delivery defaults to today + supplier lead time.
+     */
+    async markSent(storeId, userId, poId, options = {}) {
+        return this.transition(storeId, userId, poId, 'sent', async (client, po) => {
+            const lines = await client.query('SELECT 1 FROM purchase_order_items WHERE po_id = $1 LIMIT 1', [poId]);
+            if (lines.rows.length === 0) {
+                throw new PurchaseOrderError('Cannot send a PO without lines');
+            }
+
+            await client.query(`
+                UPDATE purchase_orders po SET
+                    status = 'sent',
+                    sent_at = NOW(),
+                    order_date = CURRENT_DATE,
+                    expected_delivery_date = COALESCE($2::date, po.expected_delivery_date,
+                        CURRENT_DATE + CEIL((
+                            SELECT s.lead_time_days FROM suppliers s
+                            WHERE s.store_id = po.store_id AND s.supplier_id = po.supplier_id
+                        ))::int),
+                    updated_at = NOW()
+                WHERE po_id = $1
+            `, [poId, options.expectedDeliveryDate || null]);
+            return { expected_delivery_date: options.expectedDeliveryDate || null };
+        });
+    }
+
+    /**
+     * TRANSITION: Record partial or full receipts per line.
+     * lines: [{ poItemId | storeItemId, quantityReceived, expiryDate?, lotNumber? }]
+     * Each receipt appends a RESTOCK snapshot (on-hand + received) to onboarding_handoff
+     * and opens an inventory lot (expiry defaults to received + shelf_life_days).
+     * options.receivedAt may be backdated: it dates the lot and the PO, while the snapshot
+     * is stamped when the receipt is posted (on-hand is the current figure + received).
+     * Receiving past quantity_ordered is refused unless options.allowOverReceipt.
+     */
+    async receive(storeId, userId, poId, lines = [], options = {}) {
+        if (!Array.isArray(lines) || lines.length === 0) {
+            throw new PurchaseOrderError('lines must be a non-empty array');
+        }
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const po = await this.lockPurchaseOrder(client, storeId, poId);
+            if (!TRANSITIONS[po.status].includes('partially_received')) {
+                throw new PurchaseOrderError(`Cannot receive against a PO in status ${po.status}`, 409);
+            }
+
+            const items = await client.query('SELECT * FROM purchase_order_items WHERE po_id = $1', [poId]);
+            const receivedAt = options.receivedAt ? new Date(options.receivedAt) : new Date();
+            if (isNaN(receivedAt.getTime())) {
+                throw new PurchaseOrderError('receivedAt is not a valid date');
+            }
+            const postedAt = new Date();
+
+            // Stock-in batch so the snapshots are traceable like any other inventory movement
+            const batchId = crypto.randomUUID();
+            await client.query(`
+                INSERT INTO onboarding_batch_status (
+                    batch_id, store_id, batch_type, status, onboarding_date, started_at, completed_at, total_items
+                ) VALUES ($1, $2, 'incremental_update', 'completed', $3, $3, CURRENT_TIMESTAMP, $4)
+            `, [batchId, storeId, postedAt, lines.length]);
+
+            const receipts = [];
+            for (const line of lines) {
+                const item = items.rows.find(i =>
+                    (line.poItemId && i.po_item_id === line.poItemId) ||
+                    (!line.poItemId && line.storeItemId && i.store_item_id === line.storeItemId)
+                );
+                if (!item) {
+                    throw new PurchaseOrderError(`Line ${line.poItemId || line.storeItemId} is not on this PO`);
+                }
+
+                const qty = parseFloat(line.quantityReceived);
+                if (isNaN(qty) || qty <= 0) {
+                    throw new PurchaseOrderError(`quantityReceived must be > 0 for ${item.store_item_id}`);
+                }
+
+                const outstanding = parseFloat(item.quantity_ordered) - (parseFloat(item.quantity_received) || 0);
+                const overReceived = Math.max(0, qty - Math.max(outstanding, 0));
+                if (overReceived > 0 && !options.allowOverReceipt) {
+                    throw new PurchaseOrderError(
+                        `Receiving ${qty} of ${item.store_item_id} exceeds the ${Math.max(outstanding, 0)} still on order ` +
+                        '(pass allowOverReceipt to accept it)', 409
+                    );
+                }
+
+                await client.query(`
+                    UPDATE purchase_order_items
+                    SET quantity_received = COALESCE(quantity_received, 0) + $2, last_received_at = $3
+                    WHERE po_item_id = $1
+                `, [item.po_item_id, qty, receivedAt]);
+                item.quantity_received = (parseFloat(item.quantity_received) || 0) + qty;
+
+                const latest = await client.query(`
+                    SELECT i.quantity_on_hand, i.selling_price, i.cost_price, COALESCE(i.unit, r.normalized_unit) AS unit
+                    FROM store_sku_registry r
+                    LEFT JOIN v_latest_inventory i ON i.store_id = r.store_id AND i.store_item_id = r.store_item_id
+                    WHERE r.store_id = $1 AND r.store_item_id = $2
+                `, [storeId, item.store_item_id]);
+                const prev = latest.rows[0] || {};
+                const newOnHand = (parseFloat(prev.quantity_on_hand) || 0) + qty;
+                const unitCost = parseFloat(item.unit_cost) > 0 ? parseFloat(item.unit_cost) : prev.cost_price;
+
+                await client.query(`
+                    INSERT INTO onboarding_handoff (
+                        store_id, store_item_id, quantity_on_hand, unit, selling_price, cost_price,
+                        as_of_date, source, onboarding_batch_id, transaction_type, transaction_id, quantity_mode
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'manual_entry', $8, 'RESTOCK', $9, 'delta')
+                `, [
+                    storeId, item.store_item_id, newOnHand, prev.unit || 'pcs', prev.selling_price, unitCost,
+                    postedAt, batchId, `po-${po.po_number || poId}-${crypto.randomUUID().slice(0, 8)}`
+                ]);
+
+                const lot = await this.lotLedger.recordLot(client, storeId, {
+                    storeItemId: item.store_item_id,
+                    quantity: qty,
+                    receivedAt,
+                    expiryDate: line.expiryDate,
+                    lotNumber: line.lotNumber,
+                    unitCost,
+                    source: 'po_receipt',
+                    poId,
+                    poItemId: item.po_item_id
+                });
+
+                receipts.push({
+                    po_item_id: item.po_item_id,
+                    store_item_id: item.store_item_id,
+                    quantity_received: qty,
+                    previous_on_hand: parseFloat(prev.quantity_on_hand) || 0,
+                    new_on_hand: newOnHand,
+                    over_received: overReceived,
+                    lot_id: lot.lot_id,
+                    expiry_date: lot.expiry_date
+                });
+            }
+
+            // Stock is back: close any open stockout episodes for the received SKUs
+            await this.stockoutLedger.recordSnapshots(client, storeId, receipts.map(r => ({
+                store_item_id: r.store_item_id,
+                quantity_on_hand: r.new_on_hand
+            })), { observedAt: postedAt });
+
+            const fullyReceived = items.rows.every(i =>
+                (parseFloat(i.quantity_received) || 0) >= parseFloat(i.quantity_ordered)
+            );
+            const nextStatus = fullyReceived ? 'received' : 'partially_received';
+
+            await client.query(`
+                UPDATE purchase_orders
+                SET status = $2, received_date = CASE WHEN $2 = 'received' THEN $3::date ELSE received_date END, updated_at = NOW()
+                WHERE po_id = $1
+            `, [poId, nextStatus, receivedAt]);
+
+            await this.audit(client, storeId, userId, 'po.received', poId, {
+                from: po.status,
+                to: nextStatus,
+                stock_in_batch_id: batchId,
+                receipts
+            });
+
+            await client.query('COMMIT');
+            const result = await this.getPurchaseOrder(storeId, poId);
+            return { ...result, stockInBatchId: batchId, receipts };
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * TRANSITION: Close (short-close allowed). Unreceived quantity stops counting as in transit.
+     */
+    async close(storeId, userId, poId, options = {}) {
+        return this.transition(storeId, userId, poId, 'closed', async (client) => {
+            await client.query(
+                `UPDATE purchase_orders SET status = 'closed', closed_at = NOW(), notes = COALESCE($2, notes), updated_at = NOW() WHERE po_id = $1`,
+                [poId, options.notes || null]
+            );
+            return { notes: options.notes || null };
+        });
+    }
+
+    /**
+     * TRANSITION: Cancel (only while nothing has been received)
+     */
+    async cancel(storeId, userId, poId, options = {}) {
+        return this.transition(storeId, userId, poId, 'cancelled', async (client) => {
+            const received = await client.query(
+                'SELECT 1 FROM purchase_order_items WHERE po_id = $1 AND COALESCE(quantity_received, 0) > 0 LIMIT 1',
+                [poId]
+            );
+            if (received.rows.length > 0) {
+                throw new PurchaseOrderError('PO has receipts; close it instead of cancelling', 409);
+            }
+
+            await client.query(
+                `UPDATE purchase_orders SET status = 'cancelled', cancel_reason = $2, closed_at = NOW(), updated_at = NOW() WHERE po_id = $1`,
+                [poId, options.reason || null]
+            );
+            return { reason: options.reason || null };
+        });
+    }
+
+    /**
+     * HELPERS
+     */
+    async transition(storeId, userId, poId, nextStatus, apply) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const po = await this.lockPurchaseOrder(client, storeId, poId);
+            if (!TRANSITIONS[po.status] || !TRANSITIONS[po.status].includes(nextStatus)) {
+                throw new PurchaseOrderError(`Invalid transition: ${po.status} -> ${nextStatus}`, 409);
+            }
+
+            const details = await apply(client, po);
+            await this.audit(client, storeId, userId, `po.${nextStatus}`, poId, {
+                from: po.status,
+                to: nextStatus,
+                ...details
+            });
+
+            await client.query('COMMIT');
+            return this.getPurchaseOrder(storeId, poId);
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    async lockPurchaseOrder(client, storeId, poId) {
+        PurchaseOrderService.assertPoId(poId);
+        const res = await client.query(
+            'SELECT * FROM purchase_orders WHERE store_id = $1 AND po_id = $2 FOR UPDATE',
+            [storeId, poId]
+        );
+        if (res.rows.length === 0) {
+            throw new PurchaseOrderError(`Purchase order ${poId} not found`, 404);
+        }
+        return res.rows[0];
+    }
+
+    /**
+     * PO ids are UUIDs; anything else cannot name an order (and would fail the cast in Postgres)
+     */
+    static assertPoId(poId) {
+        if (typeof poId !== 'string' || !ValidationSchemas.isValidUUID(poId)) {
+            throw new PurchaseOrderError(`Purchase order ${poId} not found`, 404);
+        }
+    }
+
+    async insertDraft(client, storeId, userId, draft) {
+        const poNumber = draft.poNumber || this.generatePONumber();
+        const poRes = await client.query(`
+            INSERT INTO purchase_orders (
+                store_id, po_number, supplier_id, supplier_name, order_date,
+                expected_delivery_date, status, created_by, notes
+            ) VALUES ($1, $2, $3, $4, CURRENT_DATE, $5, 'draft', $6, $7)
+            RETURNING *
+        `, [
+            storeId, poNumber, draft.supplierId || null, draft.supplierName || null,
+            draft.expectedDeliveryDate || null, userId || null, draft.notes || null
+        ]);
+        const po = poRes.rows[0];
+
+        for (const line of draft.lines) {
+            await this.insertLine(client, storeId, po.po_id, line);
+        }
+
+        await this.audit(client, storeId, userId, 'po.created', po.po_id, {
+            po_number: poNumber,
+            to: 'draft',
+            supplier_id: draft.supplierId || null,
+            lines: draft.lines.length,
+            top_ups: draft.lines.filter(l => l.source === 'top_up').map(l => l.storeItemId),
+            recommendation_ids: draft.lines.map(l => l.recommendationId).filter(Boolean)
+        });
+        return po;
+    }
+
+    async insertLine(client, storeId, poId, line) {
+        await client.query(`
+            INSERT INTO purchase_order_items (
+                po_id, store_id, store_item_id, quantity_ordered, unit_cost, recommendation_id, line_source, line_note
+            )
+            VALUES ($1, $2, $3, $4, COALESCE($5, (
+                SELECT COALESCE(i.cost_price, r.cost_price, 0)
+                FROM store_sku_registry r
+                LEFT JOIN v_latest_inventory i ON i.store_id = r.store_id AND i.store_item_id = r.store_item_id
+                WHERE r.store_id = $2 AND r.store_item_id = $3
+            ), 0), $6, $7, $8)
+        `, [
+            poId, storeId, line.storeItemId, line.quantity, line.unitCost,
+            line.recommendationId || null, line.source || 'manual', line.note || null
+        ]);
+    }
+
+    normalizeLine(line = {}, options = {}) {
+        if (!line.storeItemId) {
+            throw new PurchaseOrderError('Each line requires storeItemId');
+        }
+        const quantity = parseFloat(line.quantity);
+        if (isNaN(quantity) || quantity < 0 || (!options.allowZero && quantity === 0)) {
+            throw new PurchaseOrderError(`Invalid quantity for ${line.storeItemId}`);
+        }
+        const unitCost = line.unitCost === undefined || line.unitCost === null || line.unitCost === '' ?
+            null : parseFloat(line.unitCost);
+        if (unitCost !== null && (isNaN(unitCost) || unitCost < 0)) {
+            throw new PurchaseOrderError(`Invalid unitCost for ${line.storeItemId}`);
+        }
+        return {
+            storeItemId: line.storeItemId,
+            quantity,
+            unitCost,
+            recommendationId: line.recommendationId || null
+        };
+    }
+
+    /**
+     * Supplier for the draft: explicit supplierId, else the single supplier shared by all lines.
+     */
+    async resolveSupplier(client, storeId, supplierId, skuIds) {
+        const res = await client.query(`
+            SELECT DISTINCT s.supplier_id, s.supplier_name
+            FROM suppliers s
+            WHERE s.store_id = $1 AND (
+                s.supplier_id = $2 OR
+                ($2 IS NULL AND s.supplier_id IN (
+                    SELECT supplier_id FROM store_sku_registry WHERE store_id = $1 AND store_item_id = ANY($3)
+                ))
+            )
+        `, [storeId, supplierId || null, skuIds]);
+
+        if (supplierId && res.rows.length === 0) {
+            throw new PurchaseOrderError(`Supplier ${supplierId} not found`, 404);
+        }
+        if (res.rows.length === 1) {
+            return { supplierId: res.rows[0].supplier_id, supplierName: res.rows[0].supplier_name };
+        }
+        return { supplierId: null, supplierName: null };
+    }
+
+    generatePONumber() {
+        const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+        return `PO-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    }
+
+    async audit(client, storeId, userId, actionType, poId, metadata) {
+        await client.query(`
+            INSERT INTO operational_audit_log (store_id, user_id, action_type, entity_type, entity_id, metadata, status)
+            VALUES ($1, $2, $3, 'purchase_order', $4, $5, 'success')
+        `, [storeId, userId || null, actionType, poId, JSON.stringify(metadata)]);
+    }
+}
+
+PurchaseOrderService.PurchaseOrderError = PurchaseOrderError;
+PurchaseOrderService.TRANSITIONS = TRANSITIONS;
+
+module.exports = PurchaseOrderService;
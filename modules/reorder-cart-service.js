@@ -0,0 +1,229 @@
+/**
+ * REORDER CART SERVICE
+ *
+ * One shared reorder cart per store, persisted server-side so every device and
+ * staff member sees the same list. Each mutation must carry the cart version the
+ * client last saw (optimistic concurrency); a stale version is rejected with 409
+ * and the current cart so the client can re-apply its change.
+ */
+
+const { ValidationSchemas } = require('./validation-schemas');
+
+class ReorderCartError extends Error {
+    constructor(message, statusCode = 400, details = {}) {
+        super(message);
+        this.name = 'ReorderCartError';
+        this.statusCode = statusCode;
+        Object.assign(this, details);
+    }
+}
+
+class ReorderCartService {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    async getCart(storeId, client = this.pool) {
+        const header = await client.query(
+            'SELECT version, updated_by, updated_at FROM reorder_carts WHERE store_id = $1',
+            [storeId]
+        );
+
+        const items = await client.query(`
+            SELECT c.store_item_id, c.quantity, c.recommendation_id, c.added_at, c.updated_at,
+                   COALESCE(c.unit_cost, i.cost_price, r.cost_price, 0) AS unit_cost,
+                   r.normalized_product_name AS product_name,
+                   c.added_by, u.full_name AS added_by_name
+            FROM reorder_cart_items c
+            JOIN store_sku_registry r ON r.store_id = c.store_id AND r.store_item_id = c.store_item_id
+            LEFT JOIN v_latest_inventory i ON i.store_id = c.store_id AND i.store_item_id = c.store_item_id
+            LEFT JOIN users u ON u.user_id = c.added_by
+            WHERE c.store_id = $1
+            ORDER BY c.added_at
+        `, [storeId]);
+
+        return {
+            storeId,
+            version: header.rows[0]?.version || 0,
+            updatedAt: header.rows[0]?.updated_at || null,
+            items: items.rows
+        };
+    }
+
+    /**
+     * Add a line (or replace the quantity if the SKU is already in the cart).
+     * added_by always names whoever set the current quantity.
+     */
+    async addItem(storeId, userId, expectedVersion, item = {}) {
+        const line = this.normalizeItem(item);
+        return this.mutate(storeId, userId, expectedVersion, async (client) => {
+            await this.assertLineRefs(client, storeId, line);
+            await client.query(`
+                INSERT INTO reorder_cart_items (store_id, store_item_id, quantity, unit_cost, recommendation_id, added_by)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                ON CONFLICT (store_id, store_item_id) DO UPDATE SET
+                    quantity = EXCLUDED.quantity,
+                    unit_cost = COALESCE(EXCLUDED.unit_cost, reorder_cart_items.unit_cost),
+                    recommendation_id = COALESCE(EXCLUDED.recommendation_id, reorder_cart_items.recommendation_id),
+                    added_by = EXCLUDED.added_by,
+                    updated_at = NOW()
+            `, [storeId, line.storeItemId, line.quantity, line.unitCost, line.recommendationId, userId || null]);
+        });
+    }
+
+    async updateQuantity(storeId, userId, expectedVersion, storeItemId, quantity) {
+        const line = this.normalizeItem({ storeItemId, quantity });
+        return this.mutate(storeId, userId, expectedVersion, async (client) => {
+            const res = await client.query(
+                'UPDATE reorder_cart_items SET quantity = $3, added_by = $4, updated_at = NOW() WHERE store_id = $1 AND store_item_id = $2',
+                [storeId, line.storeItemId, line.quantity, userId || null]
+            );
+            if (res.rowCount === 0) {
+                throw new ReorderCartError(`${storeItemId} is not in the cart`, 404);
+            }
+        });
+    }
+
+    async removeItem(storeId, userId, expectedVersion, storeItemId) {
+        return this.mutate(storeId, userId, expectedVersion, async (client) => {
+            await client.query(
+                'DELETE FROM reorder_cart_items WHERE store_id = $1 AND store_item_id = $2',
+                [storeId, storeItemId]
+            );
+        });
+    }
+
+    async clear(storeId, userId, expectedVersion) {
+        return this.mutate(storeId, userId, expectedVersion, async (client) => {
+            await client.query('DELETE FROM reorder_cart_items WHERE store_id = $1', [storeId]);
+        });
+    }
+
+    /**
+     * CHECKOUT: Split the cart into one draft PO per supplier and empty the cart.
+     * Runs in one transaction so the cart is only cleared if every draft was created.
+     */
+    async checkout(storeId, userId, expectedVersion, purchaseOrderService) {
+        let purchaseOrders = [];
+        const cart = await this.mutate(storeId, userId, expectedVersion, async (client) => {
+            const items = await client.query(
+                'SELECT store_item_id, quantity, unit_cost, recommendation_id FROM reorder_cart_items WHERE store_id = $1',
+                [storeId]
+            );
+            if (items.rows.length === 0) {
+                throw new ReorderCartError('Cart is empty');
+            }
+
+            purchaseOrders = await purchaseOrderService.createSupplierDrafts(client, storeId, userId, items.rows.map(i => ({
+                storeItemId: i.store_item_id,
+                quantity: parseFloat(i.quantity),
+                unitCost: i.unit_cost,
+                recommendationId: i.recommendation_id
+            })));
+
+            await client.query('DELETE FROM reorder_cart_items WHERE store_id = $1', [storeId]);
+        });
+        return { cart, purchaseOrders };
+    }
+
+    /**
+     * HELPERS
+     */
+    async mutate(storeId, userId, expectedVersion, apply) {
+        const expected = parseInt(expectedVersion, 10);
+        if (isNaN(expected)) {
+            throw new ReorderCartError('expectedVersion is required');
+        }
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                'INSERT INTO reorder_carts (store_id) VALUES ($1) ON CONFLICT (store_id) DO NOTHING',
+                [storeId]
+            );
+            const header = await client.query(
+                'SELECT version FROM reorder_carts WHERE store_id = $1 FOR UPDATE',
+                [storeId]
+            );
+            const current = header.rows[0].version;
+
+            if (current !== expected) {
+                await client.query('ROLLBACK');
+                const cart = await this.getCart(storeId);
+                throw new ReorderCartError(
+                    `Cart was changed by someone else (version ${current}, you had ${expected})`,
+                    409,
+                    { code: 'CART_VERSION_CONFLICT', cart }
+                );
+            }
+
+            await apply(client);
+            await client.query(
+                'UPDATE reorder_carts SET version = version + 1, updated_by = $2, updated_at = NOW() WHERE store_id = $1',
+                [storeId, userId || null]
+            );
+
+            await client.query('COMMIT');
+            return this.getCart(storeId);
+        } catch (err) {
+            if (!(err instanceof ReorderCartError && err.code === 'CART_VERSION_CONFLICT')) {
+                await client.query('ROLLBACK');
+            }
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * The SKU must be in the store registry and a linked recommendation must be this
+     * store's recommendation for that SKU (else the upsert fails on a foreign key)
+     */
+    async assertLineRefs(client, storeId, line) {
+        const sku = await client.query(
+            'SELECT 1 FROM store_sku_registry WHERE store_id = $1 AND store_item_id = $2',
+            [storeId, line.storeItemId]
+        );
+        if (sku.rows.length === 0) {
+            throw new ReorderCartError(`SKU ${line.storeItemId} not found`, 404);
+        }
+        if (!line.recommendationId) return;
+
+        const rec = await client.query(
+            'SELECT store_item_id FROM inventory_recommendations WHERE recommendation_id = $1 AND store_id = $2',
+            [line.recommendationId, storeId]
+        );
+        if (rec.rows.length === 0) {
+            throw new ReorderCartError(`Recommendation ${line.recommendationId} not found`, 404);
+        }
+        if (rec.rows[0].store_item_id !== line.storeItemId) {
+            throw new ReorderCartError(`Recommendation ${line.recommendationId} is for ${rec.rows[0].store_item_id}, not ${line.storeItemId}`);
+        }
+    }
+
+    normalizeItem(item) {
+        if (!item.storeItemId) {
+            throw new ReorderCartError('storeItemId is required');
+        }
+        const quantity = parseFloat(item.quantity);
+        if (isNaN(quantity) || quantity <= 0) {
+            throw new ReorderCartError(`Invalid quantity for ${item.storeItemId}`);
+        }
+        if (item.recommendationId && !ValidationSchemas.isValidUUID(String(item.recommendationId))) {
+            throw new ReorderCartError(`Invalid recommendationId for ${item.storeItemId}`);
+        }
+        const unitCost = item.unitCost === undefined || item.unitCost === null || item.unitCost === '' ?
+            null : parseFloat(item.unitCost);
+        return {
+            storeItemId: item.storeItemId,
+            quantity,
+            unitCost: isNaN(unitCost) ? null : unitCost,
+            recommendationId: item.recommendationId || null
+        };
+    }
+}
+
+ReorderCartService.ReorderCartError = ReorderCartError;
+
+module.exports = ReorderCartService;
@@ -33,11 +33,19 @@ const { Pool } = require('pg');
  * ISR (Inventory-to-Sales Ratio):
  *   = Σ(OH × cost) / Σ(qty_sold × cost)      -- Both at cost for consistency
  * 
+ * STOCK VARIANCE (stock_variances, StockReconciliation):
+ *   = Observed closing - (Opening + Receipts - Sales + Returns ± Adjustments)
+ *   Split into SHRINKAGE / MISCOUNT / UNEXPLAINED, valued at cost
+ * 
+ * STOCKOUT EPISODE (stockout_events):
+ *   = OH reached 0 → OH back above 0
+ *   Lost Units = ADS_30 at start × days out
+ * 
  * ═══════════════════════════════════════════════════════════════════════════
  * LIMITATIONS (EXPLICIT):
- * - No lead time data → Reorder triggers use coverage days only
+ * - Lead time only where a supplier is linked (suppliers table); others use 7-day coverage
  * - No reserved quantity → Available = On-Hand
- * - No receipt date → True FIFO aging not possible
+ * - Lot age / expiry only for stock received through a PO or recorded via /api/lots
  * - All quantity formulas are DIAGNOSTIC ONLY, not executed by system
  * ═══════════════════════════════════════════════════════════════════════════
  */
@@ -56,7 +64,7 @@ class ReportEngine {
 
         switch (reportType) {
             case 'reorder-now': return this.getReorderNow(storeId, days);
-            case 'frequent-stockouts': return this.getFrequentStockouts(storeId);
+            case 'frequent-stockouts': return this.getFrequentStockouts(storeId, days);
             case 'weeks-of-supply': return this.getWeeksOfSupply(storeId, days);
             case 'overstocked-slow-moving': return this.getOverstockedSlowMoving(storeId, days);
             case 'emergency-refill': return this.getEmergencyRefill(storeId);
@@ -65,6 +73,7 @@ class ReportEngine {
             case 'inventory-position': return this.getInventoryPosition(storeId);
             case 'isr': return this.getISR(storeId, days);
             case 'aging-bucket': return this.getAgingBuckets(storeId);
+            case 'stock-variance': return this.getStockVariance(storeId, days);
             default: throw new Error(`Unknown report type: ${reportType}`);
         }
     }
@@ -86,7 +95,8 @@ class ReportEngine {
     /**
      * 1. Reorder Now – Stock Will Run Out Soon
      * 
-     * Trigger: DOI < 7 AND ADS > 0 AND OH > 0
+     * Trigger: DOI < Threshold AND ADS > 0 AND OH > 0
+     * Threshold = Supplier Lead Time + Review Period (when linked), else 7 days
      * Action: Schedule reorder immediately or in next buying cycle
      * 
      * EXCLUDES: Dead stock (ADS=0) to prevent false positives
@@ -112,49 +122,70 @@ class ReportEngine {
                     WHEN COALESCE(sm.ads, 0) > 0 
                     THEN ROUND((COALESCE(h.quantity_on_hand, 0) / sm.ads)::numeric, 1)
                     ELSE 999  -- Capped, not NULL, to prevent comparison bugs
-                END as days_of_cover
+                END as days_of_cover,
+                s.supplier_name,
+                s.lead_time_days,
+                COALESCE(s.lead_time_days + rp.review_period_days, 7) as cover_threshold_days
             FROM store_sku_registry r
             LEFT JOIN LatestHandoff h ON r.store_id = h.store_id AND r.store_item_id = h.store_item_id
             LEFT JOIN SalesMetrics sm ON r.store_item_id = sm.store_item_id
+            LEFT JOIN suppliers s ON s.store_id = r.store_id AND s.supplier_id = r.supplier_id AND s.is_active = TRUE
+            -- Review period as in SupplierMaster.calculateReviewPeriod: explicit cycle, else the
+            -- largest gap between weekly order days (no order days = daily)
+            LEFT JOIN LATERAL (
+                SELECT CASE
+                    WHEN s.review_cycle_days > 0 THEN s.review_cycle_days
+                    WHEN COUNT(*) = 0 THEN 1
+                    ELSE MAX(g.gap)
+                END AS review_period_days
+                FROM (
+                    SELECT COALESCE(LEAD(od.d) OVER (ORDER BY od.d), MIN(od.d) OVER () + 7) - od.d AS gap
+                    FROM (SELECT DISTINCT unnest(s.order_days) AS d) od
+                    WHERE od.d BETWEEN 0 AND 6
+                ) g
+            ) rp ON TRUE
             WHERE r.store_id = $1 
               AND r.status = 'active'
               -- CANONICAL RULE: Only include items WITH sales velocity (ADS > 0)
               AND COALESCE(sm.ads, 0) > 0
               AND COALESCE(h.quantity_on_hand, 0) > 0
-              AND (COALESCE(h.quantity_on_hand, 0) / sm.ads) < 7
+              AND (COALESCE(h.quantity_on_hand, 0) / sm.ads) <
+                  COALESCE(s.lead_time_days + rp.review_period_days, 7)
             ORDER BY days_of_cover ASC
             LIMIT 50
         `;
         const res = await this.pool.query(sql, [storeId]);
-        return { title: `Reorder Now (< 7 Days Cover)`, data: res.rows };
+        return { title: `Reorder Now (Cover < Lead Time + Order Cycle, default 7 Days)`, data: res.rows };
     }
 
     /**
-     * 2. Frequent Stockouts (Items at 0 with high historical demand)
+     * 2. Frequent Stockouts (from the stockout_events ledger)
      * 
-     * NOTE: This is a PROXY report. True stockout frequency requires 
-     * stockout_events table (not available). Shows OOS items with demand history.
+     * Episodes: on-hand hit 0 until it came back, detected during sync / PO receipts.
+     * Lost Units = ADS at episode start × days out (open episodes valued to now)
      */
-    async getFrequentStockouts(storeId) {
+    async getFrequentStockouts(storeId, days) {
         const sql = `
-            WITH ${this.getLatestHandoffCTE()}
             SELECT 
                 r.store_item_id as sku_id,
                 r.normalized_product_name as product_name,
-                COUNT(s.transaction_id) as total_sales_events,
-                COALESCE(SUM(s.quantity_sold), 0) as total_units_sold
-            FROM store_sku_registry r
-            LEFT JOIN LatestHandoff h ON r.store_id = h.store_id AND r.store_item_id = h.store_item_id
-            LEFT JOIN sales_transactions s ON r.store_id = s.store_id AND r.store_item_id = s.store_item_id
-            WHERE r.store_id = $1 
-              AND COALESCE(h.quantity_on_hand, 0) <= 0
+                COUNT(*) as stockout_episodes,
+                ROUND(SUM(COALESCE(e.duration_days, EXTRACT(EPOCH FROM (NOW() - e.started_at)) / 86400))::numeric, 1) as total_days_out,
+                ROUND(SUM(COALESCE(e.estimated_lost_units, e.ads_at_start * EXTRACT(EPOCH FROM (NOW() - e.started_at)) / 86400))::numeric, 1) as est_lost_units,
+                ROUND(SUM(COALESCE(e.estimated_lost_revenue,
+                    e.ads_at_start * EXTRACT(EPOCH FROM (NOW() - e.started_at)) / 86400 * COALESCE(e.selling_price, 0)))::numeric, 2) as est_lost_revenue,
+                BOOL_OR(e.ended_at IS NULL) as currently_out,
+                MAX(e.started_at) as last_stockout_at
+            FROM stockout_events e
+            JOIN store_sku_registry r ON r.store_id = e.store_id AND r.store_item_id = e.store_item_id
+            WHERE e.store_id = $1
+              AND COALESCE(e.ended_at, NOW()) >= NOW() - INTERVAL '${days} days'
             GROUP BY r.store_item_id, r.normalized_product_name
-            HAVING COUNT(s.transaction_id) > 5
-            ORDER BY total_sales_events DESC
+            ORDER BY stockout_episodes DESC, est_lost_revenue DESC
             LIMIT 50
         `;
         const res = await this.pool.query(sql, [storeId]);
-        return { title: "High-Demand OOS Items (Proxy for Stockouts)", data: res.rows };
+        return { title: `Frequent Stockouts (Last ${days} Days)`, data: res.rows };
     }
 
     /**
@@ -460,44 +491,114 @@ class ReportEngine {
     }
 
     /**
-     * 10. Aging Bucket Distribution Report
+     * 10. Inventory Aging by Lot
      * 
-     * LIMITATION: Uses handoff_date as proxy for inventory age
-     * True FIFO aging requires receipt tracking (not available)
+     * Age = days since the lot was received (inventory_lots, depleted FEFO).
+     * On-hand not covered by any open lot (stock from before lot tracking,
+     * or never received through a PO) is shown as 'No Lot Record'.
      */
     async getAgingBuckets(storeId) {
         const sql = `
-            WITH ${this.getLatestHandoffCTE()}
-            SELECT 
-                CASE 
-                    WHEN h.as_of_date >= CURRENT_DATE - INTERVAL '30 days' THEN '0-30 Days (Fresh)'
-                    WHEN h.as_of_date >= CURRENT_DATE - INTERVAL '60 days' THEN '31-60 Days'
-                    WHEN h.as_of_date >= CURRENT_DATE - INTERVAL '90 days' THEN '61-90 Days'
-                    ELSE '90+ Days (Stale)'
-                END as age_bucket,
-                COUNT(*) as sku_count,
-                SUM(COALESCE(h.quantity_on_hand, 0)) as total_units,
-                ROUND(SUM(COALESCE(h.quantity_on_hand, 0) * COALESCE(h.cost_price, 0))::numeric, 2) as value_at_risk
-            FROM store_sku_registry r
-            LEFT JOIN LatestHandoff h ON r.store_id = h.store_id AND r.store_item_id = h.store_item_id
-            WHERE r.store_id = $1 
-              AND r.status = 'active'
-              AND COALESCE(h.quantity_on_hand, 0) > 0
-            GROUP BY age_bucket
+            WITH ${this.getLatestHandoffCTE()},
+            OpenLots AS (
+                SELECT 
+                    l.store_item_id,
+                    l.quantity_remaining,
+                    l.expiry_date,
+                    COALESCE(l.unit_cost, h.cost_price, 0) as unit_cost,
+                    CASE 
+                        WHEN l.received_at >= CURRENT_DATE - INTERVAL '30 days' THEN '0-30 Days (Fresh)'
+                        WHEN l.received_at >= CURRENT_DATE - INTERVAL '60 days' THEN '31-60 Days'
+                        WHEN l.received_at >= CURRENT_DATE - INTERVAL '90 days' THEN '61-90 Days'
+                        ELSE '90+ Days (Stale)'
+                    END as age_bucket
+                FROM inventory_lots l
+                JOIN store_sku_registry r ON r.store_id = l.store_id AND r.store_item_id = l.store_item_id
+                LEFT JOIN LatestHandoff h ON h.store_id = l.store_id AND h.store_item_id = l.store_item_id
+                WHERE l.store_id = $1 
+                  AND r.status = 'active'
+                  AND l.quantity_remaining > 0
+            ),
+            Untracked AS (
+                SELECT 
+                    r.store_item_id,
+                    GREATEST(COALESCE(h.quantity_on_hand, 0) - COALESCE(lt.lot_units, 0), 0) as units,
+                    COALESCE(h.cost_price, 0) as cost_price
+                FROM store_sku_registry r
+                LEFT JOIN LatestHandoff h ON r.store_id = h.store_id AND r.store_item_id = h.store_item_id
+                LEFT JOIN (
+                    SELECT store_item_id, SUM(quantity_remaining) as lot_units FROM OpenLots GROUP BY store_item_id
+                ) lt ON lt.store_item_id = r.store_item_id
+                WHERE r.store_id = $1 
+                  AND r.status = 'active'
+            )
+            SELECT * FROM (
+                SELECT 
+                    age_bucket,
+                    COUNT(DISTINCT store_item_id) as sku_count,
+                    SUM(quantity_remaining) as total_units,
+                    ROUND(SUM(quantity_remaining * unit_cost)::numeric, 2) as value_at_risk,
+                    SUM(CASE WHEN expiry_date < CURRENT_DATE THEN quantity_remaining ELSE 0 END) as expired_units,
+                    SUM(CASE WHEN expiry_date BETWEEN CURRENT_DATE AND CURRENT_DATE + 7 THEN quantity_remaining ELSE 0 END) as expiring_7d_units
+                FROM OpenLots
+                GROUP BY age_bucket
+                UNION ALL
+                SELECT 
+                    'No Lot Record' as age_bucket,
+                    COUNT(*) as sku_count,
+                    SUM(units) as total_units,
+                    ROUND(SUM(units * cost_price)::numeric, 2) as value_at_risk,
+                    0 as expired_units,
+                    0 as expiring_7d_units
+                FROM Untracked
+                WHERE units > 0
+                HAVING COUNT(*) > 0
+            ) buckets
             ORDER BY 
                 CASE age_bucket
                     WHEN '0-30 Days (Fresh)' THEN 1
                     WHEN '31-60 Days' THEN 2
                     WHEN '61-90 Days' THEN 3
-                    ELSE 4
+                    WHEN '90+ Days (Stale)' THEN 4
+                    ELSE 5
                 END
         `;
         const res = await this.pool.query(sql, [storeId]);
         return {
-            title: "Inventory Freshness by Handoff Date (Proxy for Aging)",
+            title: "Inventory Aging by Lot (Days Since Receipt)",
             data: res.rows
         };
     }
+
+    /**
+     * 11. Stock Variance – Shrinkage, Miscount and Unexplained Loss
+     *
+     * Reads the variance ledger written by the reconciliation run (daily close).
+     * Largest rupee losses first.
+     */
+    async getStockVariance(storeId, days) {
+        const sql = `
+            SELECT
+                r.normalized_product_name as product_name,
+                TO_CHAR(v.business_date, 'DD Mon') as date,
+                v.classification,
+                v.opening_qty as opening_stock,
+                v.receipts as received_units,
+                v.sales as sold_units,
+                v.expected_closing as expected_stock,
+                v.observed_closing as observed_stock,
+                v.variance_units,
+                v.variance_value
+            FROM stock_variances v
+            JOIN store_sku_registry r ON r.store_id = v.store_id AND r.store_item_id = v.store_item_id
+            WHERE v.store_id = $1
+              AND v.business_date >= CURRENT_DATE - INTERVAL '${days} days'
+            ORDER BY COALESCE(v.variance_value, 0) ASC, v.variance_units ASC
+            LIMIT 200
+        `;
+        const res = await this.pool.query(sql, [storeId]);
+        return { title: `Stock Variance: Shrinkage, Miscount & Unexplained (Last ${days} Days)`, data: res.rows };
+    }
 }
 
 module.exports = ReportEngine;
@@ -1,13 +1,21 @@
 /**
  * Sales Transaction Extractor
  * Derives sales transactions from inventory snapshot deltas
+ * and depletes inventory lots first-expiring-first-out (FEFO).
+ * SKU-days covered by imported POS bill lines (PosSalesImporter) keep the
+ * bill lines as their sales; the snapshot drop then only depletes lots.
  */
 
 const { Pool } = require('pg');
+const LotLedger = require('./lot-ledger');
+
+// Non-sale decreases that still remove units from the oldest-expiring lots
+const LOT_WRITE_OFF_TYPES = ['EXPIRY', 'DAMAGE'];
 
 class SalesTransactionExtractor {
     constructor(pool) {
         this.pool = pool;
+        this.lotLedger = new LotLedger(pool);
     }
 
     /**
@@ -86,13 +94,18 @@ class SalesTransactionExtractor {
         }
 
         const [current, previous] = snapshots.rows;
+        const billed = await this.isCoveredByBills(client, storeId, storeItemId, current.as_of_date);
 
-        // If transaction_type is explicitly SALE, use it directly
-        if (current.transaction_type === 'SALE') {
+        // If transaction_type is explicitly SALE (or sales netted by the incremental sync), use it directly
+        if (current.transaction_type === 'SALE' || current.transaction_type === 'BULK_SALE_IMPORT') {
             const quantitySold = parseFloat(previous.quantity_on_hand) - parseFloat(current.quantity_on_hand);
 
             if (quantitySold > 0) {
-                await this.insertSalesTransaction(client, {
+                if (billed) {
+                    await this.lotLedger.depleteFEFO(client, storeId, storeItemId, quantitySold);
+                    return [];
+                }
+                const inserted = await this.insertSalesTransaction(client, {
                     storeId,
                     storeItemId,
                     transactionDate: current.as_of_date,
@@ -101,6 +114,7 @@ class SalesTransactionExtractor {
                     sourceTransactionId: current.transaction_id,
                     sourceSyncRunId: syncRunId
                 });
+                if (inserted) await this.lotLedger.depleteFEFO(client, storeId, storeItemId, quantitySold);
 
                 return [{ quantitySold, date: current.as_of_date }];
             }
@@ -111,7 +125,11 @@ class SalesTransactionExtractor {
 
         if (qtyDelta > 0 && !current.transaction_type) {
             // Quantity decreased without explicit type = likely a sale
-            await this.insertSalesTransaction(client, {
+            if (billed) {
+                await this.lotLedger.depleteFEFO(client, storeId, storeItemId, qtyDelta);
+                return [];
+            }
+            const inserted = await this.insertSalesTransaction(client, {
                 storeId,
                 storeItemId,
                 transactionDate: current.as_of_date,
@@ -120,15 +138,35 @@ class SalesTransactionExtractor {
                 sourceTransactionId: current.transaction_id || `inferred-${current.as_of_date}`,
                 sourceSyncRunId: syncRunId
             });
+            if (inserted) await this.lotLedger.depleteFEFO(client, storeId, storeItemId, qtyDelta);
 
             return [{ quantitySold: qtyDelta, date: current.as_of_date }];
         }
 
+        // Expired / damaged stock written off: not a sale, but those units leave their lots
+        if (qtyDelta > 0 && LOT_WRITE_OFF_TYPES.includes(current.transaction_type)) {
+            await this.lotLedger.depleteFEFO(client, storeId, storeItemId, qtyDelta);
+        }
+
         return [];
     }
 
+    /**
+     * True when imported bill lines already record this SKU's sales for the day
+     */
+    async isCoveredByBills(client, storeId, storeItemId, asOfDate) {
+        const result = await client.query(`
+            SELECT 1 FROM sales_transactions
+            WHERE store_id = $1 AND store_item_id = $2 AND source = 'pos_bill'
+            AND transaction_date = $3::timestamp::date
+            LIMIT 1
+        `, [storeId, storeItemId, asOfDate]);
+        return result.rows.length > 0;
+    }
+
     /**
      * Insert sales transaction (with deduplication)
+     * Returns true when a new row was written (false for a duplicate)
      */
     async insertSalesTransaction(client, data) {
         const query = `
@@ -143,7 +181,7 @@ class SalesTransactionExtractor {
 
         const revenue = data.quantitySold * data.sellingPrice;
 
-        await client.query(query, [
+        const result = await client.query(query, [
             data.storeId,
             data.storeItemId,
             data.transactionDate,
@@ -154,6 +192,7 @@ class SalesTransactionExtractor {
             data.sourceSyncRunId,
             data.sourceTransactionId
         ]);
+        return result.rowCount > 0;
     }
 }
 
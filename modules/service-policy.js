@@ -0,0 +1,348 @@
+/**
+ * SERVICE-LEVEL POLICY LAYER
+ *
+ * Effective policy for a SKU = v1.0 defaults <- store policy <- category override <- SKU pin.
+ * Each layer is a partial policy:
+ *   { serviceLevelZ: { 'High Impact', 'Normal', 'Low' },
+ *     protectionWindows: { stable, moderate, volatile },
+ *     buyLessCoverMultiple }
+ *
+ * Every change bumps that scope's version and is appended to service_policy_changes.
+ * Recommendations record "store:vN/category:vN/sku:vN" plus the merged values.
+ */
+
+// v1.0 policy constants (docs/MATH_CONTRACT_v1.md)
+const DEFAULT_POLICY = Object.freeze({
+    protectionWindows: Object.freeze({ stable: 3, moderate: 5, volatile: 7 }),
+    serviceLevelZ: Object.freeze({ 'High Impact': 1.65, 'Normal': 1.28, 'Low': 0.84 }),
+    buyLessCoverMultiple: 3
+});
+
+const POLICY_SCOPES = ['store', 'category', 'sku'];
+const Z_BOUNDS = Object.freeze({ min: 0, max: 3.5 });
+const PW_BOUNDS = Object.freeze({ min: 1, max: 60 });
+const BUY_LESS_BOUNDS = Object.freeze({ min: 1.5, max: 10 });
+
+class ServicePolicyError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ServicePolicyError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Validate a partial policy and keep only known keys
+ */
+function normalizePolicy(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new ServicePolicyError('policy must be an object');
+    }
+    const out = {};
+
+    if (input.serviceLevelZ !== undefined) {
+        out.serviceLevelZ = {};
+        for (const [tier, value] of Object.entries(input.serviceLevelZ || {})) {
+            if (!(tier in DEFAULT_POLICY.serviceLevelZ)) {
+                throw new ServicePolicyError(`Unknown service tier "${tier}" (expected ${Object.keys(DEFAULT_POLICY.serviceLevelZ).join(', ')})`);
+            }
+            const z = parseFloat(value);
+            if (isNaN(z) || z < Z_BOUNDS.min || z > Z_BOUNDS.max) {
+                throw new ServicePolicyError(`serviceLevelZ.${tier} must be between ${Z_BOUNDS.min} and ${Z_BOUNDS.max}`);
+            }
+            out.serviceLevelZ[tier] = z;
+        }
+    }
+
+    if (input.protectionWindows !== undefined) {
+        out.protectionWindows = {};
+        for (const [band, value] of Object.entries(input.protectionWindows || {})) {
+            if (!(band in DEFAULT_POLICY.protectionWindows)) {
+                throw new ServicePolicyError(`Unknown protection window "${band}" (expected stable, moderate, volatile)`);
+            }
+            const days = parseInt(value);
+            if (isNaN(days) || days < PW_BOUNDS.min || days > PW_BOUNDS.max) {
+                throw new ServicePolicyError(`protectionWindows.${band} must be ${PW_BOUNDS.min}-${PW_BOUNDS.max} days`);
+            }
+            out.protectionWindows[band] = days;
+        }
+    }
+
+    if (input.buyLessCoverMultiple !== undefined) {
+        const multiple = parseFloat(input.buyLessCoverMultiple);
+        if (isNaN(multiple) || multiple < BUY_LESS_BOUNDS.min || multiple > BUY_LESS_BOUNDS.max) {
+            throw new ServicePolicyError(`buyLessCoverMultiple must be between ${BUY_LESS_BOUNDS.min} and ${BUY_LESS_BOUNDS.max}`);
+        }
+        out.buyLessCoverMultiple = multiple;
+    }
+
+    if (Object.keys(out).length === 0) {
+        throw new ServicePolicyError('policy must set serviceLevelZ, protectionWindows or buyLessCoverMultiple');
+    }
+    return out;
+}
+
+/**
+ * Merge partial layers over the defaults (later layers win)
+ */
+function mergePolicies(...layers) {
+    const merged = {
+        protectionWindows: { ...DEFAULT_POLICY.protectionWindows },
+        serviceLevelZ: { ...DEFAULT_POLICY.serviceLevelZ },
+        buyLessCoverMultiple: DEFAULT_POLICY.buyLessCoverMultiple
+    };
+    for (const layer of layers) {
+        if (!layer) continue;
+        Object.assign(merged.protectionWindows, layer.protectionWindows);
+        Object.assign(merged.serviceLevelZ, layer.serviceLevelZ);
+        if (layer.buyLessCoverMultiple !== undefined && layer.buyLessCoverMultiple !== null) {
+            merged.buyLessCoverMultiple = layer.buyLessCoverMultiple;
+        }
+    }
+    const pw = merged.protectionWindows;
+    if (!(pw.stable <= pw.moderate && pw.moderate <= pw.volatile)) {
+        throw new ServicePolicyError('Protection windows must satisfy stable <= moderate <= volatile');
+    }
+    return merged;
+}
+
+class ServicePolicy {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    /**
+     * Effective policy for one SKU
+     * @param {object} client pg client or pool
+     * @returns {object} { values, version, layers }
+     */
+    async resolve(client, storeId, category, skuId) {
+        const res = await client.query(`
+            SELECT 'store' AS scope, NULL AS scope_key, service_policy AS policy, service_policy_version AS version
+            FROM store_settings WHERE store_id = $1
+            UNION ALL
+            SELECT scope, scope_key, policy, version FROM service_policy_overrides
+            WHERE store_id = $1
+            AND ((scope = 'category' AND scope_key = $2) OR (scope = 'sku' AND scope_key = $3))
+        `, [storeId, category || '', skuId]);
+
+        const byScope = Object.fromEntries(res.rows.map(r => [r.scope, r]));
+        const layers = POLICY_SCOPES.map(scope => byScope[scope]?.policy || null);
+        let values;
+        try {
+            values = mergePolicies(...layers);
+        } catch (err) {
+            // Layers set at different times can disagree; fall back to the store policy alone
+            console.warn(`⚠️ Policy layers for ${storeId}/${skuId} conflict (${err.message}); using the store policy`);
+            values = mergePolicies(layers[0]);
+        }
+        return {
+            values,
+            version: POLICY_SCOPES.map(scope => `${scope}:${byScope[scope] ? `v${byScope[scope].version}` : '-'}`).join('/'),
+            layers: {
+                store: byScope.store?.policy || null,
+                category: byScope.category ? { name: category, policy: byScope.category.policy, version: byScope.category.version } : null,
+                sku: byScope.sku ? { policy: byScope.sku.policy, version: byScope.sku.version } : null
+            }
+        };
+    }
+
+    /**
+     * Store policy, every override and the defaults they sit on
+     */
+    async getPolicies(storeId) {
+        const store = await this.pool.query(
+            'SELECT service_policy, service_policy_version FROM store_settings WHERE store_id = $1',
+            [storeId]
+        );
+        const overrides = await this.pool.query(`
+            SELECT scope, scope_key, policy, version, updated_by, updated_at
+            FROM service_policy_overrides WHERE store_id = $1
+            ORDER BY scope, scope_key
+        `, [storeId]);
+        const storePolicy = store.rows[0]?.service_policy || null;
+        return {
+            defaults: DEFAULT_POLICY,
+            store: {
+                policy: storePolicy,
+                version: store.rows[0]?.service_policy_version || 0,
+                effective: mergePolicies(storePolicy)
+            },
+            overrides: overrides.rows
+        };
+    }
+
+    /**
+     * Set the store policy, a category override or a SKU pin (new version + change log row)
+     * @param {object} change { scope, scopeKey?, policy, reason? }
+     */
+    async setPolicy(storeId, userId, change = {}) {
+        const { scope, scopeKey } = this.validateScope(change.scope, change.scopeKey);
+        const policy = normalizePolicy(change.policy);
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await this.checkScopeExists(client, storeId, scope, scopeKey);
+
+            const current = await this.lockCurrent(client, storeId, scope, scopeKey);
+            const storePolicy = scope === 'store' ? policy : current.storePolicy;
+            mergePolicies(storePolicy, scope === 'store' ? null : policy); // Reject inconsistent windows up front
+            const version = current.version + 1;
+
+            if (scope === 'store') {
+                await client.query(
+                    'UPDATE store_settings SET service_policy = $2, service_policy_version = $3, updated_at = NOW() WHERE store_id = $1',
+                    [storeId, JSON.stringify(policy), version]
+                );
+            } else {
+                await client.query(`
+                    INSERT INTO service_policy_overrides (store_id, scope, scope_key, policy, version, updated_by, updated_at)
+                    VALUES ($1, $2, $3, $4, $5, $6, NOW())
+                    ON CONFLICT (store_id, scope, scope_key) DO UPDATE SET
+                        policy = EXCLUDED.policy, version = EXCLUDED.version,
+                        updated_by = EXCLUDED.updated_by, updated_at = NOW()
+                `, [storeId, scope, scopeKey, JSON.stringify(policy), version, userId || null]);
+            }
+
+            const logged = await this.logChange(client, storeId, userId, scope, scopeKey, version, current.policy, policy, change.reason);
+            await client.query('COMMIT');
+            return logged;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Remove a category override / SKU pin, or reset the store policy to the defaults
+     */
+    async removePolicy(storeId, userId, scope, scopeKey, reason) {
+        ({ scope, scopeKey } = this.validateScope(scope, scopeKey));
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const current = await this.lockCurrent(client, storeId, scope, scopeKey);
+            if (!current.policy) {
+                throw new ServicePolicyError(scope === 'store' ? 'Store already uses the default policy' : `No ${scope} policy for ${scopeKey}`, 404);
+            }
+            const version = current.version + 1;
+
+            if (scope === 'store') {
+                await client.query(
+                    'UPDATE store_settings SET service_policy = NULL, service_policy_version = $2, updated_at = NOW() WHERE store_id = $1',
+                    [storeId, version]
+                );
+            } else {
+                await client.query(
+                    'DELETE FROM service_policy_overrides WHERE store_id = $1 AND scope = $2 AND scope_key = $3',
+                    [storeId, scope, scopeKey]
+                );
+            }
+
+            const logged = await this.logChange(client, storeId, userId, scope, scopeKey, version, current.policy, null, reason);
+            await client.query('COMMIT');
+            return logged;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Change log, newest first. Options: { scope, scopeKey, limit }
+     */
+    async getChangeLog(storeId, options = {}) {
+        const res = await this.pool.query(`
+            SELECT c.*, u.email AS changed_by_email
+            FROM service_policy_changes c
+            LEFT JOIN users u ON u.user_id = c.changed_by
+            WHERE c.store_id = $1
+            AND ($2::text IS NULL OR c.scope = $2)
+            AND ($3::text IS NULL OR c.scope_key = $3)
+            ORDER BY c.changed_at DESC
+            LIMIT $4
+        `, [storeId, options.scope || null, options.scopeKey || null, Math.min(parseInt(options.limit) || 100, 500)]);
+        return res.rows;
+    }
+
+    validateScope(scope, scopeKey) {
+        if (!POLICY_SCOPES.includes(scope)) {
+            throw new ServicePolicyError(`scope must be one of ${POLICY_SCOPES.join(', ')}`);
+        }
+        if (scope === 'store') return { scope, scopeKey: null };
+        const key = typeof scopeKey === 'string' ? scopeKey.trim() : '';
+        if (!key) throw new ServicePolicyError(`scopeKey is required for ${scope} policies`);
+        return { scope, scopeKey: key };
+    }
+
+    async checkScopeExists(client, storeId, scope, scopeKey) {
+        if (scope === 'store') return;
+        const column = scope === 'sku' ? 'store_item_id' : 'master_category_name';
+        const res = await client.query(
+            `SELECT 1 FROM store_sku_registry WHERE store_id = $1 AND ${column} = $2 LIMIT 1`,
+            [storeId, scopeKey]
+        );
+        if (res.rows.length === 0) {
+            throw new ServicePolicyError(scope === 'sku' ? `SKU ${scopeKey} not found` : `No SKUs in category ${scopeKey}`, 404);
+        }
+    }
+
+    /**
+     * Current policy and version of a scope, locked for the change.
+     * Override versions continue from the change log, so a removed and re-added
+     * override never reuses a version number.
+     */
+    async lockCurrent(client, storeId, scope, scopeKey) {
+        const store = await client.query(
+            'SELECT service_policy, service_policy_version FROM store_settings WHERE store_id = $1 FOR UPDATE',
+            [storeId]
+        );
+        if (store.rows.length === 0) throw new ServicePolicyError('Store settings not found', 404);
+        const storePolicy = store.rows[0].service_policy || null;
+        if (scope === 'store') {
+            return { policy: storePolicy, version: store.rows[0].service_policy_version || 0, storePolicy };
+        }
+
+        const override = await client.query(
+            'SELECT policy FROM service_policy_overrides WHERE store_id = $1 AND scope = $2 AND scope_key = $3',
+            [storeId, scope, scopeKey]
+        );
+        const last = await client.query(
+            'SELECT COALESCE(MAX(version), 0) AS version FROM service_policy_changes WHERE store_id = $1 AND scope = $2 AND scope_key = $3',
+            [storeId, scope, scopeKey]
+        );
+        return {
+            policy: override.rows[0]?.policy || null,
+            version: parseInt(last.rows[0].version) || 0,
+            storePolicy
+        };
+    }
+
+    async logChange(client, storeId, userId, scope, scopeKey, version, previous, next, reason) {
+        const res = await client.query(`
+            INSERT INTO service_policy_changes (store_id, scope, scope_key, version, previous_policy, new_policy, reason, changed_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *
+        `, [
+            storeId, scope, scopeKey, version,
+            previous ? JSON.stringify(previous) : null,
+            next ? JSON.stringify(next) : null,
+            reason || null, userId || null
+        ]);
+        return res.rows[0];
+    }
+}
+
+ServicePolicy.ServicePolicyError = ServicePolicyError;
+ServicePolicy.DEFAULT_POLICY = DEFAULT_POLICY;
+ServicePolicy.POLICY_SCOPES = POLICY_SCOPES;
+ServicePolicy.normalizePolicy = normalizePolicy;
+ServicePolicy.mergePolicies = mergePolicies;
+
+module.exports = ServicePolicy;
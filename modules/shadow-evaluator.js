@@ -0,0 +1,351 @@
+/**
+ * SHADOW MODE EVALUATOR
+ *
+ * store_settings.ai_mode decides what the daily close does with its recommendations:
+ *   ACTIVE   - shown to the owner, feedback and outcome tracking as usual
+ *   SHADOW   - stored with mode = 'SHADOW', hidden from every owner-facing API,
+ *              template reasoning only (no LLM spend), scored here once their window ends
+ *   DISABLED - treated as SHADOW (computed, never shown)
+ *
+ * Every recommendation stores an opening_snapshot when it is created. A shadow
+ * recommendation is scored after its window (cover window; days to expiry for
+ * MARKDOWN) against what happened, and against what the owner did meanwhile:
+ *
+ *   Bucket    | Shadow correct when ...                              | Owner action (correct when)
+ *   BUY_MORE  | stockout started, or units sold >= stock + pending - SS | RESTOCKED (iff shadow correct)
+ *   BUY_LESS  | cover at the realized rate > cover window x multiple  | HELD (iff shadow correct; else any)
+ *   MARKDOWN  | units sold <= stock - half the at-risk units        | DISCOUNTED (iff shadow correct)
+ *
+ * Restocked = PO raised, lot received or on-hand rose in the window.
+ * Discounted = average selling price in the window <= 95% of the opening price.
+ *
+ * Promotion SHADOW -> ACTIVE needs PROMOTION_RULES on the comparison report.
+ */
+
+const AI_MODES = ['SHADOW', 'ACTIVE', 'DISABLED'];
+const REPORT_DAYS = 90;
+const DISCOUNT_THRESHOLD = 0.95;
+const PROMOTION_RULES = Object.freeze({
+    minEvaluated: 30,         // scored shadow recommendations in the report window
+    minAccuracyPct: 70,       // shadow accuracy
+    minMarginOverOwnerPct: 0  // shadow accuracy - owner accuracy
+});
+
+class ShadowEvaluatorError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ShadowEvaluatorError';
+        this.statusCode = statusCode;
+    }
+}
+
+class ShadowEvaluator {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    /**
+     * Store AI mode (store_settings.ai_mode), falling back when the store has no settings row
+     */
+    async getStoreMode(storeId, fallback = 'SHADOW') {
+        const res = await this.pool.query('SELECT ai_mode FROM store_settings WHERE store_id = $1', [storeId]);
+        const mode = res.rows[0]?.ai_mode || fallback;
+        return mode === 'ACTIVE' ? 'ACTIVE' : 'SHADOW';
+    }
+
+    /**
+     * Opening snapshot stored on every new recommendation (the baseline shadow scoring uses)
+     */
+    static openingSnapshot(metrics, sellingPrice) {
+        const horizonDays = metrics.actionBucket === 'MARKDOWN' && metrics.expiry.daysToFirstRisk !== null ?
+            Math.max(1, Math.ceil(metrics.expiry.daysToFirstRisk)) :
+            Math.max(1, Math.ceil(metrics.coverWindow || metrics.pw || 3));
+        return {
+            openedAt: new Date().toISOString(),
+            horizonDays,
+            stock: metrics.oh,
+            pending: metrics.pendingQty,
+            safetyStock: metrics.safetyStock,
+            demandRate: metrics.demandRate,
+            coverWindow: metrics.coverWindow,
+            buyLessCoverMultiple: metrics.policy ? metrics.policy.buyLessCoverMultiple : 3,
+            atRiskUnits: metrics.expiry.atRiskUnits,
+            recommendedQty: metrics.recommendedQty,
+            sellingPrice: parseFloat(sellingPrice) || null
+        };
+    }
+
+    /**
+     * Score every shadow recommendation whose window has ended
+     */
+    async evaluateDue(storeId) {
+        const due = await this.pool.query(`
+            SELECT ir.recommendation_id, ir.store_item_id, ir.insight_category, ir.opening_snapshot,
+                   COALESCE(inv.cost_price, 0) AS cost_price
+            FROM inventory_recommendations ir
+            LEFT JOIN v_latest_inventory inv ON inv.store_id = ir.store_id AND inv.store_item_id = ir.store_item_id
+            WHERE ir.store_id = $1 AND ir.mode = 'SHADOW' AND ir.shadow_outcome IS NULL
+            AND ir.opening_snapshot IS NOT NULL
+            AND (ir.opening_snapshot->>'openedAt')::timestamptz
+                + make_interval(days => (ir.opening_snapshot->>'horizonDays')::int) <= NOW()
+        `, [storeId]);
+
+        let scored = 0;
+        for (const rec of due.rows) {
+            try {
+                const evaluation = await this.evaluateRecommendation(storeId, rec);
+                // A scored recommendation is retired so the next daily close opens a fresh
+                // one (with a new snapshot) if the SKU still warrants it
+                await this.pool.query(`
+                    UPDATE inventory_recommendations
+                    SET shadow_outcome = $2, owner_action = $3, owner_action_correct = $4,
+                        shadow_evaluation = $5, shadow_evaluated_at = NOW(),
+                        feedback_status = CASE WHEN feedback_status = 'PENDING' THEN 'OBSOLETE' ELSE feedback_status END
+                    WHERE recommendation_id = $1
+                `, [
+                    rec.recommendation_id,
+                    evaluation.shadowCorrect ? 'CORRECT' : 'INCORRECT',
+                    evaluation.ownerAction,
+                    evaluation.ownerCorrect,
+                    JSON.stringify(evaluation)
+                ]);
+                scored++;
+            } catch (err) {
+                console.warn(`⚠️ Shadow scoring failed for ${rec.recommendation_id}: ${err.message}`);
+            }
+        }
+        if (scored > 0) console.log(`👥 Shadow mode: scored ${scored} recommendation(s) for ${storeId}`);
+        return { due: due.rows.length, scored };
+    }
+
+    /**
+     * What happened in the window of one shadow recommendation
+     */
+    async evaluateRecommendation(storeId, rec) {
+        const snap = rec.opening_snapshot;
+        const from = new Date(snap.openedAt);
+        const to = new Date(from.getTime() + snap.horizonDays * 86400000);
+
+        const res = await this.pool.query(`
+            SELECT
+                (SELECT COALESCE(SUM(quantity_sold), 0) FROM sales_transactions
+                 WHERE store_id = $1 AND store_item_id = $2 AND transaction_timestamp >= $3 AND transaction_timestamp < $4) AS units_sold,
+                (SELECT SUM(revenue) / NULLIF(SUM(quantity_sold), 0) FROM sales_transactions
+                 WHERE store_id = $1 AND store_item_id = $2 AND transaction_timestamp >= $3 AND transaction_timestamp < $4) AS avg_price,
+                (SELECT COUNT(*) FROM stockout_events
+                 WHERE store_id = $1 AND store_item_id = $2 AND started_at >= $3 AND started_at < $4) AS stockouts,
+                (SELECT COALESCE(SUM(COALESCE(estimated_lost_revenue, 0)), 0) FROM stockout_events
+                 WHERE store_id = $1 AND store_item_id = $2 AND started_at >= $3 AND started_at < $4) AS lost_revenue,
+                EXISTS (
+                    SELECT 1 FROM purchase_order_items poi JOIN purchase_orders po ON po.po_id = poi.po_id
+                    WHERE poi.store_id = $1 AND poi.store_item_id = $2 AND po.created_at >= $3 AND po.created_at < $4
+                ) OR EXISTS (
+                    SELECT 1 FROM inventory_lots
+                    WHERE store_id = $1 AND store_item_id = $2 AND received_at >= $3 AND received_at < $4
+                ) OR EXISTS (
+                    SELECT 1 FROM (
+                        SELECT as_of_date, quantity_on_hand,
+                               LAG(quantity_on_hand) OVER (ORDER BY as_of_date) AS previous_qty
+                        FROM onboarding_handoff
+                        WHERE store_id = $1 AND store_item_id = $2 AND as_of_date < $4
+                    ) s
+                    WHERE s.as_of_date >= $3 AND s.quantity_on_hand > s.previous_qty
+                ) AS restocked
+        `, [storeId, rec.store_item_id, from, to]);
+        const row = res.rows[0];
+
+        return ShadowEvaluator.scoreWindow(rec.insight_category, snap, {
+            unitsSold: parseFloat(row.units_sold) || 0,
+            avgPrice: row.avg_price !== null ? parseFloat(row.avg_price) : null,
+            stockouts: parseInt(row.stockouts) || 0,
+            lostRevenue: parseFloat(row.lost_revenue) || 0,
+            restocked: row.restocked === true,
+            costPrice: parseFloat(rec.cost_price) || 0
+        });
+    }
+
+    /**
+     * Pure scoring of one window (see the table at the top of this file)
+     */
+    static scoreWindow(bucket, snap, actual) {
+        const stock = parseFloat(snap.stock) || 0;
+        const discounted = actual.avgPrice !== null && snap.sellingPrice > 0 &&
+            actual.avgPrice <= snap.sellingPrice * DISCOUNT_THRESHOLD;
+        const evaluation = {
+            bucket,
+            windowDays: snap.horizonDays,
+            unitsSold: actual.unitsSold,
+            stockouts: actual.stockouts,
+            restocked: actual.restocked,
+            discounted,
+            valueAtStake: 0
+        };
+
+        if (bucket === 'BUY_MORE') {
+            const buffer = stock + (parseFloat(snap.pending) || 0) - (parseFloat(snap.safetyStock) || 0);
+            evaluation.shadowCorrect = actual.stockouts > 0 || actual.unitsSold >= buffer;
+            evaluation.ownerAction = actual.restocked ? 'RESTOCKED' : 'NO_ACTION';
+            evaluation.ownerCorrect = actual.restocked === evaluation.shadowCorrect;
+            evaluation.valueAtStake = actual.lostRevenue;
+        } else if (bucket === 'BUY_LESS') {
+            const realizedRate = actual.unitsSold / snap.horizonDays;
+            const realizedCover = realizedRate > 0 ? stock / realizedRate : (stock > 0 ? Infinity : 0);
+            evaluation.realizedCover = Number.isFinite(realizedCover) ? realizedCover : null;
+            evaluation.shadowCorrect = realizedCover > (snap.coverWindow || snap.horizonDays) * (snap.buyLessCoverMultiple || 3);
+            evaluation.ownerAction = actual.restocked ? 'RESTOCKED' : 'HELD';
+            evaluation.ownerCorrect = evaluation.shadowCorrect ? !actual.restocked : true;
+            evaluation.valueAtStake = Math.max(0, stock - actual.unitsSold) * actual.costPrice;
+        } else if (bucket === 'MARKDOWN') {
+            const atRisk = parseFloat(snap.atRiskUnits) || 0;
+            evaluation.shadowCorrect = actual.unitsSold <= stock - atRisk / 2;
+            evaluation.ownerAction = discounted ? 'DISCOUNTED' : 'NO_ACTION';
+            evaluation.ownerCorrect = discounted === evaluation.shadowCorrect;
+            evaluation.valueAtStake = Math.max(0, stock - actual.unitsSold) * actual.costPrice;
+        } else {
+            throw new ShadowEvaluatorError(`Cannot score bucket ${bucket}`);
+        }
+        evaluation.agreed = (bucket === 'BUY_MORE' && evaluation.ownerAction === 'RESTOCKED') ||
+            (bucket === 'BUY_LESS' && evaluation.ownerAction === 'HELD') ||
+            (bucket === 'MARKDOWN' && evaluation.ownerAction === 'DISCOUNTED');
+        return evaluation;
+    }
+
+    /**
+     * Shadow accuracy vs owner decisions, with the promotion verdict
+     */
+    async getComparisonReport(storeId, days = REPORT_DAYS) {
+        const windowDays = parseInt(days) || REPORT_DAYS;
+        const mode = await this.getStoreMode(storeId);
+
+        const res = await this.pool.query(`
+            SELECT insight_category AS bucket,
+                   COUNT(*) AS evaluated,
+                   COUNT(*) FILTER (WHERE shadow_outcome = 'CORRECT') AS shadow_correct,
+                   COUNT(*) FILTER (WHERE owner_action_correct) AS owner_correct,
+                   COUNT(*) FILTER (WHERE (shadow_evaluation->>'agreed')::boolean) AS agreed,
+                   COALESCE(SUM((shadow_evaluation->>'valueAtStake')::numeric)
+                       FILTER (WHERE shadow_outcome = 'CORRECT' AND NOT owner_action_correct), 0) AS missed_by_owner_value
+            FROM inventory_recommendations
+            WHERE store_id = $1 AND mode = 'SHADOW' AND shadow_outcome IS NOT NULL
+            AND shadow_evaluated_at >= NOW() - make_interval(days => $2::int)
+            GROUP BY insight_category
+            ORDER BY insight_category
+        `, [storeId, windowDays]);
+
+        const pending = await this.pool.query(`
+            SELECT COUNT(*) AS pending FROM inventory_recommendations
+            WHERE store_id = $1 AND mode = 'SHADOW' AND shadow_outcome IS NULL AND opening_snapshot IS NOT NULL
+        `, [storeId]);
+
+        const pct = (part, whole) => whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+        const byBucket = res.rows.map(r => {
+            const evaluated = parseInt(r.evaluated);
+            return {
+                bucket: r.bucket,
+                evaluated,
+                shadowAccuracyPct: pct(parseInt(r.shadow_correct), evaluated),
+                ownerAccuracyPct: pct(parseInt(r.owner_correct), evaluated),
+                agreementPct: pct(parseInt(r.agreed), evaluated),
+                missedByOwnerValue: Math.round(parseFloat(r.missed_by_owner_value))
+            };
+        });
+        const sum = key => res.rows.reduce((s, r) => s + parseFloat(r[key]), 0);
+        const evaluated = sum('evaluated');
+        const totals = {
+            evaluated,
+            shadowAccuracyPct: pct(sum('shadow_correct'), evaluated),
+            ownerAccuracyPct: pct(sum('owner_correct'), evaluated),
+            agreementPct: pct(sum('agreed'), evaluated),
+            missedByOwnerValue: Math.round(sum('missed_by_owner_value'))
+        };
+
+        return {
+            storeId,
+            mode,
+            windowDays,
+            pendingEvaluation: parseInt(pending.rows[0].pending),
+            totals,
+            byBucket,
+            promotion: ShadowEvaluator.promotionVerdict(mode, totals)
+        };
+    }
+
+    static promotionVerdict(mode, totals) {
+        const blockers = [];
+        if (mode === 'ACTIVE') blockers.push('Store is already ACTIVE');
+        if (totals.evaluated < PROMOTION_RULES.minEvaluated) {
+            blockers.push(`${totals.evaluated} of ${PROMOTION_RULES.minEvaluated} scored shadow recommendations`);
+        }
+        if (totals.shadowAccuracyPct === null || totals.shadowAccuracyPct < PROMOTION_RULES.minAccuracyPct) {
+            blockers.push(`Shadow accuracy ${totals.shadowAccuracyPct ?? 0}% is below ${PROMOTION_RULES.minAccuracyPct}%`);
+        }
+        if (totals.shadowAccuracyPct !== null && totals.ownerAccuracyPct !== null &&
+            totals.shadowAccuracyPct - totals.ownerAccuracyPct < PROMOTION_RULES.minMarginOverOwnerPct) {
+            blockers.push(`Shadow accuracy ${totals.shadowAccuracyPct}% trails owner decisions (${totals.ownerAccuracyPct}%)`);
+        }
+        return { eligible: blockers.length === 0, blockers, rules: PROMOTION_RULES };
+    }
+
+    /**
+     * Promote SHADOW -> ACTIVE when the comparison report allows it
+     */
+    async promote(storeId, userId) {
+        const report = await this.getComparisonReport(storeId);
+        if (!report.promotion.eligible) {
+            const err = new ShadowEvaluatorError(`Not eligible for ACTIVE: ${report.promotion.blockers.join('; ')}`, 409);
+            err.report = report;
+            throw err;
+        }
+        await this.setMode(storeId, userId, 'ACTIVE', 'promotion', report.totals);
+        return report;
+    }
+
+    /**
+     * Switch mode. Open recommendations of the old mode are retired so the next
+     * daily close starts the new mode from a clean slate.
+     */
+    async setMode(storeId, userId, mode, reason, metadata = {}) {
+        if (!AI_MODES.includes(mode)) {
+            throw new ShadowEvaluatorError(`mode must be one of ${AI_MODES.join(', ')}`);
+        }
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const current = await client.query(
+                'SELECT ai_mode FROM store_settings WHERE store_id = $1 FOR UPDATE',
+                [storeId]
+            );
+            if (current.rows.length === 0) throw new ShadowEvaluatorError('Store settings not found', 404);
+            const previous = current.rows[0].ai_mode;
+            if (previous === mode) throw new ShadowEvaluatorError(`Store is already ${mode}`, 409);
+
+            await client.query(
+                'UPDATE store_settings SET ai_mode = $2, ai_mode_changed_at = NOW(), updated_at = NOW() WHERE store_id = $1',
+                [storeId, mode]
+            );
+            const retired = await client.query(`
+                UPDATE inventory_recommendations SET feedback_status = 'OBSOLETE'
+                WHERE store_id = $1 AND mode = $2 AND feedback_status = 'PENDING'
+            `, [storeId, previous === 'ACTIVE' ? 'ACTIVE' : 'SHADOW']);
+            await client.query(
+                `INSERT INTO operational_audit_log (store_id, user_id, action_type, entity_type, entity_id, metadata, status)
+                 VALUES ($1, $2, 'ai_mode.changed', 'store', $1, $3, 'success')`,
+                [storeId, userId || null, JSON.stringify({ from: previous, to: mode, reason, retired: retired.rowCount, ...metadata })]
+            );
+            await client.query('COMMIT');
+            console.log(`🔀 AI mode for ${storeId}: ${previous} -> ${mode} (${reason})`);
+            return { previous, mode, retired: retired.rowCount };
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+ShadowEvaluator.ShadowEvaluatorError = ShadowEvaluatorError;
+ShadowEvaluator.AI_MODES = AI_MODES;
+ShadowEvaluator.PROMOTION_RULES = PROMOTION_RULES;
+
+module.exports = ShadowEvaluator;
@@ -0,0 +1,171 @@
+/**
+ * SKU CLASSIFIER (ABC / XYZ / Business Role)
+ *
+ * Runs at daily close over the last 90 days of sales_transactions and persists
+ * into store_sku_registry:
+ *   velocity_class       ABC by revenue contribution (cumulative share: A <= 80%, B <= 95%, C rest)
+ *   predictability_class XYZ by CV of daily units (X <= 0.5, Y <= 1.0, Z above or no sales)
+ *   business_role        Traffic  - sold on >= 50% of days and in the top 20% of SKUs by selling days
+ *                        Margin   - inside the top 80% of gross-margin contribution
+ *                        Long-tail - remaining C items
+ *                        Basket   - everything else
+ *   risk_class           service tier picking z (Critical / Normal / Low, see SERVICE_TIERS)
+ *
+ * Gross margin uses the latest cost price (v_latest_inventory).
+ */
+
+const CLASSIFICATION_WINDOW_DAYS = 90;
+const ABC_THRESHOLDS = Object.freeze({ A: 0.80, B: 0.95 });
+const XYZ_THRESHOLDS = Object.freeze({ X: 0.5, Y: 1.0 });
+const TRAFFIC_MIN_DAY_SHARE = 0.5;
+const TRAFFIC_TOP_SHARE = 0.2;
+const MARGIN_DRIVER_SHARE = 0.8;
+
+// ABC x XYZ -> service tier (risk_class). The agent maps Critical to the 'High Impact' z.
+const SERVICE_TIERS = Object.freeze({
+    AX: 'Critical', AY: 'Critical', AZ: 'Normal',
+    BX: 'Normal', BY: 'Normal', BZ: 'Normal',
+    CX: 'Normal', CY: 'Low', CZ: 'Low'
+});
+
+class SkuClassifier {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    /**
+     * Classify every active SKU of the store and persist the classes
+     */
+    async classifyStore(storeId, asOf = new Date()) {
+        const windowStart = new Date(asOf);
+        windowStart.setHours(0, 0, 0, 0);
+        windowStart.setDate(windowStart.getDate() - CLASSIFICATION_WINDOW_DAYS);
+
+        const res = await this.pool.query(`
+            WITH daily AS (
+                SELECT store_item_id, transaction_date,
+                       SUM(quantity_sold) AS units, SUM(revenue) AS revenue
+                FROM sales_transactions
+                WHERE store_id = $1 AND transaction_date >= $2::date AND transaction_date < $3::date
+                GROUP BY store_item_id, transaction_date
+            )
+            SELECT r.store_item_id,
+                   COALESCE(SUM(d.units), 0) AS units,
+                   COALESCE(SUM(d.units * d.units), 0) AS units_sq,
+                   COALESCE(SUM(d.revenue), 0) AS revenue,
+                   COUNT(d.transaction_date) AS selling_days,
+                   i.cost_price
+            FROM store_sku_registry r
+            LEFT JOIN daily d ON d.store_item_id = r.store_item_id
+            LEFT JOIN v_latest_inventory i ON i.store_id = r.store_id AND i.store_item_id = r.store_item_id
+            WHERE r.store_id = $1 AND r.status = 'active'
+            GROUP BY r.store_item_id, i.cost_price
+        `, [storeId, windowStart, asOf]);
+
+        const classes = SkuClassifier.assignClasses(res.rows, CLASSIFICATION_WINDOW_DAYS);
+        if (classes.length > 0) {
+            await this.pool.query(`
+                UPDATE store_sku_registry r SET
+                    velocity_class = c.abc,
+                    predictability_class = c.xyz,
+                    business_role = c.role,
+                    risk_class = c.tier,
+                    classified_at = NOW()
+                FROM UNNEST($2::text[], $3::text[], $4::text[], $5::text[], $6::text[])
+                    AS c(store_item_id, abc, xyz, role, tier)
+                WHERE r.store_id = $1 AND r.store_item_id = c.store_item_id
+            `, [
+                storeId,
+                classes.map(c => c.storeItemId),
+                classes.map(c => c.abc),
+                classes.map(c => c.xyz),
+                classes.map(c => c.role),
+                classes.map(c => c.tier)
+            ]);
+        }
+
+        const summary = classes.reduce((acc, c) => {
+            acc[c.abc + c.xyz] = (acc[c.abc + c.xyz] || 0) + 1;
+            return acc;
+        }, {});
+        console.log(`🔠 SKU classification for ${storeId}: ${classes.length} SKUs ${JSON.stringify(summary)}`);
+        return { classified: classes.length, summary };
+    }
+
+    /**
+     * Pure classification over per-SKU window totals
+     * @param {Array} rows { store_item_id, units, units_sq, revenue, selling_days, cost_price }
+     */
+    static assignClasses(rows, windowDays = CLASSIFICATION_WINDOW_DAYS) {
+        const skus = rows.map(r => {
+            const units = parseFloat(r.units) || 0;
+            const revenue = parseFloat(r.revenue) || 0;
+            const mean = units / windowDays;
+            // Daily variance over the whole window (days without sales count as 0)
+            const variance = Math.max(0, (parseFloat(r.units_sq) || 0) / windowDays - mean * mean);
+            return {
+                storeItemId: r.store_item_id,
+                revenue,
+                margin: revenue - units * (parseFloat(r.cost_price) || 0),
+                sellingDays: parseInt(r.selling_days) || 0,
+                cv: mean > 0 ? Math.sqrt(variance) / mean : null
+            };
+        });
+
+        const totalRevenue = skus.reduce((s, k) => s + Math.max(0, k.revenue), 0);
+        const byRevenue = [...skus].sort((a, b) => b.revenue - a.revenue);
+        let cumulative = 0;
+        for (const k of byRevenue) {
+            // Share before this SKU, so the SKU that crosses a threshold stays in the higher class
+            const before = totalRevenue > 0 ? cumulative / totalRevenue : 1;
+            cumulative += Math.max(0, k.revenue);
+            k.abc = k.revenue <= 0 ? 'C' : before < ABC_THRESHOLDS.A ? 'A' : before < ABC_THRESHOLDS.B ? 'B' : 'C';
+        }
+
+        for (const k of skus) {
+            k.xyz = k.cv === null ? 'Z' : k.cv <= XYZ_THRESHOLDS.X ? 'X' : k.cv <= XYZ_THRESHOLDS.Y ? 'Y' : 'Z';
+        }
+
+        // Traffic drivers: frequent sellers in the top 20% by selling days
+        const trafficCount = Math.ceil(skus.length * TRAFFIC_TOP_SHARE);
+        const traffic = new Set([...skus]
+            .sort((a, b) => b.sellingDays - a.sellingDays)
+            .slice(0, trafficCount)
+            .filter(k => k.sellingDays >= windowDays * TRAFFIC_MIN_DAY_SHARE)
+            .map(k => k.storeItemId));
+
+        // Margin drivers: inside the top 80% of positive gross margin
+        const totalMargin = skus.reduce((s, k) => s + Math.max(0, k.margin), 0);
+        const marginDrivers = new Set();
+        let marginCumulative = 0;
+        for (const k of [...skus].sort((a, b) => b.margin - a.margin)) {
+            if (k.margin <= 0 || totalMargin <= 0 || marginCumulative / totalMargin >= MARGIN_DRIVER_SHARE) break;
+            marginDrivers.add(k.storeItemId);
+            marginCumulative += k.margin;
+        }
+
+        return skus.map(k => {
+            const role = traffic.has(k.storeItemId) ? 'Traffic' :
+                marginDrivers.has(k.storeItemId) ? 'Margin' :
+                    k.abc === 'C' ? 'Long-tail' : 'Basket';
+            let tier = SERVICE_TIERS[k.abc + k.xyz];
+            // Running out of a traffic driver costs the whole basket
+            if (role === 'Traffic' && tier === 'Low') tier = 'Normal';
+            return {
+                storeItemId: k.storeItemId,
+                abc: k.abc,
+                xyz: k.xyz,
+                role,
+                tier,
+                cv: k.cv,
+                revenue: k.revenue,
+                sellingDays: k.sellingDays
+            };
+        });
+    }
+}
+
+SkuClassifier.SERVICE_TIERS = SERVICE_TIERS;
+SkuClassifier.CLASSIFICATION_WINDOW_DAYS = CLASSIFICATION_WINDOW_DAYS;
+
+module.exports = SkuClassifier;
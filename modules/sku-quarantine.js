@@ -0,0 +1,465 @@
+/**
+ * UNKNOWN-SKU QUARANTINE
+ *
+ * A sync row whose SKU is not in the registry no longer fails the whole sync.
+ * IncrementalSyncAgent commits the known SKUs and parks the unknown rows here:
+ *   - one open escalation per SKU in unknown_sku_escalation_queue
+ *   - every raw row in quarantined_stock_movements, tagged with the sync that sent it
+ *
+ * The owner resolves each escalation:
+ *   onboard  - create the SKU (OnboardingOrchestrator, partial mode) from the raw row
+ *   map      - the code is another name for an existing SKU (kept in sku_id_aliases,
+ *              so later syncs resolve it without parking)
+ *   discard  - drop the parked rows
+ * Onboarded and mapped SKUs then get their parked rows replayed through the sync,
+ * one replay per original sync run and in arrival order, so the netting matches
+ * what the original sync would have written. A parked absolute count is replayed
+ * only while no newer snapshot of the target SKU exists (a later count, upload or
+ * sync already superseded it); otherwise it is discarded and reported as skipped.
+ *
+ * With store_sync_config.auto_onboard_unknown_skus the sync onboards and replays
+ * named SKUs straight away.
+ */
+
+const { ValidationSchemas } = require('./validation-schemas');
+
+const OPEN_STATUSES = ['pending', 'onboarding_triggered'];
+const RESOLUTIONS = ['onboard', 'map', 'discard'];
+
+class SkuQuarantineError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'SkuQuarantineError';
+        this.statusCode = statusCode;
+    }
+}
+
+class SkuQuarantine {
+    /**
+     * @param {Pool} pool
+     * @param {object} agents { syncAgent, onboardingAgent } (wired after construction in server.js)
+     */
+    constructor(pool, { syncAgent = null, onboardingAgent = null } = {}) {
+        this.pool = pool;
+        this.syncAgent = syncAgent;
+        this.onboardingAgent = onboardingAgent;
+    }
+
+    /**
+     * Codes mapped to an existing SKU: Map(alias -> store_item_id)
+     */
+    async getAliases(storeId) {
+        const res = await this.pool.query(
+            'SELECT alias_item_id, store_item_id FROM sku_id_aliases WHERE store_id = $1',
+            [storeId]
+        );
+        return new Map(res.rows.map(r => [r.alias_item_id, r.store_item_id]));
+    }
+
+    /**
+     * Park the unknown rows of a sync
+     * @param {Array} unknownSKUs [{ store_item_id, raw_data }] one entry per row
+     * @returns {Array} [{ escalation_id, store_item_id, product_name, movements }]
+     */
+    async park(storeId, unknownSKUs, syncRunId, dataSource) {
+        const bySku = new Map();
+        for (const row of unknownSKUs) {
+            if (!bySku.has(row.store_item_id)) bySku.set(row.store_item_id, []);
+            bySku.get(row.store_item_id).push(row.raw_data || {});
+        }
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const parked = [];
+            for (const [skuId, rows] of bySku) {
+                const productName = rows.map(r => r.product_name).find(n => n && String(n).trim()) || null;
+                const escalation = await client.query(`
+                    INSERT INTO unknown_sku_escalation_queue (
+                        store_id, store_item_id, product_name, raw_data,
+                        escalation_status, notified_owner, last_seen_at, movement_count
+                    ) VALUES ($1, $2, $3, $4, 'pending', false, CURRENT_TIMESTAMP, $5)
+                    ON CONFLICT (store_id, store_item_id) WHERE escalation_status IN ('pending', 'onboarding_triggered')
+                    DO UPDATE SET
+                        product_name = COALESCE(EXCLUDED.product_name, unknown_sku_escalation_queue.product_name),
+                        raw_data = EXCLUDED.raw_data,
+                        last_seen_at = CURRENT_TIMESTAMP,
+                        movement_count = COALESCE(unknown_sku_escalation_queue.movement_count, 0) + EXCLUDED.movement_count
+                    RETURNING id, product_name
+                `, [storeId, skuId, productName, JSON.stringify(rows[rows.length - 1]), rows.length]);
+                const escalationId = escalation.rows[0].id;
+
+                await client.query(`
+                    INSERT INTO quarantined_stock_movements (escalation_id, store_id, store_item_id, raw_row, sync_run_id, data_source)
+                    SELECT $1, $2, $3, r.raw_row, $5, $6
+                    FROM UNNEST($4::jsonb[]) WITH ORDINALITY AS r(raw_row, ord)
+                    ORDER BY r.ord
+                `, [escalationId, storeId, skuId, rows.map(r => JSON.stringify(r)), syncRunId, dataSource]);
+
+                parked.push({
+                    escalation_id: escalationId,
+                    store_item_id: skuId,
+                    product_name: escalation.rows[0].product_name,
+                    movements: rows.length
+                });
+            }
+            await client.query('COMMIT');
+            console.log(`🧳 Parked ${unknownSKUs.length} row(s) for ${parked.length} unknown SKU(s) in ${storeId}`);
+            return parked;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Auto-onboard parked SKUs when the store allows it. SKUs without a product
+     * name stay pending for the owner.
+     */
+    async autoOnboard(storeId, parked) {
+        if (!this.onboardingAgent || parked.length === 0) return [];
+        const config = await this.pool.query(
+            'SELECT auto_onboard_unknown_skus FROM store_sync_config WHERE store_id = $1',
+            [storeId]
+        );
+        if (config.rows[0]?.auto_onboard_unknown_skus !== true) return [];
+
+        const resolved = [];
+        for (const p of parked) {
+            if (!p.product_name) continue;
+            try {
+                resolved.push(await this.resolve(storeId, p.escalation_id, { action: 'onboard', note: 'auto_onboard_unknown_skus' }, null));
+            } catch (err) {
+                console.error(`⚠️  Auto-onboarding ${p.store_item_id} failed:`, err.message);
+            }
+        }
+        return resolved;
+    }
+
+    /**
+     * Escalations with their parked rows
+     * @param {string} status 'open' (default) or 'resolved'
+     */
+    async list(storeId, status = 'open') {
+        const res = await this.pool.query(`
+            SELECT q.id, q.store_item_id, q.product_name, q.raw_data, q.detected_at, q.last_seen_at,
+                   q.escalation_status, q.resolution, q.mapped_to_item_id, q.resolved_at, q.resolved_by,
+                   q.resolution_note,
+                   COUNT(m.movement_id) FILTER (WHERE m.status = 'parked') AS parked_movements,
+                   COUNT(m.movement_id) FILTER (WHERE m.status = 'replayed') AS replayed_movements,
+                   MIN(m.parked_at) FILTER (WHERE m.status = 'parked') AS oldest_parked_at
+            FROM unknown_sku_escalation_queue q
+            LEFT JOIN quarantined_stock_movements m ON m.escalation_id = q.id
+            WHERE q.store_id = $1 AND (q.escalation_status = ANY($2)) = $3
+            GROUP BY q.id
+            ORDER BY COALESCE(q.last_seen_at, q.detected_at) DESC
+            LIMIT 200
+        `, [storeId, OPEN_STATUSES, status !== 'resolved']);
+
+        // Registry SKUs sharing the barcode are offered as mapping targets
+        const barcodes = [...new Set(res.rows.map(r => r.raw_data?.barcode).filter(Boolean).map(String))];
+        const matches = barcodes.length === 0 ? { rows: [] } : await this.pool.query(`
+            SELECT barcode, store_item_id, normalized_product_name FROM store_sku_registry
+            WHERE store_id = $1 AND status = 'active' AND barcode = ANY($2)
+        `, [storeId, barcodes]);
+
+        return res.rows.map(r => ({
+            escalationId: r.id,
+            storeItemId: r.store_item_id,
+            productName: r.product_name,
+            lastRow: r.raw_data,
+            detectedAt: r.detected_at,
+            lastSeenAt: r.last_seen_at,
+            status: r.escalation_status,
+            resolution: r.resolution,
+            mappedTo: r.mapped_to_item_id,
+            resolvedAt: r.resolved_at,
+            resolvedBy: r.resolved_by,
+            note: r.resolution_note,
+            parkedMovements: parseInt(r.parked_movements, 10),
+            replayedMovements: parseInt(r.replayed_movements, 10),
+            oldestParkedAt: r.oldest_parked_at,
+            suggestedMatches: matches.rows
+                .filter(m => r.raw_data?.barcode && m.barcode === String(r.raw_data.barcode))
+                .map(m => ({ storeItemId: m.store_item_id, productName: m.normalized_product_name }))
+        }));
+    }
+
+    /**
+     * Owner decision on one open escalation
+     * @param {object} decision { action: onboard | map | discard, targetSkuId?, productName?, openingQuantity?, note? }
+     */
+    async resolve(storeId, escalationId, decision, userId) {
+        SkuQuarantine.assertEscalationId(escalationId);
+        const action = String(decision.action || '').toLowerCase();
+        if (!RESOLUTIONS.includes(action)) {
+            throw new SkuQuarantineError(`action must be one of ${RESOLUTIONS.join(', ')}`);
+        }
+
+        const escalation = await this.getEscalation(storeId, escalationId);
+        if (!OPEN_STATUSES.includes(escalation.escalation_status)) {
+            throw new SkuQuarantineError(`Escalation is already ${escalation.escalation_status}`, 409);
+        }
+
+        let targetSkuId = null;
+        let onboardingRunId = null;
+        if (action === 'onboard') {
+            onboardingRunId = await this.onboardEscalation(storeId, escalation, decision);
+            targetSkuId = escalation.store_item_id;
+        } else if (action === 'map') {
+            targetSkuId = String(decision.targetSkuId || '').trim();
+            if (!targetSkuId) throw new SkuQuarantineError('targetSkuId is required to map');
+            if (targetSkuId === escalation.store_item_id) {
+                throw new SkuQuarantineError('targetSkuId must differ from the unknown code');
+            }
+            const target = await this.pool.query(
+                "SELECT 1 FROM store_sku_registry WHERE store_id = $1 AND store_item_id = $2 AND status = 'active'",
+                [storeId, targetSkuId]
+            );
+            if (target.rows.length === 0) throw new SkuQuarantineError(`SKU ${targetSkuId} not found`, 404);
+        }
+
+        const statusByAction = { onboard: 'onboarded', map: 'mapped', discard: 'ignored' };
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const updated = await client.query(`
+                UPDATE unknown_sku_escalation_queue
+                SET escalation_status = $3, resolution = $4, mapped_to_item_id = $5, onboarding_batch_id = $6,
+                    resolved_by = $7, resolution_note = $8, resolved_at = CURRENT_TIMESTAMP
+                WHERE store_id = $1 AND id = $2 AND escalation_status = ANY($9)
+                RETURNING id
+            `, [storeId, escalationId, statusByAction[action], action === 'onboard' ? 'onboarded' : action === 'map' ? 'mapped' : 'discarded',
+                action === 'map' ? targetSkuId : null, onboardingRunId, userId, decision.note || null, OPEN_STATUSES]);
+            if (updated.rows.length === 0) {
+                throw new SkuQuarantineError('Escalation was resolved concurrently', 409);
+            }
+
+            if (action === 'map') {
+                await client.query(`
+                    INSERT INTO sku_id_aliases (store_id, alias_item_id, store_item_id, created_by)
+                    VALUES ($1, $2, $3, $4)
+                    ON CONFLICT (store_id, alias_item_id) DO UPDATE SET
+                        store_item_id = EXCLUDED.store_item_id, created_by = EXCLUDED.created_by, created_at = CURRENT_TIMESTAMP
+                `, [storeId, escalation.store_item_id, targetSkuId, userId]);
+            }
+            if (action === 'discard') {
+                await client.query(`
+                    UPDATE quarantined_stock_movements SET status = 'discarded', resolved_at = CURRENT_TIMESTAMP
+                    WHERE escalation_id = $1 AND status = 'parked'
+                `, [escalationId]);
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        console.log(`🧳 Escalation ${escalation.store_item_id} (${storeId}) resolved: ${action}${targetSkuId && action === 'map' ? ` -> ${targetSkuId}` : ''}`);
+
+        // The decision stands even if the replay fails; POST .../replay retries the rest
+        let replay = { replayed: 0, syncRuns: [], skipped: [] };
+        if (action !== 'discard') {
+            try {
+                replay = await this.replay(storeId, escalationId);
+            } catch (err) {
+                console.error(`❌ Replay of ${escalation.store_item_id} failed:`, err.message);
+                replay.replayError = err.message;
+            }
+        }
+        return {
+            escalationId,
+            storeItemId: escalation.store_item_id,
+            action,
+            targetSkuId,
+            onboardingRunId,
+            ...replay
+        };
+    }
+
+    /**
+     * Feed the parked rows of a resolved escalation back through the sync,
+     * one sync per original run. Safe to call again after a failed replay.
+     */
+    async replay(storeId, escalationId) {
+        const escalation = await this.getEscalation(storeId, escalationId);
+        const targetSkuId = escalation.escalation_status === 'onboarded' ? escalation.store_item_id :
+            escalation.escalation_status === 'mapped' ? escalation.mapped_to_item_id : null;
+        if (!targetSkuId) {
+            throw new SkuQuarantineError(`Escalation is ${escalation.escalation_status}; only onboarded or mapped SKUs are replayed`, 409);
+        }
+        if (!this.syncAgent) throw new SkuQuarantineError('Incremental sync is not available', 503);
+
+        const parked = await this.pool.query(`
+            SELECT movement_id, raw_row, sync_run_id, data_source, parked_at FROM quarantined_stock_movements
+            WHERE escalation_id = $1 AND status = 'parked'
+            ORDER BY movement_id
+        `, [escalationId]);
+
+        const runs = SkuQuarantine.groupByRun(parked.rows);
+        const syncRuns = [];
+        const skipped = [];
+        let replayed = 0;
+        for (const run of runs) {
+            const latestAt = await this.latestSnapshotAt(storeId, targetSkuId, escalation);
+            const stale = latestAt ? run.movements.filter(m => SkuQuarantine.isAbsoluteRow(m.raw_row) &&
+                new Date(m.raw_row?.occurred_at || m.parked_at) < latestAt) : [];
+            if (stale.length > 0) {
+                await this.pool.query(`
+                    UPDATE quarantined_stock_movements SET status = 'discarded', resolved_at = CURRENT_TIMESTAMP
+                    WHERE movement_id = ANY($1) AND status = 'parked'
+                `, [stale.map(m => m.movement_id)]);
+                skipped.push(...stale.map(m => ({
+                    movementId: m.movement_id,
+                    quantity: m.raw_row?.quantity_on_hand ?? m.raw_row?.quantity ?? null,
+                    parkedAt: m.parked_at,
+                    reason: 'A newer snapshot of the SKU supersedes this count'
+                })));
+            }
+            const movements = run.movements.filter(m => !stale.includes(m));
+            if (movements.length === 0) continue;
+
+            const rows = movements.map(m => ({ ...m.raw_row, store_item_id: targetSkuId }));
+            const result = await this.syncAgent.sync(storeId, rows, {
+                syncType: 'quarantine_replay',
+                dataSource: run.dataSource || 'system_event'
+            });
+            await this.pool.query(`
+                UPDATE quarantined_stock_movements
+                SET status = 'replayed', replay_sync_run_id = $2, resolved_at = CURRENT_TIMESTAMP
+                WHERE movement_id = ANY($1)
+            `, [movements.map(m => m.movement_id), result.sync_run_id]);
+
+            // Webhook events parked as 'unknown_sku' are now in the inventory
+            const webhookKeys = movements.map(m => m.raw_row?.webhook_idempotency_key).filter(Boolean);
+            if (webhookKeys.length > 0) {
+                await this.pool.query(`
+                    UPDATE pos_webhook_events
+                    SET status = 'synced', sync_run_id = $3, error_message = NULL, processed_at = CURRENT_TIMESTAMP
+                    WHERE store_id = $1 AND idempotency_key = ANY($2) AND status = 'unknown_sku'
+                `, [storeId, webhookKeys, result.sync_run_id]);
+            }
+            syncRuns.push(result.sync_run_id);
+            replayed += movements.length;
+        }
+
+        if (replayed > 0 || skipped.length > 0) {
+            console.log(`🔁 Replayed ${replayed} parked row(s) of ${escalation.store_item_id} into ${targetSkuId} (${syncRuns.length} sync run(s), ${skipped.length} superseded count(s) skipped)`);
+        }
+        return { replayed, syncRuns, skipped };
+    }
+
+    /**
+     * Newest snapshot of the target SKU not written by this escalation itself
+     * (its onboarding opening row or an earlier replay)
+     */
+    async latestSnapshotAt(storeId, targetSkuId, escalation) {
+        const res = await this.pool.query(`
+            SELECT MAX(h.as_of_date) AS as_of_date FROM onboarding_handoff h
+            WHERE h.store_id = $1 AND h.store_item_id = $2
+            AND h.onboarding_batch_id IS DISTINCT FROM $3
+            AND NOT EXISTS (
+                SELECT 1 FROM quarantined_stock_movements m
+                WHERE m.escalation_id = $4 AND m.replay_sync_run_id = h.onboarding_batch_id
+            )
+        `, [storeId, targetSkuId, escalation.onboarding_batch_id || null, escalation.id]);
+        return res.rows[0]?.as_of_date ? new Date(res.rows[0].as_of_date) : null;
+    }
+
+    /**
+     * Registry row from the latest parked row (or the escalation snapshot)
+     */
+    async onboardEscalation(storeId, escalation, decision) {
+        if (!this.onboardingAgent) throw new SkuQuarantineError('Onboarding is not available', 503);
+
+        const latest = await this.pool.query(`
+            SELECT raw_row FROM quarantined_stock_movements
+            WHERE escalation_id = $1 ORDER BY movement_id DESC LIMIT 1
+        `, [escalation.id]);
+        const raw = latest.rows[0]?.raw_row || escalation.raw_data || {};
+        const productName = String(decision.productName || raw.product_name || escalation.product_name || '').trim();
+        if (!productName || productName === 'Unknown Product') {
+            throw new SkuQuarantineError('productName is required to onboard this SKU');
+        }
+        const openingQuantity = decision.openingQuantity === undefined ? 0 : parseFloat(decision.openingQuantity);
+        if (!Number.isFinite(openingQuantity) || openingQuantity < 0) {
+            throw new SkuQuarantineError('openingQuantity must be a non-negative number');
+        }
+
+        // Parked rows are replayed on top of the opening quantity
+        const item = {
+            store_item_id: escalation.store_item_id,
+            product_name: productName,
+            quantity: openingQuantity,
+            ...(raw.unit && { unit: raw.unit }),
+            ...(raw.barcode && { barcode: raw.barcode }),
+            ...(raw.selling_price !== undefined && { selling_price: raw.selling_price }),
+            ...(raw.cost_price !== undefined && { cost_price: raw.cost_price })
+        };
+        const result = await this.onboardingAgent.onboard(storeId, [item], { mode: 'partial' });
+        const saveError = (result.run_summary?.warnings || []).find(w => w.issue_type === 'DATABASE_SAVE_FAILED');
+        if (saveError) throw new SkuQuarantineError(saveError.message, 500);
+
+        const registered = await this.pool.query(
+            "SELECT 1 FROM store_sku_registry WHERE store_id = $1 AND store_item_id = $2 AND status = 'active'",
+            [storeId, escalation.store_item_id]
+        );
+        if (registered.rows.length === 0) {
+            throw new SkuQuarantineError(`Onboarding did not register ${escalation.store_item_id}`, 500);
+        }
+        return result.run_id;
+    }
+
+    async getEscalation(storeId, escalationId) {
+        SkuQuarantine.assertEscalationId(escalationId);
+        const res = await this.pool.query(
+            'SELECT * FROM unknown_sku_escalation_queue WHERE store_id = $1 AND id = $2',
+            [storeId, escalationId]
+        );
+        if (res.rows.length === 0) throw new SkuQuarantineError('Escalation not found', 404);
+        return res.rows[0];
+    }
+
+    /**
+     * Escalation ids are UUIDs; anything else cannot name one (and would fail the cast in Postgres)
+     */
+    static assertEscalationId(escalationId) {
+        if (typeof escalationId !== 'string' || !ValidationSchemas.isValidUUID(escalationId)) {
+            throw new SkuQuarantineError('Escalation not found', 404);
+        }
+    }
+
+    /**
+     * Raw row the sync applies as an absolute count rather than a movement
+     * (mirrors the quantity cases of IncrementalSyncAgent.buildInventorySnapshots)
+     */
+    static isAbsoluteRow(row) {
+        const type = String(row?.transaction_type || 'ADJUSTMENT').toUpperCase();
+        if (['SALE', 'SOLD', 'RETURN'].includes(type) || row?.quantity_mode === 'delta') return false;
+        return !String(row?.quantity_on_hand || row?.quantity || row?.qty || 0).trim().startsWith('+');
+    }
+
+    /**
+     * Consecutive movements of the same original sync run (movements arrive ordered)
+     */
+    static groupByRun(movements) {
+        const runs = [];
+        for (const m of movements) {
+            const last = runs[runs.length - 1];
+            if (last && last.syncRunId === m.sync_run_id) {
+                last.movements.push(m);
+            } else {
+                runs.push({ syncRunId: m.sync_run_id, dataSource: m.data_source, movements: [m] });
+            }
+        }
+        return runs;
+    }
+}
+
+SkuQuarantine.SkuQuarantineError = SkuQuarantineError;
+
+module.exports = SkuQuarantine;
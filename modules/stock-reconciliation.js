@@ -0,0 +1,384 @@
+/**
+ * STOCK RECONCILIATION (explain every stock delta)
+ *
+ * Per SKU and day:
+ *   expected closing = opening + receipts - sales + returns +/- adjustments
+ *   variance         = observed closing - expected closing
+ * where
+ *   opening / observed  last snapshot before the day / at the end of the day
+ *   receipts            RESTOCK snapshots (PO receipts, POS restocks) + lots recorded
+ *                       outside a PO (those reach stock with the next sync or count)
+ *   sales               sales_transactions (bill lines, else inferred from snapshots)
+ *   returns             RETURN snapshots (bill returns are already net in sales)
+ *   adjustments         declared DAMAGE / EXPIRY / ADJUSTMENT deltas
+ *
+ * The variance is split by where it appeared:
+ *   - counts (absolute snapshots: stock takes, full uploads) move stock without a
+ *     record. A counted loss is SHRINKAGE, unless a count within 7 days finds the
+ *     units again; reversed losses and counted gains are MISCOUNT.
+ *   - the rest (delta snapshots that no record explains, e.g. POS stock deducted
+ *     more than was billed, bills the stock never saw) is UNEXPLAINED.
+ * Variance is valued at the day's cost price. Rows exist only for SKU-days that
+ * do not reconcile.
+ */
+
+const TOLERANCE = 0.001;
+const MISCOUNT_WINDOW_DAYS = 7;
+const MAX_RANGE_DAYS = 92;
+const DAY_MS = 86400000;
+
+const RECEIPT_TYPES = ['RESTOCK'];
+const SALE_TYPES = ['SALE', 'BULK_SALE_IMPORT'];
+const RETURN_TYPES = ['RETURN', 'BULK_RETURN_IMPORT'];
+const COUNT_TYPES = ['STOCK_TAKE', 'ADJUSTMENT']; // Legacy rows without quantity_mode (untyped rows are uploads, also counts)
+
+class StockReconciliationError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'StockReconciliationError';
+        this.statusCode = statusCode;
+    }
+}
+
+class StockReconciliation {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    /**
+     * Recompute the variance ledger for a date range (YYYY-MM-DD, inclusive)
+     */
+    async run(storeId, from, to) {
+        StockReconciliation.validateRange(from, to);
+        const lookaheadTo = StockReconciliation.addDays(to, MISCOUNT_WINDOW_DAYS);
+
+        const snapshots = await this.pool.query(`
+            SELECT * FROM (
+                SELECT DISTINCT ON (store_item_id)
+                       store_item_id, quantity_on_hand, cost_price, as_of_date, transaction_type, quantity_mode,
+                       TO_CHAR(as_of_date, 'YYYY-MM-DD') AS day
+                FROM onboarding_handoff
+                WHERE store_id = $1 AND as_of_date < $2::date
+                ORDER BY store_item_id, as_of_date DESC
+            ) opening
+            UNION ALL
+            SELECT store_item_id, quantity_on_hand, cost_price, as_of_date, transaction_type, quantity_mode,
+                   TO_CHAR(as_of_date, 'YYYY-MM-DD') AS day
+            FROM onboarding_handoff
+            WHERE store_id = $1 AND as_of_date >= $2::date AND as_of_date < $3::date + 1
+            ORDER BY 1, 4
+        `, [storeId, from, lookaheadTo]);
+
+        const sales = await this.pool.query(`
+            SELECT store_item_id, TO_CHAR(transaction_date, 'YYYY-MM-DD') AS day,
+                   SUM(quantity_sold) AS units, BOOL_OR(source = 'pos_bill') AS billed
+            FROM sales_transactions
+            WHERE store_id = $1 AND transaction_date BETWEEN $2::date AND $3::date
+            GROUP BY store_item_id, transaction_date
+        `, [storeId, from, to]);
+
+        const lots = await this.pool.query(`
+            SELECT store_item_id, TO_CHAR(received_at, 'YYYY-MM-DD') AS day, SUM(quantity_received) AS units
+            FROM inventory_lots
+            WHERE store_id = $1 AND source = 'manual' AND received_at >= $2::date AND received_at < $3::date + 1
+            GROUP BY store_item_id, TO_CHAR(received_at, 'YYYY-MM-DD')
+        `, [storeId, from, to]);
+
+        const { rows, skuDays } = StockReconciliation.reconcile(snapshots.rows, sales.rows, lots.rows, { from, to });
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                'DELETE FROM stock_variances WHERE store_id = $1 AND business_date BETWEEN $2::date AND $3::date',
+                [storeId, from, to]
+            );
+            if (rows.length > 0) {
+                const col = key => rows.map(r => r[key]);
+                await client.query(`
+                    INSERT INTO stock_variances (
+                        store_id, store_item_id, business_date, opening_qty, receipts, sales, returns, adjustments,
+                        expected_closing, observed_closing, variance_units, shrinkage_units, miscount_units,
+                        unexplained_units, classification, unit_cost, variance_value
+                    )
+                    SELECT $1, * FROM UNNEST(
+                        $2::varchar[], $3::date[], $4::numeric[], $5::numeric[], $6::numeric[], $7::numeric[], $8::numeric[],
+                        $9::numeric[], $10::numeric[], $11::numeric[], $12::numeric[], $13::numeric[],
+                        $14::numeric[], $15::varchar[], $16::numeric[], $17::numeric[]
+                    )
+                `, [storeId, col('storeItemId'), col('date'), col('opening'), col('receipts'), col('sales'), col('returns'),
+                    col('adjustments'), col('expected'), col('observed'), col('variance'), col('shrinkage'), col('miscount'),
+                    col('unexplained'), col('classification'), col('unitCost'), col('varianceValue')]);
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        const summary = StockReconciliation.summarize(rows);
+        console.log(`🧮 Reconciliation ${storeId} ${from}..${to}: ${skuDays} SKU-day(s), ${rows.length} variance(s), ₹${summary.lossValue} loss`);
+        return { from, to, skuDaysChecked: skuDays, variances: rows.length, ...summary };
+    }
+
+    /**
+     * Variance report: totals by classification, worst SKUs and categories by rupee loss
+     */
+    async getReport(storeId, from, to, options = {}) {
+        StockReconciliation.validateRange(from, to);
+        const res = await this.pool.query(`
+            SELECT v.*, TO_CHAR(v.business_date, 'YYYY-MM-DD') AS day,
+                   r.normalized_product_name, r.master_category_name
+            FROM stock_variances v
+            LEFT JOIN store_sku_registry r ON r.store_id = v.store_id AND r.store_item_id = v.store_item_id
+            WHERE v.store_id = $1 AND v.business_date BETWEEN $2::date AND $3::date
+            AND ($4::text IS NULL OR v.classification = $4)
+            ORDER BY ABS(COALESCE(v.variance_value, 0)) DESC, v.business_date DESC
+        `, [storeId, from, to, options.classification || null]);
+
+        const rows = res.rows.map(r => ({
+            storeItemId: r.store_item_id,
+            productName: r.normalized_product_name,
+            category: r.master_category_name,
+            date: r.day,
+            opening: num(r.opening_qty),
+            receipts: num(r.receipts),
+            sales: num(r.sales),
+            returns: num(r.returns),
+            adjustments: num(r.adjustments),
+            expected: num(r.expected_closing),
+            observed: num(r.observed_closing),
+            variance: num(r.variance_units),
+            shrinkage: num(r.shrinkage_units),
+            miscount: num(r.miscount_units),
+            unexplained: num(r.unexplained_units),
+            classification: r.classification,
+            unitCost: r.unit_cost === null ? null : num(r.unit_cost),
+            varianceValue: r.variance_value === null ? null : num(r.variance_value)
+        }));
+
+        const group = keyOf => {
+            const map = new Map();
+            for (const r of rows) {
+                const key = keyOf(r);
+                const g = map.get(key) || { units: 0, value: 0, lossValue: 0, days: 0 };
+                g.units += r.variance;
+                g.value += r.varianceValue || 0;
+                if ((r.varianceValue || 0) < 0) g.lossValue += -r.varianceValue;
+                g.days++;
+                map.set(key, g);
+            }
+            return [...map.entries()]
+                .map(([key, g]) => ({ key, units: round(g.units, 3), value: round(g.value, 2), lossValue: round(g.lossValue, 2), days: g.days }))
+                .sort((a, b) => b.lossValue - a.lossValue);
+        };
+
+        const bySku = group(r => r.storeItemId).map(({ key, ...g }) => ({
+            storeItemId: key,
+            productName: rows.find(r => r.storeItemId === key).productName,
+            ...g
+        }));
+
+        return {
+            from,
+            to,
+            ...StockReconciliation.summarize(rows),
+            topLosses: bySku.filter(s => s.lossValue > 0).slice(0, 20),
+            byCategory: group(r => r.category || 'Uncategorized').map(({ key, ...g }) => ({ category: key, ...g })),
+            rows: rows.slice(0, 500)
+        };
+    }
+
+    /**
+     * Pure reconciliation over snapshot rows (ordered by SKU, time), sales and
+     * out-of-PO lots per SKU-day. Returns variance rows for days in [from, to].
+     */
+    static reconcile(snapshots, sales, lots, { from, to }) {
+        const salesByKey = new Map(sales.map(s => [`${s.store_item_id}|${s.day}`, s]));
+        const lotsByKey = new Map(lots.map(l => [`${l.store_item_id}|${l.day}`, parseFloat(l.units) || 0]));
+
+        const bySku = new Map();
+        for (const s of snapshots) {
+            if (!bySku.has(s.store_item_id)) bySku.set(s.store_item_id, []);
+            bySku.get(s.store_item_id).push(s);
+        }
+        // SKUs with sales or lots but no snapshot in the window still need their opening
+        const skuIds = new Set([...bySku.keys(), ...sales.map(s => s.store_item_id), ...lots.map(l => l.store_item_id)]);
+
+        const rows = [];
+        let skuDays = 0;
+        for (const skuId of skuIds) {
+            const days = StockReconciliation.buildDays(bySku.get(skuId) || [], from);
+            const dayKeys = new Set([...days.keys()]);
+            for (const key of [...salesByKey.keys(), ...lotsByKey.keys()]) {
+                const [sku, day] = key.split('|');
+                if (sku === skuId) dayKeys.add(day);
+            }
+
+            // Running book: a day without snapshots closes at its opening
+            let lastQty = StockReconciliation.openingBefore(bySku.get(skuId) || [], from);
+            let lastCost = null;
+            const results = [];
+            for (const day of [...dayKeys].sort()) {
+                const d = days.get(day);
+                const opening = d ? (d.opening !== null ? d.opening : d.first) : lastQty;
+                if (opening === null) continue; // No stock known yet
+                const observed = d ? d.closing : opening;
+                if (d && d.cost !== null) lastCost = d.cost;
+
+                const sale = salesByKey.get(`${skuId}|${day}`);
+                const receipts = (d ? d.receipts : 0) + (lotsByKey.get(`${skuId}|${day}`) || 0);
+                const sold = sale ? parseFloat(sale.units) || 0 : 0;
+                const returns = d && !(sale && sale.billed) ? d.returns : 0;
+                const adjustments = d ? d.adjustments : 0;
+                const expected = opening + receipts - sold + returns + adjustments;
+                const variance = observed - expected;
+                const countVariance = d ? d.countDelta : 0;
+                lastQty = observed;
+                if (day > to) {
+                    results.push({ day, countVariance, lookahead: true });
+                    continue;
+                }
+                if (day < from) continue;
+                skuDays++;
+                results.push({
+                    day, opening, receipts, sold, returns, adjustments, expected, observed, variance, countVariance,
+                    unitCost: lastCost
+                });
+            }
+
+            // Counted losses found again by a later count within the window are miscounts
+            for (let i = 0; i < results.length; i++) {
+                const r = results[i];
+                if (r.lookahead) continue;
+                r.miscount = r.countVariance > 0 ? r.countVariance : 0;
+                r.shrinkage = r.countVariance < 0 ? r.countVariance : 0;
+            }
+            for (let i = 0; i < results.length; i++) {
+                const r = results[i];
+                if (r.lookahead || r.shrinkage >= 0) continue;
+                for (let j = i + 1; j < results.length && r.shrinkage < 0; j++) {
+                    const later = results[j];
+                    if (StockReconciliation.daysBetween(r.day, later.day) > MISCOUNT_WINDOW_DAYS) break;
+                    const available = (later.countVariance > 0 ? later.countVariance : 0) - (later.offsetUsed || 0);
+                    if (available <= 0) continue;
+                    const take = Math.min(available, -r.shrinkage);
+                    later.offsetUsed = (later.offsetUsed || 0) + take;
+                    r.shrinkage += take;
+                    r.miscount -= take;
+                }
+            }
+
+            for (const r of results) {
+                if (r.lookahead || Math.abs(r.variance) <= TOLERANCE && Math.abs(r.countVariance) <= TOLERANCE) continue;
+                const unexplained = r.variance - r.countVariance;
+                const buckets = { SHRINKAGE: r.shrinkage, MISCOUNT: r.miscount, UNEXPLAINED: unexplained };
+                const classification = Object.entries(buckets).sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))[0][0];
+                rows.push({
+                    storeItemId: skuId,
+                    date: r.day,
+                    opening: round(r.opening, 3),
+                    receipts: round(r.receipts, 3),
+                    sales: round(r.sold, 3),
+                    returns: round(r.returns, 3),
+                    adjustments: round(r.adjustments, 3),
+                    expected: round(r.expected, 3),
+                    observed: round(r.observed, 3),
+                    variance: round(r.variance, 3),
+                    shrinkage: round(r.shrinkage, 3),
+                    miscount: round(r.miscount, 3),
+                    unexplained: round(unexplained, 3),
+                    classification,
+                    unitCost: r.unitCost,
+                    varianceValue: r.unitCost === null ? null : round(r.variance * r.unitCost, 2)
+                });
+            }
+        }
+        return { rows, skuDays };
+    }
+
+    /**
+     * Per-day movement buckets of one SKU's snapshots (sorted by time)
+     */
+    static buildDays(snapshots, from) {
+        const days = new Map();
+        let prev = null;
+        for (const s of snapshots) {
+            const qty = parseFloat(s.quantity_on_hand) || 0;
+            if (s.day >= from) {
+                const d = days.get(s.day) || {
+                    opening: prev, first: qty, closing: qty, cost: null,
+                    receipts: 0, returns: 0, adjustments: 0, countDelta: 0
+                };
+                d.closing = qty;
+                if (parseFloat(s.cost_price) > 0) d.cost = parseFloat(s.cost_price);
+                if (prev !== null) {
+                    const delta = qty - prev;
+                    const type = s.transaction_type;
+                    const mode = s.quantity_mode || (!type || COUNT_TYPES.includes(type) ? 'absolute' : 'delta');
+                    if (mode === 'absolute') d.countDelta += delta;
+                    else if (RECEIPT_TYPES.includes(type)) d.receipts += delta;
+                    else if (RETURN_TYPES.includes(type)) d.returns += delta;
+                    else if (!SALE_TYPES.includes(type)) d.adjustments += delta;
+                    // Sale deltas are explained by sales_transactions, not by the snapshot
+                }
+                days.set(s.day, d);
+            }
+            prev = qty;
+        }
+        return days;
+    }
+
+    static openingBefore(snapshots, from) {
+        const before = snapshots.filter(s => s.day < from);
+        return before.length > 0 ? parseFloat(before[before.length - 1].quantity_on_hand) || 0 : null;
+    }
+
+    static summarize(rows) {
+        const sum = (key, filter = () => true) => round(rows.filter(filter).reduce((s, r) => s + (r[key] || 0), 0), 2);
+        const valueOf = key => round(rows.reduce((s, r) => s + (r.unitCost ? r[key] * r.unitCost : 0), 0), 2);
+        return {
+            totals: {
+                SHRINKAGE: { units: sum('shrinkage'), value: valueOf('shrinkage') },
+                MISCOUNT: { units: sum('miscount'), value: valueOf('miscount') },
+                UNEXPLAINED: { units: sum('unexplained'), value: valueOf('unexplained') }
+            },
+            netValue: sum('varianceValue'),
+            lossValue: round(-sum('varianceValue', r => (r.varianceValue || 0) < 0), 2),
+            unvaluedRows: rows.filter(r => r.unitCost === null).length
+        };
+    }
+
+    static validateRange(from, to) {
+        const isDate = v => /^\d{4}-\d{2}-\d{2}$/.test(v || '') && !Number.isNaN(Date.parse(v));
+        if (!isDate(from) || !isDate(to)) throw new StockReconciliationError('from and to must be YYYY-MM-DD dates');
+        if (from > to) throw new StockReconciliationError('from must not be after to');
+        if (StockReconciliation.daysBetween(from, to) >= MAX_RANGE_DAYS) {
+            throw new StockReconciliationError(`At most ${MAX_RANGE_DAYS} days per reconciliation`);
+        }
+    }
+
+    static addDays(day, n) {
+        return new Date(Date.parse(`${day}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    static daysBetween(a, b) {
+        return Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / DAY_MS);
+    }
+}
+
+function num(v) {
+    return parseFloat(v) || 0;
+}
+
+function round(v, digits) {
+    const f = 10 ** digits;
+    return Math.round(v * f) / f;
+}
+
+StockReconciliation.StockReconciliationError = StockReconciliationError;
+StockReconciliation.MISCOUNT_WINDOW_DAYS = MISCOUNT_WINDOW_DAYS;
+
+module.exports = StockReconciliation;
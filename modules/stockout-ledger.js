@@ -0,0 +1,115 @@
+/**
+ * STOCKOUT LEDGER
+ *
+ * Turns inventory snapshots into stockout episodes:
+ *   - on-hand reaches 0       -> open an episode (one open episode per SKU)
+ *   - on-hand back above 0    -> close it with duration and estimated lost units
+ *
+ * Lost units = prevailing ADS at the start of the episode x duration in days.
+ * That ADS is censored like calculateADS: 30-day SUM / in-stock days, where the
+ * out-of-stock days are the SKU's earlier episodes overlapping the window (all 30
+ * days when it was out the whole time). Lost revenue uses the selling price at
+ * the start of the episode. Open episodes are valued up to NOW() on read.
+ */
+
+const ADS_WINDOW_DAYS = 30;
+
+class StockoutLedger {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    /**
+     * Record stockout transitions for a set of freshly written snapshots
+     * @param {object} client pg client or pool (pass the transaction client when inside one)
+     * @param {Array} snapshots [{ store_item_id, quantity_on_hand, selling_price }]
+     * @param {object} context { syncRunId, observedAt }
+     */
+    async recordSnapshots(client, storeId, snapshots, context = {}) {
+        const observedAt = context.observedAt ? new Date(context.observedAt) : new Date();
+        const syncRunId = context.syncRunId || null;
+
+        const outOfStock = snapshots.filter(s => (parseFloat(s.quantity_on_hand) || 0) <= 0);
+        const inStock = snapshots.filter(s => (parseFloat(s.quantity_on_hand) || 0) > 0);
+
+        let opened = 0;
+        let closed = 0;
+
+        if (outOfStock.length > 0) {
+            const res = await client.query(`
+                INSERT INTO stockout_events (
+                    store_id, store_item_id, started_at, start_sync_run_id, ads_at_start, selling_price
+                )
+                SELECT $1, o.store_item_id, $2::timestamptz, $3,
+                       COALESCE(sold.units, 0) / CASE
+                           WHEN ${ADS_WINDOW_DAYS} - COALESCE(oos.days, 0) > 0 THEN ${ADS_WINDOW_DAYS} - COALESCE(oos.days, 0)
+                           ELSE ${ADS_WINDOW_DAYS}
+                       END,
+                       o.selling_price
+                FROM UNNEST($4::text[], $5::numeric[]) AS o(store_item_id, selling_price)
+                LEFT JOIN LATERAL (
+                    SELECT SUM(st.quantity_sold) AS units
+                    FROM sales_transactions st
+                    WHERE st.store_id = $1 AND st.store_item_id = o.store_item_id
+                    AND st.transaction_date >= ($2::timestamptz)::date - ${ADS_WINDOW_DAYS}
+                ) sold ON TRUE
+                LEFT JOIN LATERAL (
+                    SELECT SUM(EXTRACT(EPOCH FROM (
+                               LEAST(e.ended_at, $2::timestamptz) - GREATEST(e.started_at, $2::timestamptz - INTERVAL '${ADS_WINDOW_DAYS} days')
+                           )) / 86400) AS days
+                    FROM stockout_events e
+                    WHERE e.store_id = $1 AND e.store_item_id = o.store_item_id AND e.ended_at IS NOT NULL
+                    AND e.ended_at > $2::timestamptz - INTERVAL '${ADS_WINDOW_DAYS} days' AND e.started_at < $2::timestamptz
+                ) oos ON TRUE
+                ON CONFLICT (store_id, store_item_id) WHERE ended_at IS NULL DO NOTHING
+            `, [
+                storeId, observedAt, syncRunId,
+                outOfStock.map(s => s.store_item_id),
+                outOfStock.map(s => parseFloat(s.selling_price) || null)
+            ]);
+            opened = res.rowCount;
+        }
+
+        if (inStock.length > 0) {
+            const res = await client.query(`
+                UPDATE stockout_events SET
+                    ended_at = $2::timestamptz,
+                    end_sync_run_id = $3,
+                    duration_days = GREATEST(EXTRACT(EPOCH FROM ($2::timestamptz - started_at)) / 86400, 0),
+                    estimated_lost_units = ads_at_start * GREATEST(EXTRACT(EPOCH FROM ($2::timestamptz - started_at)) / 86400, 0),
+                    estimated_lost_revenue = ads_at_start * GREATEST(EXTRACT(EPOCH FROM ($2::timestamptz - started_at)) / 86400, 0) * COALESCE(selling_price, 0)
+                WHERE store_id = $1 AND store_item_id = ANY($4) AND ended_at IS NULL
+            `, [storeId, observedAt, syncRunId, inStock.map(s => s.store_item_id)]);
+            closed = res.rowCount;
+        }
+
+        if (opened || closed) {
+            console.log(`📉 Stockout ledger: ${opened} episode(s) opened, ${closed} closed`);
+        }
+        return { opened, closed };
+    }
+
+    /**
+     * Episodes overlapping the last N days (open ones valued up to now)
+     */
+    async getEpisodes(storeId, options = {}) {
+        const days = parseInt(options.days) || 30;
+        const res = await this.pool.query(`
+            SELECT e.*,
+                   r.normalized_product_name AS product_name,
+                   e.ended_at IS NULL AS is_open,
+                   COALESCE(e.duration_days, EXTRACT(EPOCH FROM (NOW() - e.started_at)) / 86400) AS days_out,
+                   COALESCE(e.estimated_lost_units, e.ads_at_start * EXTRACT(EPOCH FROM (NOW() - e.started_at)) / 86400) AS lost_units,
+                   COALESCE(e.estimated_lost_revenue, e.ads_at_start * EXTRACT(EPOCH FROM (NOW() - e.started_at)) / 86400 * COALESCE(e.selling_price, 0)) AS lost_revenue
+            FROM stockout_events e
+            JOIN store_sku_registry r ON r.store_id = e.store_id AND r.store_item_id = e.store_item_id
+            WHERE e.store_id = $1
+            AND COALESCE(e.ended_at, NOW()) >= NOW() - ($2 || ' days')::interval
+            AND ($3::text IS NULL OR e.store_item_id = $3)
+            ORDER BY e.started_at DESC
+        `, [storeId, days, options.skuId || null]);
+        return res.rows;
+    }
+}
+
+module.exports = StockoutLedger;
@@ -0,0 +1,441 @@
+/**
+ * SUBSTITUTE GROUPS
+ *
+ * sku_substitutes holds directed links: when store_item_id is out of stock,
+ * shift_share of its demand moves to substitute_item_id.
+ *
+ * Learned links (relearned weekly over the last 180 days): for every closed
+ * stockout episode of a day or more, each active sibling in the same L3 category
+ * (master_category_id) gets
+ *   share = (sibling units/day during the episode - units/day in the 28 days before)
+ *           / ADS of the stocked-out SKU when the episode opened (in-stock days only)
+ * clamped to [0, 0.9] (a SKU always keeps some loyal demand). A link needs >= 2
+ * episodes and a mean share >= 0.15. Manual groups link every member to every
+ * other (default share 0.5) and are never overwritten by learning.
+ *
+ * A link in either direction puts two SKUs in the same group; the SKU's own
+ * share is used when it has one, else the reverse share.
+ *
+ * The agent uses the groups for BUY_MORE (docs/MATH_CONTRACT_v1.md):
+ *   shifted demand - sales above the SKU's usual rate on days a substitute was out;
+ *                    dropped from the demand rate once that substitute is back
+ *   absorbed units - substitute stock beyond 2x its own cover window takes up to
+ *                    share x the order still open, substitute by substitute
+ */
+
+const LEARNING_DAYS = 180;
+const BASELINE_DAYS = 28;
+const SHIFT_WINDOW_DAYS = 28;
+const MIN_EPISODES = 2;
+const MIN_SHARE = 0.15;
+const MIN_CLEAN_DAYS = 7;
+const MANUAL_SHIFT_SHARE = 0.5;
+const MAX_SHIFT_SHARE = 0.9;
+const SURPLUS_COVER_MULTIPLE = 2;
+const RELEARN_AFTER_DAYS = 7;
+const MAX_GROUP_SIZE = 20;
+
+class SubstituteGroupsError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'SubstituteGroupsError';
+        this.statusCode = statusCode;
+    }
+}
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+class SubstituteGroups {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    /**
+     * Substitutes of one SKU with their stock position and recent rate, plus the
+     * SKU's own sales on days any of them was out (shifted demand)
+     * @param {object} client pg client or pool
+     * @param {string[]} openPoStatuses PO statuses still in transit
+     */
+    async getSubstitutes(client, storeId, skuId, openPoStatuses, asOf = new Date()) {
+        const windowEnd = new Date(asOf);
+        windowEnd.setHours(0, 0, 0, 0);
+        const windowStart = new Date(windowEnd);
+        windowStart.setDate(windowStart.getDate() - SHIFT_WINDOW_DAYS);
+
+        const links = await client.query(`
+            WITH links AS (
+                -- Either direction puts two SKUs in one group; the SKU's own share wins
+                SELECT DISTINCT ON (other) other, source, shift_share, episodes, group_name
+                FROM (
+                    SELECT substitute_item_id AS other, source, shift_share, episodes, group_name, 0 AS reverse
+                    FROM sku_substitutes WHERE store_id = $1 AND store_item_id = $2
+                    UNION ALL
+                    SELECT store_item_id, source, shift_share, episodes, group_name, 1
+                    FROM sku_substitutes WHERE store_id = $1 AND substitute_item_id = $2
+                ) l
+                ORDER BY other, reverse
+            )
+            SELECT l.other AS substitute_item_id, l.source, l.shift_share, l.episodes, l.group_name,
+                   r.normalized_product_name,
+                   COALESCE(i.quantity_on_hand, 0) AS quantity_on_hand,
+                   COALESCE(po.pending_qty, 0) AS pending_qty,
+                   COALESCE(sales.units, 0) AS units,
+                   COALESCE(so.days_out, 0) AS days_out
+            FROM links l
+            JOIN store_sku_registry r
+                ON r.store_id = $1 AND r.store_item_id = l.other AND r.status = 'active'
+            LEFT JOIN v_latest_inventory i ON i.store_id = $1 AND i.store_item_id = l.other
+            LEFT JOIN LATERAL (
+                SELECT SUM(GREATEST(poi.quantity_ordered - COALESCE(poi.quantity_received, 0), 0)) AS pending_qty
+                FROM purchase_order_items poi
+                JOIN purchase_orders po ON po.po_id = poi.po_id
+                WHERE poi.store_id = $1 AND poi.store_item_id = l.other
+                AND LOWER(po.status) = ANY($5)
+            ) po ON TRUE
+            LEFT JOIN LATERAL (
+                SELECT SUM(st.quantity_sold) AS units
+                FROM sales_transactions st
+                WHERE st.store_id = $1 AND st.store_item_id = l.other
+                AND st.transaction_date >= $3::date AND st.transaction_date < $4::date
+            ) sales ON TRUE
+            LEFT JOIN LATERAL (
+                SELECT SUM(EXTRACT(EPOCH FROM (LEAST(COALESCE(e.ended_at, $4), $4) - GREATEST(e.started_at, $3))) / 86400) AS days_out
+                FROM stockout_events e
+                WHERE e.store_id = $1 AND e.store_item_id = l.other
+                AND e.started_at < $4 AND COALESCE(e.ended_at, $4) > $3
+            ) so ON TRUE
+            ORDER BY l.shift_share DESC
+        `, [storeId, skuId, windowStart, windowEnd, openPoStatuses]);
+
+        const substitutes = links.rows.map(r => {
+            const daysOut = Math.min(SHIFT_WINDOW_DAYS, parseFloat(r.days_out) || 0);
+            return {
+                skuId: r.substitute_item_id,
+                name: r.normalized_product_name,
+                source: r.source,
+                share: parseFloat(r.shift_share),
+                episodes: parseInt(r.episodes) || 0,
+                groupName: r.group_name,
+                onHand: parseFloat(r.quantity_on_hand) || 0,
+                pending: parseFloat(r.pending_qty) || 0,
+                rate: (parseFloat(r.units) || 0) / Math.max(1, SHIFT_WINDOW_DAYS - daysOut),
+                daysOut
+            };
+        });
+
+        const outIds = substitutes.filter(s => s.daysOut > 0).map(s => s.skuId);
+        if (outIds.length === 0) return { substitutes, shift: null };
+
+        const shift = await client.query(`
+            WITH out_days AS (
+                SELECT DISTINCT d::date AS day
+                FROM stockout_events e
+                CROSS JOIN LATERAL generate_series(
+                    GREATEST(e.started_at, $3)::date, LEAST(COALESCE(e.ended_at, $4), $4)::date, INTERVAL '1 day'
+                ) d
+                WHERE e.store_id = $1 AND e.store_item_id = ANY($5)
+                AND e.started_at < $4 AND COALESCE(e.ended_at, $4) > $3
+                AND d::date < $4::date
+            )
+            SELECT (SELECT COUNT(*) FROM out_days) AS shift_days,
+                   COALESCE(SUM(st.quantity_sold) FILTER (WHERE st.transaction_date IN (SELECT day FROM out_days)), 0) AS shift_units,
+                   COALESCE(SUM(st.quantity_sold) FILTER (WHERE st.transaction_date NOT IN (SELECT day FROM out_days)), 0) AS clean_units
+            FROM sales_transactions st
+            WHERE st.store_id = $1 AND st.store_item_id = $2
+            AND st.transaction_date >= $3::date AND st.transaction_date < $4::date
+        `, [storeId, skuId, windowStart, windowEnd, outIds]);
+        const row = shift.rows[0] || {};
+
+        return {
+            substitutes,
+            shift: {
+                windowDays: SHIFT_WINDOW_DAYS,
+                shiftDays: parseInt(row.shift_days) || 0,
+                shiftUnits: parseFloat(row.shift_units) || 0,
+                cleanUnits: parseFloat(row.clean_units) || 0
+            }
+        };
+    }
+
+    /**
+     * Units/day a SKU sold on substitutes' stockout days above its usual rate,
+     * spread over the window. Zero while any of those substitutes is still out
+     * with nothing on order (the demand keeps coming) or with too few clean days.
+     */
+    static shiftedDemandRate(shift, substitutes = []) {
+        if (!shift || shift.shiftDays < 1) return 0;
+        const cleanDays = shift.windowDays - shift.shiftDays;
+        if (cleanDays < MIN_CLEAN_DAYS) return 0;
+        if (substitutes.some(s => s.daysOut > 0 && s.onHand + s.pending <= 0)) return 0;
+        const cleanRate = shift.cleanUnits / cleanDays;
+        return Math.max(0, shift.shiftUnits - cleanRate * shift.shiftDays) / shift.windowDays;
+    }
+
+    /**
+     * Split of a BUY_MORE order the substitutes' surplus can cover
+     *   surplus  = on-hand + pending - own rate x cover window x 2
+     *   absorbed = min(surplus, share x order still open)
+     * Shares stay below 1, so part of the order is always placed.
+     */
+    static absorbFromSubstitutes(substitutes = [], coverWindow, orderQty) {
+        let remaining = Math.max(0, orderQty);
+        const used = substitutes.map(s => {
+            const surplus = Math.max(0, s.onHand + s.pending - s.rate * coverWindow * SURPLUS_COVER_MULTIPLE);
+            const absorbed = Math.min(surplus, Math.min(s.share, MAX_SHIFT_SHARE) * remaining);
+            remaining -= absorbed;
+            return {
+                skuId: s.skuId,
+                name: s.name,
+                source: s.source,
+                share: s.share,
+                surplus: round2(surplus),
+                absorbed: round2(absorbed),
+                daysOut: s.daysOut
+            };
+        });
+        return { absorbedUnits: round2(Math.max(0, orderQty) - remaining), substitutes: used };
+    }
+
+    /**
+     * Relearn links when the last learning run is older than RELEARN_AFTER_DAYS.
+     * Runs are read from the audit log so a run that learned no links still counts.
+     */
+    async refreshIfStale(storeId) {
+        const res = await this.pool.query(
+            "SELECT MAX(occurred_at) AS learned_at FROM operational_audit_log WHERE action_type = 'substitutes.learned' AND store_id = $1",
+            [storeId]
+        );
+        const last = res.rows[0]?.learned_at;
+        if (last && (Date.now() - new Date(last).getTime()) < RELEARN_AFTER_DAYS * 86400000) {
+            return { skipped: true, learnedAt: last };
+        }
+        return this.learnSubstitutes(storeId);
+    }
+
+    /**
+     * Learn substitute shares from sibling sales during past stockout episodes
+     */
+    async learnSubstitutes(storeId, asOf = new Date()) {
+        const since = new Date(asOf);
+        since.setDate(since.getDate() - LEARNING_DAYS);
+
+        const res = await this.pool.query(`
+            WITH episodes AS (
+                SELECT e.event_id, e.store_item_id AS out_item, e.started_at::date AS out_from,
+                       e.ended_at::date AS out_to, e.ads_at_start, r.master_category_id
+                FROM stockout_events e
+                JOIN store_sku_registry r ON r.store_id = e.store_id AND r.store_item_id = e.store_item_id
+                WHERE e.store_id = $1 AND e.started_at >= $2
+                AND e.ended_at IS NOT NULL AND e.ended_at::date > e.started_at::date
+                AND e.ads_at_start > 0
+            )
+            SELECT ep.event_id, ep.out_item, sib.store_item_id AS sub_item, ep.ads_at_start,
+                   ep.out_to - ep.out_from AS out_days,
+                   COALESCE(SUM(st.quantity_sold) FILTER (WHERE st.transaction_date >= ep.out_from), 0) AS during_units,
+                   COALESCE(SUM(st.quantity_sold) FILTER (WHERE st.transaction_date < ep.out_from), 0) AS base_units
+            FROM episodes ep
+            JOIN store_sku_registry sib
+                ON sib.store_id = $1 AND sib.master_category_id = ep.master_category_id
+                AND sib.store_item_id <> ep.out_item AND sib.status = 'active'
+            LEFT JOIN sales_transactions st
+                ON st.store_id = $1 AND st.store_item_id = sib.store_item_id
+                AND st.transaction_date >= ep.out_from - $3::int AND st.transaction_date < ep.out_to
+            GROUP BY ep.event_id, ep.out_item, sib.store_item_id, ep.ads_at_start, ep.out_from, ep.out_to
+        `, [storeId, since, BASELINE_DAYS]);
+
+        const links = SubstituteGroups.estimateShares(res.rows);
+        const episodes = new Set(res.rows.map(r => r.event_id)).size;
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query("DELETE FROM sku_substitutes WHERE store_id = $1 AND source = 'learned'", [storeId]);
+            if (links.length > 0) {
+                // Manual links for the same pair win
+                await client.query(`
+                    INSERT INTO sku_substitutes (store_id, store_item_id, substitute_item_id, source, shift_share, episodes, learned_at)
+                    SELECT $1, l.store_item_id, l.substitute_item_id, 'learned', l.shift_share, l.episodes, NOW()
+                    FROM UNNEST($2::text[], $3::text[], $4::numeric[], $5::int[])
+                        AS l(store_item_id, substitute_item_id, shift_share, episodes)
+                    ON CONFLICT (store_id, store_item_id, substitute_item_id) DO NOTHING
+                `, [
+                    storeId,
+                    links.map(l => l.skuId),
+                    links.map(l => l.substituteId),
+                    links.map(l => l.share),
+                    links.map(l => l.episodes)
+                ]);
+            }
+            await client.query(`
+                INSERT INTO operational_audit_log (store_id, action_type, entity_type, metadata, status)
+                VALUES ($1, 'substitutes.learned', 'sku_substitutes', $2, 'success')
+            `, [storeId, JSON.stringify({ episodes, links: links.length })]);
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+        console.log(`🔁 Substitutes: learned ${links.length} link(s) from ${episodes} stockout episode(s) for ${storeId}`);
+        return { episodes, links: links.length };
+    }
+
+    /**
+     * Pure: per-episode shift shares -> qualifying links
+     * @param {Array} rows { out_item, sub_item, ads_at_start, out_days, during_units, base_units }
+     */
+    static estimateShares(rows) {
+        const pairs = new Map();
+        for (const r of rows) {
+            const lostRate = parseFloat(r.ads_at_start) || 0;
+            const outDays = parseInt(r.out_days) || 0;
+            if (lostRate <= 0 || outDays < 1) continue;
+            const duringRate = (parseFloat(r.during_units) || 0) / outDays;
+            const baseRate = (parseFloat(r.base_units) || 0) / BASELINE_DAYS;
+            const share = Math.min(MAX_SHIFT_SHARE, Math.max(0, (duringRate - baseRate) / lostRate));
+
+            const key = `${r.out_item}\u0000${r.sub_item}`;
+            if (!pairs.has(key)) pairs.set(key, { skuId: r.out_item, substituteId: r.sub_item, shares: [] });
+            pairs.get(key).shares.push(share);
+        }
+
+        const links = [];
+        for (const p of pairs.values()) {
+            const mean = p.shares.reduce((a, b) => a + b, 0) / p.shares.length;
+            if (p.shares.length < MIN_EPISODES || mean < MIN_SHARE) continue;
+            links.push({
+                skuId: p.skuId,
+                substituteId: p.substituteId,
+                share: Math.round(mean * 1000) / 1000,
+                episodes: p.shares.length
+            });
+        }
+        return links;
+    }
+
+    /**
+     * Manual groups and learned links of the store
+     */
+    async listGroups(storeId) {
+        const res = await this.pool.query(`
+            SELECT s.store_item_id, a.normalized_product_name AS product_name,
+                   s.substitute_item_id, b.normalized_product_name AS substitute_name,
+                   s.source, s.shift_share, s.episodes, s.group_name, s.learned_at, s.updated_at
+            FROM sku_substitutes s
+            LEFT JOIN store_sku_registry a ON a.store_id = s.store_id AND a.store_item_id = s.store_item_id
+            LEFT JOIN store_sku_registry b ON b.store_id = s.store_id AND b.store_item_id = s.substitute_item_id
+            WHERE s.store_id = $1
+            ORDER BY s.group_name NULLS LAST, s.shift_share DESC
+        `, [storeId]);
+
+        const groups = new Map();
+        const learned = [];
+        for (const r of res.rows) {
+            if (r.source === 'manual') {
+                if (!groups.has(r.group_name)) {
+                    groups.set(r.group_name, { groupName: r.group_name, shiftShare: parseFloat(r.shift_share), members: new Map() });
+                }
+                const g = groups.get(r.group_name);
+                g.members.set(r.store_item_id, r.product_name);
+                g.members.set(r.substitute_item_id, r.substitute_name);
+            } else {
+                learned.push({
+                    skuId: r.store_item_id,
+                    productName: r.product_name,
+                    substituteId: r.substitute_item_id,
+                    substituteName: r.substitute_name,
+                    shiftShare: parseFloat(r.shift_share),
+                    episodes: r.episodes,
+                    learnedAt: r.learned_at
+                });
+            }
+        }
+
+        return {
+            manualGroups: [...groups.values()].map(g => ({
+                groupName: g.groupName,
+                shiftShare: g.shiftShare,
+                members: [...g.members].map(([skuId, productName]) => ({ skuId, productName }))
+            })),
+            learned
+        };
+    }
+
+    /**
+     * Create or replace a manual group: every member substitutes for every other
+     */
+    async setManualGroup(storeId, userId, { groupName, skuIds, shiftShare } = {}) {
+        const name = (groupName || '').trim();
+        if (!name || name.length > 100) throw new SubstituteGroupsError('groupName is required (max 100 characters)');
+        const members = [...new Set(Array.isArray(skuIds) ? skuIds.map(String) : [])];
+        if (members.length < 2 || members.length > MAX_GROUP_SIZE) {
+            throw new SubstituteGroupsError(`skuIds must list 2 to ${MAX_GROUP_SIZE} distinct SKUs`);
+        }
+        const share = shiftShare !== undefined && shiftShare !== null ? parseFloat(shiftShare) : MANUAL_SHIFT_SHARE;
+        if (isNaN(share) || share <= 0 || share > MAX_SHIFT_SHARE) {
+            throw new SubstituteGroupsError(`shiftShare must be above 0 and at most ${MAX_SHIFT_SHARE}`);
+        }
+
+        const found = await this.pool.query(
+            "SELECT store_item_id FROM store_sku_registry WHERE store_id = $1 AND store_item_id = ANY($2) AND status = 'active'",
+            [storeId, members]
+        );
+        const known = new Set(found.rows.map(r => r.store_item_id));
+        const missing = members.filter(id => !known.has(id));
+        if (missing.length > 0) throw new SubstituteGroupsError(`Unknown or inactive SKUs: ${missing.join(', ')}`, 404);
+
+        const from = [];
+        const to = [];
+        for (const a of members) {
+            for (const b of members) {
+                if (a !== b) { from.push(a); to.push(b); }
+            }
+        }
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                "DELETE FROM sku_substitutes WHERE store_id = $1 AND source = 'manual' AND group_name = $2",
+                [storeId, name]
+            );
+            // A pair already in another group (or learned) moves into this group
+            await client.query(`
+                INSERT INTO sku_substitutes (store_id, store_item_id, substitute_item_id, source, shift_share, group_name, created_by)
+                SELECT $1, l.store_item_id, l.substitute_item_id, 'manual', $4, $5, $6
+                FROM UNNEST($2::text[], $3::text[]) AS l(store_item_id, substitute_item_id)
+                ON CONFLICT (store_id, store_item_id, substitute_item_id) DO UPDATE SET
+                    source = 'manual', shift_share = EXCLUDED.shift_share, episodes = 0,
+                    group_name = EXCLUDED.group_name, created_by = EXCLUDED.created_by,
+                    learned_at = NULL, updated_at = NOW()
+            `, [storeId, from, to, share, name, userId || null]);
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+        return { groupName: name, shiftShare: share, members, links: from.length };
+    }
+
+    /**
+     * Delete a manual group (learned links come back at the next relearn)
+     */
+    async removeManualGroup(storeId, groupName) {
+        const res = await this.pool.query(
+            "DELETE FROM sku_substitutes WHERE store_id = $1 AND source = 'manual' AND group_name = $2",
+            [storeId, groupName]
+        );
+        if (res.rowCount === 0) throw new SubstituteGroupsError('Substitute group not found', 404);
+        return { groupName, links: res.rowCount };
+    }
+}
+
+SubstituteGroups.SubstituteGroupsError = SubstituteGroupsError;
+SubstituteGroups.MANUAL_SHIFT_SHARE = MANUAL_SHIFT_SHARE;
+
+module.exports = SubstituteGroups;
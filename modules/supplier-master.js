@@ -0,0 +1,154 @@
+/**
+ * SUPPLIER MASTER
+ *
+ * Store-scoped supplier records (lead time, lead-time variability, order days,
+ * minimum order value). SKUs link to a supplier via store_sku_registry.supplier_id.
+ * The InventoryAIAgent reads these to size safety stock and reorder points.
+ */
+
+const DEFAULT_REVIEW_PERIOD_DAYS = 1; // No order-day restriction: reviewed every Daily Close
+
+class SupplierMasterError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'SupplierMasterError';
+        this.statusCode = statusCode;
+    }
+}
+
+class SupplierMaster {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    /**
+     * Review period (R): days between ordering opportunities.
+     * An explicit review_cycle_days wins (e.g. a 10-day distributor route);
+     * otherwise the largest gap between weekly order days is used (worst case).
+     */
+    static calculateReviewPeriod(supplier) {
+        if (!supplier) return DEFAULT_REVIEW_PERIOD_DAYS;
+
+        const cycle = parseFloat(supplier.review_cycle_days);
+        if (cycle > 0) return cycle;
+
+        const days = [...new Set((supplier.order_days || []).map(Number))]
+            .filter(d => Number.isInteger(d) && d >= 0 && d <= 6)
+            .sort((a, b) => a - b);
+        if (days.length === 0) return DEFAULT_REVIEW_PERIOD_DAYS;
+        if (days.length === 1) return 7;
+
+        let maxGap = 0;
+        for (let i = 0; i < days.length; i++) {
+            const next = i === days.length - 1 ? days[0] + 7 : days[i + 1];
+            maxGap = Math.max(maxGap, next - days[i]);
+        }
+        return maxGap;
+    }
+
+    /**
+     * Validate and normalize an incoming supplier payload. Throws on bad input.
+     */
+    static normalize(data = {}) {
+        const num = (v, field, { min = 0, allowNull = false } = {}) => {
+            if (v === undefined || v === null || v === '') {
+                if (allowNull) return null;
+                throw new Error(`${field} is required`);
+            }
+            const n = parseFloat(v);
+            if (isNaN(n) || n < min) throw new Error(`${field} must be a number >= ${min}`);
+            return n;
+        };
+
+        if (!data.supplierName || !String(data.supplierName).trim()) {
+            throw new Error('supplierName is required');
+        }
+
+        let orderDays = null;
+        if (Array.isArray(data.orderDays) && data.orderDays.length > 0) {
+            orderDays = data.orderDays.map(Number);
+            if (orderDays.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+                throw new Error('orderDays must be weekday numbers 0 (Sun) - 6 (Sat)');
+            }
+        }
+
+        const reviewCycle = num(data.reviewCycleDays, 'reviewCycleDays', { allowNull: true });
+        if (reviewCycle === 0) throw new Error('reviewCycleDays must be greater than 0');
+
+        return {
+            supplierName: String(data.supplierName).trim(),
+            leadTimeDays: num(data.leadTimeDays, 'leadTimeDays'),
+            leadTimeStdDays: num(data.leadTimeStdDays, 'leadTimeStdDays', { allowNull: true }) || 0,
+            orderDays,
+            reviewCycleDays: reviewCycle,
+            minOrderValue: num(data.minOrderValue, 'minOrderValue', { allowNull: true }) || 0,
+            contactPhone: data.contactPhone || null,
+            contactEmail: data.contactEmail || null,
+            isActive: data.isActive !== false
+        };
+    }
+
+    async listSuppliers(storeId) {
+        const res = await this.pool.query(`
+            SELECT s.*, COUNT(r.store_item_id)::int AS sku_count
+            FROM suppliers s
+            LEFT JOIN store_sku_registry r
+                ON r.store_id = s.store_id AND r.supplier_id = s.supplier_id AND r.status = 'active'
+            WHERE s.store_id = $1
+            GROUP BY s.store_id, s.supplier_id
+            ORDER BY s.supplier_name
+        `, [storeId]);
+        return res.rows.map(row => ({ ...row, review_period_days: SupplierMaster.calculateReviewPeriod(row) }));
+    }
+
+    async upsertSupplier(storeId, supplierId, data) {
+        const s = SupplierMaster.normalize(data);
+        const res = await this.pool.query(`
+            INSERT INTO suppliers (
+                store_id, supplier_id, supplier_name, lead_time_days, lead_time_std_days,
+                order_days, review_cycle_days, min_order_value, contact_phone, contact_email, is_active
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            ON CONFLICT (store_id, supplier_id) DO UPDATE SET
+                supplier_name = EXCLUDED.supplier_name,
+                lead_time_days = EXCLUDED.lead_time_days,
+                lead_time_std_days = EXCLUDED.lead_time_std_days,
+                order_days = EXCLUDED.order_days,
+                review_cycle_days = EXCLUDED.review_cycle_days,
+                min_order_value = EXCLUDED.min_order_value,
+                contact_phone = EXCLUDED.contact_phone,
+                contact_email = EXCLUDED.contact_email,
+                is_active = EXCLUDED.is_active,
+                updated_at = NOW()
+            RETURNING *
+        `, [
+            storeId, supplierId, s.supplierName, s.leadTimeDays, s.leadTimeStdDays,
+            s.orderDays, s.reviewCycleDays, s.minOrderValue, s.contactPhone, s.contactEmail, s.isActive
+        ]);
+        const row = res.rows[0];
+        return { ...row, review_period_days: SupplierMaster.calculateReviewPeriod(row) };
+    }
+
+    /**
+     * Link SKUs to a supplier (store_sku_registry.supplier_id). Returns linked SKU ids.
+     */
+    async assignSkus(storeId, supplierId, skuIds) {
+        const exists = await this.pool.query(
+            'SELECT 1 FROM suppliers WHERE store_id = $1 AND supplier_id = $2',
+            [storeId, supplierId]
+        );
+        if (exists.rows.length === 0) {
+            throw new SupplierMasterError(`Supplier ${supplierId} not found`, 404);
+        }
+
+        const res = await this.pool.query(`
+            UPDATE store_sku_registry SET supplier_id = $2
+            WHERE store_id = $1 AND store_item_id = ANY($3)
+            RETURNING store_item_id
+        `, [storeId, supplierId, skuIds]);
+        return res.rows.map(r => r.store_item_id);
+    }
+}
+
+SupplierMaster.SupplierMasterError = SupplierMasterError;
+
+module.exports = SupplierMaster;
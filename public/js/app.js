@@ -5,6 +5,7 @@ let currentPersona = 'owner';
 let currentStoreId = localStorage.getItem('lastStoreId') || '';
 let inventoryData = [];
 let reorderCart = [];
+let cartVersion = 0; // Server cart version (optimistic concurrency)
 let currentRejectionRec = null;
 let selectedRejectionReason = null;
 
@@ -26,6 +27,13 @@ function formatLabel(str) {
     return str.toString().toLowerCase().replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
 }
 
+/**
+ * Whole rupees in Indian grouping (₹1,23,456)
+ */
+function formatRupees(value) {
+    return `₹${Math.round(parseFloat(value) || 0).toLocaleString('en-IN')}`;
+}
+
 /**
  * Premium UI Notifications
  */
@@ -93,10 +101,8 @@ window.onload = async () => {
         locationDisplay.innerText = userData.store_location || 'Location Not Set';
     }
 
-    // 5. Initial cart load
-    reorderCart = JSON.parse(localStorage.getItem('reorderCart_' + currentStoreId) || '[]');
-    updateCartBadge();
-    renderCart();
+    // 5. Initial cart load (shared server-side cart)
+    await loadCart();
 
     // 6. Check if first-time user (no inventory data)
     await checkFirstTimeUser();
@@ -273,6 +279,7 @@ function showEmptyStatePrompt() {
 // OWNER LOGIC
 // ============================================
 let ownerRecommendations = [];
+let ownerAiMode = 'ACTIVE';
 
 async function loadOwnerDashboard() {
     try {
@@ -290,6 +297,7 @@ async function loadOwnerDashboard() {
         }
 
         ownerRecommendations = recData.recommendations || [];
+        ownerAiMode = recData.mode || 'ACTIVE';
         ownerRecVisibleCount = ownerRecPageSize; // Reset on load
         renderOwnerRecommendations();
     } catch (e) {
@@ -334,6 +342,7 @@ function renderOwnerRecommendations() {
         const catMeta = {
             'BUY_MORE': { title: 'Restock Priorities', color: '#ef4444' },
             'BUY_LESS': { title: 'Overstock Reductions', color: '#f59e0b' },
+            'MARKDOWN': { title: 'Expiry Markdowns', color: '#a855f7' },
             'MONITOR': { title: 'Strategic Watchlist', color: '#10b981' }
         };
 
@@ -356,10 +365,11 @@ function renderOwnerRecommendations() {
                 ${recs.map(rec => {
                 const isBuyMore = rec.insight_category === 'BUY_MORE';
                 const isBuyLess = rec.insight_category === 'BUY_LESS';
+                const isMarkdown = rec.insight_category === 'MARKDOWN';
                 const isMonitor = rec.insight_category === 'MONITOR';
 
                 const stockDays = Math.round(rec.days_of_cover || 0);
-                const urgencyColor = isBuyMore ? '#ef4444' : isBuyLess ? '#f59e0b' : '#10b981';
+                const urgencyColor = isBuyMore ? '#ef4444' : isBuyLess ? '#f59e0b' : isMarkdown ? '#a855f7' : '#10b981';
 
                 // CLEAN REASONING: Remove jargon & clarify ambiguous quantities
                 const cleanReasoning = (rec.reasoning_text || '')
@@ -380,6 +390,12 @@ function renderOwnerRecommendations() {
                         return s;
                     });
 
+                // Markdown plan (BUY_LESS / MARKDOWN)
+                const markdownLine = rec.markdown_depth_pct ? `
+                    <div style="font-size: 12px; font-weight: 700; color: hsl(var(--foreground)); margin-top: 8px;">
+                        🏷️ ${Math.round(rec.markdown_depth_pct)}% off (₹${parseFloat(rec.markdown_price).toLocaleString('en-IN')}) for ${rec.markdown_duration_days} days → ~${Math.round(rec.projected_days_of_cover)} days cover
+                    </div>` : '';
+
                 const whyBullets = [
                     `Stock lasts ~${stockDays} days`,
                     `Target coverage: ${rec.pw || 7} days`
@@ -402,6 +418,10 @@ function renderOwnerRecommendations() {
                         <div style="font-weight: 700; font-size: 15px; color:hsl(var(--foreground)); line-height: 1.3; font-family: 'Outfit', sans-serif; margin-bottom: 16px; display: -webkit-box; -webkit-line-clamp: 2; -webkit-box-orient: vertical; overflow: hidden; min-height: 40px;">
                             ${rec.normalized_product_name}
                         </div>
+                        ${rec.forecast_model === 'analogue_cold_start' ? `
+                        <div title="New SKU: demand is estimated from similar SKUs in the same category until it has 14 days of its own sales" style="font-size: 10px; font-weight: 700; color: #6366f1; text-transform: uppercase; letter-spacing: 0.05em; margin: -10px 0 12px;">
+                            🧬 Analogue estimate (new SKU)
+                        </div>` : ''}
 
                         <!-- 3. PRIMARY DECISION/SIGNAL -->
                         <div style="background: rgba(255,255,255,0.02); border-radius: 10px; padding: 14px; margin-bottom: 16px; border: 1px solid var(--border);">
@@ -419,6 +439,15 @@ function renderOwnerRecommendations() {
                                 <div style="font-size: 12px; font-weight: 700; color: var(--text-secondary); margin-top: 4px; text-transform: uppercase;">
                                     Excess Inventory → REDUCE STOCK
                                 </div>
+                                ${markdownLine}
+                            ` : isMarkdown ? `
+                                <div style="font-size: 18px; font-weight: 900; color: #a855f7;">
+                                    ${Math.ceil(parseFloat(rec.expiry_risk_units || 0))} Units Expiring Unsold
+                                </div>
+                                <div style="font-size: 12px; font-weight: 700; color: var(--text-secondary); margin-top: 4px; text-transform: uppercase;">
+                                    ₹${Math.round(parseFloat(rec.expiry_risk_units || 0) * parseFloat(rec.cost_price || 0)).toLocaleString('en-IN')} at Risk${rec.nearest_expiry_date ? ` · Expires ${new Date(rec.nearest_expiry_date).toLocaleDateString('en-IN')}` : ''} → MARK DOWN
+                                </div>
+                                ${markdownLine}
                             ` : `
                                 <div style="font-size: 14px; font-weight: 900; color: #10b981; text-align: center;">
                                     Stock lasts ${stockDays} days
@@ -495,6 +524,8 @@ function renderOwnerRecommendations() {
                 loadMoreBtn.style.display = 'none';
             }
         }
+    } else if (ownerAiMode === 'SHADOW') {
+        list.innerHTML = `<div class="empty" style="grid-column: 1/-1">👥 JityAI is running in shadow mode: it is scoring its recommendations against what actually happens before showing them to you.</div>`;
     } else {
         list.innerHTML = `<div class="empty" style="grid-column: 1/-1">✅ No pending decisions. Your stock levels are healthy!</div>`;
     }
@@ -527,27 +558,30 @@ async function loadTrackerDashboard() {
         if (data.success && data.history.length > 0) {
             trackerHistory = data.history;
 
-            // Calculate Impact Metrics
-            let capitalSaved = 0;
+            // Impact Metrics (rupees measured by the outcome ledger)
+            let moneySaved = 0;
             let revenueLost = 0;
-            let validatedCount = 0;
+            let carryingCost = 0;
 
             trackerHistory.forEach(item => {
-                if (item.realized_outcome === 'Opportunity Saved' && item.feedback_status === 'ACCEPTED') {
-                    capitalSaved += Math.abs(item.financial_impact_cash || 0);
-                    validatedCount++;
-                } else if (item.realized_outcome === 'Opportunity Lost' && item.feedback_status === 'REJECTED') {
-                    revenueLost += Math.abs(item.financial_impact_cash || 0);
-                    validatedCount++;
+                if (!item.realized_outcome) return;
+                if (item.realized_outcome === 'Markdown Worked') {
+                    moneySaved += parseFloat(item.financial_impact_cash || 0);
+                    return;
                 }
+                moneySaved += parseFloat(item.revenue_protected || 0);
+                revenueLost += parseFloat(item.missed_sales_opportunity || 0);
+                carryingCost += parseFloat(item.carrying_cost_excess || 0);
             });
 
             // Update Impact Bar with safety checks
             const capEl = document.getElementById('tracker-capital-saved');
             const revEl = document.getElementById('tracker-revenue-lost');
+            const carryEl = document.getElementById('tracker-carrying-cost');
 
-            if (capEl) capEl.textContent = `₹${Math.round(capitalSaved).toLocaleString('en-IN')}`;
-            if (revEl) revEl.textContent = `₹${Math.round(revenueLost).toLocaleString('en-IN')}`;
+            if (capEl) capEl.textContent = formatRupees(moneySaved);
+            if (revEl) revEl.textContent = formatRupees(revenueLost);
+            if (carryEl) carryEl.textContent = formatRupees(carryingCost);
 
             // Render filtered results
             renderTrackerTable();
@@ -578,9 +612,9 @@ function renderTrackerTable() {
     if (currentTrackerOutcomeFilter !== 'ALL') {
         filtered = trackerHistory.filter(item => {
             if (currentTrackerOutcomeFilter === 'REJECTED') {
-                return item.feedback_status === 'REJECTED' || item.feedback_status === 'IGNORED';
+                return item.owner_decision === 'IGNORED';
             }
-            return item.feedback_status === currentTrackerOutcomeFilter;
+            return item.owner_decision === currentTrackerOutcomeFilter;
         });
     }
 
@@ -599,44 +633,43 @@ function renderTrackerTable() {
         const actual = parseFloat(item.current_stock_actual || 0);
         const ads = parseFloat(item.weighted_ads || 0);
 
-        if (item.realized_outcome === 'Opportunity Saved') {
+        if (item.realized_outcome === 'Markdown Worked' || item.realized_outcome === 'Markdown Underperformed') {
+            const worked = item.realized_outcome === 'Markdown Worked';
             outcomeHTML = `
-                <div class="outcome-verified success">
+                <div class="outcome-verified ${worked ? 'success' : 'failure'}">
                     <span class="verification-tag tag-verified">Verified</span>
-                    Opportunity Saved
+                    ${item.realized_outcome}
                 </div>
                 <div style="font-size:10px; color:var(--text-secondary); margin-top:4px;">
-                    ₹${Math.abs(item.financial_impact_cash).toLocaleString('en-IN')} revenue protected via refill.
+                    ${Math.round(item.markdown_units_sold || 0)} units sold in ${item.markdown_duration_days} days at ${Math.round(item.markdown_depth_pct)}% off${worked ? ` • ${formatRupees(item.financial_impact_cash)} capital released` : ''}.
                 </div>
             `;
-        } else if (item.realized_outcome === 'Opportunity Lost') {
+        } else if (item.realized_outcome) {
+            const net = parseFloat(item.financial_impact_cash || 0);
+            const lines = [`${Math.round(item.outcome_units_sold || 0)} sold in ${item.outcome_horizon_days} days`];
+            if (item.stockout_days_avoided > 0) lines.push(`${item.stockout_days_avoided} stockout days avoided`);
+            if (item.stockout_days_count > 0) lines.push(`${item.stockout_days_count} stockout days`);
+            if (parseFloat(item.revenue_protected) > 0) lines.push(`${formatRupees(item.revenue_protected)} revenue protected`);
+            if (parseFloat(item.missed_sales_opportunity) > 0) lines.push(`${formatRupees(item.missed_sales_opportunity)} revenue lost`);
+            if (parseFloat(item.carrying_cost_excess) > 0) lines.push(`${formatRupees(item.carrying_cost_excess)} carrying cost on ${Math.round(item.excess_units)} excess units`);
             outcomeHTML = `
-                <div class="outcome-verified failure">
+                <div class="outcome-verified ${net >= 0 ? 'success' : 'failure'}">
                     <span class="verification-tag tag-verified">Verified</span>
-                    Opportunity Lost
+                    ${net >= 0 ? '+' : '−'}${formatRupees(Math.abs(net))} net
                 </div>
                 <div style="font-size:10px; color:var(--text-secondary); margin-top:4px;">
-                    ₹${Math.abs(item.financial_impact_cash).toLocaleString('en-IN')} lost due to stockout during demand.
+                    ${item.realized_outcome} • ${lines.join(' • ')}.
                 </div>
             `;
-        } else if (item.outcome_check_count < 7 && !item.realized_outcome) {
+        } else {
+            const horizon = item.outcome_horizon_days || 7;
             outcomeHTML = `
                 <div class="outcome-monitoring">
                     <span class="verification-tag tag-monitoring">Monitoring</span>
-                    Reality Check (Day ${item.outcome_check_count || 1}/7)
-                </div>
-                <div style="font-size:10px; color:var(--text-secondary); margin-top:4px;">
-                    Current Stock: ${Math.round(actual)} • No high-confidence signal yet.
-                </div>
-            `;
-        } else {
-            outcomeHTML = `
-                <div class="outcome-unresolved">
-                    <span class="verification-tag tag-closed">Closed</span>
-                    Unresolved Outcome
+                    Measuring (Day ${Math.max(1, item.outcome_check_count || 0)}/${horizon})
                 </div>
                 <div style="font-size:10px; color:var(--text-secondary); margin-top:4px;">
-                    Insufficient confidence to label after 7 days of tracking.
+                    Current Stock: ${Math.round(actual)} • Rupee impact is measured after ${horizon} days.
                 </div>
             `;
         }
@@ -651,8 +684,8 @@ function renderTrackerTable() {
                 </td>
                 <td>
                     <div style="display:flex; flex-direction:column; gap:6px;">
-                        <span class="risk-badge risk-${item.feedback_status === 'ACCEPTED' ? 'SAFE' : 'CRITICAL'}" 
-                              style="font-size:10px; width:fit-content;">${item.feedback_status}</span>
+                        <span class="risk-badge risk-${item.owner_decision === 'ACCEPTED' ? 'SAFE' : 'CRITICAL'}" 
+                              style="font-size:10px; width:fit-content;">${item.owner_decision}</span>
                         <div style="font-size:11px; color:hsl(var(--secondary));">
                             ${item.feedback_reason || 'No specific note'}
                         </div>
@@ -1123,29 +1156,102 @@ function updateCartBadge() {
     }
 }
 
-function addToCart(rec) {
-    const exists = reorderCart.find(c => c.skuId === rec.store_item_id);
-    if (exists) {
-        exists.quantity = Math.round(rec.recommended_order_quantity || 1);
-    } else {
-        reorderCart.push({
-            skuId: rec.store_item_id,
-            productName: rec.normalized_product_name || rec.product_name || 'Unknown Product',
-            quantity: Math.round(rec.recommended_order_quantity || 1),
-            costPrice: parseFloat(rec.cost_price || 0),
-            recommendationId: rec.recommendation_id
-        });
-    }
-    localStorage.setItem('reorderCart_' + currentStoreId, JSON.stringify(reorderCart));
+/**
+ * Replace local cart state with the server's copy
+ */
+function applyCart(cart) {
+    cartVersion = cart.version;
+    reorderCart = cart.items.map(i => ({
+        skuId: i.store_item_id,
+        productName: i.product_name || 'Unknown Product',
+        quantity: parseFloat(i.quantity),
+        costPrice: parseFloat(i.unit_cost || 0),
+        recommendationId: i.recommendation_id,
+        addedByName: i.added_by_name
+    }));
     updateCartBadge();
     renderCart();
 }
 
-function removeFromCart(skuId) {
-    reorderCart = reorderCart.filter(c => c.skuId !== skuId);
-    localStorage.setItem('reorderCart_' + currentStoreId, JSON.stringify(reorderCart));
-    updateCartBadge();
-    renderCart();
+/**
+ * Send a cart mutation. On a version conflict (another device changed the cart)
+ * the latest cart is shown and the change must be redone.
+ * Resolves to { ok, status } (status is null when the request never got an answer).
+ */
+async function cartRequest(endpoint, options = {}) {
+    let status = null;
+    try {
+        const res = await window.auth.apiRequest(endpoint, options);
+        status = res.status;
+        const data = await res.json();
+        if (data.cart) applyCart(data.cart);
+        if (res.status === 409) {
+            showToast('Reorder list was updated on another device. Please review and try again.', 'warning');
+            return { ok: false, status };
+        }
+        if (!data.success) {
+            showToast('Cart update failed: ' + data.error, 'danger');
+            return { ok: false, status };
+        }
+        return { ok: true, status };
+    } catch (e) {
+        showToast('Cart error: ' + e.message, 'danger');
+        return { ok: false, status };
+    }
+}
+
+async function loadCart() {
+    try {
+        const res = await window.auth.apiRequest('/api/cart');
+        const data = await res.json();
+        if (!data.success) return;
+        applyCart(data.cart);
+
+        // One-time move of a legacy browser-only cart to the shared server cart.
+        // SKUs already on the server cart keep their shared quantity. Lines the server
+        // rejects (unknown SKU, stale recommendation) are dropped; only lines that hit a
+        // version conflict, server error or network failure stay for the next load.
+        const legacyKey = 'reorderCart_' + currentStoreId;
+        const legacy = JSON.parse(localStorage.getItem(legacyKey) || '[]');
+        if (legacy.length === 0) return;
+
+        const retry = [];
+        for (const item of legacy) {
+            if (reorderCart.some(line => line.skuId === item.skuId)) continue;
+            const { ok, status } = await cartRequest('/api/cart/items', {
+                method: 'POST',
+                body: JSON.stringify({
+                    storeItemId: item.skuId,
+                    quantity: item.quantity,
+                    unitCost: item.costPrice,
+                    recommendationId: item.recommendationId,
+                    expectedVersion: cartVersion
+                })
+            });
+            if (!ok && (status === null || status === 409 || status >= 500)) retry.push(item);
+        }
+        if (retry.length > 0) localStorage.setItem(legacyKey, JSON.stringify(retry));
+        else localStorage.removeItem(legacyKey);
+    } catch (e) {
+        console.error('Failed to load cart:', e);
+    }
+}
+
+async function addToCart(rec) {
+    return cartRequest('/api/cart/items', {
+        method: 'POST',
+        body: JSON.stringify({
+            storeItemId: rec.store_item_id,
+            quantity: Math.round(rec.recommended_order_quantity || 1),
+            unitCost: rec.cost_price,
+            recommendationId: rec.recommendation_id,
+            expectedVersion: cartVersion
+        })
+    });
+}
+
+async function removeFromCart(skuId) {
+    await cartRequest(`/api/cart/items/${encodeURIComponent(skuId)}?expectedVersion=${cartVersion}`, { method: 'DELETE' });
 }
 
 function renderCart() {
@@ -1167,7 +1273,7 @@ function renderCart() {
             <div class="cart-item-header">
                 <div class="cart-item-title">
                     <h4>${item.productName}</h4>
-                    <span>SKU: ${item.skuId} • ₹${parseFloat(item.costPrice).toFixed(2)}/unit</span>
+                    <span>SKU: ${item.skuId} • ₹${parseFloat(item.costPrice).toFixed(2)}/unit${item.addedByName ? ` • Added by ${item.addedByName}` : ''}</span>
                 </div>
                 <button class="remove-item-btn" onclick="removeFromCart('${item.skuId}')" title="Remove item">
                     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M18 6L6 18M6 6l12 12"></path></svg>
@@ -1196,45 +1302,78 @@ function renderCart() {
     document.getElementById('cart-total-cost').textContent = '₹' + Math.round(finalCost).toLocaleString('en-IN');
 }
 
-function updateCartQty(skuId, qty) {
-    const item = reorderCart.find(c => c.skuId === skuId);
-    if (item) item.quantity = parseInt(qty) || 1;
-    localStorage.setItem('reorderCart_' + currentStoreId, JSON.stringify(reorderCart));
-    renderCart();
+async function updateCartQty(skuId, qty) {
+    await cartRequest(`/api/cart/items/${encodeURIComponent(skuId)}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ quantity: parseInt(qty) || 1, expectedVersion: cartVersion })
+    });
 }
 
-function clearCart() {
+async function clearCart() {
     if (!confirm('Clear all items from reorder list?')) return;
-    reorderCart = [];
-    localStorage.setItem('reorderCart_' + currentStoreId, JSON.stringify(reorderCart));
-    updateCartBadge();
-    renderCart();
+    await cartRequest(`/api/cart?expectedVersion=${cartVersion}`, { method: 'DELETE' });
 }
 
-function generatePO() {
+async function generatePO() {
     if (reorderCart.length === 0) return showToast('No items in cart', 'warning');
 
-    let poText = `PURCHASE ORDER - ${new Date().toLocaleDateString('en-IN')}\n`;
-    poText += `Store: ${currentStoreId}\n\n`;
-    poText += `SKU ID | Product | Qty | Est. Cost\n`;
-    poText += `${'─'.repeat(60)}\n`;
-
-    reorderCart.forEach(item => {
-        poText += `${item.skuId} | ${item.productName} | ${item.quantity} | ₹${(item.quantity * item.costPrice).toFixed(2)}\n`;
-    });
+    // Checkout: server splits the cart into one draft PO per supplier (MOQ, case pack, minimum order value)
+    try {
+        const res = await window.auth.apiRequest('/api/cart/checkout', {
+            method: 'POST',
+            body: JSON.stringify({ expectedVersion: cartVersion })
+        });
+        const data = await res.json();
+        if (data.cart) applyCart(data.cart);
+        if (res.status === 409) {
+            return showToast('Reorder list was updated on another device. Review it and generate again.', 'warning');
+        }
+        if (!data.success) return showToast('Failed to create POs: ' + data.error, 'danger');
 
-    const totalCost = reorderCart.reduce((sum, i) => sum + (i.quantity * i.costPrice), 0);
-    poText += `${'─'.repeat(60)}\n`;
-    poText += `TOTAL: ₹${totalCost.toLocaleString('en-IN')}\n`;
+        renderCheckoutResult(data.purchaseOrders);
+        showToast(`${data.purchaseOrders.length} draft purchase order(s) created`, 'success');
+    } catch (e) {
+        showToast('Error: ' + e.message, 'danger');
+    }
+}
 
-    const blob = new Blob([poText], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `PO-${currentStoreId}-${Date.now()}.txt`;
-    a.click();
+/**
+ * Show the per-supplier drafts (with top-up explanations) in the cart panel
+ */
+function renderCheckoutResult(purchaseOrders) {
+    const container = document.getElementById('cart-items');
+    container.innerHTML = purchaseOrders.map(po => `
+        <div class="cart-item">
+            <div class="cart-item-header">
+                <div class="cart-item-title">
+                    <h4>${po.poNumber} • ${po.supplierName || 'Unassigned supplier'}</h4>
+                    <span>Order value ₹${Math.round(po.orderValue).toLocaleString('en-IN')}${po.minOrderValue > 0 ? ` (min ₹${Math.round(po.minOrderValue).toLocaleString('en-IN')})` : ''}${po.expectedDeliveryDate ? ` • Delivery ~${po.expectedDeliveryDate}` : ''}</span>
+                </div>
+            </div>
+            ${po.topUps.map(t => `<p style="font-size: 12px; color: hsl(var(--secondary)); margin: 6px 0;">➕ ${t.productName || t.storeItemId} × ${t.quantity}: ${t.reason}</p>`).join('')}
+            ${po.shortfall > 0 ? `<p style="font-size: 12px; color: hsl(var(--warning)); margin: 6px 0;">⚠️ Still ₹${Math.round(po.shortfall).toLocaleString('en-IN')} below supplier minimum.</p>` : ''}
+            <div class="cart-item-controls">
+                <button class="btn" onclick="downloadPOExport('${po.poId}', '${po.poNumber}', 'pdf')">PDF</button>
+                <button class="btn" onclick="downloadPOExport('${po.poId}', '${po.poNumber}', 'xlsx')">XLSX</button>
+            </div>
+        </div>
+    `).join('');
+}
 
-    showToast('Purchase Order generated! Clear cart after ordering.', 'success');
+async function downloadPOExport(poId, poNumber, format) {
+    try {
+        const res = await window.auth.apiRequest(`/api/purchase-orders/${poId}/export?format=${format}`);
+        if (!res.ok) return showToast('Export failed', 'danger');
+        const blob = await res.blob();
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${poNumber}.${format}`;
+        a.click();
+        URL.revokeObjectURL(url);
+    } catch (e) {
+        showToast('Export error: ' + e.message, 'danger');
+    }
 }
 
 // ============================================
@@ -1288,7 +1427,7 @@ async function acceptRecommendation(rec) {
 
     // Only add to cart if it's a restock action with quantity
     if (isBuyMore && hasQuantity) {
-        addToCart(rec);
+        await addToCart(rec);
     }
 
     try {
@@ -1335,6 +1474,9 @@ window.addEventListener('keydown', async (e) => {
 });
 
 async function lookupBarcode(barcode) {
+    // While a count sheet is open, scans enter counts instead of opening the editor
+    if (window.activeCycleCountId) return countBarcode(barcode);
+
     showAgentStatus('JityAi', `Searching for barcode: ${barcode}`);
     try {
         const res = await window.auth.apiRequest(`/api/inventory/barcode/${barcode}`);
@@ -1353,6 +1495,104 @@ async function lookupBarcode(barcode) {
     }
 }
 
+// ============================================
+// CYCLE COUNT
+// ============================================
+async function startCycleCount() {
+    try {
+        const res = await window.auth.apiRequest('/api/inventory/cycle-counts?status=open');
+        const data = await res.json();
+        let count = data.success && data.counts.length > 0 ? data.counts[0] : null;
+
+        if (!count) {
+            const created = await window.auth.apiRequest('/api/inventory/cycle-counts', { method: 'POST', body: JSON.stringify({}) });
+            const createdData = await created.json();
+            if (!createdData.success) {
+                showToast(createdData.error || 'Could not create a count sheet', 'danger');
+                return;
+            }
+            count = createdData.count;
+        }
+
+        window.activeCycleCountId = count.count_id;
+        await renderCycleCount();
+        showToast('Count sheet open: scan each item to enter its count', 'success');
+    } catch (e) {
+        console.error('Cycle count failed:', e);
+        showToast('System error opening the count sheet', 'danger');
+    }
+}
+
+async function renderCycleCount() {
+    const res = await window.auth.apiRequest(`/api/inventory/cycle-counts/${window.activeCycleCountId}`);
+    const data = await res.json();
+    if (!data.success) return;
+
+    const { count } = data;
+    const s = count.summary;
+    const rows = count.lines.map(l => ({
+        product: l.product_name,
+        barcode: l.barcode || '-',
+        priority: l.priority_reason,
+        system_stock: parseFloat(l.system_qty),
+        counted_qty: l.counted_qty === null ? '-' : parseFloat(l.counted_qty),
+        variance_units: l.variance_units === null ? '-' : parseFloat(l.variance_units),
+        variance_value: l.variance_value === null ? '-' : parseFloat(l.variance_value)
+    }));
+
+    document.getElementById('report-title').innerText = 'Cycle Count';
+    document.getElementById('report-meta').innerText =
+        `${s.counted}/${s.lines} counted • ${s.withVariance} with variance • Net ₹${s.netVarianceValue} • Status: ${count.status}`;
+    window.currentReportData = rows;
+    window.currentReportTitle = 'Cycle Count';
+    renderReportTable(document.getElementById('report-table'), rows);
+    document.getElementById('report-output-container').style.display = 'block';
+
+    if (count.status === 'open' && s.counted === s.lines &&
+        confirm('Every item is counted. Submit the sheet for manager approval?')) {
+        const submitted = await window.auth.apiRequest(`/api/inventory/cycle-counts/${count.count_id}/submit`, { method: 'POST' });
+        const submittedData = await submitted.json();
+        showToast(submittedData.success ? 'Count sheet sent for approval' : submittedData.error, submittedData.success ? 'success' : 'danger');
+        if (submittedData.success) window.activeCycleCountId = null;
+    }
+}
+
+async function countBarcode(barcode) {
+    try {
+        const res = await window.auth.apiRequest(`/api/inventory/barcode/${barcode}?countId=${window.activeCycleCountId}`);
+        const data = await res.json();
+        if (!data.success) {
+            showToast(`Not found: ${barcode}`, 'warning');
+            return;
+        }
+        if (!data.countLine) {
+            showToast(`${data.item.product_name} is not on this count sheet`, 'warning');
+            return;
+        }
+
+        const qty = prompt(`Count for ${data.item.product_name} (${data.item.stock_unit})`);
+        if (qty === null || qty.trim() === '') return;
+
+        const saved = await window.auth.apiRequest(`/api/inventory/cycle-counts/${window.activeCycleCountId}/counts`, {
+            method: 'POST',
+            body: JSON.stringify({ barcode, countedQty: qty })
+        });
+        const savedData = await saved.json();
+        if (!savedData.success) {
+            showToast(savedData.error || 'Count not saved', 'danger');
+            return;
+        }
+
+        const variance = savedData.line.varianceUnits;
+        showToast(`${data.item.product_name}: counted ${savedData.line.countedQty}, system ${savedData.line.systemQty}` +
+            (variance !== 0 ? ` (variance ${variance > 0 ? '+' : ''}${variance})` : ''), variance === 0 ? 'success' : 'warning');
+        await renderCycleCount();
+    } catch (e) {
+        console.error('Count entry failed:', e);
+        showToast('System error saving the count', 'danger');
+    }
+}
+
 // ============================================
 // AGENT STATUS BAR FUNCTIONS
 // ============================================
@@ -0,0 +1,112 @@
+/**
+ * BACKTEST: Replay a store's history against the recommendation engine (offline, no LLM)
+ *
+ * Usage:
+ *   node scripts/backtest-recommendations.js <store_id> <from YYYY-MM-DD> <to YYYY-MM-DD> [options]
+ *
+ * Options:
+ *   --sku=SKU-1,SKU-2       Limit to these SKUs
+ *   --engine=auto           Forecast engine (default: the store's setting)
+ *   --pw=3,5,7              Protection windows for stable,moderate,volatile demand
+ *   --z=1.65,1.28,0.84      z-values for High Impact,Normal,Low importance
+ *   --buy-less=3            BUY_LESS when position cover > coverWindow * N
+ *   --out=report.json       Write the full per-SKU report as JSON
+ */
+
+const { Pool } = require('pg');
+const fs = require('fs');
+require('dotenv').config();
+
+const BacktestEngine = require('../modules/backtest-engine');
+
+const pool = new Pool({
+    host: process.env.DB_HOST || 'localhost',
+    port: process.env.DB_PORT || 5432,
+    database: process.env.DB_NAME || 'ai_store_manager',
+    user: process.env.DB_USER || 'postgres',
+    password: process.env.DB_PASSWORD
+});
+
+function parseArgs(argv) {
+    const positional = [];
+    const flags = {};
+    for (const arg of argv) {
+        const match = arg.match(/^--([^=]+)=(.*)$/);
+        if (match) flags[match[1]] = match[2];
+        else positional.push(arg);
+    }
+    return { positional, flags };
+}
+
+function buildPolicy(flags) {
+    const policy = {};
+    if (flags.pw) {
+        const [stable, moderate, volatile] = flags.pw.split(',').map(Number);
+        policy.protectionWindows = { stable, moderate, volatile };
+    }
+    if (flags.z) {
+        const [high, normal, low] = flags.z.split(',').map(Number);
+        policy.serviceLevelZ = { 'High Impact': high, 'Normal': normal, 'Low': low };
+    }
+    if (flags['buy-less']) policy.buyLessCoverMultiple = Number(flags['buy-less']);
+    return policy;
+}
+
+async function main() {
+    const { positional, flags } = parseArgs(process.argv.slice(2));
+    const [storeId, from, to] = positional;
+    if (!storeId || !from || !to) {
+        console.log('Usage: node scripts/backtest-recommendations.js <store_id> <from YYYY-MM-DD> <to YYYY-MM-DD> [--sku=..] [--engine=..] [--pw=..] [--z=..] [--buy-less=..] [--out=..]');
+        process.exit(1);
+    }
+
+    // Never reach the LLM from a backtest
+    delete process.env.GEMINI_API_KEY;
+
+    try {
+        const engine = new BacktestEngine(pool);
+        const report = await engine.run(storeId, {
+            from,
+            to,
+            skuIds: flags.sku ? flags.sku.split(',') : null,
+            forecastEngine: flags.engine,
+            policy: buildPolicy(flags)
+        });
+
+        console.log(`\n📊 BACKTEST ${report.storeId} ${report.from} → ${report.to}`);
+        console.log(`   SKUs: ${report.skuCount} (skipped without stock history: ${report.skippedNoStockHistory})`);
+        console.log(`   Forecast engine: ${report.forecastEngine}  Policy overrides: ${JSON.stringify(report.policy)}\n`);
+        console.table({
+            'Actual history': report.actual,
+            'Followed recommendations': report.simulated
+        });
+
+        const worst = [...report.skus]
+            .sort((a, b) => b.simulated.lostRevenue - a.simulated.lostRevenue)
+            .slice(0, 10)
+            .map(s => ({
+                sku: s.skuId,
+                product: s.productName,
+                actualLost: Math.round(s.actual.lostRevenue),
+                simulatedLost: Math.round(s.simulated.lostRevenue),
+                actualStockoutDays: s.actual.stockoutDays,
+                simulatedStockoutDays: s.simulated.stockoutDays
+            }));
+        if (worst.length) {
+            console.log('\n🔻 Highest simulated lost revenue:');
+            console.table(worst);
+        }
+
+        if (flags.out) {
+            fs.writeFileSync(flags.out, JSON.stringify(report, null, 2));
+            console.log(`\n💾 Full report written to ${flags.out}`);
+        }
+    } catch (err) {
+        console.error('❌ Backtest failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+main();
@@ -9,6 +9,7 @@
 require('dotenv').config();
 const { Pool } = require('pg');
 const InventoryAIAgent = require('../modules/inventory-ai-agent');
+const { AGENT_EVENTS, createEvent } = require('../modules/agent-events');
 const ReportEngine = require('../modules/report-engine');
 const fs = require('fs');
 
@@ -80,7 +81,7 @@ async function runAudit() {
         const allSkus = await client.query('SELECT store_item_id FROM store_sku_registry WHERE store_id = $1', [storeId]);
         const skuIds = allSkus.rows.map(r => r.store_item_id);
 
-        const run1 = await agent.handleEvent('DAILY_CLOSE', { storeId, skuIds });
+        const run1 = await agent.handleEvent(createEvent(AGENT_EVENTS.DAILY_CLOSE, { storeId, skuIds, triggeredBy: 'system-audit' }));
 
         // Run 2: Simulated LLM Failure (We need to mock this or force it)
         // We can't easily mock internal calls without dependency injection or mocking lib.
@@ -29,6 +29,22 @@ const SalesTransactionExtractor = require('./modules/sales-transaction-extractor
 const MasterOrchestrator = require('./modules/master-orchestrator');
 const ReportEngine = require('./modules/report-engine'); // Added ReportEngine
 const StoreSimulator = require('./modules/store-simulator');
+const SupplierMaster = require('./modules/supplier-master');
+const PurchaseOrderService = require('./modules/purchase-order-service');
+const ReorderCartService = require('./modules/reorder-cart-service');
+const PurchaseOrderExporter = require('./modules/purchase-order-exporter');
+const StockoutLedger = require('./modules/stockout-ledger');
+const LotLedger = require('./modules/lot-ledger');
+const EventCalendar = require('./modules/event-calendar');
+const ServicePolicy = require('./modules/service-policy');
+const ShadowEvaluator = require('./modules/shadow-evaluator');
+const SubstituteGroups = require('./modules/substitute-groups');
+const BudgetOptimizer = require('./modules/budget-optimizer');
+const PosWebhookIngestor = require('./modules/pos-webhook-ingestor');
+const SkuQuarantine = require('./modules/sku-quarantine');
+const PosSalesImporter = require('./modules/pos-sales-importer');
+const StockReconciliation = require('./modules/stock-reconciliation');
+const CycleCountService = require('./modules/cycle-count-service');
 
 // Authentication modules (Cloud-Ready)
 const AuthService = require('./modules/auth-service');
@@ -60,6 +76,36 @@ const authService = new AuthService(pool);
 // Initialize Report Engine
 const reportEngine = new ReportEngine(pool);
 
+// Supplier Master (lead times / order cycles)
+const supplierMaster = new SupplierMaster(pool);
+
+// Purchase Order Lifecycle (draft -> sent -> received -> closed)
+const purchaseOrderService = new PurchaseOrderService(pool);
+
+// Shared per-store reorder cart
+const reorderCartService = new ReorderCartService(pool);
+
+// Stockout episodes (opened / closed during sync and PO receipts)
+const stockoutLedger = new StockoutLedger(pool);
+
+// Inventory lots (expiry / batch tracking, depleted FEFO)
+const lotLedger = new LotLedger(pool);
+
+// Festival / local event calendar (learned per-category demand uplift)
+const eventCalendar = new EventCalendar(pool);
+
+// Service-level policies (store defaults, category overrides, SKU pins)
+const servicePolicy = new ServicePolicy(pool);
+
+// SHADOW / ACTIVE mode: shadow scoring, comparison report and promotion
+const shadowEvaluator = new ShadowEvaluator(pool);
+
+// Substitute groups (learned from stockout demand shifts, or set manually)
+const substituteGroups = new SubstituteGroups(pool);
+
+// Budget-constrained order plan over open BUY_MORE recommendations
+const budgetOptimizer = new BudgetOptimizer(pool);
+
 // ============================================================================
 // INITIALIZE AGENTS
 // ============================================================================
@@ -95,9 +141,19 @@ const masterOrchestrator = new MasterOrchestrator(
 );
 
 const storeSimulator = new StoreSimulator(pool);
+const posSalesImporter = new PosSalesImporter(pool);
+const stockReconciliation = new StockReconciliation(pool);
+const cycleCountService = new CycleCountService(pool);
 
 incrementalSync.eventCallback = masterOrchestrator.onIncrementalSyncCompleted.bind(masterOrchestrator);
 
+// Unknown SKUs are parked for owner review instead of failing the sync
+const skuQuarantine = new SkuQuarantine(pool, { syncAgent: incrementalSync, onboardingAgent: orchestrator });
+incrementalSync.quarantine = skuQuarantine;
+
+// Signed POS event stream -> incremental sync micro-batches
+const webhookIngestor = new PosWebhookIngestor(pool, incrementalSync);
+
 async function init() {
     try {
         await configLoader.loadAll();
@@ -118,7 +174,13 @@ init();
 
 const app = express();
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+    limit: '50mb',
+    // POS webhooks are signed over the exact bytes sent
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/sync/webhook/')) req.rawBody = buf.toString('utf8');
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -307,6 +369,150 @@ app.post('/api/sync/upload',
     }
 );
 
+/**
+ * POS webhook: signed sale / return / stock-adjust events (HMAC with the store's webhook_secret)
+ * Headers: X-Webhook-Timestamp, X-Webhook-Signature: sha256=<hex>
+ * Body: { events: [{ idempotencyKey, type, storeItemId, quantity, mode?, reason?, sellingPrice?, costPrice?, occurredAt? }] }
+ */
+app.post('/api/sync/webhook/:storeId',
+    async (req, res) => {
+        try {
+            const storeId = req.params.storeId;
+            await webhookIngestor.verify(storeId, req.headers, req.rawBody);
+            const result = await webhookIngestor.ingest(storeId, req.body);
+            res.status(202).json({ success: true, ...result });
+        } catch (e) {
+            if (e.statusCode === 401) console.warn(`🔐 Rejected webhook for ${req.params.storeId}: ${e.message}`);
+            sendServiceError(res, e);
+        }
+    });
+
+/**
+ * Webhook inbox status: events by status and recent failures (Protected)
+ */
+app.get('/api/sync/webhook-status',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const status = await webhookIngestor.getStatus(req.store_id);
+            res.json({ success: true, ...status });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+/**
+ * Requeue webhook events that failed every retry (Owner / Admin)
+ * Body: { idempotencyKeys?: [...] } (default: all failed events)
+ */
+app.post('/api/sync/webhook-requeue',
+    authenticateJWT(authService),
+    requireStoreScope,
+    requireRole('owner', 'admin'),
+    async (req, res) => {
+        try {
+            const requeued = await webhookIngestor.requeueFailed(req.store_id, req.body?.idempotencyKeys);
+            await pool.query(
+                `INSERT INTO operational_audit_log (store_id, user_id, action_type, entity_type, entity_id, metadata, status)
+                 VALUES ($1, $2, 'sync.webhook_requeued', 'pos_webhook_events', $1, $3, 'success')`,
+                [req.store_id, req.user.user_id, JSON.stringify({ requeued })]
+            );
+            res.json({ success: true, requeued });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+/**
+ * Issue a new webhook secret and switch the store to WEBHOOK sync (Protected)
+ * The secret is shown once; the previous one stops working immediately.
+ */
+app.post('/api/sync/webhook-secret',
+    authenticateJWT(authService),
+    requireStoreScope,
+    requireRole('owner', 'admin'),
+    async (req, res) => {
+        try {
+            const secret = await webhookIngestor.rotateSecret(req.store_id);
+            await pool.query(
+                `INSERT INTO operational_audit_log (store_id, user_id, action_type, entity_type, entity_id, status)
+                 VALUES ($1, $2, 'sync.webhook_secret_rotated', 'store_sync_config', $1, 'success')`,
+                [req.store_id, req.user.user_id]
+            );
+            console.log(`🔑 Webhook secret rotated for ${req.store_id}`);
+            res.json({
+                success: true,
+                secret,
+                endpoint: `/api/sync/webhook/${encodeURIComponent(req.store_id)}`,
+                signature: 'X-Webhook-Signature: sha256=HMAC_SHA256(secret, "<X-Webhook-Timestamp>.<raw body>")'
+            });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+/**
+ * Unknown-SKU quarantine: parked SKUs and their stock movements (Protected)
+ * Query: status=open (default) | resolved
+ */
+app.get('/api/sync/quarantine',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const status = req.query.status === 'resolved' ? 'resolved' : 'open';
+            const escalations = await skuQuarantine.list(req.store_id, status);
+            res.json({ success: true, status, escalations });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+/**
+ * Resolve a quarantined SKU and replay its parked movements (Protected)
+ * Body: { action: onboard | map | discard, targetSkuId? (map), productName?, openingQuantity? (onboard), note? }
+ */
+app.post('/api/sync/quarantine/:escalationId/resolve',
+    authenticateJWT(authService),
+    requireStoreScope,
+    requireRole('owner', 'admin'),
+    async (req, res) => {
+        try {
+            const result = await skuQuarantine.resolve(req.store_id, req.params.escalationId, req.body || {}, req.user.user_id);
+            await pool.query(
+                `INSERT INTO operational_audit_log (store_id, user_id, action_type, entity_type, entity_id, metadata, status)
+                 VALUES ($1, $2, 'sync.quarantine_resolved', 'unknown_sku_escalation_queue', $3, $4, 'success')`,
+                [req.store_id, req.user.user_id, result.escalationId, JSON.stringify({
+                    store_item_id: result.storeItemId,
+                    action: result.action,
+                    target_sku_id: result.targetSkuId,
+                    replayed: result.replayed,
+                    skipped: (result.skipped || []).length
+                })]
+            );
+            res.json({ success: true, ...result });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+/**
+ * Retry the replay of a resolved SKU whose parked movements did not all sync (Protected)
+ */
+app.post('/api/sync/quarantine/:escalationId/replay',
+    authenticateJWT(authService),
+    requireStoreScope,
+    requireRole('owner', 'admin'),
+    async (req, res) => {
+        try {
+            const result = await skuQuarantine.replay(req.store_id, req.params.escalationId);
+            res.json({ success: true, escalationId: req.params.escalationId, ...result });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
 app.get('/api/stats',
     authenticateJWT(authService), // Protect: Any valid user can see global stats
     async (req, res) => {
@@ -504,34 +710,26 @@ app.get('/api/inventory/full/:storeId',
 
 /**
  * Barcode Lookup
+ * Query: countId? (adds the matching line of that cycle count sheet)
  */
 app.get('/api/inventory/barcode/:barcode',
     authenticateJWT(authService),
     requireStoreScope,
     async (req, res) => {
         try {
-            const { barcode } = req.params;
-            const result = await pool.query(`
-            SELECT 
-                r.store_item_id,
-                r.original_product_name as product_name,
-                r.master_category_name as category,
-                COALESCE(h.quantity_on_hand, 0) as quantity_on_hand,
-                COALESCE(h.unit, r.normalized_unit) as stock_unit,
-                COALESCE(h.selling_price, 0) as selling_price,
-                COALESCE(h.cost_price, 0) as cost_price
-            FROM store_sku_registry r
-            LEFT JOIN v_latest_inventory h ON r.store_id = h.store_id AND r.store_item_id = h.store_item_id
-            WHERE r.barcode = $1
-            LIMIT 1
-        `, [barcode]);
-
-            if (result.rows.length === 0) {
+            const item = await cycleCountService.lookupBarcode(req.store_id, req.params.barcode);
+            if (!item) {
                 return res.status(404).json({ success: false, error: 'Product not found' });
             }
-            res.json({ success: true, item: result.rows[0] });
+
+            let countLine;
+            if (req.query.countId) {
+                const count = await cycleCountService.getCount(req.store_id, req.query.countId);
+                countLine = count.lines.find(l => l.store_item_id === item.store_item_id) || null;
+            }
+            res.json({ success: true, item, ...(countLine !== undefined && { countLine }) });
         } catch (e) {
-            res.status(500).json({ success: false, error: e.message });
+            sendServiceError(res, e);
         }
     });
 
@@ -614,6 +812,68 @@ app.post('/api/sync/inventory/upload',
         }
     });
 
+/**
+ * POS bill export import: one sales row per bill line, reconciled against stock deltas (Protected)
+ * Columns: bill number, line, timestamp (or date + time), item code or barcode, qty, unit price, discount, tender
+ */
+app.post('/api/sales/import',
+    authenticateJWT(authService),
+    requireStoreScope,
+    upload.single('file'),
+    async (req, res) => {
+        try {
+            const storeId = req.store_id; // Secure Source
+            if (!req.file) return res.status(400).json({ success: false, error: 'No file' });
+
+            const XLSX = require('xlsx');
+            const workbook = XLSX.readFile(req.file.path, { cellDates: true });
+            const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: null });
+            await fs.unlink(req.file.path);
+
+            const result = await posSalesImporter.import(storeId, rows, {
+                fileName: req.file.originalname,
+                userId: req.user.user_id
+            });
+            await pool.query(
+                `INSERT INTO operational_audit_log (store_id, user_id, action_type, entity_type, entity_id, metadata, status)
+                 VALUES ($1, $2, 'sales.pos_import', 'sales_import_batches', $3, $4, 'success')`,
+                [storeId, req.user.user_id, result.batchId, JSON.stringify({
+                    file_name: req.file.originalname,
+                    lines_imported: result.linesImported,
+                    duplicates: result.duplicates,
+                    rejected: result.rejectedCount,
+                    inferred_replaced: result.inferredReplaced
+                })]
+            );
+            res.json({ success: true, ...result });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+/**
+ * Billed units vs stock movement per SKU-day (Protected)
+ * Query: from, to (YYYY-MM-DD, default last 7 days), status?
+ */
+app.get('/api/sales/reconciliation',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const isDate = v => /^\d{4}-\d{2}-\d{2}$/.test(v || '');
+            const to = isDate(req.query.to) ? req.query.to : PosSalesImporter.localDate(new Date());
+            const from = isDate(req.query.from) ? req.query.from :
+                PosSalesImporter.localDate(new Date(Date.now() - 6 * 86400000));
+            if (from > to) return res.status(400).json({ success: false, error: 'from must not be after to' });
+
+            const result = await posSalesImporter.reconcile(req.store_id, { from, to });
+            const rows = req.query.status ? result.rows.filter(r => r.status === req.query.status) : result.rows;
+            res.json({ success: true, ...result, rows });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
 /**
  * Purchase Order Upload (Protected)
  */
@@ -651,8 +911,10 @@ app.post('/api/pos/upload',
                 const poId = getVal(row, ['po_id', 'po number', 'order_id', 'reference']) || `PO-${Date.now()}`;
                 const skuId = getVal(row, ['sku', 'item_id', 'product_id', 'store_item_id']);
                 const qty = getVal(row, ['qty', 'quantity', 'ordered']);
+                const receivedQty = getVal(row, ['received']);
+                const unitCost = getVal(row, ['cost', 'rate', 'price']);
                 const date = getVal(row, ['date', 'created', 'order_date']) || new Date();
-                const status = getVal(row, ['status']) || 'RECEIVED'; // Default to received for history
+                const status = String(getVal(row, ['status']) || 'RECEIVED').toUpperCase(); // Default to received for history
                 const supplier = getVal(row, ['supplier', 'vendor']) || 'General Supplier';
 
                 if (!skuId || !qty) continue;
@@ -662,12 +924,20 @@ app.post('/api/pos/upload',
                         storeId,
                         poId,
                         supplier,
-                        status: status.toUpperCase(),
+                        // Open POs (anything not received/cancelled) feed pending qty into reorder math
+                        status: status.startsWith('RECEIV') || status === 'COMPLETED' ? 'received' :
+                            status.startsWith('CANCEL') ? 'cancelled' : 'pending',
                         items: [],
                         date: new Date(date)
                     });
                 }
-                poMap.get(poId).items.push({ skuId, qty: parseInt(qty) });
+                const po = poMap.get(poId);
+                po.items.push({
+                    skuId,
+                    qty: parseFloat(qty),
+                    receivedQty: receivedQty !== null ? parseFloat(receivedQty) : (po.status === 'received' ? parseFloat(qty) : null),
+                    unitCost: parseFloat(unitCost) || 0
+                });
             }
 
             const client = await pool.connect();
@@ -678,19 +948,22 @@ app.post('/api/pos/upload',
                 for (const po of poMap.values()) {
                     // Insert PO Header
                     const poRes = await client.query(`
-                    INSERT INTO purchase_orders (store_id, supplier_name, status, total_items, created_at, updated_at)
-                    VALUES ($1, $2, $3, $4, $5, $5)
+                    INSERT INTO purchase_orders (store_id, po_number, supplier_name, status, order_date, received_date, created_at, updated_at)
+                    VALUES ($1, $2, $3, $4, $5, $6, $5, $5)
+                    ON CONFLICT (store_id, po_number) DO NOTHING
                     RETURNING po_id
-                `, [po.storeId, po.supplier, po.status, po.items.length, po.date]);
+                `, [po.storeId, String(po.poId), po.supplier, po.status, po.date, po.status === 'received' ? po.date : null]);
 
+                    // Already imported (same PO number) - skip to keep re-uploads idempotent
+                    if (poRes.rows.length === 0) continue;
                     const newPoId = poRes.rows[0].po_id;
 
                     // Insert Items
                     for (const item of po.items) {
                         await client.query(`
-                        INSERT INTO purchase_order_items (po_id, store_id, store_item_id, quantity_ordered, received_quantity, received_date)
-                        VALUES ($1, $2, $3, $4, $4, $5)
-                    `, [newPoId, po.storeId, item.skuId, item.qty, po.date]);
+                        INSERT INTO purchase_order_items (po_id, store_id, store_item_id, quantity_ordered, quantity_received, unit_cost, line_source)
+                        VALUES ($1, $2, $3, $4, $5, $6, 'import')
+                    `, [newPoId, po.storeId, item.skuId, item.qty, item.receivedQty, item.unitCost]);
                     }
                     importedCount++;
                 }
@@ -724,14 +997,14 @@ app.get('/api/inventory-ai/summary/:storeId',
                     inv.cost_price
                 FROM inventory_recommendations ir
                 JOIN v_latest_inventory inv ON ir.store_id = inv.store_id AND ir.store_item_id = inv.store_item_id
-                WHERE ir.store_id = $1 AND ir.feedback_status IN ('PENDING', 'ACCEPTED', 'UPDATED')
+                WHERE ir.store_id = $1 AND ir.mode = 'ACTIVE' AND ir.feedback_status IN ('PENDING', 'ACCEPTED', 'UPDATED')
                 ORDER BY ir.store_item_id, ir.generated_at DESC
             )
             SELECT 
                 SUM(CASE WHEN insight_category = 'BUY_MORE' THEN (recommended_order_quantity * cost_price) ELSE 0 END) as sales_at_risk,
                 SUM(CASE 
                     WHEN insight_category = 'BUY_LESS' THEN 
-                        GREATEST(0, (current_stock - (weighted_ads * protection_window * 2))) * cost_price 
+                        GREATEST(0, (current_stock - (COALESCE(forecast_daily_demand, weighted_ads) * protection_window * 2))) * cost_price 
                     ELSE 0 
                 END) as cash_blocked
             FROM latest_insights
@@ -767,7 +1040,7 @@ app.get('/api/inventory-ai/recommendations/:storeId',
             FROM inventory_recommendations ir
             JOIN store_sku_registry sr ON ir.store_id = sr.store_id AND ir.store_item_id = sr.store_item_id
             LEFT JOIN v_latest_inventory inv ON ir.store_id = inv.store_id AND ir.store_item_id = inv.store_item_id
-            WHERE ir.store_id = $1 AND ir.feedback_status = $2
+            WHERE ir.store_id = $1 AND ir.mode = 'ACTIVE' AND ir.feedback_status = $2
             ORDER BY ir.store_item_id, ir.generated_at DESC
         `, [storeId, status]);
 
@@ -777,7 +1050,8 @@ app.get('/api/inventory-ai/recommendations/:storeId',
                 return (pMap[b.action_priority] || 0) - (pMap[a.action_priority] || 0);
             });
 
-            res.json({ success: true, recommendations: sorted });
+            const mode = await shadowEvaluator.getStoreMode(storeId, inventoryAIAgent.mode);
+            res.json({ success: true, mode, recommendations: sorted });
         } catch (e) {
             res.status(500).json({ success: false, error: e.message });
         }
@@ -801,7 +1075,7 @@ app.get('/api/inventory-ai/history/:storeId',
             FROM inventory_recommendations ir
             JOIN store_sku_registry sr ON ir.store_id = sr.store_id AND ir.store_item_id = sr.store_item_id
             LEFT JOIN v_latest_inventory inv ON ir.store_id = inv.store_id AND ir.store_item_id = inv.store_item_id
-            WHERE ir.store_id = $1 AND ir.feedback_status IN ('ACCEPTED', 'REJECTED', 'IGNORED')
+            WHERE ir.store_id = $1 AND ir.mode = 'ACTIVE' AND ir.owner_decision IS NOT NULL
             ORDER BY ir.processed_at DESC
             LIMIT 50
         `, [storeId]);
@@ -843,7 +1117,7 @@ app.post('/api/simulation/run',
         try {
             const targetStoreId = req.store_id; // Use authenticated user's store
             const simResult = await storeSimulator.resetAndRunSimulation(targetStoreId);
-            const analysisResult = await masterOrchestrator.runDailyClosingAnalysis(targetStoreId);
+            const analysisResult = await masterOrchestrator.runDailyClosingAnalysis(targetStoreId, { triggeredBy: 'simulation' });
 
             res.json({
                 success: true,
@@ -945,6 +1219,7 @@ app.get('/api/inventory-ai/metrics/:storeId/:storeItemId',
             const metrics = inventoryAIAgent.calculateDeterministicMetrics(skuState);
             const classification = inventoryAIAgent.classifySKU(skuState, metrics);
             const riskState = inventoryAIAgent.determineRiskState(metrics, skuState);
+            const hasLeadTime = metrics.leadTime !== null;
 
             const trace = {
                 queries: [
@@ -962,41 +1237,126 @@ app.get('/api/inventory-ai/metrics/:storeId/:storeItemId',
                         query: `SELECT transaction_date, quantity_sold FROM sales_transactions 
                             WHERE store_id = '${storeId}' AND store_item_id = '${storeItemId}' 
                             AND transaction_date > CURRENT_DATE - INTERVAL '30 days'`
+                    },
+                    {
+                        description: "Load Open Purchase Order Quantity (In Transit)",
+                        file: "modules/inventory-ai-agent.js",
+                        query: `SELECT SUM(GREATEST(poi.quantity_ordered - COALESCE(poi.quantity_received, 0), 0)) AS pending_qty
+                            FROM purchase_order_items poi JOIN purchase_orders po ON po.po_id = poi.po_id
+                            WHERE poi.store_id = '${storeId}' AND poi.store_item_id = '${storeItemId}'
+                            AND LOWER(po.status) IN ('pending', 'sent', 'partially_received')`
+                    },
+                    {
+                        description: "Load Supplier Lead Time & Order Cycle",
+                        file: "modules/inventory-ai-agent.js",
+                        query: `SELECT s.supplier_id, s.lead_time_days, s.lead_time_std_days, s.order_days, s.review_cycle_days
+                            FROM store_sku_registry r JOIN suppliers s ON s.store_id = r.store_id AND s.supplier_id = r.supplier_id
+                            WHERE r.store_id = '${storeId}' AND r.store_item_id = '${storeItemId}' AND s.is_active = TRUE`
+                    },
+                    {
+                        description: "Load Open Inventory Lots (FEFO)",
+                        file: "modules/inventory-ai-agent.js",
+                        query: `SELECT lot_id, lot_number, received_at, expiry_date, quantity_remaining FROM inventory_lots
+                            WHERE store_id = '${storeId}' AND store_item_id = '${storeItemId}' AND quantity_remaining > 0
+                            ORDER BY expiry_date ASC NULLS LAST, received_at ASC`
                     }
                 ],
                 math: {
                     ads: {
-                        formula: "Weighted ADS = (0.5 * ADS7) + (0.3 * ADS14) + (0.2 * ADS30)",
+                        formula: "Weighted ADS = (0.5 * ADS7) + (0.3 * ADS14) + (0.2 * ADS30), ADS_N = Units Sold / In-Stock Days",
                         inputs: {
                             ads7: (metrics.ads.ads7 || 0).toFixed(2),
                             ads30: (metrics.ads.ads30 || 0).toFixed(2),
-                            ads14: (metrics.ads.ads14 || 0).toFixed(2)
+                            ads14: (metrics.ads.ads14 || 0).toFixed(2),
+                            censoredDays: metrics.censoredDays
                         },
-                        result: (metrics.ads.weighted || 0).toFixed(2)
+                        result: (metrics.ads.weighted || 0).toFixed(2),
+                        ...(metrics.censoredDays.ads30 > 0 && {
+                            note: `${metrics.censoredDays.ads30} of the last 30 days were out of stock and excluded from ADS and sigma`
+                        })
+                    },
+                    forecast: {
+                        formula: metrics.coldStart ?
+                            "Demand Rate = w * Analogue Rate + (1 - w) * Own Rate, w = 1 - Own Days / 14 (new SKU)" :
+                            metrics.forecast.model === 'v1_weighted_ads' ?
+                            "Demand Rate = Weighted ADS (v1.0)" :
+                            `Demand Rate = Mean daily ${metrics.forecast.model} forecast over the cover horizon`,
+                        inputs: metrics.coldStart ? {
+                            model: metrics.forecast.model,
+                            ownDays: metrics.coldStart.ownDays,
+                            ownRate: metrics.coldStart.ownRate.toFixed(2),
+                            analogueRate: metrics.coldStart.analogueRate.toFixed(2),
+                            analogueWeight: metrics.coldStart.analogueWeight.toFixed(2),
+                            networkMultiplier: metrics.coldStart.networkMultiplier,
+                            analogues: metrics.coldStart.analogues
+                        } : {
+                            engine: skuState.forecastEngine,
+                            model: metrics.forecast.model,
+                            backtestMAE: metrics.forecast.backtest
+                        },
+                        result: (metrics.demandRate || 0).toFixed(2),
+                        ...(metrics.coldStart && { note: 'Analogue-based estimate: this SKU does not have 14 days of its own history yet' })
+                    },
+                    eventUplift: {
+                        formula: "Demand Rate = Base Demand * Mean over cover days of (highest uplift of events whose [date - lead days, end date] covers the day, else 1)",
+                        inputs: {
+                            baseDemand: (metrics.baseDemandRate || 0).toFixed(2),
+                            ...(metrics.event && {
+                                event: metrics.event.name,
+                                eventDate: metrics.event.date,
+                                uplift: metrics.event.uplift,
+                                upliftSource: metrics.event.source,
+                                sampleYears: metrics.event.sampleYears,
+                                daysInHorizon: metrics.event.daysInHorizon,
+                                horizonDays: metrics.event.horizonDays
+                            })
+                        },
+                        result: metrics.event ? `x${metrics.event.multiplier.toFixed(3)}` : 'x1.000',
+                        ...(!metrics.event && { note: 'No calendar event in the cover horizon' })
+                    },
+                    substitutes: {
+                        formula: "Order -= min(substitute surplus beyond 2x its cover, share * order still open) per substitute; ADS -= demand shifted in while a substitute was out",
+                        inputs: metrics.substitution ? {
+                            substitutes: metrics.substitution.substitutes,
+                            groupDemand: metrics.substitution.groupDemand.toFixed(2),
+                            shiftedDemand: metrics.substitution.shiftedDemand.toFixed(2)
+                        } : {},
+                        result: metrics.substitution ? `${Math.round(metrics.substitution.absorbedUnits)} units covered by substitutes` : '0',
+                        ...(!metrics.substitution && { note: 'No substitute group for this SKU' })
                     },
                     safetyStock: {
-                        formula: "Safety Stock = Max(z*sigma, ads*pw, 0.5*ads)",
+                        formula: hasLeadTime ?
+                            "Safety Stock = Max(z * sqrt((L + R) * sigma^2 + ads^2 * sigmaL^2), 0.5*ads)" :
+                            "Safety Stock = Max(z*sigma, ads*pw, 0.5*ads)",
                         inputs: {
                             sigma: (metrics.sigma || 0).toFixed(2),
                             pw: metrics.pw || 3,
-                            z: (metrics.z || 1.65).toFixed(2)
+                            z: (metrics.z || 1.65).toFixed(2),
+                            zSource: metrics.serviceClass ?
+                                `${metrics.serviceClass.abc}${metrics.serviceClass.xyz} -> ${metrics.serviceClass.tier}` :
+                                `ADS heuristic -> ${metrics.importance}`,
+                            policyVersion: metrics.policyVersion,
+                            ...(hasLeadTime && { leadTime: metrics.leadTime, reviewPeriod: metrics.reviewPeriod, leadTimeStd: skuState.supplier.leadTimeStdDays })
                         },
                         result: (metrics.safetyStock || 0).toFixed(2)
                     },
                     rop: {
-                        formula: "ROP = (ADS * PW) + SafetyStock",
+                        formula: hasLeadTime ? "ROP = (ADS * LeadTime) + SafetyStock" : "ROP = Target Stock = (ADS * PW)",
                         inputs: {
-                            ads: (metrics.ads.weighted || 0).toFixed(2),
-                            pw: metrics.pw || 3,
-                            safetyStock: (metrics.safetyStock || 0).toFixed(2)
+                            ads: (metrics.demandRate || 0).toFixed(2),
+                            ...(hasLeadTime ?
+                                { leadTime: metrics.leadTime, safetyStock: (metrics.safetyStock || 0).toFixed(2) } :
+                                { pw: metrics.pw || 3 })
                         },
                         result: (metrics.rop || 0).toFixed(1)
                     },
                     targetStock: {
-                        formula: "Target Stock = (ADS * PW)",
+                        formula: hasLeadTime ? "Target Stock = ADS * (LeadTime + ReviewPeriod) + SafetyStock" : "Target Stock = (ADS * PW)",
                         inputs: {
-                            ads: (metrics.ads.weighted || 0).toFixed(2),
-                            pw: metrics.pw || 3
+                            ads: (metrics.demandRate || 0).toFixed(2),
+                            ...(hasLeadTime ?
+                                { leadTime: metrics.leadTime, reviewPeriod: metrics.reviewPeriod, safetyStock: (metrics.safetyStock || 0).toFixed(2) } :
+                                { pw: metrics.pw || 3 })
                         },
                         result: (metrics.targetStock || 0).toFixed(1)
                     },
@@ -1005,10 +1365,49 @@ app.get('/api/inventory-ai/metrics/:storeId/:storeItemId',
                         inputs: {
                             target: (metrics.targetStock || 0).toFixed(1),
                             current: skuState.currentStock || 0,
-                            pending: skuState.pendingQty || 0
+                            pending: metrics.pendingQty || 0
                         },
                         result: metrics.recommendedQty || 0
-                    }
+                    },
+                    inventoryPosition: {
+                        formula: "Inventory Position = CurrentStock + Pending (Open POs)",
+                        inputs: {
+                            current: skuState.currentStock || 0,
+                            pending: metrics.pendingQty || 0
+                        },
+                        result: (metrics.inventoryPosition || 0).toFixed(1)
+                    },
+                    expiryRisk: {
+                        formula: "At-Risk Units = Σ lots (FEFO) of Max(0, LotQty - Max(0, ADS * DaysToExpiry - UnitsSoldFromEarlierLots))",
+                        inputs: {
+                            ads: (metrics.demandRate || 0).toFixed(2),
+                            trackedUnits: metrics.expiry.trackedUnits,
+                            lots: metrics.expiry.lots,
+                            shelfLifeDays: skuState.shelfLifeDays
+                        },
+                        result: (metrics.expiry.atRiskUnits || 0).toFixed(1),
+                        ...(metrics.expiry.nearestExpiry === null && {
+                            note: "No dated lots on hand (lots are recorded at PO receipt or via /api/lots)"
+                        })
+                    },
+                    ...(metrics.markdown && {
+                        markdown: {
+                            formula: "Markdown Demand = ADS * (1 - Depth)^Elasticity; shallowest depth (then shortest duration) that clears the excess",
+                            inputs: {
+                                mode: metrics.markdown.mode,
+                                ads: (metrics.demandRate || 0).toFixed(2),
+                                elasticity: metrics.markdown.elasticity,
+                                elasticitySource: metrics.markdown.elasticitySource,
+                                priceTier: metrics.markdown.priceTier,
+                                floorPrice: metrics.markdown.floorPrice,
+                                maxDepthPct: metrics.markdown.maxDepthPct
+                            },
+                            result: metrics.markdown.depthPct > 0 ?
+                                `${metrics.markdown.depthPct}% off (₹${metrics.markdown.markdownPrice}) for ${metrics.markdown.durationDays} days -> ${(metrics.markdown.projectedDaysOfCover || 0).toFixed(1)} days of cover` :
+                                'No markdown',
+                            ...(metrics.markdown.reason && { note: metrics.markdown.reason })
+                        }
+                    })
                 },
                 classification,
                 riskState,
@@ -1044,7 +1443,7 @@ app.post('/api/inventory-ai/chat',
             // Fetch the specific recommendation record to ensure consistency
             const recResult = await pool.query(
                 `SELECT * FROM inventory_recommendations 
-             WHERE store_id = $1 AND store_item_id = $2 
+             WHERE store_id = $1 AND store_item_id = $2 AND mode = 'ACTIVE'
              ORDER BY generated_at DESC LIMIT 1`,
                 [storeId, storeItemId]
             );
@@ -1057,38 +1456,51 @@ app.post('/api/inventory-ai/chat',
             // This ensures the AI explains "Why 67?" instead of "Why 33?"
             let effectiveRecQty = metrics.recommendedQty;
             let effectiveRisk = inventoryAIAgent.determineRiskState(metrics, skuState);
+            const hasLeadTime = metrics.leadTime !== null;
             let traceMath = {
                 ads: {
-                    formula: "Weighted ADS = (0.5 * ADS_7) + (0.3 * ADS_14) + (0.2 * ADS_30)",
+                    formula: "Weighted ADS = (0.5 * ADS_7) + (0.3 * ADS_14) + (0.2 * ADS_30), ADS_N = Units Sold / In-Stock Days",
                     inputs: {
                         ads7: (metrics.ads.ads7 || 0).toFixed(2),
                         ads14: (metrics.ads.ads14 || 0).toFixed(2),
-                        ads30: (metrics.ads.ads30 || 0).toFixed(2)
+                        ads30: (metrics.ads.ads30 || 0).toFixed(2),
+                        censoredDays: metrics.censoredDays.ads30
                     },
                     result: (metrics.ads.weighted || 0).toFixed(2)
                 },
+                forecast: {
+                    formula: metrics.forecast.model === 'v1_weighted_ads' ?
+                        "Demand Rate = Weighted ADS (v1.0)" :
+                        `Demand Rate = Mean daily ${metrics.forecast.model} forecast over the cover horizon`,
+                    inputs: { model: metrics.forecast.model },
+                    result: (metrics.demandRate || 0).toFixed(2)
+                },
                 safetyStock: {
-                    formula: "Safety Stock = Max(z*sigma, ads*pw, 0.5*ads)",
+                    formula: hasLeadTime ?
+                        "Safety Stock = Max(z * sqrt((L + R) * sigma^2 + ads^2 * sigmaL^2), 0.5*ads)" :
+                        "Safety Stock = Max(z*sigma, ads*pw, 0.5*ads)",
                     inputs: {
                         sigma: (metrics.sigma || 0).toFixed(2),
                         pw: metrics.pw || 3,
-                        z: (metrics.z || 1.65).toFixed(2)
+                        z: (metrics.z || 1.65).toFixed(2),
+                        zSource: metrics.serviceClass ? `${metrics.serviceClass.abc}${metrics.serviceClass.xyz} -> ${metrics.serviceClass.tier}` : metrics.importance,
+                        ...(hasLeadTime && { leadTime: metrics.leadTime, reviewPeriod: metrics.reviewPeriod })
                     },
                     result: (metrics.safetyStock || 0).toFixed(2)
                 },
                 reorderPoint: {
-                    formula: "ROP = Target Stock = (ADS * PW)",
+                    formula: hasLeadTime ? "ROP = (ADS * LeadTime) + SafetyStock" : "ROP = Target Stock = (ADS * PW)",
                     inputs: {
-                        ads: (metrics.ads.weighted || 0).toFixed(2),
-                        pw: metrics.pw || 3
+                        ads: (metrics.demandRate || 0).toFixed(2),
+                        ...(hasLeadTime ? { leadTime: metrics.leadTime } : { pw: metrics.pw || 3 })
                     },
-                    result: (metrics.targetStock || 0).toFixed(1)
+                    result: (metrics.rop || 0).toFixed(1)
                 },
                 targetStock: {
-                    formula: "Target Stock = (ADS * PW)",
+                    formula: hasLeadTime ? "Target Stock = ADS * (LeadTime + ReviewPeriod) + SafetyStock" : "Target Stock = (ADS * PW)",
                     inputs: {
-                        ads: (metrics.ads.weighted || 0).toFixed(2),
-                        pw: metrics.pw || 3
+                        ads: (metrics.demandRate || 0).toFixed(2),
+                        ...(hasLeadTime ? { leadTime: metrics.leadTime, reviewPeriod: metrics.reviewPeriod } : { pw: metrics.pw || 3 })
                     },
                     result: (metrics.targetStock || 0).toFixed(1)
                 },
@@ -1097,16 +1509,24 @@ app.post('/api/inventory-ai/chat',
                     inputs: {
                         target: (metrics.targetStock || 0).toFixed(1),
                         current: skuState.currentStock || 0,
-                        pending: skuState.pendingQty || 0
+                        pending: metrics.pendingQty || 0
                     },
                     result: metrics.recommendedQty || 0,
                     note: "Calculated Deployment Requirement"
                 },
+                inventoryPosition: {
+                    formula: "Inventory Position = CurrentStock + Pending (Open POs)",
+                    inputs: {
+                        current: skuState.currentStock || 0,
+                        pending: metrics.pendingQty || 0
+                    },
+                    result: (metrics.inventoryPosition || 0).toFixed(1)
+                },
                 daysOfCover: {
                     formula: "Days of Cover = CurrentStock / ADS",
                     inputs: {
                         stock: skuState.currentStock || 0,
-                        ads: (metrics.ads.weighted || 0.01).toFixed(2)
+                        ads: (metrics.demandRate || 0.01).toFixed(2)
                     },
                     result: (metrics.daysOfCover || 0).toFixed(1)
                 }
@@ -1115,7 +1535,20 @@ app.post('/api/inventory-ai/chat',
             if (existingRec) {
                 // VALIDATION: Prioritize LIVE MATH if the snapshot is contradictory
                 // (e.g., if Snapshot says "Order 2" but Math says "Order 0")
-                const snapshotMathQty = Math.max(0, (parseFloat(existingRec.weighted_ads) * (parseFloat(existingRec.protection_window) || 3)) - parseFloat(existingRec.current_stock));
+                const snapPending = parseFloat(existingRec.pending_order_quantity) || 0;
+                const snapLeadTime = existingRec.lead_time_days !== null && existingRec.lead_time_days !== undefined ?
+                    parseFloat(existingRec.lead_time_days) : null;
+                const snapReview = parseFloat(existingRec.review_period_days) || 0;
+
+                // Re-calculate TargetStock based on the SNAPSHOT metrics
+                // (ADS * PW, or ADS * (L + R) + SS when a supplier lead time was recorded)
+                // Demand rate the snapshot was computed with (forecaster output, else Weighted ADS)
+                const snapDemand = existingRec.forecast_daily_demand !== null && existingRec.forecast_daily_demand !== undefined ?
+                    parseFloat(existingRec.forecast_daily_demand) : parseFloat(existingRec.weighted_ads);
+                const snapTargetStock = snapLeadTime !== null ?
+                    snapDemand * (snapLeadTime + snapReview) + parseFloat(existingRec.safety_stock) :
+                    snapDemand * (parseFloat(existingRec.protection_window) || 3);
+                const snapshotMathQty = Math.max(0, snapTargetStock - parseFloat(existingRec.current_stock) - snapPending);
 
                 // If there's a significant drift, we reject the snapshot's quantity
                 if (snapshotMathQty === 0 && parseFloat(existingRec.recommended_order_quantity) > 0) {
@@ -1138,58 +1571,74 @@ app.post('/api/inventory-ai/chat',
                 const snapSigma = parseFloat(existingRec.demand_variability);
                 const snapPW = parseFloat(existingRec.protection_window) || 3;
 
-                // Re-calculate TargetStock based on the SNAPSHOT metrics (ADS * PW)
-                const snapTargetStock = snapAds * snapPW;
-
                 traceMath = {
                     ads: {
-                        formula: "Weighted ADS = (0.5 * ADS_7) + (0.3 * ADS_14) + (0.2 * ADS_30)",
+                        formula: "Weighted ADS = (0.5 * ADS_7) + (0.3 * ADS_14) + (0.2 * ADS_30), ADS_N = Units Sold / In-Stock Days",
                         inputs: {
                             ads7: (snapAds7 || 0).toFixed(2),
                             ads14: (parseFloat(existingRec.ads_14) || 0).toFixed(2),
-                            ads30: (snapAds30 || 0).toFixed(2)
+                            ads30: (snapAds30 || 0).toFixed(2),
+                            censoredDays: parseInt(existingRec.censored_days) || 0
                         },
                         result: (snapAds || 0).toFixed(2)
                     },
+                    forecast: {
+                        formula: existingRec.forecast_model === 'analogue_cold_start' ?
+                            "Demand Rate = w * Analogue Rate + (1 - w) * Own Rate, w = 1 - Own Days / 14 (new SKU)" :
+                            existingRec.forecast_model && existingRec.forecast_model !== 'v1_weighted_ads' ?
+                            `Demand Rate = Mean daily ${existingRec.forecast_model} forecast over the cover horizon` :
+                            "Demand Rate = Weighted ADS (v1.0)",
+                        inputs: { model: existingRec.forecast_model || 'v1_weighted_ads' },
+                        result: (snapDemand || 0).toFixed(2)
+                    },
                     safetyStock: {
                         formula: "Safety Stock = Max(z*sigma, ads*pw, 0.5*ads)",
                         inputs: {
                             sigma: (snapSigma || 0).toFixed(2),
-                            ads: (snapAds || 0).toFixed(2),
+                            ads: (snapDemand || 0).toFixed(2),
                             pw: (parseFloat(existingRec.protection_window) || 3)
                         },
                         result: (snapSS || 0).toFixed(2)
                     },
                     reorderPoint: {
-                        formula: "ROP = Target Stock = (ADS * PW)",
+                        formula: snapLeadTime !== null ? "ROP = (ADS * LeadTime) + SafetyStock" : "ROP = Target Stock = (ADS * PW)",
                         inputs: {
-                            ads: (snapAds || 0).toFixed(2),
-                            pw: (parseFloat(existingRec.protection_window) || 3)
+                            ads: (snapDemand || 0).toFixed(2),
+                            ...(snapLeadTime !== null ? { leadTime: snapLeadTime } : { pw: snapPW })
                         },
-                        result: (snapAds * (parseFloat(existingRec.protection_window) || 3)).toFixed(1)
+                        result: (snapLeadTime !== null ? (snapROP || 0) : snapDemand * snapPW).toFixed(1)
                     },
                     targetStock: {
-                        formula: "Target Stock = (ADS * PW)",
+                        formula: snapLeadTime !== null ? "Target Stock = ADS * (LeadTime + ReviewPeriod) + SafetyStock" : "Target Stock = (ADS * PW)",
                         inputs: {
-                            ads: (snapAds || 0).toFixed(2),
-                            pw: (parseFloat(existingRec.protection_window) || 3)
+                            ads: (snapDemand || 0).toFixed(2),
+                            ...(snapLeadTime !== null ? { leadTime: snapLeadTime, reviewPeriod: snapReview } : { pw: snapPW })
                         },
-                        result: (snapAds * (parseFloat(existingRec.protection_window) || 3)).toFixed(1)
+                        result: (snapTargetStock || 0).toFixed(1)
                     },
                     recommendedQty: {
-                        formula: "Rec Qty = Max(0, TargetStock - SnapshotStock)",
+                        formula: "Rec Qty = Max(0, TargetStock - SnapshotStock - Pending)",
                         inputs: {
                             target: (snapTargetStock || 0).toFixed(1),
-                            current: snapStock || 0
+                            current: snapStock || 0,
+                            pending: snapPending
                         },
                         result: effectiveRecQty || 0,
                         note: "Snapshot Recommendation (Adjusted for Math Consistency)"
                     },
+                    inventoryPosition: {
+                        formula: "Inventory Position = SnapshotStock + Pending (Open POs)",
+                        inputs: {
+                            current: snapStock || 0,
+                            pending: snapPending
+                        },
+                        result: ((snapStock || 0) + snapPending).toFixed(1)
+                    },
                     daysOfCover: {
                         formula: "Days of Cover = SnapshotStock / ADS",
                         inputs: {
                             stock: snapStock || 0,
-                            ads: (snapAds || 0.01).toFixed(2)
+                            ads: (snapDemand || 0.01).toFixed(2)
                         },
                         result: parseFloat(existingRec.days_of_cover || 0).toFixed(1)
                     }
@@ -1203,7 +1652,13 @@ app.post('/api/inventory-ai/chat',
                 productName: skuState.productName,
                 category: skuState.category,
                 currentStock: skuState.currentStock,
+                pendingQty: traceMath.recommendedQty.inputs.pending,
+                leadTime: traceMath.targetStock.inputs.leadTime ?? null,
+                reviewPeriod: traceMath.targetStock.inputs.reviewPeriod ?? null,
                 ads: parseFloat(traceMath.ads.result),
+                forecastModel: traceMath.forecast.inputs.model,
+                demandRate: parseFloat(traceMath.forecast.result),
+                censoredDays: traceMath.ads.inputs.censoredDays,
                 daysOfCover: parseFloat(traceMath.daysOfCover.result),
                 recommendedQty: effectiveRecQty,
                 riskState: effectiveRisk,
@@ -1235,6 +1690,14 @@ app.post('/api/inventory-ai/chat',
                             WHERE store_id = '${storeId}' AND store_item_id = '${storeItemId}' 
                             AND transaction_date > CURRENT_DATE - INTERVAL '30 days'`
                     },
+                    {
+                        description: "Load Open Purchase Order Quantity (In Transit)",
+                        file: "modules/inventory-ai-agent.js",
+                        query: `SELECT SUM(GREATEST(poi.quantity_ordered - COALESCE(poi.quantity_received, 0), 0)) AS pending_qty
+                            FROM purchase_order_items poi JOIN purchase_orders po ON po.po_id = poi.po_id
+                            WHERE poi.store_id = '${storeId}' AND poi.store_item_id = '${storeItemId}'
+                            AND LOWER(po.status) IN ('pending', 'sent', 'partially_received')`
+                    },
                     {
                         description: "Load Strategic Experience (Feedback Loop)",
                         file: "modules/inventory-ai-agent.js",
@@ -1255,16 +1718,19 @@ You are the "Principal Inventory Strategist" for JityAi.
 Your goal is to explain inventory decisions to a store owner clearly and confidently.
 
 STRICT OPERATIONAL RULES:
-1. FORMULA TRUTH: Use 7/14/30 day Weighted ADS. ADS values shown are daily averages computed from full transaction history.
+1. FORMULA TRUTH: Use 7/14/30 day Weighted ADS. ADS values shown are daily averages over in-stock days (out-of-stock days are excluded so stockouts do not understate demand).${context.censoredDays > 0 ? ` ${context.censoredDays} of the last 30 days were out of stock for this SKU.` : ''}${context.forecastModel !== 'v1_weighted_ads' ? `
+   This store uses per-SKU forecasting: Target Stock uses the ${context.forecastModel} forecast of ${context.demandRate} units/day (chosen by backtest error), not Weighted ADS.` : ''}
 2. SIMPLIFIED THRESHOLD: Use "Target Stock" (ADS * PW) as the single authoritative goal. Do not explain ROP separately.
 3. BUFFER POLICY: Safety Stock is the "Operational Policy Floor" (equal to Target Stock for low-variance items). Do not present it as a separate calculation.
 4. PRECISION: Use consistent rounding (1 decimal place) for all Target/Safety values to prevent micro-drift (e.g., 4.9 vs 4.87).
 5. AUDIT DISCLOSURE: Historical records are for audit traceability only and did not influence this calculation.
-6. NO IMPLIED TIMING: Do not mention "replenishment cycles" or "supplier delays" unless explicitly provided. Stick to "coverage" language.
-7. RISK LABELS:
+6. NO IMPLIED TIMING: Do not mention "replenishment cycles" or "supplier delays" unless explicitly provided. Stick to "coverage" language.${context.leadTime !== null ? `
+   Supplier timing IS provided for this SKU: ${context.leadTime}-day lead time, ordered every ${context.reviewPeriod} days. Target Stock covers LeadTime + ReviewPeriod plus Safety Stock.` : ''}
+7. PENDING ORDERS: Units on open purchase orders ("pending") are already netted out of the recommended quantity. Mention them when non-zero.
+8. RISK LABELS:
    - 'Capital Risk': High if Days of Cover >> Protection Window.
    - 'Stockout Risk': High if Days of Cover < Protection Window.
-8. NO SYSTEM LEAKS: Do not use terms like "Trace", "JSON", "Snapshot", or "Discrepancy".
+9. NO SYSTEM LEAKS: Do not use terms like "Trace", "JSON", "Snapshot", or "Discrepancy".
 
 REASONING STRUCTURE (MANDATORY):
 ### 🧠 The Strategy
@@ -1277,7 +1743,7 @@ REASONING STRUCTURE (MANDATORY):
 ### 📊 The Math
 - Summarize Weighted ADS.
 - Explain Target Stock (ADS * PW) as the goal.
-- Confirm Rec Qty calculation (Target - Current).
+- Confirm Rec Qty calculation (Target - Current - Pending).
 `;
 
 
@@ -1383,7 +1849,17 @@ app.post('/api/ops/daily-close',
                 [storeId, req.user.user_id]
             );
 
-            const result = await masterOrchestrator.runDailyClosingAnalysis(storeId);
+            const result = await masterOrchestrator.runDailyClosingAnalysis(storeId, { triggeredBy: 'manual' });
+
+            // Re-reconcile the last week so late counts can still reclassify shrinkage as miscount
+            try {
+                const today = PosSalesImporter.localDate(new Date());
+                result.reconciliation = await stockReconciliation.run(
+                    storeId, StockReconciliation.addDays(today, -StockReconciliation.MISCOUNT_WINDOW_DAYS), today
+                );
+            } catch (err) {
+                console.error('⚠️  Stock reconciliation failed:', err.message);
+            }
             res.json(result);
         } catch (e) {
             console.error('Daily close error:', e);
@@ -1392,58 +1868,1046 @@ app.post('/api/ops/daily-close',
     });
 
 /**
- * Reports Endpoint (Protected)
+ * Recompute the stock variance ledger for a date range (Protected)
+ * Body: { from?, to? } (YYYY-MM-DD, default the last 7 days)
  */
-app.get('/api/reports/:type',
+app.post('/api/inventory/reconciliation/run',
     authenticateJWT(authService),
     requireStoreScope,
+    requireRole('owner', 'admin'),
     async (req, res) => {
         try {
-            const storeId = req.store_id; // From JWT
-            const reportType = req.params.type;
-            const days = req.query.days;
+            const { from, to } = varianceRange(req.body || {});
+            const result = await stockReconciliation.run(req.store_id, from, to);
+            await pool.query(
+                `INSERT INTO operational_audit_log (store_id, user_id, action_type, entity_type, entity_id, metadata, status)
+                 VALUES ($1, $2, 'inventory.reconciliation_run', 'stock_variances', $1, $3, 'success')`,
+                [req.store_id, req.user.user_id, JSON.stringify({ from, to, variances: result.variances, loss_value: result.lossValue })]
+            );
+            res.json({ success: true, ...result });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
 
-            const report = await reportEngine.generateReport(storeId, reportType, { days });
-            res.json({ success: true, report });
+/**
+ * Stock variance report in units and rupees: shrinkage, miscount, unexplained (Protected)
+ * Query: from, to (YYYY-MM-DD, default the last 7 days), classification?
+ */
+app.get('/api/inventory/variance-report',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const { from, to } = varianceRange(req.query);
+            const classification = ['SHRINKAGE', 'MISCOUNT', 'UNEXPLAINED'].includes(req.query.classification) ?
+                req.query.classification : null;
+            const report = await stockReconciliation.getReport(req.store_id, from, to, { classification });
+            res.json({ success: true, ...report });
         } catch (e) {
-            console.error(`Report generation failed (${req.params.type}):`, e);
-            res.status(500).json({ success: false, error: e.message });
+            sendServiceError(res, e);
         }
     });
 
-// ============================================================================
-// REPORTS API
-// ============================================================================
+function varianceRange({ from, to }) {
+    const end = to || PosSalesImporter.localDate(new Date());
+    return { from: from || StockReconciliation.addDays(end, -6), to: end };
+}
 
 /**
- * Reports Endpoint (Protected)
+ * Cycle count sheets (Protected)
+ * Query: status? (comma-separated: open, submitted, approved, cancelled)
  */
-app.get('/api/reports/:type',
+app.get('/api/inventory/cycle-counts',
     authenticateJWT(authService),
     requireStoreScope,
     async (req, res) => {
         try {
-            const storeId = req.store_id; // From JWT
-            const reportType = req.params.type;
-            const days = parseInt(req.query.days) || 30;
+            const counts = await cycleCountService.listCounts(req.store_id, { status: req.query.status });
+            res.json({ success: true, counts });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
 
-            console.log(`📊 Report requested: ${reportType} for store ${storeId} (${days} days)`);
+/**
+ * Generate a count sheet ranked by ABC class, days since last count and variance history (Protected)
+ * Body: { size? (default 25, max 200), category?, notes? }
+ */
+app.post('/api/inventory/cycle-counts',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const count = await cycleCountService.generate(req.store_id, req.user.user_id, req.body || {});
+            res.json({ success: true, count });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
 
-            const report = await reportEngine.generateReport(storeId, reportType, { days });
-            res.json({ success: true, report });
+app.get('/api/inventory/cycle-counts/:countId',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const count = await cycleCountService.getCount(req.store_id, req.params.countId);
+            res.json({ success: true, count });
         } catch (e) {
-            console.error(`Report generation failed (${req.params.type}):`, e);
-            res.status(500).json({ success: false, error: e.message });
+            sendServiceError(res, e);
         }
     });
 
-// ============================================================================
-// FRONTEND ROUTES (Authentication-Aware)
-// ============================================================================
+/**
+ * Enter a count on an open sheet (Protected)
+ * Body: { barcode | storeItemId, countedQty }
+ */
+app.post('/api/inventory/cycle-counts/:countId/counts',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const line = await cycleCountService.recordCount(req.store_id, req.user.user_id, req.params.countId, req.body || {});
+            res.json({ success: true, line });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
 
-// Root route - redirect to login
-app.get('/', (req, res) => {
-    res.redirect('/login.html');
+app.post('/api/inventory/cycle-counts/:countId/submit',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const count = await cycleCountService.submit(req.store_id, req.user.user_id, req.params.countId);
+            res.json({ success: true, count });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+/**
+ * Approve a submitted sheet and post its counts as STOCK_TAKE snapshots (Owner / Admin)
+ * Body: { rejectSkus?: [store_item_id], note? }
+ */
+app.post('/api/inventory/cycle-counts/:countId/approve',
+    authenticateJWT(authService),
+    requireStoreScope,
+    requireRole('owner', 'admin'),
+    async (req, res) => {
+        try {
+            const count = await cycleCountService.approve(req.store_id, req.user.user_id, req.params.countId, req.body || {});
+            console.log(`✅ Cycle count ${req.params.countId.slice(0, 8)} approved: ${count.lines.filter(l => l.decision === 'approved').length} count(s) posted`);
+            res.json({ success: true, count });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+app.post('/api/inventory/cycle-counts/:countId/cancel',
+    authenticateJWT(authService),
+    requireStoreScope,
+    requireRole('owner', 'admin'),
+    async (req, res) => {
+        try {
+            const count = await cycleCountService.cancel(req.store_id, req.user.user_id, req.params.countId, req.body || {});
+            res.json({ success: true, count });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+/**
+ * Reports Endpoint (Protected)
+ */
+app.get('/api/reports/:type',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const storeId = req.store_id; // From JWT
+            const reportType = req.params.type;
+            const days = req.query.days;
+
+            const report = await reportEngine.generateReport(storeId, reportType, { days });
+            res.json({ success: true, report });
+        } catch (e) {
+            console.error(`Report generation failed (${req.params.type}):`, e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+// ============================================================================
+// FORECAST ENGINE & MARKDOWN SETTINGS
+// ============================================================================
+
+const FORECAST_ENGINES = ['v1_weighted_ads', 'auto'];
+
+/**
+ * Current forecast engine for the store (Protected)
+ */
+app.get('/api/settings/forecast-engine',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const result = await pool.query(
+                'SELECT forecast_engine FROM store_settings WHERE store_id = $1',
+                [req.store_id]
+            );
+            res.json({
+                success: true,
+                forecastEngine: result.rows[0]?.forecast_engine || 'v1_weighted_ads',
+                available: FORECAST_ENGINES
+            });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+/**
+ * Switch between the frozen v1.0 Weighted ADS and per-SKU backtested forecasters (Protected)
+ * Body: { forecastEngine: 'v1_weighted_ads' | 'auto' }
+ */
+app.put('/api/settings/forecast-engine',
+    authenticateJWT(authService),
+    requireStoreScope,
+    requireRole('owner', 'admin'),
+    async (req, res) => {
+        try {
+            const storeId = req.store_id;
+            const { forecastEngine } = req.body;
+            if (!FORECAST_ENGINES.includes(forecastEngine)) {
+                return res.status(400).json({ success: false, error: `forecastEngine must be one of: ${FORECAST_ENGINES.join(', ')}` });
+            }
+
+            await pool.query(
+                'UPDATE store_settings SET forecast_engine = $1, updated_at = NOW() WHERE store_id = $2',
+                [forecastEngine, storeId]
+            );
+            await pool.query(
+                `INSERT INTO operational_audit_log (store_id, user_id, action_type, entity_type, entity_id, metadata, status)
+                 VALUES ($1, $2, 'settings.forecast_engine', 'store', $1, $3, 'success')`,
+                [storeId, req.user.user_id, JSON.stringify({ forecastEngine })]
+            );
+
+            console.log(`📈 Forecast engine for ${storeId} set to ${forecastEngine}`);
+            res.json({ success: true, forecastEngine });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+/**
+ * Margin floor for overstock markdowns, percent over cost (Protected)
+ */
+app.get('/api/settings/markdown-margin',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const result = await pool.query(
+                'SELECT markdown_min_margin_pct FROM store_settings WHERE store_id = $1',
+                [req.store_id]
+            );
+            const margin = result.rows[0]?.markdown_min_margin_pct;
+            res.json({ success: true, minMarginPct: margin !== null && margin !== undefined ? parseFloat(margin) : 5 });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+/**
+ * Set the markdown margin floor (Protected)
+ * Body: { minMarginPct: 5 }
+ */
+app.put('/api/settings/markdown-margin',
+    authenticateJWT(authService),
+    requireStoreScope,
+    requireRole('owner', 'admin'),
+    async (req, res) => {
+        try {
+            const storeId = req.store_id;
+            const minMarginPct = parseFloat(req.body.minMarginPct);
+            if (isNaN(minMarginPct) || minMarginPct < 0 || minMarginPct > 500) {
+                return res.status(400).json({ success: false, error: 'minMarginPct must be a number between 0 and 500' });
+            }
+
+            await pool.query(
+                'UPDATE store_settings SET markdown_min_margin_pct = $1, updated_at = NOW() WHERE store_id = $2',
+                [minMarginPct, storeId]
+            );
+            await pool.query(
+                `INSERT INTO operational_audit_log (store_id, user_id, action_type, entity_type, entity_id, metadata, status)
+                 VALUES ($1, $2, 'settings.markdown_margin', 'store', $1, $3, 'success')`,
+                [storeId, req.user.user_id, JSON.stringify({ minMarginPct })]
+            );
+
+            console.log(`🏷️ Markdown margin floor for ${storeId} set to ${minMarginPct}%`);
+            res.json({ success: true, minMarginPct });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+// ============================================================================
+// SUPPLIER MASTER API
+// ============================================================================
+
+/**
+ * List suppliers for the current store (Protected)
+ */
+app.get('/api/suppliers',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const suppliers = await supplierMaster.listSuppliers(req.store_id);
+            res.json({ success: true, suppliers });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+/**
+ * Create / update a supplier (Protected)
+ * Body: { supplierName, leadTimeDays, leadTimeStdDays, orderDays: [0-6], reviewCycleDays, minOrderValue }
+ */
+app.put('/api/suppliers/:supplierId',
+    authenticateJWT(authService),
+    requireStoreScope,
+    requireRole('owner', 'admin'),
+    async (req, res) => {
+        try {
+            const storeId = req.store_id;
+            try {
+                SupplierMaster.normalize(req.body);
+            } catch (validationErr) {
+                return res.status(400).json({ success: false, error: validationErr.message });
+            }
+
+            const supplier = await supplierMaster.upsertSupplier(storeId, req.params.supplierId, req.body);
+
+            await pool.query(
+                `INSERT INTO operational_audit_log (store_id, user_id, action_type, entity_type, entity_id, metadata, status)
+                 VALUES ($1, $2, 'supplier.upserted', 'supplier', $3, $4, 'success')`,
+                [storeId, req.user.user_id, req.params.supplierId, JSON.stringify(req.body)]
+            );
+
+            res.json({ success: true, supplier });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+/**
+ * Link SKUs to a supplier (Protected)
+ * Body: { skuIds: [...] }
+ */
+app.post('/api/suppliers/:supplierId/skus',
+    authenticateJWT(authService),
+    requireStoreScope,
+    requireRole('owner', 'admin'),
+    async (req, res) => {
+        try {
+            const { skuIds } = req.body;
+            if (!Array.isArray(skuIds) || skuIds.length === 0) {
+                return res.status(400).json({ success: false, error: 'skuIds must be a non-empty array' });
+            }
+
+            const linked = await supplierMaster.assignSkus(req.store_id, req.params.supplierId, skuIds);
+            res.json({ success: true, linked, count: linked.length });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+// ============================================================================
+// STOCKOUT LEDGER API
+// ============================================================================
+
+/**
+ * Stockout episodes overlapping the last N days (Protected)
+ * Query: ?days=30&sku=SKU-1
+ */
+app.get('/api/stockouts',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const episodes = await stockoutLedger.getEpisodes(req.store_id, {
+                days: req.query.days,
+                skuId: req.query.sku
+            });
+            res.json({ success: true, episodes });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+// ============================================================================
+// INVENTORY LOTS API
+// ============================================================================
+
+/**
+ * Open lots with age and days to expiry (Protected)
+ * Query: ?sku=SKU-1&all=true (include fully depleted lots)
+ */
+app.get('/api/lots',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const lots = await lotLedger.getLots(req.store_id, {
+                skuId: req.query.sku,
+                includeDepleted: req.query.all === 'true'
+            });
+            res.json({ success: true, lots });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+/**
+ * Record a lot received outside a purchase order (Protected)
+ * Body: { storeItemId, quantity, receivedAt?, expiryDate?, lotNumber?, unitCost? }
+ * On-hand stock is not changed: the next sync or stock take carries the quantity.
+ */
+app.post('/api/lots',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const lot = await lotLedger.recordLot(pool, req.store_id, { ...req.body, source: 'manual' });
+            await pool.query(
+                `INSERT INTO operational_audit_log (store_id, user_id, action_type, entity_type, entity_id, metadata, status)
+                 VALUES ($1, $2, 'lot.recorded', 'inventory_lot', $3, $4, 'success')`,
+                [req.store_id, req.user.user_id, lot.lot_id, JSON.stringify({ store_item_id: lot.store_item_id, quantity: lot.quantity_received, expiry_date: lot.expiry_date })]
+            );
+            res.json({ success: true, lot });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+// ============================================================================
+// EVENT CALENDAR API
+// ============================================================================
+
+/**
+ * Upcoming festivals and local events with learned category uplift (Protected)
+ * Query: ?days=60
+ */
+app.get('/api/events',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const events = await eventCalendar.listUpcoming(req.store_id, req.query.days);
+            res.json({ success: true, events });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+/**
+ * Add a store-specific local event (Protected)
+ * Body: { eventName, eventDate, endDate?, leadDays? (7), defaultUplift? (1.10) }
+ */
+app.post('/api/events',
+    authenticateJWT(authService),
+    requireStoreScope,
+    requireRole('owner', 'admin'),
+    async (req, res) => {
+        try {
+            const event = await eventCalendar.addLocalEvent(req.store_id, req.user.user_id, req.body);
+            await pool.query(
+                `INSERT INTO operational_audit_log (store_id, user_id, action_type, entity_type, entity_id, metadata, status)
+                 VALUES ($1, $2, 'calendar.event_added', 'calendar_event', $3, $4, 'success')`,
+                [req.store_id, req.user.user_id, event.event_id, JSON.stringify({ event_name: event.event_name, event_date: event.event_date, default_uplift: event.default_uplift })]
+            );
+            console.log(`📅 Local event ${event.event_name} added for ${req.store_id}`);
+            res.json({ success: true, event });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+/**
+ * Remove a store-specific local event (Protected)
+ */
+app.delete('/api/events/:eventId',
+    authenticateJWT(authService),
+    requireStoreScope,
+    requireRole('owner', 'admin'),
+    async (req, res) => {
+        try {
+            const result = await eventCalendar.removeLocalEvent(req.store_id, req.params.eventId);
+            await pool.query(
+                `INSERT INTO operational_audit_log (store_id, user_id, action_type, entity_type, entity_id, status)
+                 VALUES ($1, $2, 'calendar.event_removed', 'calendar_event', $3, 'success')`,
+                [req.store_id, req.user.user_id, req.params.eventId]
+            );
+            res.json({ success: true, ...result });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+/**
+ * Relearn category uplift from past occurrences now (Protected)
+ * The agent also relearns automatically once a week.
+ */
+app.post('/api/events/learn',
+    authenticateJWT(authService),
+    requireStoreScope,
+    requireRole('owner', 'admin'),
+    async (req, res) => {
+        try {
+            const result = await eventCalendar.learnUplifts(req.store_id);
+            res.json({ success: true, ...result });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+// ============================================================================
+// SERVICE POLICY API
+// ============================================================================
+
+/**
+ * Store policy, category overrides, SKU pins and the v1.0 defaults (Protected)
+ */
+app.get('/api/policies',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const policies = await servicePolicy.getPolicies(req.store_id);
+            res.json({ success: true, ...policies });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+/**
+ * Policy change log, newest first (Protected)
+ * Query: ?scope=category&key=Dairy&limit=100
+ */
+app.get('/api/policies/changes',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const changes = await servicePolicy.getChangeLog(req.store_id, {
+                scope: req.query.scope,
+                scopeKey: req.query.key,
+                limit: req.query.limit
+            });
+            res.json({ success: true, changes });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+/**
+ * Set a policy (Protected). Values not given fall through to the next layer.
+ * Body: { scope: 'store'|'category'|'sku', scopeKey?, reason?,
+ *         policy: { serviceLevelZ?: { 'High Impact', 'Normal', 'Low' },
+ *                   protectionWindows?: { stable, moderate, volatile }, buyLessCoverMultiple? } }
+ */
+app.put('/api/policies',
+    authenticateJWT(authService),
+    requireStoreScope,
+    requireRole('owner', 'admin'),
+    async (req, res) => {
+        try {
+            const change = await servicePolicy.setPolicy(req.store_id, req.user.user_id, req.body);
+            await pool.query(
+                `INSERT INTO operational_audit_log (store_id, user_id, action_type, entity_type, entity_id, metadata, status)
+                 VALUES ($1, $2, 'policy.changed', 'service_policy', $3, $4, 'success')`,
+                [req.store_id, req.user.user_id, change.change_id, JSON.stringify({ scope: change.scope, scope_key: change.scope_key, version: change.version })]
+            );
+            console.log(`⚖️ Service policy ${change.scope}${change.scope_key ? `:${change.scope_key}` : ''} v${change.version} set for ${req.store_id}`);
+            res.json({ success: true, change });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+/**
+ * Remove a category override / SKU pin, or reset the store policy (Protected)
+ * DELETE /api/policies/store, /api/policies/category/:key, /api/policies/sku/:key
+ */
+app.delete('/api/policies/:scope/:scopeKey?',
+    authenticateJWT(authService),
+    requireStoreScope,
+    requireRole('owner', 'admin'),
+    async (req, res) => {
+        try {
+            const change = await servicePolicy.removePolicy(
+                req.store_id, req.user.user_id, req.params.scope, req.params.scopeKey, req.body?.reason
+            );
+            await pool.query(
+                `INSERT INTO operational_audit_log (store_id, user_id, action_type, entity_type, entity_id, metadata, status)
+                 VALUES ($1, $2, 'policy.removed', 'service_policy', $3, $4, 'success')`,
+                [req.store_id, req.user.user_id, change.change_id, JSON.stringify({ scope: change.scope, scope_key: change.scope_key, version: change.version })]
+            );
+            res.json({ success: true, change });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+// ============================================================================
+// AI MODE (SHADOW / ACTIVE) API
+// ============================================================================
+
+/**
+ * Shadow accuracy vs owner decisions, with the promotion verdict (Protected)
+ * Query: ?days=90
+ */
+app.get('/api/ai-mode/report',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const report = await shadowEvaluator.getComparisonReport(req.store_id, req.query.days);
+            res.json({ success: true, report });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+/**
+ * Promote the store from SHADOW to ACTIVE (Protected)
+ * Fails with 409 and the report when the promotion rules are not met.
+ */
+app.post('/api/ai-mode/promote',
+    authenticateJWT(authService),
+    requireStoreScope,
+    requireRole('owner', 'admin'),
+    async (req, res) => {
+        try {
+            const report = await shadowEvaluator.promote(req.store_id, req.user.user_id);
+            res.json({ success: true, mode: 'ACTIVE', report });
+        } catch (e) {
+            if (e.report) return res.status(e.statusCode).json({ success: false, error: e.message, report: e.report });
+            sendServiceError(res, e);
+        }
+    });
+
+/**
+ * Send the store back to SHADOW, or DISABLE the agent (Protected)
+ * Body: { mode: 'SHADOW' | 'DISABLED', reason? }. ACTIVE only through /promote.
+ */
+app.put('/api/ai-mode',
+    authenticateJWT(authService),
+    requireStoreScope,
+    requireRole('owner', 'admin'),
+    async (req, res) => {
+        try {
+            const { mode, reason } = req.body;
+            if (mode === 'ACTIVE') {
+                return res.status(400).json({ success: false, error: 'Use POST /api/ai-mode/promote to go ACTIVE' });
+            }
+            const result = await shadowEvaluator.setMode(req.store_id, req.user.user_id, mode, reason || 'manual');
+            res.json({ success: true, ...result });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+// ============================================================================
+// SUBSTITUTE GROUPS API
+// ============================================================================
+
+/**
+ * Manual substitute groups and learned substitute links (Protected)
+ */
+app.get('/api/substitutes',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const groups = await substituteGroups.listGroups(req.store_id);
+            res.json({ success: true, ...groups });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+/**
+ * Create or replace a manual substitute group (Protected)
+ * Body: { groupName, skuIds: [...], shiftShare? (0.5) }
+ */
+app.put('/api/substitutes/groups',
+    authenticateJWT(authService),
+    requireStoreScope,
+    requireRole('owner', 'admin'),
+    async (req, res) => {
+        try {
+            const group = await substituteGroups.setManualGroup(req.store_id, req.user.user_id, req.body);
+            await pool.query(
+                `INSERT INTO operational_audit_log (store_id, user_id, action_type, entity_type, entity_id, metadata, status)
+                 VALUES ($1, $2, 'substitutes.group_set', 'substitute_group', $3, $4, 'success')`,
+                [req.store_id, req.user.user_id, group.groupName, JSON.stringify({ members: group.members, shift_share: group.shiftShare })]
+            );
+            console.log(`🔁 Substitute group ${group.groupName} set for ${req.store_id} (${group.members.length} SKUs)`);
+            res.json({ success: true, group });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+/**
+ * Delete a manual substitute group (Protected)
+ */
+app.delete('/api/substitutes/groups/:groupName',
+    authenticateJWT(authService),
+    requireStoreScope,
+    requireRole('owner', 'admin'),
+    async (req, res) => {
+        try {
+            const result = await substituteGroups.removeManualGroup(req.store_id, req.params.groupName);
+            await pool.query(
+                `INSERT INTO operational_audit_log (store_id, user_id, action_type, entity_type, entity_id, status)
+                 VALUES ($1, $2, 'substitutes.group_removed', 'substitute_group', $3, 'success')`,
+                [req.store_id, req.user.user_id, req.params.groupName]
+            );
+            res.json({ success: true, ...result });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+/**
+ * Relearn substitute links from past stockouts now (Protected)
+ * The agent also relearns automatically once a week.
+ */
+app.post('/api/substitutes/learn',
+    authenticateJWT(authService),
+    requireStoreScope,
+    requireRole('owner', 'admin'),
+    async (req, res) => {
+        try {
+            const result = await substituteGroups.learnSubstitutes(req.store_id);
+            res.json({ success: true, ...result });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+// ============================================================================
+// SERVICE ERROR HELPER
+// ============================================================================
+
+/**
+ * Service errors carry an HTTP statusCode (400/404/409); anything else is a 500.
+ */
+function sendServiceError(res, e) {
+    if (!e.statusCode) console.error('❌ Service error:', e);
+    res.status(e.statusCode || 500).json({
+        success: false,
+        error: e.message,
+        ...(e.statusCode && e.code && { code: e.code }),
+        ...(e.cart && { cart: e.cart })
+    });
+}
+
+// ============================================================================
+// PURCHASE ORDER LIFECYCLE API
+// ============================================================================
+
+/**
+ * List purchase orders (Protected). Optional ?status=draft,sent
+ */
+app.get('/api/purchase-orders',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const purchaseOrders = await purchaseOrderService.listPurchaseOrders(req.store_id, { status: req.query.status });
+            res.json({ success: true, purchaseOrders });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+app.get('/api/purchase-orders/:poId',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const purchaseOrder = await purchaseOrderService.getPurchaseOrder(req.store_id, req.params.poId);
+            res.json({ success: true, purchaseOrder });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+/**
+ * Best order plan for a purchasing budget (Protected)
+ * Body: { budget, supplierId? }
+ * Returns funded lines with their marginal value and the lines cut, with reasons.
+ */
+app.post('/api/purchase-orders/budget-plan',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const plan = await budgetOptimizer.planBudget(req.store_id, req.body || {});
+            console.log(`💰 Budget plan for ${req.store_id}: ₹${plan.spent} of ₹${plan.budget} across ${plan.lines.length} lines`);
+            res.json({ success: true, plan });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+/**
+ * Create a draft PO (Protected)
+ * Body: { recommendationIds?: [...], lines?: [{ storeItemId, quantity, unitCost?, recommendationId? }],
+ *         supplierId?, supplierName?, expectedDeliveryDate?, notes? }
+ */
+app.post('/api/purchase-orders',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const purchaseOrder = await purchaseOrderService.createDraft(req.store_id, req.user.user_id, req.body);
+            console.log(`🧾 PO ${purchaseOrder.po_number} drafted for ${req.store_id} (${purchaseOrder.items.length} lines)`);
+            res.json({ success: true, purchaseOrder });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+/**
+ * Edit draft lines (Protected). quantity 0 removes a line.
+ */
+app.put('/api/purchase-orders/:poId/lines',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const purchaseOrder = await purchaseOrderService.updateLines(req.store_id, req.user.user_id, req.params.poId, req.body.lines);
+            res.json({ success: true, purchaseOrder });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+/**
+ * Export a PO for the supplier (Protected). ?format=pdf|xlsx
+ */
+app.get('/api/purchase-orders/:poId/export',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const format = (req.query.format || 'pdf').toLowerCase();
+            if (!['pdf', 'xlsx'].includes(format)) {
+                return res.status(400).json({ success: false, error: 'format must be pdf or xlsx' });
+            }
+
+            const po = await purchaseOrderService.getPurchaseOrder(req.store_id, req.params.poId);
+            const buffer = format === 'pdf' ?
+                await PurchaseOrderExporter.toPDF(po) :
+                PurchaseOrderExporter.toXLSX(po);
+
+            res.setHeader('Content-Type', format === 'pdf' ?
+                'application/pdf' :
+                'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', `attachment; filename="${po.po_number}.${format}"`);
+            res.send(buffer);
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+app.post('/api/purchase-orders/:poId/send',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const purchaseOrder = await purchaseOrderService.markSent(req.store_id, req.user.user_id, req.params.poId, req.body);
+            res.json({ success: true, purchaseOrder });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+/**
+ * Record receipts (Protected)
+ * Body: { lines: [{ poItemId | storeItemId, quantityReceived, expiryDate?, lotNumber? }], receivedAt?, allowOverReceipt? }
+ * receivedAt dates the lots and the PO; stock moves when the receipt is posted
+ */
+app.post('/api/purchase-orders/:poId/receive',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const purchaseOrder = await purchaseOrderService.receive(
+                req.store_id, req.user.user_id, req.params.poId, req.body.lines,
+                { receivedAt: req.body.receivedAt, allowOverReceipt: req.body.allowOverReceipt === true }
+            );
+            console.log(`📦 PO ${purchaseOrder.po_number}: ${purchaseOrder.receipts.length} line(s) received -> ${purchaseOrder.status}`);
+            res.json({ success: true, purchaseOrder });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+app.post('/api/purchase-orders/:poId/close',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const purchaseOrder = await purchaseOrderService.close(req.store_id, req.user.user_id, req.params.poId, req.body);
+            res.json({ success: true, purchaseOrder });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+app.post('/api/purchase-orders/:poId/cancel',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const purchaseOrder = await purchaseOrderService.cancel(req.store_id, req.user.user_id, req.params.poId, req.body);
+            res.json({ success: true, purchaseOrder });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+// ============================================================================
+// REORDER CART API
+// Every mutation sends expectedVersion; a stale version returns 409 + current cart.
+// ============================================================================
+
+app.get('/api/cart',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const cart = await reorderCartService.getCart(req.store_id);
+            res.json({ success: true, cart });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+/**
+ * Add / replace a cart line (Protected)
+ * Body: { storeItemId, quantity, unitCost?, recommendationId?, expectedVersion }
+ */
+app.post('/api/cart/items',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const { expectedVersion, ...item } = req.body;
+            const cart = await reorderCartService.addItem(req.store_id, req.user.user_id, expectedVersion, item);
+            res.json({ success: true, cart });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+app.patch('/api/cart/items/:storeItemId',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const cart = await reorderCartService.updateQuantity(
+                req.store_id, req.user.user_id, req.body.expectedVersion, req.params.storeItemId, req.body.quantity
+            );
+            res.json({ success: true, cart });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+app.delete('/api/cart/items/:storeItemId',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const cart = await reorderCartService.removeItem(
+                req.store_id, req.user.user_id, req.query.expectedVersion, req.params.storeItemId
+            );
+            res.json({ success: true, cart });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+/**
+ * Checkout (Protected): one draft PO per supplier, MOQ / case-pack rounding,
+ * minimum-order-value top-ups. Body: { expectedVersion }
+ */
+app.post('/api/cart/checkout',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const result = await reorderCartService.checkout(
+                req.store_id, req.user.user_id, req.body.expectedVersion, purchaseOrderService
+            );
+            console.log(`🧾 Cart checkout for ${req.store_id}: ${result.purchaseOrders.length} supplier PO(s) drafted`);
+            res.json({ success: true, ...result });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+app.delete('/api/cart',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const cart = await reorderCartService.clear(req.store_id, req.user.user_id, req.query.expectedVersion);
+            res.json({ success: true, cart });
+        } catch (e) {
+            sendServiceError(res, e);
+        }
+    });
+
+// ============================================================================
+// REPORTS API
+// ============================================================================
+
+/**
+ * Reports Endpoint (Protected)
+ */
+app.get('/api/reports/:type',
+    authenticateJWT(authService),
+    requireStoreScope,
+    async (req, res) => {
+        try {
+            const storeId = req.store_id; // From JWT
+            const reportType = req.params.type;
+            const days = parseInt(req.query.days) || 30;
+
+            console.log(`📊 Report requested: ${reportType} for store ${storeId} (${days} days)`);
+
+            const report = await reportEngine.generateReport(storeId, reportType, { days });
+            res.json({ success: true, report });
+        } catch (e) {
+            console.error(`Report generation failed (${req.params.type}):`, e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+// ============================================================================
+// FRONTEND ROUTES (Authentication-Aware)
+// ============================================================================
+
+// Root route - redirect to login
+app.get('/', (req, res) => {
+    res.redirect('/login.html');
 });
 
 // Dashboard route (requires auth check on client-side)
@@ -1459,6 +2923,9 @@ app.get('*', (req, res) => {
 // START SERVER
 const server = app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
+    webhookIngestor.resumeQueued().catch(err => {
+        console.warn(`⚠️ Could not resume queued webhook events: ${err.message}`);
+    });
 });
 
 process.on('SIGTERM', async () => {